@@ -9,7 +9,9 @@ const UserManager = require('./managers/UserManager');
 const MessageManager = require('./managers/MessageManager'); // Global message cache (optional, usually per-channel)
 const User = require('./structures/User'); // For client.user
 const { VoiceManager } = require('./voice/VoiceManager'); // Import the class
-const { Gateway } = require('./util/Constants');
+const { Gateway, DefaultOptions } = require('./util/Constants');
+const Util = require('./util/Util');
+const Sweepers = require('./util/Sweepers');
 
 
 /**
@@ -18,17 +20,45 @@ const { Gateway } = require('./util/Constants');
  */
 class Client extends EventEmitter {
     /**
-     * @param {object} [options={}] Options for the client. (Currently unused, placeholder)
-     * @param {number[]} [options.disabledEvents=[]] Optional array of gateway events to disable handling for.
+     * @param {object} [options={}] Options for the client, merged over `Constants.DefaultOptions`.
+     * @param {string} [options.encoding='json'] Gateway payload encoding, `'json'` or `'etf'`.
+     * @param {object} [options.ws] Gateway connection options.
+     * @param {string} [options.ws.gateway='wss://gateway.discord.gg'] Base gateway URL to connect to.
+     * @param {boolean} [options.ws.compress=true] Whether to request zlib-stream transport compression.
+     * @param {string|Function} [options.ws.inflater='auto'] Inflater for compressed frames:
+     * `'auto'`, `'zlib-sync'`, `'zlib'` or a custom class.
+     * @param {number} [options.ws.helloTimeout=20000] How long to wait for HELLO before reconnecting.
+     * @param {number} [options.ws.reconnectBaseDelay=1000] Base delay for the reconnect backoff.
+     * @param {number} [options.ws.reconnectMaxDelay=60000] Upper bound for the reconnect backoff.
+     * @param {number} [options.ws.maxReconnectAttempts=Infinity] Consecutive failed attempts before giving up.
+     * @param {number} [options.ws.largeThreshold=250] The `large_threshold` sent in IDENTIFY.
+     * @param {object} [options.rest] REST options.
+     * @param {?string} [options.rest.api] API base URL, defaults to `Constants.API_BASE_URL`.
+     * @param {number} [options.rest.retries=3] Retries for requests failing with a 5xx or network error.
+     * @param {number} [options.rest.timeout=15000] Request timeout in milliseconds.
+     * @param {number} [options.rest.offset=50] Extra wait past a rate limit reset, in milliseconds.
+     * @param {number} [options.messageCacheMaxSize=200] Maximum messages cached per channel, Infinity for no limit.
+     * @param {number} [options.messageCacheLifetime=0] How long (in seconds) messages stay cached, 0 for forever.
+     * @param {number} [options.messageSweepInterval=0] How often (in seconds) to sweep messages older than
+     * `messageCacheLifetime`, 0 to never sweep. Shorthand for `sweepers.messages`.
+     * @param {Object<string, SweepOptions>} [options.sweepers] Periodic sweepers for `messages`, `users`,
+     * `threads` and `voiceSessions`. Ended voice sessions are swept hourly once a day old by default,
+     * set `voiceSessions` to null to keep them.
+     * @param {number} [options.interactionTimeout=15000] How long to wait for an application to respond to
+     * an interaction sent by the client user, in milliseconds.
      */
     constructor(options = {}) {
         super();
 
         /**
-         * The options the client was instantiated with.
+         * The options the client was instantiated with, merged with the defaults.
          * @type {object}
          */
-        this.options = options; // Store options if needed later
+        this.options = Util.mergeDefault(DefaultOptions, options);
+        const { messageCacheLifetime, messageSweepInterval } = this.options;
+        if (!this.options.sweepers.messages && messageCacheLifetime > 0 && messageSweepInterval > 0) {
+            this.options.sweepers.messages = { interval: messageSweepInterval, lifetime: messageCacheLifetime };
+        }
 
         /**
          * The Discord user token used for authentication.
@@ -98,6 +128,12 @@ class Client extends EventEmitter {
          */
         this.ws = new WebSocketManager(this);
 
+        /**
+         * The sweepers removing old entries from the caches, configured by the `sweepers` option.
+         * @type {Sweepers}
+         */
+        this.sweepers = new Sweepers(this, this.options.sweepers);
+
 
         // --- Event Binding ---
         this._bindWSEvents();
@@ -126,9 +162,10 @@ class Client extends EventEmitter {
             this.emit(Gateway.Events.ERROR, error); // Forward the error
         });
 
-        // Optional: Listen for other WS states if needed (e.g., reconnecting, resumed)
-        // this.ws.on('reconnecting', () => { console.log('[Client] WebSocket is reconnecting...'); });
-        // this.ws.on(Gateway.Events.RESUMED, () => { console.log('[Client] Session resumed.'); });
+        // Forward connection state changes so users can observe the session lifecycle
+        this.ws.on('reconnecting', (delay) => this.emit('reconnecting', delay));
+        this.ws.on(Gateway.Events.RESUMED, () => this.emit(Gateway.Events.RESUMED));
+        this.ws.on('debug', (message) => this.emit('debug', message));
     }
 
     /**
@@ -166,6 +203,14 @@ class Client extends EventEmitter {
              });
         }
 
+        // User accounts receive their own member of every guild, in the same order as `guilds`
+        if (data.merged_members && data.guilds) {
+            data.merged_members.forEach((members, index) => {
+                const guild = this.guilds.cache.get(data.guilds[index]?.id);
+                if (guild) for (const member of members) guild.members._add(member);
+            });
+        }
+
          // Handle initial private channels (DMs)
          if (data.private_channels) {
              // console.debug(`[Client Patch] Receiving ${data.private_channels.length} initial DMs.`);
@@ -244,25 +289,10 @@ class Client extends EventEmitter {
 
         // Destroy WebSocket connection (sends close frame)
         this.ws.destroy({ reason: 'Client destroyed' });
+        this.sweepers.destroy();
 
-        // Clean up voice connections (important!)
-        // Iterate through active adapters and tell associated connections to disconnect/destroy
-        if (this.voice && this.voice.adapters.size > 0) {
-            console.log(`[Client Destroy] Cleaning up ${this.voice.adapters.size} voice adapter(s)...`);
-             try {
-                 // Requires access to @discordjs/voice's getVoiceConnection function
-                 const { getVoiceConnection } = require('@discordjs/voice');
-                 for (const guildId of this.voice.adapters.keys()) {
-                     const connection = getVoiceConnection(guildId);
-                     if (connection) {
-                         connection.destroy();
-                     }
-                 }
-                 this.voice.adapters.clear(); // Clear the adapters map
-             } catch (e) {
-                  console.error("[Client Destroy] Error cleaning up voice connections (is @discordjs/voice installed?):", e);
-             }
-        }
+        // Reject pending voice joins and destroy the @discordjs/voice adapters
+        this.voice.destroy();
 
         // Clear caches (optional, depends if you want state after destroy)
         this.guilds.cache.clear();
@@ -284,6 +314,56 @@ class Client extends EventEmitter {
         console.log('[Client] Destroyed.');
     }
 
+    /**
+     * Sends an interaction, then waits for the gateway to report its outcome.
+     * The listeners are attached before the interaction is sent, as the gateway can report it before the
+     * request returns. The timeout only starts once the request returned.
+     * @param {object} body The interaction payload, without its nonce and session ID.
+     * @param {object} options Options for the interaction.
+     * @param {Function} options.listen Called with the nonce of the interaction and a `done(error, result)`
+     * callback, returns an object mapping the client events to listen to to their listeners.
+     * @param {number} options.timeout How long to wait for the outcome, in milliseconds.
+     * @param {string} options.timeoutMessage The message of the error thrown when timing out.
+     * @param {Array<object>} [options.files] Files to upload with the interaction.
+     * @returns {Promise<*>} The result `done` was called with.
+     * @private
+     */
+    async _sendInteraction(body, { listen, timeout, timeoutMessage, files }) {
+        if (!this.sessionId) throw new Error('Interactions can only be sent once the client is ready.');
+
+        const nonce = Util.generateSnowflake();
+        let settle;
+        const outcome = new Promise((resolve, reject) => {
+            settle = (error, result) => (error ? reject(error) : resolve(result));
+        });
+        // If the request fails, its error is the one thrown, even if the outcome failed first
+        outcome.catch(() => {});
+
+        let settled = false;
+        let timer = null;
+        const cleanup = () => {
+            clearTimeout(timer);
+            for (const [event, listener] of Object.entries(listeners)) this.off(event, listener);
+        };
+        const done = (error, result) => {
+            if (settled) return;
+            settled = true;
+            cleanup();
+            settle(error, result);
+        };
+        const listeners = listen(nonce, done);
+        for (const [event, listener] of Object.entries(listeners)) this.on(event, listener);
+
+        try {
+            await this.rest.request('POST', '/interactions', { ...body, nonce, session_id: this.sessionId }, { files });
+        } catch (error) {
+            cleanup();
+            throw error;
+        }
+        if (!settled) timer = setTimeout(() => done(new Error(timeoutMessage)), timeout);
+        return outcome;
+    }
+
     /**
      * Sets up listeners for process exit signals for graceful shutdown.
      * @private
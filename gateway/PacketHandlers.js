@@ -0,0 +1,409 @@
+// src/gateway/PacketHandlers.js
+
+const Collection = require('../util/Collection');
+const { Gateway } = require('../util/Constants');
+
+const { Events } = Gateway;
+
+/**
+ * Gets the message a reaction dispatch is for: the cached message, or a partial one holding only its IDs.
+ * @param {Client} client The client
+ * @param {object} data The dispatch data
+ * @returns {?Message} The message, or null if its channel isn't cached
+ */
+function reactionMessage(client, data) {
+    const channel = client.channels.resolve(data.channel_id);
+    if (!channel) return null;
+    return channel.messages.cache.get(data.message_id)
+        ?? channel.messages._add({ id: data.message_id, channel_id: data.channel_id, guild_id: data.guild_id }, false);
+}
+
+/**
+ * Gets the reaction a reaction dispatch is for, creating it if needed.
+ * The count of a reaction created on a partial message is unknown (null).
+ * @param {Message} message The message
+ * @param {object} data The dispatch data
+ * @returns {MessageReaction}
+ */
+function reactionFor(message, data) {
+    return message.reactions.resolve(data.emoji)
+        ?? message.reactions._add({
+            emoji: data.emoji,
+            count: message.channel.messages.cache.has(message.id) ? 0 : null,
+            burst_colors: data.burst_colors,
+        });
+}
+
+/**
+ * Details of a reaction event.
+ * @typedef {object} ReactionEventDetails
+ * @property {number} type The reaction type (0 = normal, 1 = super reaction)
+ * @property {boolean} burst Whether it is a super reaction
+ */
+
+/**
+ * Gets the details of a reaction add or remove dispatch.
+ * @param {object} data The dispatch data
+ * @returns {ReactionEventDetails}
+ */
+function reactionDetails(data) {
+    const burst = Boolean(data.burst);
+    return { type: data.type ?? (burst ? 1 : 0), burst };
+}
+
+/**
+ * Emits the events derived from a voice state update: joining, leaving or switching channels,
+ * starting or stopping a stream, and toggling self mute.
+ * @param {Client} client The client
+ * @param {?VoiceState} old The state before the update, null if the user wasn't tracked
+ * @param {VoiceState} state The state after the update
+ */
+function emitVoiceEvents(client, old, state) {
+    const oldChannel = old?.channelId ?? null;
+    const newChannel = state.channelId;
+
+    if (!oldChannel && newChannel) client.emit(Events.VOICE_CHANNEL_JOIN, state);
+    else if (oldChannel && !newChannel) client.emit(Events.VOICE_CHANNEL_LEAVE, old, state);
+    else if (oldChannel !== newChannel) client.emit(Events.VOICE_CHANNEL_SWITCH, old, state);
+
+    const wasStreaming = Boolean(oldChannel && old.selfStream);
+    const streaming = Boolean(newChannel && state.selfStream);
+    if (!wasStreaming && streaming) client.emit(Events.VOICE_STREAMING_START, state);
+    else if (wasStreaming && !streaming) client.emit(Events.VOICE_STREAMING_STOP, old, state);
+
+    if (oldChannel && newChannel && old.selfMute !== state.selfMute) client.emit(Events.VOICE_SELF_MUTE, state, state.selfMute);
+}
+
+/**
+ * Handlers for gateway dispatch events, keyed by the raw dispatch name (`packet.t`).
+ * Each handler patches the client's caches and emits the matching public event.
+ * Called by `WebSocketManager#handleDispatch` as `handler(client, packet, wsManager)`.
+ * Dispatches without a handler are only emitted as `raw`.
+ * @type {Object<string, Function>}
+ */
+module.exports = {
+    READY(client, { d }, ws) {
+        client._patch(d);
+        for (const guild of client.guilds.cache.values()) client.voice.sessions._sync(guild);
+        // Client listens for this and emits its own public 'ready' event
+        ws.emit(Events.READY);
+    },
+
+    GUILD_CREATE(client, { d }) {
+        const existing = client.guilds.cache.get(d.id);
+        if (existing && !existing.unavailable) {
+            // Already known and available (e.g. sent in READY), just refresh it
+            existing._patch(d);
+            client.voice.sessions._sync(existing);
+            return;
+        }
+        // A guild that was unavailable needs the flag cleared so _patch applies the rest
+        if (existing) d.unavailable = false;
+        const guild = client.guilds._add(d);
+        client.voice.sessions._sync(guild);
+        client.emit(Events.GUILD_CREATE, guild);
+    },
+
+    GUILD_UPDATE(client, { d }) {
+        const guild = client.guilds.cache.get(d.id);
+        if (!guild) return;
+        const old = guild._clone();
+        guild._patch(d);
+        client.emit(Events.GUILD_UPDATE, old, guild);
+    },
+
+    GUILD_DELETE(client, { d }) {
+        const guild = client.guilds.cache.get(d.id);
+        if (!guild) return;
+        if (d.unavailable) {
+            // Outage, the guild will come back with a GUILD_CREATE
+            guild._patch({ unavailable: true });
+            return;
+        }
+        client.guilds.cache.delete(d.id);
+        for (const id of guild.channels.cache.keys()) client.channels._remove(id);
+        client.voice.sessions._endGuild(d.id);
+        client.emit(Events.GUILD_DELETE, guild);
+    },
+
+    GUILD_ROLE_CREATE(client, { d }) {
+        const guild = client.guilds.cache.get(d.guild_id);
+        if (!guild) return;
+        const role = guild.roles._add(d.role);
+        client.emit(Events.GUILD_ROLE_CREATE, role);
+    },
+
+    GUILD_ROLE_UPDATE(client, { d }) {
+        const guild = client.guilds.cache.get(d.guild_id);
+        if (!guild) return;
+        const old = guild.roles.cache.get(d.role.id)?._clone() ?? null;
+        const role = guild.roles._add(d.role);
+        client.emit(Events.GUILD_ROLE_UPDATE, old, role);
+    },
+
+    GUILD_ROLE_DELETE(client, { d }) {
+        const guild = client.guilds.cache.get(d.guild_id);
+        if (!guild) return;
+        const role = guild.roles._remove(d.role_id);
+        // Members don't get an update for this, drop the role ourselves
+        for (const member of guild.members.cache.values()) {
+            if (member._roles.includes(d.role_id)) member._roles = member._roles.filter(id => id !== d.role_id);
+        }
+        if (role) client.emit(Events.GUILD_ROLE_DELETE, role);
+    },
+
+    GUILD_MEMBER_ADD(client, { d }) {
+        const guild = client.guilds.cache.get(d.guild_id);
+        if (!guild) return;
+        const member = guild.members._add(d);
+        if (guild.memberCount !== undefined) guild.memberCount++;
+        client.emit(Events.GUILD_MEMBER_ADD, member);
+    },
+
+    GUILD_MEMBER_UPDATE(client, { d }) {
+        const guild = client.guilds.cache.get(d.guild_id);
+        if (!guild) return;
+        const old = guild.members.cache.get(d.user.id)?._clone() ?? null;
+        const member = guild.members._add(d);
+        client.emit(Events.GUILD_MEMBER_UPDATE, old, member);
+    },
+
+    GUILD_MEMBER_REMOVE(client, { d }) {
+        const guild = client.guilds.cache.get(d.guild_id);
+        if (!guild) return;
+        // Uncached members are emitted as partial members holding only their user
+        const member = guild.members._remove(d.user.id) ?? guild.members._add({ user: d.user }, false);
+        if (guild.memberCount !== undefined) guild.memberCount--;
+        client.emit(Events.GUILD_MEMBER_REMOVE, member);
+    },
+
+    GUILD_MEMBERS_CHUNK(client, { d }) {
+        const guild = client.guilds.cache.get(d.guild_id);
+        if (!guild) return;
+        const members = new Collection();
+        for (const data of d.members) {
+            const member = guild.members._add(data);
+            members.set(member.id, member);
+        }
+        client.emit(Events.GUILD_MEMBERS_CHUNK, members, guild, { index: d.chunk_index, count: d.chunk_count, nonce: d.nonce });
+    },
+
+    CHANNEL_CREATE(client, { d }) {
+        const existing = client.channels.cache.get(d.id);
+        const channel = client.channels._add(d);
+        // DMs can be re-sent when reopened, only announce channels we didn't know about
+        if (!existing) client.emit(Events.CHANNEL_CREATE, channel);
+    },
+
+    CHANNEL_UPDATE(client, { d }) {
+        const old = client.channels.cache.get(d.id)?._clone() ?? null;
+        const channel = client.channels._add(d);
+        client.emit(Events.CHANNEL_UPDATE, old, channel);
+    },
+
+    CHANNEL_DELETE(client, { d }) {
+        const channel = client.channels._remove(d.id) ?? client.channels._add(d, false);
+        client.emit(Events.CHANNEL_DELETE, channel);
+    },
+
+    THREAD_CREATE(client, { d }) {
+        const existing = client.channels.cache.get(d.id);
+        const thread = client.channels._add(d);
+        // Also sent when the client user is added to an existing thread
+        if (!existing) client.emit(Events.THREAD_CREATE, thread, d.newly_created ?? false);
+    },
+
+    THREAD_UPDATE(client, { d }) {
+        const old = client.channels.cache.get(d.id)?._clone() ?? null;
+        const thread = client.channels._add(d);
+        client.emit(Events.THREAD_UPDATE, old, thread);
+    },
+
+    THREAD_DELETE(client, { d }) {
+        const thread = client.channels._remove(d.id) ?? client.channels._add(d, false);
+        client.emit(Events.THREAD_DELETE, thread);
+    },
+
+    THREAD_LIST_SYNC(client, { d }) {
+        const guild = client.guilds.cache.get(d.guild_id);
+        if (!guild) return;
+        // The list replaces the active threads of the synced parents, or of the whole guild
+        const synced = new Set(d.threads.map(thread => thread.id));
+        for (const channel of [...guild.channels.cache.values()]) {
+            if (!channel.isThread() || channel.archived || synced.has(channel.id)) continue;
+            if (!d.channel_ids || d.channel_ids.includes(channel.parentId)) client.channels._remove(channel.id);
+        }
+
+        const threads = new Collection();
+        for (const data of d.threads) {
+            const thread = client.channels._add({ guild_id: d.guild_id, ...data });
+            threads.set(thread.id, thread);
+        }
+        for (const member of d.members ?? []) threads.get(member.id)?.members._add(member);
+        client.emit(Events.THREAD_LIST_SYNC, threads, guild);
+    },
+
+    // The client user's own membership of a thread changed
+    THREAD_MEMBER_UPDATE(client, { d }) {
+        const thread = client.channels.cache.get(d.id);
+        if (!thread?.isThread()) return;
+        const old = thread.members.cache.get(d.user_id)?._clone() ?? null;
+        const member = thread.members._add(d);
+        client.emit(Events.THREAD_MEMBER_UPDATE, old, member);
+    },
+
+    THREAD_MEMBERS_UPDATE(client, { d }) {
+        const thread = client.channels.cache.get(d.id);
+        if (!thread?.isThread()) return;
+        thread.memberCount = d.member_count;
+
+        const added = new Collection();
+        for (const data of d.added_members ?? []) {
+            const member = thread.members._add(data);
+            added.set(member.id, member);
+        }
+        const removed = new Collection();
+        for (const id of d.removed_member_ids ?? []) {
+            removed.set(id, thread.members._remove(id) ?? thread.members._add({ id: d.id, user_id: id }, false));
+        }
+        client.emit(Events.THREAD_MEMBERS_UPDATE, added, removed, thread);
+    },
+
+    USER_UPDATE(client, { d }) {
+        if (!client.user || client.user.id !== d.id) return;
+        const old = client.user._clone();
+        client.user._patch(d);
+        client.emit(Events.USER_UPDATE, old, client.user);
+    },
+
+    MESSAGE_CREATE(client, { d }) {
+        const channel = client.channels.resolve(d.channel_id);
+        if (!channel) return; // Channel not cached, nothing to attach the message to
+        const message = channel.messages._add(d);
+        if (channel.isTextBased()) channel.lastMessageId = d.id;
+        client.emit(Events.MESSAGE_CREATE, message);
+    },
+
+    MESSAGE_UPDATE(client, { d }) {
+        const channel = client.channels.resolve(d.channel_id);
+        if (!channel) return;
+        const existing = channel.messages.cache.get(d.id);
+        if (!existing) {
+            // Not cached, there's no old state to compare against
+            client.emit(Events.MESSAGE_UPDATE, null, channel.messages._add(d, false));
+            return;
+        }
+        const old = existing._clone();
+        // Patches the cached message and marks it as recently used, so edited messages aren't evicted first
+        client.emit(Events.MESSAGE_UPDATE, old, channel.messages._add(d));
+    },
+
+    MESSAGE_DELETE(client, { d }) {
+        const channel = client.channels.resolve(d.channel_id);
+        if (!channel) return;
+        // Uncached messages are emitted as partial messages holding only their IDs
+        const message = channel.messages._remove(d.id) ?? channel.messages._add(d, false);
+        client.emit(Events.MESSAGE_DELETE, message);
+    },
+
+    MESSAGE_DELETE_BULK(client, { d }) {
+        const channel = client.channels.resolve(d.channel_id);
+        if (!channel) return;
+        const messages = new Collection();
+        for (const id of d.ids) {
+            const message = channel.messages._remove(id)
+                ?? channel.messages._add({ id, channel_id: d.channel_id, guild_id: d.guild_id }, false);
+            messages.set(id, message);
+        }
+        client.emit(Events.MESSAGE_DELETE_BULK, messages, channel);
+    },
+
+    MESSAGE_REACTION_ADD(client, { d }) {
+        const message = reactionMessage(client, d);
+        if (!message) return;
+        if (d.member?.user && message.guild) message.guild.members._add(d.member);
+        const user = client.users.resolve(d.user_id) ?? client.users._add({ id: d.user_id }, false);
+        const reaction = reactionFor(message, d);
+        if (d.burst_colors?.length) reaction.burstColors = d.burst_colors;
+        const details = reactionDetails(d);
+        reaction._add(user, details.burst);
+        client.emit(Events.MESSAGE_REACTION_ADD, reaction, user, details);
+    },
+
+    MESSAGE_REACTION_REMOVE(client, { d }) {
+        const message = reactionMessage(client, d);
+        if (!message) return;
+        const user = client.users.resolve(d.user_id) ?? client.users._add({ id: d.user_id }, false);
+        const reaction = reactionFor(message, d);
+        const details = reactionDetails(d);
+        reaction._remove(user, details.burst);
+        client.emit(Events.MESSAGE_REACTION_REMOVE, reaction, user, details);
+    },
+
+    MESSAGE_REACTION_REMOVE_ALL(client, { d }) {
+        const message = reactionMessage(client, d);
+        if (!message) return;
+        const removed = message.reactions.cache.clone();
+        message.reactions.cache.clear();
+        client.emit(Events.MESSAGE_REACTION_REMOVE_ALL, message, removed);
+    },
+
+    MESSAGE_REACTION_REMOVE_EMOJI(client, { d }) {
+        const message = reactionMessage(client, d);
+        if (!message) return;
+        const reaction = message.reactions.resolve(d.emoji) ?? message.reactions._add({ emoji: d.emoji, count: 0 }, false);
+        message.reactions.cache.delete(message.reactions.resolveId(d.emoji));
+        client.emit(Events.MESSAGE_REACTION_REMOVE_EMOJI, reaction);
+    },
+
+    // Sent to user accounts for the interactions they send, `d` holds the interaction's `id` and `nonce`
+    INTERACTION_CREATE(client, { d }) {
+        client.emit(Events.INTERACTION_CREATE, d);
+    },
+
+    INTERACTION_SUCCESS(client, { d }) {
+        client.emit(Events.INTERACTION_SUCCESS, d);
+    },
+
+    INTERACTION_FAILURE(client, { d }) {
+        client.emit(Events.INTERACTION_FAILURE, d);
+    },
+
+    STAGE_INSTANCE_CREATE(client, { d }) {
+        const guild = client.guilds.cache.get(d.guild_id);
+        if (!guild) return;
+        client.emit(Events.STAGE_INSTANCE_CREATE, guild.stageInstances._add(d));
+    },
+
+    STAGE_INSTANCE_UPDATE(client, { d }) {
+        const guild = client.guilds.cache.get(d.guild_id);
+        if (!guild) return;
+        const old = guild.stageInstances.cache.get(d.id)?._clone() ?? null;
+        const instance = guild.stageInstances._add(d);
+        client.emit(Events.STAGE_INSTANCE_UPDATE, old, instance);
+    },
+
+    STAGE_INSTANCE_DELETE(client, { d }) {
+        const guild = client.guilds.cache.get(d.guild_id);
+        if (!guild) return;
+        const instance = guild.stageInstances._remove(d.id) ?? guild.stageInstances._add(d, false);
+        client.emit(Events.STAGE_INSTANCE_DELETE, instance);
+    },
+
+    VOICE_STATE_UPDATE(client, { d }) {
+        // DM calls aren't tracked
+        const update = d.guild_id ? client.guilds.cache.get(d.guild_id)?._updateVoiceState(d) : null;
+        client.voice.onVoiceStateUpdate(d);
+        if (!update) return;
+        const [old, state] = update;
+        client.voice.sessions._update(old, state);
+        client.emit(Events.VOICE_STATE_UPDATE, old, state);
+        emitVoiceEvents(client, old, state);
+    },
+
+    VOICE_SERVER_UPDATE(client, { d }) {
+        if (!d.guild_id) return;
+        client.voice.onVoiceServerUpdate(d);
+        client.emit(Events.VOICE_SERVER_UPDATE, client.voice.connections.get(d.guild_id));
+    },
+};
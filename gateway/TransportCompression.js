@@ -0,0 +1,201 @@
+// src/gateway/TransportCompression.js
+
+const zlib = require('zlib');
+
+/**
+ * Every complete zlib-stream message ends with a Z_SYNC_FLUSH, which produces this suffix.
+ * Frames are buffered until the stream ends with it.
+ * @type {Buffer}
+ */
+const ZLIB_SUFFIX = Buffer.from([0x00, 0x00, 0xff, 0xff]);
+
+/**
+ * Gets the last bytes of the stream after a frame, as many as the Z_SYNC_FLUSH suffix has.
+ * The suffix can be split over the last frames of a message, so it is checked on these bytes.
+ * @param {Buffer} tail The last bytes before the frame.
+ * @param {Buffer} chunk The frame.
+ * @returns {Buffer}
+ */
+function streamTail(tail, chunk) {
+    const bytes = chunk.length >= ZLIB_SUFFIX.length ? chunk : Buffer.concat([tail, chunk]);
+    return bytes.subarray(Math.max(bytes.length - ZLIB_SUFFIX.length, 0));
+}
+
+/**
+ * Loads `zlib-sync` if it is installed.
+ * @returns {?object} The module, or null if it could not be loaded.
+ */
+function loadZlibSync() {
+    try {
+        return require('zlib-sync');
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Inflates a `zlib-stream` transport using the native `zlib-sync` bindings.
+ * Messages are delivered synchronously from `push()`.
+ *
+ * All inflaters share the same interface so they can be swapped freely:
+ * `new Inflater(onMessage, onError)`, `push(chunk)` and `destroy()`.
+ * One inflater must be used per connection since the zlib context spans the whole stream.
+ */
+class ZlibSyncInflater {
+    /**
+     * @param {Function} onMessage Called with the inflated Buffer of every complete message.
+     * @param {Function} onError Called with an Error if the stream cannot be inflated.
+     */
+    constructor(onMessage, onError) {
+        const ZlibSync = loadZlibSync();
+        if (!ZlibSync) throw new Error('zlib-sync is not installed.');
+
+        this.ZlibSync = ZlibSync;
+        this.onMessage = onMessage;
+        this.onError = onError;
+        this.inflate = new ZlibSync.Inflate({ chunkSize: 65535 });
+
+        /**
+         * The last bytes received, to find the flush suffix in.
+         * @type {Buffer}
+         * @private
+         */
+        this._tail = Buffer.alloc(0);
+    }
+
+    /**
+     * Feeds a frame received from the socket into the inflater.
+     * @param {Buffer} chunk The raw frame.
+     */
+    push(chunk) {
+        if (!this.inflate) return;
+        this._tail = streamTail(this._tail, chunk);
+        const flush = this._tail.equals(ZLIB_SUFFIX);
+        // zlib-sync keeps partial frames internally until a flush is requested
+        this.inflate.push(chunk, flush && this.ZlibSync.Z_SYNC_FLUSH);
+        if (!flush) return;
+
+        if (this.inflate.err < 0) {
+            this.onError(new Error(`zlib-sync inflate error ${this.inflate.err}: ${this.inflate.msg}`));
+            return;
+        }
+        this.onMessage(Buffer.from(this.inflate.result));
+    }
+
+    /**
+     * Releases the zlib context.
+     */
+    destroy() {
+        this.inflate = null;
+    }
+}
+
+/**
+ * Inflates a `zlib-stream` transport using Node's built-in `zlib` streaming inflate.
+ * Used when `zlib-sync` is not available. Messages are delivered asynchronously,
+ * but always in the order their frames were received.
+ */
+class NodeZlibInflater {
+    /**
+     * @param {Function} onMessage Called with the inflated Buffer of every complete message.
+     * @param {Function} onError Called with an Error if the stream cannot be inflated.
+     */
+    constructor(onMessage, onError) {
+        this.onMessage = onMessage;
+        this.onError = onError;
+
+        /**
+         * Frames received since the last flush suffix.
+         * @type {Buffer[]}
+         * @private
+         */
+        this._pending = [];
+
+        /**
+         * Inflated output collected for the message currently being flushed.
+         * @type {Buffer[]}
+         * @private
+         */
+        this._output = [];
+
+        /**
+         * The last bytes received, to find the flush suffix in.
+         * @type {Buffer}
+         * @private
+         */
+        this._tail = Buffer.alloc(0);
+
+        this.inflate = zlib.createInflate({ chunkSize: 65535 });
+        this.inflate.on('data', (data) => this._output.push(data));
+        this.inflate.on('error', (error) => {
+            if (!this.inflate) return;
+            this.destroy();
+            this.onError(error);
+        });
+    }
+
+    /**
+     * Feeds a frame received from the socket into the inflater.
+     * @param {Buffer} chunk The raw frame.
+     */
+    push(chunk) {
+        if (!this.inflate) return;
+        this._pending.push(chunk);
+        this._tail = streamTail(this._tail, chunk);
+        if (!this._tail.equals(ZLIB_SUFFIX)) return;
+
+        const message = this._pending.length === 1 ? this._pending[0] : Buffer.concat(this._pending);
+        this._pending = [];
+
+        this.inflate.write(message);
+        // flush() callbacks run in write order, so messages keep their order
+        this.inflate.flush(zlib.constants.Z_SYNC_FLUSH, () => {
+            if (!this.inflate) return;
+            const output = Buffer.concat(this._output);
+            this._output = [];
+            this.onMessage(output);
+        });
+    }
+
+    /**
+     * Releases the zlib context.
+     */
+    destroy() {
+        const inflate = this.inflate;
+        this.inflate = null;
+        this._pending = [];
+        this._output = [];
+        if (inflate) {
+            inflate.removeAllListeners('data');
+            inflate.close();
+        }
+    }
+}
+
+/**
+ * Resolves the `ws.inflater` client option to an inflater class.
+ * @param {string|Function} [inflater='auto'] `'auto'` (prefer `zlib-sync`, fall back to Node's `zlib`),
+ * `'zlib-sync'`, `'zlib'`, or a custom class implementing the inflater interface.
+ * @returns {Function} The inflater class.
+ */
+function resolveInflater(inflater = 'auto') {
+    if (typeof inflater === 'function') return inflater;
+    switch (inflater) {
+        case 'auto':
+            return loadZlibSync() ? ZlibSyncInflater : NodeZlibInflater;
+        case 'zlib-sync':
+            if (!loadZlibSync()) throw new Error('The zlib-sync inflater was requested but zlib-sync is not installed.');
+            return ZlibSyncInflater;
+        case 'zlib':
+            return NodeZlibInflater;
+        default:
+            throw new TypeError(`Unknown inflater "${inflater}". Expected 'auto', 'zlib-sync', 'zlib' or a class.`);
+    }
+}
+
+module.exports = {
+    ZLIB_SUFFIX,
+    ZlibSyncInflater,
+    NodeZlibInflater,
+    resolveInflater,
+};
@@ -0,0 +1,652 @@
+// src/gateway/WebSocketManager.js
+
+const EventEmitter = require('events');
+const WebSocket = require('ws');
+const PacketHandlers = require('./PacketHandlers');
+const { resolveInflater } = require('./TransportCompression');
+const Util = require('../util/Util');
+const { Gateway, IdentifyProperties } = require('../util/Constants');
+
+const { OpCodes, Status } = Gateway;
+
+/**
+ * Manages the client's connection to the Discord Gateway.
+ * Handles the full session lifecycle: HELLO, heartbeating, IDENTIFY, RESUME,
+ * RECONNECT / INVALID_SESSION opcodes, close codes and reconnecting with backoff.
+ * @extends {EventEmitter}
+ */
+class WebSocketManager extends EventEmitter {
+    /**
+     * @param {Client} client The instantiating client
+     */
+    constructor(client) {
+        super();
+
+        /**
+         * The client that instantiated this manager
+         * @name WebSocketManager#client
+         * @type {Client}
+         * @readonly
+         */
+        Object.defineProperty(this, 'client', { value: client });
+
+        /**
+         * The underlying WebSocket connection. Null while disconnected.
+         * @type {?WebSocket}
+         */
+        this.ws = null;
+
+        /**
+         * The current connection status, one of `Constants.Gateway.Status`.
+         * @type {string}
+         */
+        this.status = Status.IDLE;
+
+        /**
+         * The token used for IDENTIFY / RESUME.
+         * @type {?string}
+         * @private
+         */
+        Object.defineProperty(this, '_token', { value: null, writable: true });
+
+        /**
+         * The ID of the current session, set on READY. Used for resuming.
+         * @type {?string}
+         */
+        this.sessionId = null;
+
+        /**
+         * The sequence number of the last dispatch received. Used for heartbeats and resuming.
+         * @type {?number}
+         */
+        this.sequence = null;
+
+        /**
+         * The gateway URL Discord asked us to use for resuming (sent in READY).
+         * @type {?string}
+         */
+        this.resumeGatewayURL = null;
+
+        /**
+         * The transport inflater for the current connection, when compression is enabled.
+         * A fresh one is created for every socket since the zlib context spans the whole stream.
+         * @type {?(ZlibSyncInflater|NodeZlibInflater)}
+         * @private
+         */
+        this._inflater = null;
+
+        /**
+         * The inflater class from the `inflater` option, resolved on the first compressed connection.
+         * @type {?Function}
+         * @private
+         */
+        this._Inflater = null;
+
+        /**
+         * The heartbeat interval in milliseconds, as sent by HELLO.
+         * @type {?number}
+         */
+        this.heartbeatInterval = null;
+
+        /**
+         * Whether the last heartbeat we sent has been acknowledged.
+         * If a heartbeat is due and this is still false, the connection is considered a zombie.
+         * @type {boolean}
+         */
+        this.lastHeartbeatAcked = true;
+
+        /**
+         * The timestamp the last heartbeat was sent at.
+         * @type {number}
+         */
+        this.lastHeartbeatSent = -1;
+
+        /**
+         * The round-trip latency of the last acknowledged heartbeat, in milliseconds.
+         * @type {number}
+         */
+        this.ping = -1;
+
+        /**
+         * Number of consecutive failed connection attempts, drives the reconnect backoff.
+         * Reset to 0 on READY / RESUMED.
+         * @type {number}
+         */
+        this.reconnectAttempts = 0;
+
+        /**
+         * Whether `destroy()` has been called. Prevents automatic reconnects.
+         * @type {boolean}
+         * @private
+         */
+        this._destroyed = false;
+
+        // Timers
+        this._heartbeatTimer = null;
+        this._helloTimeout = null;
+        this._reconnectTimeout = null;
+        this._invalidSessionTimeout = null;
+    }
+
+    /**
+     * The WebSocket options from the client options.
+     * @type {object}
+     * @readonly
+     * @private
+     */
+    get _options() {
+        return this.client.options.ws;
+    }
+
+    /**
+     * The payload encoding in use, `'json'` or `'etf'`.
+     * @type {string}
+     * @readonly
+     */
+    get encoding() {
+        return this.client.options.encoding;
+    }
+
+    /**
+     * Builds the full gateway URL with query parameters for the given base URL.
+     * @param {string} base The base gateway URL (e.g. `wss://gateway.discord.gg`).
+     * @returns {string}
+     * @private
+     */
+    _buildGatewayURL(base) {
+        const url = new URL(base);
+        url.searchParams.set('v', Gateway.VERSION);
+        url.searchParams.set('encoding', this.encoding);
+        if (this._options.compress) url.searchParams.set('compress', 'zlib-stream');
+        return url.toString();
+    }
+
+    /**
+     * Opens a connection to the gateway. Resumes the current session if one exists,
+     * otherwise a new session is identified once HELLO is received.
+     * @param {string} [token] The token to authenticate with. Reuses the previous token if omitted.
+     */
+    connect(token) {
+        if (token) this._token = token;
+        if (!this._token) throw new Error('A token is required to connect to the gateway.');
+        if (this.encoding !== 'json' && this.encoding !== 'etf') {
+            throw new TypeError(`Unknown gateway encoding "${this.encoding}". Expected 'json' or 'etf'.`);
+        }
+
+        // Resolved before anything else, so a missing zlib-sync makes login fail instead of a later reconnect
+        if (this._options.compress) this._Inflater ??= resolveInflater(this._options.inflater);
+
+        this._destroyed = false;
+        this._clearTimers();
+        if (this.ws) this._cleanupSocket(); // Never keep two sockets open at once
+
+        const canResume = Boolean(this.sessionId && this.sequence !== null);
+        const base = canResume && this.resumeGatewayURL ? this.resumeGatewayURL : this._options.gateway;
+        const url = this._buildGatewayURL(base);
+
+        this.status = Status.CONNECTING;
+        this.debug(`Connecting to ${url} (attempt ${this.reconnectAttempts + 1}, ${canResume ? 'resume' : 'identify'})`);
+
+        const ws = new WebSocket(url);
+        this.ws = ws;
+
+        if (this._options.compress) {
+            this._inflater = new this._Inflater(
+                (data) => this._onFrame(ws, data),
+                (error) => this._onInflateError(ws, error),
+            );
+        }
+
+        ws.on('open', () => this._onOpen(ws));
+        ws.on('message', (data, isBinary) => this._onMessage(ws, data, isBinary));
+        ws.on('close', (code, reason) => this._onClose(ws, code, reason.toString()));
+        ws.on('error', (error) => this._onSocketError(ws, error));
+    }
+
+    /**
+     * Called when the socket opens. Waits for HELLO.
+     * @param {WebSocket} ws The socket that opened.
+     * @private
+     */
+    _onOpen(ws) {
+        if (ws !== this.ws) return;
+        this.status = Status.WAITING_FOR_HELLO;
+        this.debug('Connection opened, waiting for HELLO.');
+
+        this._helloTimeout = setTimeout(() => {
+            this.debug(`Did not receive HELLO within ${this._options.helloTimeout}ms, reconnecting.`);
+            this._reconnect(4000, 'HELLO timeout');
+        }, this._options.helloTimeout);
+    }
+
+    /**
+     * Called for every frame received on the socket.
+     * Binary frames are fed through the transport inflater when compression is enabled.
+     * With ETF and no compression, binary frames are complete messages already.
+     * @param {WebSocket} ws The socket the frame was received on.
+     * @param {Buffer} data The raw frame data.
+     * @param {boolean} isBinary Whether the frame is binary.
+     * @private
+     */
+    _onMessage(ws, data, isBinary) {
+        if (ws !== this.ws) return;
+        if (isBinary && this._inflater) {
+            this._inflater.push(data);
+            return;
+        }
+        this._onFrame(ws, data);
+    }
+
+    /**
+     * Called when the inflater fails. The zlib context is unusable from here on,
+     * so the connection is replaced with a fresh one and the session resumed.
+     * @param {WebSocket} ws The socket the inflater belongs to.
+     * @param {Error} error The inflate error.
+     * @private
+     */
+    _onInflateError(ws, error) {
+        if (ws !== this.ws) return;
+        console.error('[WebSocketManager] Failed to inflate gateway payload:', error);
+        this._reconnect(4000, 'Decompression error');
+    }
+
+    /**
+     * Decodes a complete (already inflated) gateway message.
+     * @param {WebSocket} ws The socket the message was received on.
+     * @param {Buffer} data The message data.
+     * @private
+     */
+    _onFrame(ws, data) {
+        if (ws !== this.ws) return;
+        let packet;
+        try {
+            packet = this.encoding === 'etf' ? Util.unpackETF(data) : JSON.parse(data.toString());
+        } catch (error) {
+            console.error('[WebSocketManager] Failed to decode gateway payload:', error);
+            return;
+        }
+        this._onPacket(packet);
+    }
+
+    /**
+     * Handles a decoded gateway packet.
+     * @param {object} packet The decoded packet (`{ op, d, s, t }`).
+     * @private
+     */
+    _onPacket(packet) {
+        if (packet.s !== null && packet.s !== undefined && packet.s > (this.sequence ?? -1)) {
+            this.sequence = packet.s;
+        }
+
+        switch (packet.op) {
+            case OpCodes.HELLO:
+                clearTimeout(this._helloTimeout);
+                this._helloTimeout = null;
+                this._startHeartbeat(packet.d.heartbeat_interval);
+                if (this.sessionId && this.sequence !== null) {
+                    this._resume();
+                } else {
+                    this._identify();
+                }
+                break;
+
+            case OpCodes.HEARTBEAT:
+                // The gateway can request a heartbeat at any time, respond immediately
+                this._sendHeartbeat(true);
+                break;
+
+            case OpCodes.HEARTBEAT_ACK:
+                this.lastHeartbeatAcked = true;
+                this.ping = Date.now() - this.lastHeartbeatSent;
+                break;
+
+            case OpCodes.RECONNECT:
+                this.debug('Gateway requested a reconnect.');
+                this._reconnect(4000, 'Reconnect requested');
+                break;
+
+            case OpCodes.INVALID_SESSION:
+                this._onInvalidSession(packet.d);
+                break;
+
+            case OpCodes.DISPATCH:
+                this._onDispatch(packet);
+                break;
+
+            default:
+                this.debug(`Received unknown opcode ${packet.op}.`);
+        }
+    }
+
+    /**
+     * Handles an INVALID_SESSION opcode.
+     * Discord asks clients to wait a random 1-5 seconds before trying again.
+     * @param {boolean} resumable Whether the session can still be resumed.
+     * @private
+     */
+    _onInvalidSession(resumable) {
+        this.debug(`Session invalidated (resumable: ${resumable}).`);
+        if (!resumable) this._resetSession();
+
+        const delay = 1000 + Math.floor(Math.random() * 4000);
+        clearTimeout(this._invalidSessionTimeout);
+        this._invalidSessionTimeout = setTimeout(() => {
+            this._invalidSessionTimeout = null;
+            if (this.sessionId && this.sequence !== null) {
+                this._resume();
+            } else {
+                this._identify();
+            }
+        }, delay);
+    }
+
+    /**
+     * Handles a DISPATCH opcode: tracks session state, then hands the packet to its handler.
+     * @param {object} packet The dispatch packet.
+     * @private
+     */
+    _onDispatch(packet) {
+        if (packet.t === 'READY') {
+            this.sessionId = packet.d.session_id;
+            this.resumeGatewayURL = packet.d.resume_gateway_url ?? null;
+            this.status = Status.READY;
+            this.reconnectAttempts = 0;
+            this.debug(`Session ${this.sessionId} is ready.`);
+        } else if (packet.t === 'RESUMED') {
+            this.status = Status.READY;
+            this.reconnectAttempts = 0;
+            this.debug(`Session ${this.sessionId} resumed, replayed up to sequence ${this.sequence}.`);
+            this.emit(Gateway.Events.RESUMED);
+        }
+        this.handleDispatch(packet);
+    }
+
+    /**
+     * Processes a gateway dispatch: patches the client state and emits the public event.
+     * @param {object} packet The dispatch packet (`t` is the event name, `d` the data).
+     */
+    handleDispatch(packet) {
+        this.client.emit('raw', packet);
+        const handler = PacketHandlers[packet.t];
+        if (!handler) return;
+        try {
+            handler(this.client, packet, this);
+        } catch (error) {
+            console.error(`[WebSocketManager] Error while handling ${packet.t}:`, error);
+        }
+    }
+
+    /**
+     * Sends the IDENTIFY payload to start a new session.
+     * @private
+     */
+    _identify() {
+        this.status = Status.IDENTIFYING;
+        this.sequence = null;
+        this.debug('Identifying as a new session.');
+        this.send({
+            op: OpCodes.IDENTIFY,
+            d: {
+                token: this._token,
+                properties: IdentifyProperties,
+                compress: false,
+                large_threshold: this._options.largeThreshold,
+            },
+        });
+    }
+
+    /**
+     * Sends the RESUME payload to continue the current session.
+     * @private
+     */
+    _resume() {
+        this.status = Status.RESUMING;
+        this.debug(`Resuming session ${this.sessionId} at sequence ${this.sequence}.`);
+        this.send({
+            op: OpCodes.RESUME,
+            d: {
+                token: this._token,
+                session_id: this.sessionId,
+                seq: this.sequence,
+            },
+        });
+    }
+
+    /**
+     * Starts heartbeating at the interval given by HELLO.
+     * The first heartbeat is jittered as Discord recommends.
+     * @param {number} interval The heartbeat interval in milliseconds.
+     * @private
+     */
+    _startHeartbeat(interval) {
+        this._stopHeartbeat();
+        this.heartbeatInterval = interval;
+        this.lastHeartbeatAcked = true;
+        this.debug(`Heartbeating every ${interval}ms.`);
+
+        this._heartbeatTimer = setTimeout(() => {
+            this._sendHeartbeat();
+            this._heartbeatTimer = setInterval(() => this._sendHeartbeat(), interval);
+        }, Math.floor(interval * Math.random()));
+    }
+
+    /**
+     * Stops the heartbeat timer.
+     * @private
+     */
+    _stopHeartbeat() {
+        clearTimeout(this._heartbeatTimer);
+        clearInterval(this._heartbeatTimer);
+        this._heartbeatTimer = null;
+    }
+
+    /**
+     * Sends a heartbeat. If the previous heartbeat was never acknowledged the connection
+     * is a zombie: it is closed and a resume is attempted on a fresh socket.
+     * @param {boolean} [requested=false] Whether the gateway requested this heartbeat (skips the zombie check).
+     * @private
+     */
+    _sendHeartbeat(requested = false) {
+        if (!requested && !this.lastHeartbeatAcked) {
+            this.debug('Previous heartbeat was not acknowledged, connection is a zombie. Reconnecting.');
+            this._reconnect(4000, 'Zombie connection');
+            return;
+        }
+        this.lastHeartbeatAcked = false;
+        this.lastHeartbeatSent = Date.now();
+        this.send({ op: OpCodes.HEARTBEAT, d: this.sequence });
+    }
+
+    /**
+     * Sends a payload over the gateway.
+     * @param {object} payload The payload to send (`{ op, d }`).
+     * @returns {boolean} Whether the payload was sent.
+     */
+    send(payload) {
+        if (this.ws?.readyState !== WebSocket.OPEN) {
+            console.warn(`[WebSocketManager] Tried to send OP ${payload?.op} while the connection is not open.`);
+            return false;
+        }
+        this.ws.send(this.encoding === 'etf' ? Util.packETF(payload) : JSON.stringify(payload));
+        return true;
+    }
+
+    /**
+     * Closes the current socket (keeping the session) and connects again.
+     * A non-1000 close code is used so Discord keeps the session resumable.
+     * @param {number} [code=4000] The close code to send.
+     * @param {string} [reason] The close reason.
+     * @private
+     */
+    _reconnect(code = 4000, reason = 'Reconnecting') {
+        const ws = this.ws;
+        this._cleanupSocket(code, reason);
+        if (ws) this._handleClose(code, reason);
+    }
+
+    /**
+     * Called when the socket closes.
+     * @param {WebSocket} ws The socket that closed.
+     * @param {number} code The close code.
+     * @param {string} reason The close reason.
+     * @private
+     */
+    _onClose(ws, code, reason) {
+        if (ws !== this.ws) return; // A socket we already replaced or destroyed
+        this._cleanupSocket();
+        this._handleClose(code, reason);
+    }
+
+    /**
+     * Decides what to do after the connection was lost: give up, reset the session
+     * or schedule a resume.
+     * @param {number} code The close code.
+     * @param {string} reason The close reason.
+     * @private
+     */
+    _handleClose(code, reason) {
+        this.debug(`Connection closed with code ${code}${reason ? ` (${reason})` : ''}.`);
+        if (this._destroyed) {
+            this.status = Status.DISCONNECTED;
+            return;
+        }
+
+        if (Gateway.UNRECOVERABLE_CLOSE_CODES.includes(code)) {
+            const error = new Error(`Gateway closed the connection with unrecoverable code ${code}${reason ? `: ${reason}` : ''}`);
+            error.code = code;
+            this.destroy({ code: 1000, reason: 'Unrecoverable close code' });
+            this.emit(Gateway.Events.ERROR, error);
+            return;
+        }
+
+        if (Gateway.UNRESUMABLE_CLOSE_CODES.includes(code)) this._resetSession();
+        this._scheduleReconnect();
+    }
+
+    /**
+     * Schedules a reconnect attempt using exponential backoff with jitter.
+     * The first attempt after a working connection is immediate.
+     * @private
+     */
+    _scheduleReconnect() {
+        const { reconnectBaseDelay, reconnectMaxDelay, maxReconnectAttempts } = this._options;
+        if (this.reconnectAttempts >= maxReconnectAttempts) {
+            const error = new Error(`Failed to reconnect to the gateway after ${this.reconnectAttempts} attempts.`);
+            this.destroy({ code: 1000, reason: 'Too many reconnect attempts' });
+            this.emit(Gateway.Events.ERROR, error);
+            return;
+        }
+
+        const delay = this.reconnectAttempts === 0
+            ? 0
+            : Math.min(reconnectBaseDelay * 2 ** (this.reconnectAttempts - 1), reconnectMaxDelay)
+                + Math.floor(Math.random() * reconnectBaseDelay);
+        this.reconnectAttempts++;
+        this.status = Status.RECONNECTING;
+        this.debug(`Reconnecting in ${delay}ms.`);
+        this.emit('reconnecting', delay);
+
+        clearTimeout(this._reconnectTimeout);
+        this._reconnectTimeout = setTimeout(() => {
+            this._reconnectTimeout = null;
+            if (this._destroyed) return;
+            try {
+                this.connect();
+            } catch (error) {
+                // Nothing would catch it in a timer, and retrying can't fix it
+                this.destroy({ code: 1000, reason: 'Failed to connect' });
+                this.emit(Gateway.Events.ERROR, error);
+            }
+        }, delay);
+    }
+
+    /**
+     * Called when the socket emits an error. A close event follows, which drives reconnecting.
+     * @param {WebSocket} ws The socket that errored.
+     * @param {Error} error The error.
+     * @private
+     */
+    _onSocketError(ws, error) {
+        if (ws !== this.ws) return;
+        this.debug(`Socket error: ${error.message}`);
+    }
+
+    /**
+     * Clears the session so the next connection identifies instead of resuming.
+     * @private
+     */
+    _resetSession() {
+        this.sessionId = null;
+        this.sequence = null;
+        this.resumeGatewayURL = null;
+    }
+
+    /**
+     * Detaches listeners from the current socket, closes it and stops its timers.
+     * @param {number} [code] Close code to send if the socket is still open.
+     * @param {string} [reason] Close reason.
+     * @private
+     */
+    _cleanupSocket(code, reason) {
+        this._stopHeartbeat();
+        clearTimeout(this._helloTimeout);
+        this._helloTimeout = null;
+        clearTimeout(this._invalidSessionTimeout);
+        this._invalidSessionTimeout = null;
+
+        this._inflater?.destroy();
+        this._inflater = null;
+
+        const ws = this.ws;
+        this.ws = null;
+        if (!ws) return;
+        ws.removeAllListeners();
+        ws.on('error', () => {}); // Errors after this point are irrelevant
+        if (ws.readyState === WebSocket.OPEN) {
+            ws.close(code ?? 4000, reason);
+        } else if (ws.readyState === WebSocket.CONNECTING) {
+            ws.terminate();
+        }
+    }
+
+    /**
+     * Clears every pending timer.
+     * @private
+     */
+    _clearTimers() {
+        this._stopHeartbeat();
+        clearTimeout(this._helloTimeout);
+        clearTimeout(this._reconnectTimeout);
+        clearTimeout(this._invalidSessionTimeout);
+        this._helloTimeout = null;
+        this._reconnectTimeout = null;
+        this._invalidSessionTimeout = null;
+    }
+
+    /**
+     * Closes the connection and stops all reconnect attempts.
+     * Closing with code 1000 (the default) invalidates the session on Discord's side.
+     * @param {object} [options={}] Options for destroying.
+     * @param {number} [options.code=1000] The close code.
+     * @param {string} [options.reason] The close reason.
+     */
+    destroy({ code = 1000, reason } = {}) {
+        this._destroyed = true;
+        this._clearTimers();
+        this._cleanupSocket(code, reason);
+        if (code === 1000) this._resetSession();
+        this.reconnectAttempts = 0;
+        this.status = Status.DISCONNECTED;
+        this.debug(`Destroyed${reason ? ` (${reason})` : ''}.`);
+    }
+
+    /**
+     * Emits a debug message.
+     * @param {string} message The debug message.
+     */
+    debug(message) {
+        this.emit('debug', `[WebSocketManager] ${message}`);
+    }
+}
+
+module.exports = WebSocketManager;
@@ -3,20 +3,69 @@ module.exports = {
     // Structures
     Base: require('./structures/Base'),
     Guild: require('./structures/Guild'),
-    Channel: require('./structures/Channel'), // Might need specific channel types exported
+    Channel: require('./structures/Channel'),
+    GuildChannel: require('./structures/GuildChannel'),
+    TextChannel: require('./structures/TextChannel'),
+    NewsChannel: require('./structures/NewsChannel'),
+    VoiceChannel: require('./structures/VoiceChannel'),
+    StageChannel: require('./structures/StageChannel'),
+    CategoryChannel: require('./structures/CategoryChannel'),
+    ThreadChannel: require('./structures/ThreadChannel'),
+    ForumChannel: require('./structures/ForumChannel'),
+    ThreadMember: require('./structures/ThreadMember'),
+    StageInstance: require('./structures/StageInstance'),
+    DMChannel: require('./structures/DMChannel'),
+    GroupDMChannel: require('./structures/GroupDMChannel'),
+    GuildMember: require('./structures/GuildMember'),
+    PermissionOverwrites: require('./structures/PermissionOverwrites'),
+    Role: require('./structures/Role'),
     User: require('./structures/User'),
     Message: require('./structures/Message'),
+    MessagePayload: require('./structures/MessagePayload'),
+    ApplicationCommand: require('./structures/ApplicationCommand'),
+    ActionRow: require('./structures/ActionRow'),
+    ButtonComponent: require('./structures/ButtonComponent'),
+    Component: require('./structures/Component'),
+    SelectMenuComponent: require('./structures/SelectMenuComponent'),
+    TextInputComponent: require('./structures/TextInputComponent'),
+    Embed: require('./structures/Embed'),
+    EmbedBuilder: require('./structures/EmbedBuilder'),
+    MessageMentions: require('./structures/MessageMentions'),
+    MessageReaction: require('./structures/MessageReaction'),
+    ReactionEmoji: require('./structures/ReactionEmoji'),
     VoiceState: require('./structures/VoiceState'),
+    VoiceSession: require('./voice/VoiceSession'),
+    VoiceConnection: require('./voice/VoiceConnection'),
+    VoiceWebSocket: require('./voice/VoiceWebSocket'),
+    VoiceUDPSocket: require('./voice/VoiceUDPSocket'),
+    VoiceEncryption: require('./voice/VoiceEncryption'),
+    AudioPlayer: require('./voice/AudioPlayer'),
+    AudioResource: require('./voice/AudioResource'),
+    OggDemuxer: require('./voice/OggDemuxer'),
     // Managers (optional export)
-    // BaseManager: require('./managers/BaseManager'),
+    BaseManager: require('./managers/BaseManager'),
+    ChannelManager: require('./managers/ChannelManager'),
+    GuildMemberManager: require('./managers/GuildMemberManager'),
+    PermissionOverwriteManager: require('./managers/PermissionOverwriteManager'),
+    ReactionManager: require('./managers/ReactionManager'),
+    ReactionUserManager: require('./managers/ReactionUserManager'),
+    RoleManager: require('./managers/RoleManager'),
+    StageInstanceManager: require('./managers/StageInstanceManager'),
+    ThreadManager: require('./managers/ThreadManager'),
+    ThreadMemberManager: require('./managers/ThreadMemberManager'),
+    VoiceSessionManager: require('./voice/VoiceSessionManager'),
     // GuildManager: require('./managers/GuildManager'),
+    // REST
+    DiscordAPIError: require('./rest/DiscordAPIError'),
+    HTTPError: require('./rest/HTTPError'),
     // Util
+    Collection: require('./util/Collection'),
+    LimitedCollection: require('./util/LimitedCollection'),
+    BitField: require('./util/BitField'),
+    PermissionsBitField: require('./util/PermissionsBitField'),
+    Sweepers: require('./util/Sweepers'),
     Constants: require('./util/Constants'),
     Util: require('./util/Util'), // If you create utility functions
     version: require('../package.json').version,
 };
 
-// You might want to export specific channel types if you implement them:
-// module.exports.TextChannel = require('./structures/TextChannel');
-// module.exports.VoiceChannel = require('./structures/VoiceChannel');
-// module.exports.CategoryChannel = require('./structures/CategoryChannel');
@@ -0,0 +1,110 @@
+// src/managers/BaseManager.js
+
+const Collection = require('../util/Collection');
+
+/**
+ * Manages the API methods of a data model along with a cache of instances.
+ * Every manager (guilds, channels, users, messages...) extends this class.
+ */
+class BaseManager {
+    /**
+     * @param {Client} client The instantiating client
+     * @param {Function} holds The structure class this manager holds (e.g. Guild, User)
+     */
+    constructor(client, holds) {
+        /**
+         * The client that instantiated this Manager
+         * @name BaseManager#client
+         * @type {Client}
+         * @readonly
+         */
+        Object.defineProperty(this, 'client', { value: client });
+
+        /**
+         * The structure class this manager holds.
+         * @type {Function}
+         * @readonly
+         * @private
+         */
+        Object.defineProperty(this, 'holds', { value: holds });
+
+        /**
+         * The cache of items for this manager, keyed by ID.
+         * @type {Collection<Snowflake, *>}
+         */
+        this.cache = new Collection();
+    }
+
+    /**
+     * Creates a structure from raw data, or patches the existing cached one.
+     * If the item is already cached but `cache` is false, a patched clone is returned
+     * and the cached instance is left untouched.
+     * @param {object} data The raw data from the API or WebSocket.
+     * @param {boolean} [cache=true] Whether to cache the result.
+     * @param {object} [options={}] Additional options.
+     * @param {Snowflake} [options.id=data.id] The ID to cache the item under.
+     * @param {Array<*>} [options.extras=[]] Extra arguments passed to the structure's constructor after `data`.
+     * @returns {*} The created or updated structure.
+     * @protected
+     */
+    _add(data, cache = true, { id, extras = [] } = {}) {
+        const key = id ?? data.id;
+        const existing = this.cache.get(key);
+        if (existing) {
+            if (cache) {
+                existing._patch(data);
+                return existing;
+            }
+            const clone = existing._clone();
+            clone._patch(data);
+            return clone;
+        }
+
+        const entry = new this.holds(this.client, data, ...extras);
+        if (cache) this.cache.set(key, entry);
+        return entry;
+    }
+
+    /**
+     * Resolves a structure or an ID to a cached structure.
+     * @param {*|Snowflake} idOrInstance The structure or ID to resolve.
+     * @returns {?*} The cached structure, or null if it isn't cached.
+     */
+    resolve(idOrInstance) {
+        if (this.holds && idOrInstance instanceof this.holds) return idOrInstance;
+        if (typeof idOrInstance === 'string') return this.cache.get(idOrInstance) ?? null;
+        return null;
+    }
+
+    /**
+     * Resolves a structure or an ID to an ID. Does not require the item to be cached.
+     * @param {*|Snowflake} idOrInstance The structure or ID to resolve.
+     * @returns {?Snowflake}
+     */
+    resolveId(idOrInstance) {
+        return this._resolveId(idOrInstance);
+    }
+
+    /**
+     * The base ID resolution shared by every manager. Subclasses overriding `resolveId()`
+     * call this for the common cases.
+     * @param {*|Snowflake} idOrInstance The structure or ID to resolve.
+     * @returns {?Snowflake}
+     * @protected
+     */
+    _resolveId(idOrInstance) {
+        if (this.holds && idOrInstance instanceof this.holds) return idOrInstance.id;
+        if (typeof idOrInstance === 'string') return idOrInstance;
+        return null;
+    }
+
+    /**
+     * The cache, for convenient iteration (`[...manager.valueOf().values()]`).
+     * @returns {Collection}
+     */
+    valueOf() {
+        return this.cache;
+    }
+}
+
+module.exports = BaseManager;
@@ -0,0 +1,277 @@
+// src/managers/ChannelManager.js
+
+const BaseManager = require('./BaseManager');
+const Channel = require('../structures/Channel');
+const GuildChannel = require('../structures/GuildChannel');
+const TextChannel = require('../structures/TextChannel');
+const NewsChannel = require('../structures/NewsChannel');
+const VoiceChannel = require('../structures/VoiceChannel');
+const StageChannel = require('../structures/StageChannel');
+const CategoryChannel = require('../structures/CategoryChannel');
+const ThreadChannel = require('../structures/ThreadChannel');
+const ForumChannel = require('../structures/ForumChannel');
+const PermissionOverwrites = require('../structures/PermissionOverwrites');
+const DMChannel = require('../structures/DMChannel');
+const GroupDMChannel = require('../structures/GroupDMChannel');
+const Collection = require('../util/Collection');
+const DiscordAPIError = require('../rest/DiscordAPIError');
+const { RESTJSONErrorCodes } = require('../util/Constants');
+
+const { CHANNEL_TYPES } = Channel;
+
+/**
+ * The structure class used for each channel type.
+ * Types not listed fall back to GuildChannel (in a guild) or Channel.
+ * @type {Object<number, Function>}
+ */
+const ChannelClasses = {
+    [CHANNEL_TYPES.GUILD_TEXT]: TextChannel,
+    [CHANNEL_TYPES.DM]: DMChannel,
+    [CHANNEL_TYPES.GUILD_VOICE]: VoiceChannel,
+    [CHANNEL_TYPES.GROUP_DM]: GroupDMChannel,
+    [CHANNEL_TYPES.GUILD_CATEGORY]: CategoryChannel,
+    [CHANNEL_TYPES.GUILD_NEWS]: NewsChannel,
+    [CHANNEL_TYPES.GUILD_NEWS_THREAD]: ThreadChannel,
+    [CHANNEL_TYPES.GUILD_PUBLIC_THREAD]: ThreadChannel,
+    [CHANNEL_TYPES.GUILD_PRIVATE_THREAD]: ThreadChannel,
+    [CHANNEL_TYPES.GUILD_STAGE_VOICE]: StageChannel,
+    [CHANNEL_TYPES.GUILD_FORUM]: ForumChannel,
+};
+
+/**
+ * Manages API methods for Channels and stores their cache.
+ *
+ * The client has one global manager holding every channel (guild channels and DMs),
+ * and every guild has a manager scoped to its own channels. Guild managers route
+ * `_add` and `_remove` through the global manager, so a channel is always the same
+ * instance in both caches.
+ * @extends {BaseManager}
+ */
+class ChannelManager extends BaseManager {
+    /**
+     * @param {Client} client The instantiating client
+     * @param {?Guild} [guild=null] The guild this manager is scoped to, null for the global manager
+     */
+    constructor(client, guild = null) {
+        super(client, Channel);
+
+        /**
+         * The guild this manager is scoped to, null for the client's global manager.
+         * @type {?Guild}
+         */
+        this.guild = guild;
+    }
+
+    /**
+     * Creates the channel structure matching the channel's type.
+     * @param {Client} client The client
+     * @param {object} data The raw channel data
+     * @param {?Guild} guild The guild the channel belongs to
+     * @returns {Channel}
+     * @static
+     */
+    static createChannel(client, data, guild) {
+        const ChannelClass = ChannelClasses[data.type] ?? (guild ? GuildChannel : Channel);
+        return new ChannelClass(client, data, guild);
+    }
+
+    /**
+     * Adds or updates a channel in the cache (in both the global and its guild's cache).
+     * If the channel's type changed (e.g. a text channel converted to announcements),
+     * the cached structure is replaced with one of the new class.
+     * @param {object} data The raw channel data from the API or WebSocket.
+     * @param {boolean} [cache=true] Whether to cache the channel.
+     * @param {object} [options={}] Additional options.
+     * @param {Guild} [options.guild] The guild the channel belongs to. Looked up from `data.guild_id` if omitted.
+     * @returns {Channel} The created or updated channel.
+     * @override
+     * @protected
+     */
+    _add(data, cache = true, { guild } = {}) {
+        // Guild-scoped managers delegate so both caches are updated together
+        if (this.guild) return this.client.channels._add(data, cache, { guild: this.guild });
+
+        guild ??= data.guild_id ? this.client.guilds.cache.get(data.guild_id) ?? null : null;
+
+        const existing = this.cache.get(data.id);
+        if (existing && (data.type === undefined || data.type === existing.type)) {
+            if (!cache) {
+                const clone = existing._clone();
+                clone._patch(data);
+                return clone;
+            }
+            existing._patch(data);
+            return existing;
+        }
+
+        const channel = ChannelManager.createChannel(this.client, data, guild);
+        if (existing) {
+            // Type changed: keep the messages (and threads) we already have
+            for (const message of existing.messages.cache.values()) message.channel = channel;
+            channel.messages.cache = existing.messages.cache;
+            if (existing.threads && channel.threads) channel.threads.cache = existing.threads.cache;
+        }
+        if (cache) {
+            this.cache.set(channel.id, channel);
+            guild?.channels.cache.set(channel.id, channel);
+            if (channel.isThread()) channel.parent?.threads?.cache.set(channel.id, channel);
+        }
+        return channel;
+    }
+
+    /**
+     * Removes a channel from the global cache and from its guild's cache.
+     * @param {string} id The ID of the channel to remove.
+     * @returns {?Channel} The removed channel, if it was cached.
+     * @protected
+     */
+    _remove(id) {
+        if (this.guild) return this.client.channels._remove(id);
+        const channel = this.cache.get(id) ?? null;
+        this.cache.delete(id);
+        channel?.guild?.channels.cache.delete(id);
+        if (channel?.isThread()) channel.parent?.threads?.cache.delete(id);
+        return channel;
+    }
+
+    /**
+     * Resolves a ChannelResolvable to a Channel object.
+     * @param {Channel|Snowflake} channelResolvable The channel resolvable to resolve.
+     * @returns {?Channel} The resolved Channel or null if not found.
+     * @override
+     */
+    resolve(channelResolvable) {
+        const channel = super.resolve(channelResolvable);
+        if (!channel) return null;
+        // A guild manager only resolves its own channels
+        if (this.guild && channel.guild?.id !== this.guild.id) return null;
+        return channel;
+    }
+
+    /**
+     * Resolves a ChannelResolvable to a channel ID string.
+     * @param {Channel|Snowflake} channelResolvable The channel resolvable to resolve.
+     * @returns {?Snowflake} The resolved channel ID or null.
+     * @override
+     */
+    resolveId(channelResolvable) {
+        return super._resolveId(channelResolvable);
+    }
+
+    /**
+     * Fetches a channel from Discord, even if it's not cached.
+     * @param {Snowflake} id The ID of the channel to fetch.
+     * @param {object} [options={}] Options for fetching.
+     * @param {boolean} [options.cache=true] Whether to cache the fetched channel.
+     * @param {boolean} [options.force=false] Whether to skip checking the cache and fetch directly.
+     * @returns {Promise<?Channel>} The channel, or null if it does not exist.
+     */
+    async fetch(id, { cache = true, force = false } = {}) {
+        if (!force) {
+            const existing = this.resolve(id);
+            if (existing) return existing;
+        }
+
+        try {
+            const data = await this.client.rest.request('GET', `/channels/${id}`);
+            if (this.guild && data.guild_id !== this.guild.id) {
+                throw new Error(`Channel ${id} does not belong to guild ${this.guild.id}.`);
+            }
+            return this._add(data, cache);
+        } catch (error) {
+            if (error instanceof DiscordAPIError && error.code === RESTJSONErrorCodes.UnknownChannel) {
+                if (cache) this._remove(id);
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Edits a channel.
+     * @param {Channel|Snowflake} channel The channel to edit.
+     * @param {object} data The data to edit. Options are passed through as Discord API parameters, except:
+     * @param {?(CategoryChannel|Snowflake)} [data.parent] The new parent category, null to remove it.
+     * @param {number} [data.rateLimitPerUser] The slowmode, in seconds.
+     * @param {number} [data.autoArchiveDuration] For threads, minutes of inactivity before the thread is archived.
+     * @param {Array<ForumTag|Snowflake|string>} [data.appliedTags] For forum posts, the tags (or their IDs or names).
+     * @param {Array<object>} [data.availableTags] For forums, the tags that can be applied to posts,
+     * see `ForumChannel#setAvailableTags()`.
+     * @param {?(string|object)} [data.defaultReactionEmoji] For forums, the emoji of the add reaction button of posts.
+     * @param {?number} [data.defaultSortOrder] For forums, how posts are sorted.
+     * @param {number} [data.defaultAutoArchiveDuration] The default auto archive duration of new threads, in minutes.
+     * @param {number} [data.defaultThreadRateLimitPerUser] The default slowmode of new threads, in seconds.
+     * @param {Array<OverwriteResolvable>} [data.permissionOverwrites] Replaces every overwrite of the channel.
+     * @param {string} [reason] Audit log reason.
+     * @returns {Promise<Channel>} The updated channel.
+     * @example
+     * client.channels.edit(channel, { name: 'general', topic: 'Talk here', rateLimitPerUser: 5 });
+     */
+    async edit(channel, data, reason) {
+        const id = this.resolveId(channel);
+        if (!id) throw new Error('Could not resolve the channel to edit.');
+
+        const {
+            parent, rateLimitPerUser, autoArchiveDuration, permissionOverwrites, appliedTags, availableTags,
+            defaultReactionEmoji, defaultSortOrder, defaultAutoArchiveDuration, defaultThreadRateLimitPerUser, ...body
+        } = data;
+        if (parent !== undefined) body.parent_id = parent === null ? null : this.resolveId(parent);
+        if (rateLimitPerUser !== undefined) body.rate_limit_per_user = rateLimitPerUser;
+        if (autoArchiveDuration !== undefined) body.auto_archive_duration = autoArchiveDuration;
+        if (appliedTags !== undefined) {
+            // Tag names can only be resolved against a cached forum
+            const forum = this.resolve(channel)?.parent;
+            body.applied_tags = forum instanceof ForumChannel
+                ? forum.resolveTags(appliedTags)
+                : appliedTags.map(tag => (typeof tag === 'string' ? tag : tag.id));
+        }
+        if (availableTags !== undefined) {
+            body.available_tags = availableTags.map(tag => ({
+                id: tag.id,
+                name: tag.name,
+                moderated: tag.moderated ?? false,
+                ...ForumChannel.resolveEmoji(tag.emoji),
+            }));
+        }
+        if (defaultReactionEmoji !== undefined) {
+            body.default_reaction_emoji = defaultReactionEmoji === null ? null : ForumChannel.resolveEmoji(defaultReactionEmoji);
+        }
+        if (defaultSortOrder !== undefined) body.default_sort_order = defaultSortOrder;
+        if (defaultAutoArchiveDuration !== undefined) body.default_auto_archive_duration = defaultAutoArchiveDuration;
+        if (defaultThreadRateLimitPerUser !== undefined) body.default_thread_rate_limit_per_user = defaultThreadRateLimitPerUser;
+        if (permissionOverwrites !== undefined) {
+            const guild = this.resolve(channel)?.guild ?? this.guild;
+            if (!guild) throw new Error('Permission overwrites can only be set on cached guild channels.');
+            body.permission_overwrites = permissionOverwrites.map(overwrite => PermissionOverwrites.resolve(overwrite, guild));
+        }
+
+        const updated = await this.client.rest.request('PATCH', `/channels/${id}`, body, { reason });
+        return this._add(updated);
+    }
+
+    /**
+     * Fetches every channel of this manager's guild from Discord.
+     * When caching, channels that no longer exist are removed from both caches.
+     * Threads are not returned by this endpoint and are left untouched.
+     * @param {boolean} [cache=true] Whether to cache the fetched channels.
+     * @returns {Promise<Collection<Snowflake, GuildChannel>>} The fetched channels.
+     */
+    async fetchGuildChannels(cache = true) {
+        if (!this.guild) throw new Error('fetchGuildChannels can only be used on a guild\'s channel manager.');
+
+        const channelsData = await this.client.rest.request('GET', `/guilds/${this.guild.id}/channels`);
+        const fetched = new Collection();
+        for (const channelData of channelsData) {
+            if (!channelData.guild_id) channelData.guild_id = this.guild.id;
+            fetched.set(channelData.id, this._add(channelData, cache));
+        }
+        if (cache) {
+            for (const channel of [...this.cache.values()]) {
+                if (!fetched.has(channel.id) && !channel.isThread()) this._remove(channel.id);
+            }
+        }
+        return fetched;
+    }
+}
+
+module.exports = ChannelManager;
@@ -84,15 +84,10 @@ class GuildManager extends BaseManager {
 
         // Using the RESTManager to make the API call
         // Replace '/guilds/{id}' with the correct endpoint if different for user accounts
-        try {
-             const data = await this.client.rest.request('GET', `/guilds/${id}`);
-             // Create a Guild instance from the fetched data
-             // The _add method handles caching if 'cache' is true
-             return this._add(data, cache);
-        } catch (error) {
-             console.error(`[GuildManager Fetch Error] Failed to fetch guild ${id}:`, error.response?.data || error.message);
-             throw error; // Rethrow the error for the caller to handle
-        }
+        const data = await this.client.rest.request('GET', `/guilds/${id}`);
+        // Create a Guild instance from the fetched data
+        // The _add method handles caching if 'cache' is true
+        return this._add(data, cache);
     }
 
     // You can add more methods specific to guilds here, e.g.:
@@ -0,0 +1,215 @@
+// src/managers/GuildMemberManager.js
+
+const BaseManager = require('./BaseManager');
+const GuildMember = require('../structures/GuildMember');
+const User = require('../structures/User');
+const DiscordAPIError = require('../rest/DiscordAPIError');
+const { RESTJSONErrorCodes } = require('../util/Constants');
+
+/**
+ * Manages API methods for the members of a guild and stores their cache.
+ * Self-bots can't request the full member list, so the cache is filled from
+ * gateway events, message authors, voice states and explicit fetches.
+ * @extends {BaseManager}
+ */
+class GuildMemberManager extends BaseManager {
+    /**
+     * @param {Guild} guild The guild this manager belongs to
+     */
+    constructor(guild) {
+        super(guild.client, GuildMember);
+
+        /**
+         * The guild this manager belongs to.
+         * @type {Guild}
+         */
+        this.guild = guild;
+    }
+
+    /**
+     * Adds or updates a member in the cache.
+     * @param {object} data The raw member data. Must contain `user` (or `user_id`).
+     * @param {boolean} [cache=true] Whether to cache the member.
+     * @returns {GuildMember} The created or updated member.
+     * @override
+     * @protected
+     */
+    _add(data, cache = true) {
+        return super._add(data, cache, { id: data.user?.id ?? data.user_id, extras: [this.guild] });
+    }
+
+    /**
+     * Removes a member from the cache.
+     * @param {Snowflake} id The ID of the member to remove.
+     * @returns {?GuildMember} The removed member, if it was cached.
+     * @protected
+     */
+    _remove(id) {
+        const member = this.cache.get(id) ?? null;
+        this.cache.delete(id);
+        return member;
+    }
+
+    /**
+     * The client user's member in this guild, if cached.
+     * @type {?GuildMember}
+     * @readonly
+     */
+    get me() {
+        return this.client.user ? this.cache.get(this.client.user.id) ?? null : null;
+    }
+
+    /**
+     * Resolves a GuildMemberResolvable to a cached GuildMember.
+     * @param {GuildMember|User|Snowflake} member The member, its user or its ID.
+     * @returns {?GuildMember}
+     * @override
+     */
+    resolve(member) {
+        if (member instanceof User) return this.cache.get(member.id) ?? null;
+        return super.resolve(member);
+    }
+
+    /**
+     * Resolves a GuildMemberResolvable to a user ID.
+     * @param {GuildMember|User|Snowflake} member The member, its user or its ID.
+     * @returns {?Snowflake}
+     * @override
+     */
+    resolveId(member) {
+        if (member instanceof User) return member.id;
+        return super._resolveId(member);
+    }
+
+    /**
+     * Fetches a member from Discord, even if it's not cached.
+     * @param {GuildMember|User|Snowflake} member The member to fetch.
+     * @param {object} [options={}] Options for fetching.
+     * @param {boolean} [options.cache=true] Whether to cache the fetched member.
+     * @param {boolean} [options.force=false] Whether to skip checking the cache and fetch directly.
+     * @returns {Promise<?GuildMember>} The member, or null if the user isn't in the guild.
+     */
+    async fetch(member, { cache = true, force = false } = {}) {
+        const id = this.resolveId(member);
+        if (!id) throw new Error('Could not resolve the member to fetch.');
+        if (!force) {
+            const existing = this.cache.get(id);
+            if (existing) return existing;
+        }
+
+        try {
+            const data = await this.client.rest.request('GET', `/guilds/${this.guild.id}/members/${id}`);
+            return this._add(data, cache);
+        } catch (error) {
+            if (error instanceof DiscordAPIError
+                && (error.code === RESTJSONErrorCodes.UnknownMember || error.code === RESTJSONErrorCodes.UnknownUser)) {
+                if (cache) this._remove(id);
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Fetches the client user's member in this guild.
+     * @param {object} [options={}] Options for fetching, see `fetch()`.
+     * @returns {Promise<?GuildMember>}
+     */
+    fetchMe(options) {
+        if (!this.client.user) throw new Error('The client user is not available yet.');
+        return this.fetch(this.client.user.id, options);
+    }
+
+    /**
+     * Edits a member. Raw API fields (`nick`, `roles`, `mute`, `deaf`, `channel_id`,
+     * `communication_disabled_until`, `flags`) are passed through as-is.
+     * The client user's own nickname is edited through the `@me` route, which needs no permissions.
+     * @param {GuildMember|User|Snowflake} member The member to edit.
+     * @param {object} data The data to edit.
+     * @param {?string} [data.nickname] Alias for `nick`.
+     * @param {Array<Role|Snowflake>} [data.roles] The member's roles.
+     * @param {?(VoiceChannel|Snowflake)} [data.channel] The voice channel to move the member to, null to disconnect them.
+     * @param {?(Date|number|string)} [data.communicationDisabledUntil] When the member's timeout ends, null to remove it.
+     * @param {string} [reason] Audit log reason.
+     * @returns {Promise<GuildMember>} The updated member.
+     */
+    async edit(member, data, reason) {
+        const id = this.resolveId(member);
+        if (!id) throw new Error('Could not resolve the member to edit.');
+
+        const { nickname, channel, communicationDisabledUntil, ...body } = data;
+        if (nickname !== undefined) body.nick = nickname;
+        if (channel !== undefined) body.channel_id = channel?.id ?? channel;
+        if (body.roles) body.roles = body.roles.map(role => role?.id ?? role);
+        if (communicationDisabledUntil !== undefined) {
+            body.communication_disabled_until = communicationDisabledUntil === null
+                ? null
+                : new Date(communicationDisabledUntil).toISOString();
+        }
+
+        const isMe = id === this.client.user?.id && Object.keys(body).every(key => key === 'nick');
+        const updated = await this.client.rest.request(
+            'PATCH',
+            `/guilds/${this.guild.id}/members/${isMe ? '@me' : id}`,
+            body,
+            { reason },
+        );
+
+        // PATCH /members/@me returns the member, other edits may return 204
+        if (updated?.user || updated?.user_id) return this._add(updated);
+        const existing = this.cache.get(id);
+        if (existing) {
+            existing._patch(body);
+            return existing;
+        }
+        return this.fetch(id);
+    }
+
+    /**
+     * Kicks a member from the guild.
+     * @param {GuildMember|User|Snowflake} member The member to kick.
+     * @param {string} [reason] Audit log reason.
+     * @returns {Promise<GuildMember|User|Snowflake>} The member that was kicked.
+     */
+    async kick(member, reason) {
+        const id = this.resolveId(member);
+        if (!id) throw new Error('Could not resolve the member to kick.');
+        await this.client.rest.request('DELETE', `/guilds/${this.guild.id}/members/${id}`, undefined, { reason });
+        return this.resolve(member) ?? member;
+    }
+
+    /**
+     * Bans a user from the guild. The user doesn't need to be a member.
+     * @param {GuildMember|User|Snowflake} user The user to ban.
+     * @param {object} [options={}] Options for the ban.
+     * @param {number} [options.deleteMessageSeconds=0] How many seconds of the user's messages to delete (up to 7 days).
+     * @param {string} [options.reason] Audit log reason.
+     * @returns {Promise<GuildMember|User|Snowflake>} The user that was banned.
+     */
+    async ban(user, { deleteMessageSeconds = 0, reason } = {}) {
+        const id = this.resolveId(user);
+        if (!id) throw new Error('Could not resolve the user to ban.');
+        await this.client.rest.request(
+            'PUT',
+            `/guilds/${this.guild.id}/bans/${id}`,
+            { delete_message_seconds: deleteMessageSeconds },
+            { reason },
+        );
+        return this.resolve(user) ?? user;
+    }
+
+    /**
+     * Unbans a user from the guild.
+     * @param {User|Snowflake} user The user to unban.
+     * @param {string} [reason] Audit log reason.
+     * @returns {Promise<?User>} The user, if cached.
+     */
+    async unban(user, reason) {
+        const id = this.resolveId(user);
+        if (!id) throw new Error('Could not resolve the user to unban.');
+        await this.client.rest.request('DELETE', `/guilds/${this.guild.id}/bans/${id}`, undefined, { reason });
+        return this.client.users.resolve(id);
+    }
+}
+
+module.exports = GuildMemberManager;
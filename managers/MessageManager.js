@@ -2,6 +2,10 @@
 
 const BaseManager = require('./BaseManager');
 const Message = require('../structures/Message'); // Requires Message.js structure
+const Collection = require('../util/Collection');
+const LimitedCollection = require('../util/LimitedCollection');
+const DiscordAPIError = require('../rest/DiscordAPIError');
+const { RESTJSONErrorCodes } = require('../util/Constants');
 
 /**
  * Manages API methods for Messages and stores their cache.
@@ -23,10 +27,12 @@ class MessageManager extends BaseManager {
          */
         this.channel = channel;
 
-        // Optional: Limit the cache size for messages
-        // This simple example doesn't implement automatic eviction based on size/time.
-        // You might want to add LRU (Least Recently Used) caching logic here.
-        // this.cacheLimit = options.messageCacheMaxSize ?? 50; // Example limit
+        /**
+         * The cached messages, limited to the `messageCacheMaxSize` client option.
+         * Messages that are added, updated or fetched count as used; the least recently used are evicted first.
+         * @type {LimitedCollection<Snowflake, Message>}
+         */
+        this.cache = new LimitedCollection({ maxSize: client.options.messageCacheMaxSize });
     }
 
     /**
@@ -39,7 +45,22 @@ class MessageManager extends BaseManager {
      */
     _add(data, cache = true) {
         // Pass the channel as an extra argument to the Message constructor
-        return super._add(data, cache, { extras: [this.channel] });
+        const message = super._add(data, cache, { extras: [this.channel] });
+        // Re-set so an updated message becomes the most recently used
+        if (cache) this.cache.set(message.id, message);
+        return message;
+    }
+
+    /**
+     * Removes a message from the cache.
+     * @param {Snowflake} id The ID of the message to remove.
+     * @returns {?Message} The removed message, if it was cached.
+     * @protected
+     */
+    _remove(id) {
+        const message = this.cache.get(id) ?? null;
+        this.cache.delete(id);
+        return message;
     }
 
     /**
@@ -80,12 +101,15 @@ class MessageManager extends BaseManager {
      * @param {object} [options={}] Options for fetching.
      * @param {boolean} [options.cache=true] Whether to cache the fetched message.
      * @param {boolean} [options.force=false] Whether to skip checking the cache and fetch directly.
-     * @returns {Promise<Message>}
+     * @returns {Promise<?Message>} The message, or null if it does not exist.
      */
     async fetch(messageId, { cache = true, force = false } = {}) {
         if (!force) {
             const existing = this.cache.get(messageId);
-            if (existing) return existing;
+            if (existing) {
+                this.cache.set(messageId, existing);
+                return existing;
+            }
         }
 
         try {
@@ -93,8 +117,7 @@ class MessageManager extends BaseManager {
             // _add handles caching
             return this._add(data, cache);
         } catch (error) {
-            console.error(`[MessageManager Fetch Error] Failed to fetch message ${messageId} in channel ${this.channel.id}:`, error.response?.data || error.message);
-            if (error.response?.status === 404) {
+            if (error instanceof DiscordAPIError && error.code === RESTJSONErrorCodes.UnknownMessage) {
                  if (cache) this.cache.delete(messageId);
                  return null;
             }
@@ -110,7 +133,7 @@ class MessageManager extends BaseManager {
      * @param {Snowflake} [options.after] Get messages after this message ID.
      * @param {Snowflake} [options.around] Get messages around this message ID.
      * @param {boolean} [options.cache=true] Whether to cache the fetched messages.
-     * @returns {Promise<Map<Snowflake, Message>>} A map of message IDs to Message objects.
+     * @returns {Promise<Collection<Snowflake, Message>>} A collection of message IDs to Message objects.
      */
     async fetchMany({ limit = 50, before, after, around, cache = true } = {}) {
         const queryParams = { limit: Math.min(limit, 100) }; // Ensure limit is within Discord's bounds
@@ -118,18 +141,13 @@ class MessageManager extends BaseManager {
         if (after) queryParams.after = after;
         if (around) queryParams.around = around;
 
-        try {
-            const messagesData = await this.client.rest.request('GET', `/channels/${this.channel.id}/messages`, queryParams);
-            const fetchedMessages = new Map();
-            for (const messageData of messagesData) {
-                const message = this._add(messageData, cache);
-                fetchedMessages.set(message.id, message);
-            }
-            return fetchedMessages;
-        } catch (error) {
-            console.error(`[MessageManager FetchMany Error] Failed to fetch messages in channel ${this.channel.id}:`, error.response?.data || error.message);
-            throw error;
+        const messagesData = await this.client.rest.request('GET', `/channels/${this.channel.id}/messages`, queryParams);
+        const fetchedMessages = new Collection();
+        for (const messageData of messagesData) {
+            const message = this._add(messageData, cache);
+            fetchedMessages.set(message.id, message);
         }
+        return fetchedMessages;
     }
 
     /**
@@ -155,14 +173,8 @@ class MessageManager extends BaseManager {
          const messageId = this.resolveId(messageResolvable);
          if (!messageId) throw new Error('Could not resolve message ID for deletion.');
 
-         try {
-             await this.client.rest.request('DELETE', `/channels/${this.channel.id}/messages/${messageId}`, { reason });
-             // Optionally remove from cache
-             this.cache.delete(messageId);
-         } catch (error) {
-              console.error(`[MessageManager Delete Error] Failed to delete message ${messageId} in channel ${this.channel.id}:`, error.response?.data || error.message);
-              throw error;
-         }
+         await this.client.rest.request('DELETE', `/channels/${this.channel.id}/messages/${messageId}`, undefined, { reason });
+         this._remove(messageId);
      }
 
     // Add methods for pinning, reactions, editing etc. as needed.
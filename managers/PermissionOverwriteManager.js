@@ -0,0 +1,134 @@
+// src/managers/PermissionOverwriteManager.js
+
+const BaseManager = require('./BaseManager');
+const PermissionOverwrites = require('../structures/PermissionOverwrites');
+
+/**
+ * Manages API methods for the permission overwrites of a guild channel and stores their cache.
+ * The cache is replaced whenever the channel is patched with new overwrites.
+ * @extends {BaseManager}
+ */
+class PermissionOverwriteManager extends BaseManager {
+    /**
+     * @param {GuildChannel} channel The channel this manager belongs to
+     */
+    constructor(channel) {
+        super(channel.client, PermissionOverwrites);
+
+        /**
+         * The channel this manager belongs to.
+         * @type {GuildChannel}
+         */
+        this.channel = channel;
+    }
+
+    /**
+     * Adds or updates an overwrite in the cache.
+     * @param {object} data The raw overwrite data.
+     * @param {boolean} [cache=true] Whether to cache the overwrite.
+     * @returns {PermissionOverwrites}
+     * @override
+     * @protected
+     */
+    _add(data, cache = true) {
+        return super._add(data, cache, { extras: [this.channel] });
+    }
+
+    /**
+     * Resolves an overwrite, role or member to the ID its overwrite is stored under.
+     * @param {PermissionOverwrites|Role|GuildMember|User|Snowflake} userOrRole The overwrite, role or member
+     * @returns {?Snowflake}
+     * @private
+     */
+    _resolveTargetId(userOrRole) {
+        const { guild } = this.channel;
+        return this.resolveId(userOrRole) ?? guild.roles.resolveId(userOrRole) ?? guild.members.resolveId(userOrRole);
+    }
+
+    /**
+     * Replaces every overwrite of the channel.
+     * @param {Array<OverwriteResolvable>} overwrites The new overwrites.
+     * @param {string} [reason] Audit log reason.
+     * @returns {Promise<GuildChannel>}
+     * @example
+     * channel.permissionOverwrites.set([
+     *   { id: guild.id, deny: ['ViewChannel'] },
+     *   { id: role, allow: ['ViewChannel', 'SendMessages'] },
+     * ]);
+     */
+    set(overwrites, reason) {
+        if (!Array.isArray(overwrites)) throw new Error('The overwrites must be an array.');
+        return this.channel.edit({ permissionOverwrites: overwrites }, reason);
+    }
+
+    /**
+     * Creates or edits the overwrite of a role or member.
+     * @param {Role|GuildMember|User|Snowflake} userOrRole The role or member.
+     * @param {PermissionOverwriteOptions} options The permissions to change.
+     * @param {object} [overwriteOptions={}] Additional options.
+     * @param {number} [overwriteOptions.type] The overwrite type, required when the target isn't cached.
+     * @param {string} [overwriteOptions.reason] Audit log reason.
+     * @param {?PermissionOverwrites} [existing] The overwrite to build on, null to start from scratch.
+     * @returns {Promise<GuildChannel>}
+     * @private
+     */
+    async _upsert(userOrRole, options, { type, reason } = {}, existing) {
+        const target = PermissionOverwrites.resolveTarget(userOrRole, this.channel.guild, type ?? existing?.type);
+        const { allow, deny } = PermissionOverwrites.resolveOverwriteOptions(options, existing ?? {});
+        const data = { type: target.type, allow: allow.bitfield.toString(), deny: deny.bitfield.toString() };
+
+        await this.client.rest.request(
+            'PUT',
+            `/channels/${this.channel.id}/permissions/${target.id}`,
+            data,
+            { reason },
+        );
+        // Discord answers with 204, the channel update event follows
+        this._add({ id: target.id, ...data });
+        return this.channel;
+    }
+
+    /**
+     * Creates the overwrite of a role or member, replacing any existing one.
+     * @param {Role|GuildMember|User|Snowflake} userOrRole The role or member.
+     * @param {PermissionOverwriteOptions} options The permissions of the overwrite.
+     * @param {object} [overwriteOptions={}] Additional options, see `edit()`.
+     * @returns {Promise<GuildChannel>}
+     * @example
+     * channel.permissionOverwrites.create(role, { ViewChannel: true, SendMessages: false });
+     */
+    create(userOrRole, options, overwriteOptions) {
+        return this._upsert(userOrRole, options, overwriteOptions, null);
+    }
+
+    /**
+     * Edits the overwrite of a role or member, keeping the permissions not given in `options`.
+     * Creates the overwrite if there is none.
+     * @param {Role|GuildMember|User|Snowflake} userOrRole The role or member.
+     * @param {PermissionOverwriteOptions} options The permissions to change.
+     * @param {object} [overwriteOptions={}] Additional options.
+     * @param {number} [overwriteOptions.type] The overwrite type, required when the target isn't cached.
+     * @param {string} [overwriteOptions.reason] Audit log reason.
+     * @returns {Promise<GuildChannel>}
+     */
+    edit(userOrRole, options, overwriteOptions) {
+        const existing = this.cache.get(this._resolveTargetId(userOrRole)) ?? null;
+        return this._upsert(userOrRole, options, overwriteOptions, existing);
+    }
+
+    /**
+     * Deletes the overwrite of a role or member.
+     * @param {Role|GuildMember|User|Snowflake|PermissionOverwrites} userOrRole The role or member.
+     * @param {string} [reason] Audit log reason.
+     * @returns {Promise<GuildChannel>}
+     */
+    async delete(userOrRole, reason) {
+        const id = this._resolveTargetId(userOrRole);
+        if (!id) throw new Error('Could not resolve the overwrite to delete.');
+        await this.client.rest.request('DELETE', `/channels/${this.channel.id}/permissions/${id}`, undefined, { reason });
+        this.cache.delete(id);
+        return this.channel;
+    }
+}
+
+module.exports = PermissionOverwriteManager;
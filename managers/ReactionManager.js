@@ -0,0 +1,88 @@
+// src/managers/ReactionManager.js
+
+const BaseManager = require('./BaseManager');
+const MessageReaction = require('../structures/MessageReaction');
+const ReactionEmoji = require('../structures/ReactionEmoji');
+const Util = require('../util/Util');
+
+/**
+ * Manages API methods for the reactions of a message and stores their cache.
+ * Reactions are keyed by emoji ID for custom emojis, and by the emoji itself for unicode ones.
+ * @extends {BaseManager}
+ */
+class ReactionManager extends BaseManager {
+    /**
+     * @param {Message} message The message this manager belongs to
+     */
+    constructor(message) {
+        super(message.client, MessageReaction);
+
+        /**
+         * The message this manager belongs to.
+         * @type {Message}
+         */
+        this.message = message;
+    }
+
+    /**
+     * Adds or updates a reaction in the cache.
+     * @param {object} data The raw reaction data, with its `emoji`.
+     * @param {boolean} [cache=true] Whether to cache the reaction.
+     * @returns {MessageReaction}
+     * @override
+     * @protected
+     */
+    _add(data, cache = true) {
+        return super._add(data, cache, { id: data.emoji.id ?? data.emoji.name, extras: [this.message] });
+    }
+
+    /**
+     * Resolves a reaction or emoji to a cached reaction.
+     * @param {MessageReaction|ReactionEmoji|string} reaction The reaction, its emoji, or emoji text or ID.
+     * @returns {?MessageReaction}
+     * @override
+     */
+    resolve(reaction) {
+        if (reaction instanceof MessageReaction && reaction.message === this.message) return reaction;
+        const id = this.resolveId(reaction);
+        return id ? this.cache.get(id) ?? null : null;
+    }
+
+    /**
+     * Resolves a reaction or emoji to the key its reaction is cached under.
+     * @param {MessageReaction|ReactionEmoji|string} reaction The reaction, its emoji, or emoji text or ID.
+     * @returns {?string}
+     * @override
+     */
+    resolveId(reaction) {
+        if (reaction instanceof MessageReaction) reaction = reaction.emoji;
+        const emoji = Util.resolvePartialEmoji(reaction);
+        return emoji ? emoji.id ?? emoji.name : null;
+    }
+
+    /**
+     * Resolves a reaction or emoji to the identifier used in API routes.
+     * Custom emojis given by ID alone use the name of their cached reaction, if any.
+     * @param {MessageReaction|ReactionEmoji|string|object} emoji The reaction, its emoji, or emoji text or ID.
+     * @returns {string}
+     */
+    resolveIdentifier(emoji) {
+        if (emoji instanceof MessageReaction) return emoji.emoji.identifier;
+        const partial = Util.resolvePartialEmoji(emoji);
+        if (!partial) throw new Error('Could not resolve the emoji.');
+        partial.name ??= this.cache.get(partial.id)?.emoji.name ?? null;
+        return ReactionEmoji.identifierOf(partial);
+    }
+
+    /**
+     * Removes every reaction from the message. Requires Manage Messages.
+     * @returns {Promise<Message>}
+     */
+    async removeAll() {
+        await this.client.rest.request('DELETE', `/channels/${this.message.channelId}/messages/${this.message.id}/reactions`);
+        this.cache.clear();
+        return this.message;
+    }
+}
+
+module.exports = ReactionManager;
@@ -0,0 +1,80 @@
+// src/managers/ReactionUserManager.js
+
+const BaseManager = require('./BaseManager');
+const User = require('../structures/User');
+const Collection = require('../util/Collection');
+
+/**
+ * Manages API methods for the users of a message reaction and stores their cache.
+ * The cache only holds the users seen in reaction events or fetched.
+ * @extends {BaseManager}
+ */
+class ReactionUserManager extends BaseManager {
+    /**
+     * @param {MessageReaction} reaction The reaction this manager belongs to
+     */
+    constructor(reaction) {
+        super(reaction.client, User);
+
+        /**
+         * The reaction this manager belongs to.
+         * @type {MessageReaction}
+         */
+        this.reaction = reaction;
+    }
+
+    /**
+     * The API route of the reaction's users.
+     * @type {string}
+     * @readonly
+     * @private
+     */
+    get _route() {
+        const { message, emoji } = this.reaction;
+        return `/channels/${message.channelId}/messages/${message.id}/reactions/${emoji.identifier}`;
+    }
+
+    /**
+     * Fetches the users who reacted, in ID order. Requests are paginated by 100 until `limit` users
+     * were fetched or there are no more.
+     * @param {object} [options={}] Options for fetching.
+     * @param {number} [options.limit=100] The maximum number of users to fetch.
+     * @param {Snowflake} [options.after] Only fetch users with an ID greater than this one.
+     * @param {boolean} [options.burst=false] Whether to fetch the users who super reacted instead.
+     * @returns {Promise<Collection<Snowflake, User>>}
+     */
+    async fetch({ limit = 100, after, burst = false } = {}) {
+        const users = new Collection();
+        while (users.size < limit) {
+            const query = { limit: Math.min(limit - users.size, 100), type: burst ? 1 : 0 };
+            if (after) query.after = after;
+            const data = await this.client.rest.request('GET', this._route, query);
+            for (const userData of data) {
+                const user = this.client.users._add(userData);
+                users.set(user.id, user);
+                this.cache.set(user.id, user);
+                this.reaction._reactors[burst ? 'burst' : 'normal'].add(user.id);
+            }
+            if (data.length < query.limit) break;
+            after = data[data.length - 1].id;
+        }
+        return users;
+    }
+
+    /**
+     * Removes a user's reaction. Removing other users' reactions requires Manage Messages.
+     * @param {User|GuildMember|Snowflake} [user=this.client.user] The user whose reaction to remove.
+     * @returns {Promise<MessageReaction>}
+     */
+    async remove(user = this.client.user) {
+        const id = user?.id ?? this.client.users.resolveId(user);
+        if (!id) throw new Error('Could not resolve the user whose reaction to remove.');
+        const isMe = id === this.client.user?.id;
+        await this.client.rest.request('DELETE', `${this._route}/${isMe ? '@me' : id}`);
+        // Other users' removals are applied when the gateway event comes in
+        if (isMe) this.reaction._remove(this.client.user);
+        return this.reaction;
+    }
+}
+
+module.exports = ReactionUserManager;
@@ -0,0 +1,144 @@
+// src/managers/RoleManager.js
+
+const BaseManager = require('./BaseManager');
+const Role = require('../structures/Role');
+const Collection = require('../util/Collection');
+const PermissionsBitField = require('../util/PermissionsBitField');
+
+/**
+ * Manages API methods for the roles of a guild and stores their cache.
+ * @extends {BaseManager}
+ */
+class RoleManager extends BaseManager {
+    /**
+     * @param {Guild} guild The guild this manager belongs to
+     */
+    constructor(guild) {
+        super(guild.client, Role);
+
+        /**
+         * The guild this manager belongs to.
+         * @type {Guild}
+         */
+        this.guild = guild;
+    }
+
+    /**
+     * Adds or updates a role in the cache.
+     * @param {object} data The raw role data.
+     * @param {boolean} [cache=true] Whether to cache the role.
+     * @returns {Role}
+     * @override
+     * @protected
+     */
+    _add(data, cache = true) {
+        return super._add(data, cache, { extras: [this.guild] });
+    }
+
+    /**
+     * Removes a role from the cache.
+     * @param {Snowflake} id The ID of the role to remove.
+     * @returns {?Role} The removed role, if it was cached.
+     * @protected
+     */
+    _remove(id) {
+        const role = this.cache.get(id) ?? null;
+        this.cache.delete(id);
+        return role;
+    }
+
+    /**
+     * The @everyone role of the guild.
+     * @type {?Role}
+     * @readonly
+     */
+    get everyone() {
+        return this.cache.get(this.guild.id) ?? null;
+    }
+
+    /**
+     * The role with the highest position in the guild.
+     * @type {?Role}
+     * @readonly
+     */
+    get highest() {
+        return this.cache.reduce((prev, role) => (!prev || role.comparePositionTo(prev) > 0 ? role : prev), null);
+    }
+
+    /**
+     * Fetches every role of the guild from Discord. Cached roles that no longer exist are removed.
+     * @param {boolean} [cache=true] Whether to cache the fetched roles.
+     * @returns {Promise<Collection<Snowflake, Role>>}
+     */
+    async fetch(cache = true) {
+        const data = await this.client.rest.request('GET', `/guilds/${this.guild.id}/roles`);
+        const roles = new Collection();
+        for (const roleData of data) roles.set(roleData.id, this._add(roleData, cache));
+        if (cache) this.cache.sweep((_, id) => !roles.has(id));
+        return roles;
+    }
+
+    /**
+     * Transforms role options into the API's shape.
+     * @param {object} data The role options
+     * @returns {object}
+     * @private
+     */
+    _transform(data) {
+        const { permissions, unicodeEmoji, ...body } = data;
+        if (permissions !== undefined) body.permissions = PermissionsBitField.resolve(permissions).toString();
+        if (unicodeEmoji !== undefined) body.unicode_emoji = unicodeEmoji;
+        return body;
+    }
+
+    /**
+     * Creates a role in the guild.
+     * @param {object} [data={}] The role options.
+     * @param {string} [data.name] The name of the role.
+     * @param {BitFieldResolvable} [data.permissions] The permissions of the role.
+     * @param {number} [data.color] The color of the role.
+     * @param {boolean} [data.hoist] Whether to display the role separately.
+     * @param {boolean} [data.mentionable] Whether anyone can mention the role.
+     * @param {?string} [data.unicodeEmoji] The role's unicode emoji.
+     * @param {string} [reason] Audit log reason.
+     * @returns {Promise<Role>}
+     */
+    async create(data = {}, reason) {
+        const role = await this.client.rest.request('POST', `/guilds/${this.guild.id}/roles`, this._transform(data), { reason });
+        return this._add(role);
+    }
+
+    /**
+     * Edits a role. Takes the same options as `create()`.
+     * @param {Role|Snowflake} role The role to edit.
+     * @param {object} data The data to edit.
+     * @param {string} [reason] Audit log reason.
+     * @returns {Promise<Role>}
+     */
+    async edit(role, data, reason) {
+        const id = this.resolveId(role);
+        if (!id) throw new Error('Could not resolve the role to edit.');
+        const updated = await this.client.rest.request(
+            'PATCH',
+            `/guilds/${this.guild.id}/roles/${id}`,
+            this._transform(data),
+            { reason },
+        );
+        return this._add(updated);
+    }
+
+    /**
+     * Deletes a role.
+     * @param {Role|Snowflake} role The role to delete.
+     * @param {string} [reason] Audit log reason.
+     * @returns {Promise<void>}
+     */
+    async delete(role, reason) {
+        const id = this.resolveId(role);
+        if (!id) throw new Error('Could not resolve the role to delete.');
+        await this.client.rest.request('DELETE', `/guilds/${this.guild.id}/roles/${id}`, undefined, { reason });
+        this._remove(id);
+    }
+}
+
+module.exports = RoleManager;
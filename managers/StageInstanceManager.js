@@ -0,0 +1,147 @@
+// src/managers/StageInstanceManager.js
+
+const BaseManager = require('./BaseManager');
+const StageInstance = require('../structures/StageInstance');
+const DiscordAPIError = require('../rest/DiscordAPIError');
+const { RESTJSONErrorCodes } = require('../util/Constants');
+
+/**
+ * Manages API methods for the live stages of a guild and stores their cache.
+ * Stage instances are keyed by their own ID; the methods take the stage channel,
+ * which has at most one instance at a time.
+ * @extends {BaseManager}
+ */
+class StageInstanceManager extends BaseManager {
+    /**
+     * @param {Guild} guild The guild this manager belongs to
+     */
+    constructor(guild) {
+        super(guild.client, StageInstance);
+
+        /**
+         * The guild this manager belongs to.
+         * @type {Guild}
+         */
+        this.guild = guild;
+    }
+
+    /**
+     * Adds or updates a stage instance in the cache.
+     * @param {object} data The raw stage instance data
+     * @param {boolean} [cache=true] Whether to cache the stage instance
+     * @returns {StageInstance}
+     * @override
+     * @protected
+     */
+    _add(data, cache = true) {
+        return super._add(data, cache, { extras: [this.guild] });
+    }
+
+    /**
+     * Removes a stage instance from the cache.
+     * @param {Snowflake} id The ID of the stage instance
+     * @returns {?StageInstance} The removed stage instance, if it was cached.
+     * @protected
+     */
+    _remove(id) {
+        const instance = this.cache.get(id) ?? null;
+        this.cache.delete(id);
+        return instance;
+    }
+
+    /**
+     * Resolves a stage channel (or its ID) to its ID.
+     * @param {StageChannel|Snowflake} channel The stage channel
+     * @returns {Snowflake}
+     * @private
+     */
+    _resolveChannelId(channel) {
+        const id = this.guild.channels.resolveId(channel);
+        if (!id) throw new Error('Could not resolve the stage channel.');
+        return id;
+    }
+
+    /**
+     * Starts a stage in a stage channel.
+     * @param {StageChannel|Snowflake} channel The stage channel.
+     * @param {object} options Options for the stage.
+     * @param {string} options.topic The topic of the stage (1-120 characters).
+     * @param {number} [options.privacyLevel] The privacy level, see `Constants.StageInstancePrivacyLevel`.
+     * @param {boolean} [options.sendStartNotification] Whether to notify the members that the stage started.
+     * Needs Mention Everyone.
+     * @param {Snowflake} [options.guildScheduledEvent] The ID of the scheduled event the stage is for.
+     * @param {string} [options.reason] Audit log reason.
+     * @returns {Promise<StageInstance>}
+     * @example
+     * await guild.stageInstances.create(stage, { topic: 'Town hall' });
+     */
+    async create(channel, { topic, privacyLevel, sendStartNotification, guildScheduledEvent, reason } = {}) {
+        if (!topic) throw new Error('A stage needs a topic.');
+        const body = { channel_id: this._resolveChannelId(channel), topic };
+        if (privacyLevel !== undefined) body.privacy_level = privacyLevel;
+        if (sendStartNotification !== undefined) body.send_start_notification = sendStartNotification;
+        if (guildScheduledEvent !== undefined) body.guild_scheduled_event_id = guildScheduledEvent?.id ?? guildScheduledEvent;
+
+        const data = await this.client.rest.request('POST', '/stage-instances', body, { reason });
+        return this._add(data);
+    }
+
+    /**
+     * Fetches the stage instance of a stage channel.
+     * @param {StageChannel|Snowflake} channel The stage channel.
+     * @param {object} [options={}] Options for fetching.
+     * @param {boolean} [options.cache=true] Whether to cache the stage instance.
+     * @param {boolean} [options.force=false] Whether to skip checking the cache and fetch directly.
+     * @returns {Promise<?StageInstance>} The stage instance, or null if no stage is live in the channel.
+     */
+    async fetch(channel, { cache = true, force = false } = {}) {
+        const channelId = this._resolveChannelId(channel);
+        if (!force) {
+            const existing = this.cache.find(instance => instance.channelId === channelId);
+            if (existing) return existing;
+        }
+
+        try {
+            const data = await this.client.rest.request('GET', `/stage-instances/${channelId}`);
+            return this._add(data, cache);
+        } catch (error) {
+            if (error instanceof DiscordAPIError && error.code === RESTJSONErrorCodes.UnknownStageInstance) {
+                if (cache) this.cache.sweep(instance => instance.channelId === channelId);
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Edits the stage instance of a stage channel.
+     * @param {StageChannel|Snowflake} channel The stage channel.
+     * @param {object} data The data to edit.
+     * @param {string} [data.topic] The topic of the stage.
+     * @param {number} [data.privacyLevel] The privacy level of the stage.
+     * @param {string} [reason] Audit log reason.
+     * @returns {Promise<StageInstance>}
+     */
+    async edit(channel, { topic, privacyLevel }, reason) {
+        const body = {};
+        if (topic !== undefined) body.topic = topic;
+        if (privacyLevel !== undefined) body.privacy_level = privacyLevel;
+
+        const data = await this.client.rest.request('PATCH', `/stage-instances/${this._resolveChannelId(channel)}`, body, { reason });
+        return this._add(data);
+    }
+
+    /**
+     * Ends the stage of a stage channel.
+     * @param {StageChannel|Snowflake} channel The stage channel.
+     * @param {string} [reason] Audit log reason.
+     * @returns {Promise<void>}
+     */
+    async delete(channel, reason) {
+        const channelId = this._resolveChannelId(channel);
+        await this.client.rest.request('DELETE', `/stage-instances/${channelId}`, undefined, { reason });
+        this.cache.sweep(instance => instance.channelId === channelId);
+    }
+}
+
+module.exports = StageInstanceManager;
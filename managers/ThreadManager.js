@@ -0,0 +1,156 @@
+// src/managers/ThreadManager.js
+
+const BaseManager = require('./BaseManager');
+const Channel = require('../structures/Channel');
+const ThreadChannel = require('../structures/ThreadChannel');
+const MessagePayload = require('../structures/MessagePayload');
+const Collection = require('../util/Collection');
+
+const { CHANNEL_TYPES } = Channel;
+
+/**
+ * Manages API methods for the threads of a text, news or forum channel and stores their cache.
+ * Threads live in the client's channel manager like any channel; the cache here holds the
+ * cached threads whose parent is this manager's channel, and is kept in sync by the ChannelManager.
+ * @extends {BaseManager}
+ */
+class ThreadManager extends BaseManager {
+    /**
+     * @param {TextChannel|NewsChannel|ForumChannel} channel The channel this manager belongs to
+     */
+    constructor(channel) {
+        super(channel.client, ThreadChannel);
+
+        /**
+         * The channel this manager belongs to.
+         * @type {TextChannel|NewsChannel|ForumChannel}
+         */
+        this.channel = channel;
+    }
+
+    /**
+     * Adds or updates a thread, through the client's channel manager.
+     * @param {object} data The raw thread data
+     * @param {boolean} [cache=true] Whether to cache the thread
+     * @returns {ThreadChannel}
+     * @override
+     * @protected
+     */
+    _add(data, cache = true) {
+        return this.client.channels._add(data, cache, { guild: this.channel.guild });
+    }
+
+    /**
+     * Creates a thread in the channel. In forums, creates a post: a thread with a starter message.
+     * @param {object} options Options for the thread.
+     * @param {string} options.name The name of the thread.
+     * @param {number} [options.autoArchiveDuration] Minutes of inactivity before the thread is archived
+     * (60, 1440, 4320 or 10080). Defaults to the channel's default.
+     * @param {Message|Snowflake} [options.startMessage] The message to start the thread from.
+     * Without it, a standalone thread is created.
+     * @param {number} [options.type] The type of a standalone thread, `CHANNEL_TYPES.GUILD_PUBLIC_THREAD` (the default
+     * in text channels) or `GUILD_PRIVATE_THREAD`. Threads in news channels are always `GUILD_NEWS_THREAD`.
+     * @param {boolean} [options.invitable] Whether members who aren't moderators can add others to a private thread.
+     * @param {number} [options.rateLimitPerUser] The slowmode of the thread, in seconds.
+     * @param {string|object} [options.message] For forum posts, the starter message: its content,
+     * or message options as for `Channel#send()`, files included.
+     * @param {Array<ForumTag|Snowflake|string>} [options.appliedTags] For forum posts, the tags to apply
+     * (or their IDs or names).
+     * @param {string} [options.reason] Audit log reason.
+     * @returns {Promise<ThreadChannel>} The thread. The starter message of a forum post is cached in its messages.
+     * @example
+     * const thread = await channel.threads.create({ name: 'Release notes', startMessage: message });
+     * @example
+     * const post = await forum.threads.create({ name: 'Crash on start', message: 'Steps to reproduce...', appliedTags: ['bug'] });
+     */
+    async create({
+        name, autoArchiveDuration, startMessage, type, invitable, rateLimitPerUser, message, appliedTags, reason,
+    } = {}) {
+        if (!name) throw new Error('A thread needs a name.');
+
+        const body = { name };
+        if (autoArchiveDuration !== undefined) body.auto_archive_duration = autoArchiveDuration;
+        if (rateLimitPerUser !== undefined) body.rate_limit_per_user = rateLimitPerUser;
+
+        if (this.channel.type === CHANNEL_TYPES.GUILD_FORUM) {
+            if (!message) throw new Error('A forum post needs a starter message.');
+            const payload = await MessagePayload.create(this.channel, message);
+            body.message = payload.body;
+            if (appliedTags?.length) body.applied_tags = this.channel.resolveTags(appliedTags);
+
+            const data = await this.client.rest.request('POST', `/channels/${this.channel.id}/threads`, body,
+                { reason, files: payload.files });
+            const thread = this._add(data);
+            if (data.message) thread.messages._add(data.message);
+            return thread;
+        }
+
+        let endpoint;
+        if (startMessage) {
+            const messageId = this.channel.messages.resolveId(startMessage);
+            if (!messageId) throw new Error('Could not resolve the message to start the thread from.');
+            endpoint = `/channels/${this.channel.id}/messages/${messageId}/threads`;
+        } else {
+            const isNews = this.channel.type === CHANNEL_TYPES.GUILD_NEWS;
+            body.type = isNews ? CHANNEL_TYPES.GUILD_NEWS_THREAD : type ?? CHANNEL_TYPES.GUILD_PUBLIC_THREAD;
+            if (invitable !== undefined) {
+                if (body.type !== CHANNEL_TYPES.GUILD_PRIVATE_THREAD) throw new Error('Only private threads can be made invitable.');
+                body.invitable = invitable;
+            }
+            endpoint = `/channels/${this.channel.id}/threads`;
+        }
+
+        const data = await this.client.rest.request('POST', endpoint, body, { reason });
+        return this._add(data);
+    }
+
+    /**
+     * Fetches archived threads of the channel, most recently archived first.
+     * @param {object} [options={}] Options for fetching.
+     * @param {string} [options.type='public'] `'public'` or `'private'` threads.
+     * @param {boolean} [options.joined=false] Only fetch the private threads the client user joined.
+     * Doesn't need Manage Threads, unlike the other private threads.
+     * @param {ThreadChannel|Date|number|string|Snowflake} [options.before] Only fetch threads archived before this
+     * thread or time. When fetching joined threads, threads with a smaller ID than this thread or ID.
+     * @param {number} [options.limit] The maximum number of threads to fetch per request.
+     * @param {boolean} [options.fetchAll=false] Whether to keep fetching pages until there are no more threads.
+     * @param {boolean} [options.cache=true] Whether to cache the fetched threads.
+     * @returns {Promise<{ threads: Collection<Snowflake, ThreadChannel>, hasMore: boolean }>} The threads, and
+     * whether more can be fetched (pass the last thread as `before`).
+     */
+    async fetchArchived({ type = 'public', joined = false, before, limit, fetchAll = false, cache = true } = {}) {
+        if (type !== 'public' && type !== 'private') throw new RangeError(`Archived threads are 'public' or 'private', got '${type}'.`);
+        if (joined && type !== 'private') throw new Error('Only private archived threads can be fetched by joined status.');
+
+        const endpoint = joined
+            ? `/channels/${this.channel.id}/users/@me/threads/archived/private`
+            : `/channels/${this.channel.id}/threads/archived/${type}`;
+        // Joined threads are paginated by ID, the others by archive time
+        const cursor = thread => (joined ? thread.id : new Date(thread.archiveTimestamp).toISOString());
+
+        const threads = new Collection();
+        let hasMore;
+        do {
+            const query = {};
+            if (limit !== undefined) query.limit = limit;
+            if (before instanceof ThreadChannel) query.before = cursor(before);
+            else if (before !== undefined) query.before = joined ? before : new Date(before).toISOString();
+
+            const data = await this.client.rest.request('GET', endpoint, query);
+            const page = [];
+            for (const threadData of data.threads) {
+                const thread = this._add({ guild_id: this.channel.guildId, ...threadData }, cache);
+                threads.set(thread.id, thread);
+                page.push(thread);
+            }
+            for (const member of data.members ?? []) threads.get(member.id)?.members._add(member);
+
+            hasMore = Boolean(data.has_more) && page.length > 0;
+            before = page.at(-1);
+        } while (fetchAll && hasMore);
+
+        return { threads, hasMore };
+    }
+}
+
+module.exports = ThreadManager;
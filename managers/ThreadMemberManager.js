@@ -0,0 +1,166 @@
+// src/managers/ThreadMemberManager.js
+
+const BaseManager = require('./BaseManager');
+const ThreadMember = require('../structures/ThreadMember');
+const Collection = require('../util/Collection');
+const DiscordAPIError = require('../rest/DiscordAPIError');
+const { RESTJSONErrorCodes } = require('../util/Constants');
+
+/**
+ * Manages API methods for the members of a thread and stores their cache.
+ * The gateway only keeps the client user's own membership up to date; other members
+ * are cached from `threadMembersUpdate` events and fetches.
+ * @extends {BaseManager}
+ */
+class ThreadMemberManager extends BaseManager {
+    /**
+     * @param {ThreadChannel} thread The thread this manager belongs to
+     */
+    constructor(thread) {
+        super(thread.client, ThreadMember);
+
+        /**
+         * The thread this manager belongs to.
+         * @type {ThreadChannel}
+         */
+        this.thread = thread;
+    }
+
+    /**
+     * Adds or updates a thread member in the cache.
+     * @param {object} data The raw thread member data
+     * @param {boolean} [cache=true] Whether to cache the member
+     * @returns {ThreadMember}
+     * @override
+     * @protected
+     */
+    _add(data, cache = true) {
+        return super._add(data, cache, { id: data.user_id, extras: [this.thread] });
+    }
+
+    /**
+     * Removes a thread member from the cache.
+     * @param {Snowflake} id The ID of the member's user
+     * @returns {?ThreadMember} The removed member, if it was cached.
+     * @protected
+     */
+    _remove(id) {
+        const member = this.cache.get(id) ?? null;
+        this.cache.delete(id);
+        return member;
+    }
+
+    /**
+     * The client user's membership of the thread, if they joined it.
+     * @type {?ThreadMember}
+     * @readonly
+     */
+    get me() {
+        return this.client.user ? this.cache.get(this.client.user.id) ?? null : null;
+    }
+
+    /**
+     * Resolves a thread member, guild member, user or ID to a user ID.
+     * @param {ThreadMember|GuildMember|User|Snowflake} member The member to resolve
+     * @returns {?Snowflake}
+     * @override
+     */
+    resolveId(member) {
+        if (typeof member === 'string') return member;
+        return member?.id ?? null;
+    }
+
+    /**
+     * Adds a user to the thread. The thread must not be archived.
+     * @param {ThreadMember|GuildMember|User|Snowflake} member The user to add, `'@me'` for the client user
+     * @returns {Promise<Snowflake>} The ID of the added user.
+     */
+    async add(member) {
+        const id = this.resolveId(member);
+        if (!id) throw new Error('Could not resolve the member to add to the thread.');
+        const self = id === '@me' || id === this.client.user?.id;
+        await this.client.rest.request('PUT', `/channels/${this.thread.id}/thread-members/${self ? '@me' : id}`);
+        // The gateway only reports others once the add went through, track our own membership right away
+        if (self) this._add({ user_id: this.client.user.id, join_timestamp: new Date().toISOString(), flags: 0 });
+        return self ? this.client.user.id : id;
+    }
+
+    /**
+     * Removes a user from the thread.
+     * @param {ThreadMember|GuildMember|User|Snowflake} member The user to remove, `'@me'` for the client user
+     * @returns {Promise<Snowflake>} The ID of the removed user.
+     */
+    async remove(member) {
+        const id = this.resolveId(member);
+        if (!id) throw new Error('Could not resolve the member to remove from the thread.');
+        const self = id === '@me' || id === this.client.user?.id;
+        await this.client.rest.request('DELETE', `/channels/${this.thread.id}/thread-members/${self ? '@me' : id}`);
+        const userId = self ? this.client.user.id : id;
+        this._remove(userId);
+        return userId;
+    }
+
+    /**
+     * Fetches a member of the thread, or the members of the thread when called without a member.
+     * @param {ThreadMember|GuildMember|User|Snowflake|object} [member] The member to fetch, or the options
+     * to fetch every member with
+     * @param {object} [options={}] Options for fetching.
+     * @param {boolean} [options.withMember=false] Whether to also fetch the guild members.
+     * @param {Snowflake} [options.after] When fetching every member, only fetch users with a greater ID.
+     * Needs `withMember`.
+     * @param {number} [options.limit=100] When fetching every member, the maximum number to fetch (1-100).
+     * Needs `withMember`.
+     * @param {boolean} [options.cache=true] Whether to cache the fetched members.
+     * @param {boolean} [options.force=false] Whether to skip checking the cache for a single member.
+     * @returns {Promise<?ThreadMember|Collection<Snowflake, ThreadMember>>} The member (null if the user isn't
+     * in the thread), or the members.
+     * @example
+     * const members = await thread.members.fetch({ withMember: true });
+     */
+    async fetch(member, options = {}) {
+        if (member === undefined || member?.constructor === Object) return this._fetchMany(member ?? {});
+
+        const { withMember = false, cache = true, force = false } = options;
+        const id = this.resolveId(member);
+        if (!id) throw new Error('Could not resolve the thread member to fetch.');
+        if (!force) {
+            const existing = this.cache.get(id);
+            if (existing) return existing;
+        }
+
+        try {
+            const query = withMember ? { with_member: true } : undefined;
+            const data = await this.client.rest.request('GET', `/channels/${this.thread.id}/thread-members/${id}`, query);
+            return this._add(data, cache);
+        } catch (error) {
+            if (error instanceof DiscordAPIError && error.code === RESTJSONErrorCodes.UnknownMember) {
+                if (cache) this._remove(id);
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Fetches the members of the thread.
+     * @param {object} options Options for fetching, see `fetch()`.
+     * @returns {Promise<Collection<Snowflake, ThreadMember>>}
+     * @private
+     */
+    async _fetchMany({ withMember = false, after, limit, cache = true }) {
+        const query = {};
+        if (withMember) query.with_member = true;
+        if (after !== undefined) query.after = this.resolveId(after);
+        if (limit !== undefined) query.limit = Math.min(Math.max(limit, 1), 100);
+
+        const data = await this.client.rest.request('GET', `/channels/${this.thread.id}/thread-members`, query);
+        const members = new Collection();
+        for (const memberData of data) {
+            const member = this._add(memberData, cache);
+            members.set(member.id, member);
+        }
+        return members;
+    }
+}
+
+module.exports = ThreadMemberManager;
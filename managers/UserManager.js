@@ -2,6 +2,8 @@
 
 const BaseManager = require('./BaseManager');
 const User = require('../structures/User'); // Requires the User structure
+const DiscordAPIError = require('../rest/DiscordAPIError');
+const { RESTJSONErrorCodes } = require('../util/Constants');
 
 /**
  * Manages API methods for Users and stores their cache.
@@ -66,7 +68,7 @@ class UserManager extends BaseManager {
      * @param {object} [options={}] Options for fetching.
      * @param {boolean} [options.cache=true] Whether to cache the fetched user.
      * @param {boolean} [options.force=false] Whether to skip checking the cache and fetch directly.
-     * @returns {Promise<User>}
+     * @returns {Promise<?User>} The user, or null if it does not exist.
      */
     async fetch(id, { cache = true, force = false } = {}) {
         if (!force) {
@@ -79,8 +81,7 @@ class UserManager extends BaseManager {
             // _add handles caching if cache=true
             return this._add(data, cache);
         } catch (error) {
-            console.error(`[UserManager Fetch Error] Failed to fetch user ${id}:`, error.response?.data || error.message);
-            if (error.response?.status === 404) {
+            if (error instanceof DiscordAPIError && error.code === RESTJSONErrorCodes.UnknownUser) {
                  if (cache) this.cache.delete(id);
                  return null;
             }
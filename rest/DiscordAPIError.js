@@ -0,0 +1,90 @@
+// src/rest/DiscordAPIError.js
+
+/**
+ * Represents an error returned by the Discord API as a JSON error body
+ * (`{ code, message, errors? }`). Branch on `code` using `Constants.RESTJSONErrorCodes`.
+ * @extends {Error}
+ */
+class DiscordAPIError extends Error {
+    /**
+     * @param {object} error The JSON error body from Discord
+     * @param {number} status The HTTP status code of the response
+     * @param {object} request The request that failed
+     * @param {string} request.method The HTTP method
+     * @param {string} request.path The API path
+     * @param {*} [request.data] The request body
+     */
+    constructor(error, status, request) {
+        super();
+        const flattened = DiscordAPIError.flattenErrors(error.errors ?? error).join('\n');
+
+        this.name = 'DiscordAPIError';
+        this.message = error.message && flattened ? `${error.message}\n${flattened}` : error.message || flattened;
+
+        /**
+         * The Discord JSON error code, see `Constants.RESTJSONErrorCodes`.
+         * @type {number}
+         */
+        this.code = error.code;
+
+        /**
+         * The HTTP status code of the response.
+         * @type {number}
+         */
+        this.status = status;
+
+        /**
+         * The HTTP method used for the request.
+         * @type {string}
+         */
+        this.method = request.method;
+
+        /**
+         * The path of the request, relative to the API base URL.
+         * @type {string}
+         */
+        this.path = request.path;
+
+        /**
+         * The body that was sent with the request.
+         * @type {*}
+         */
+        this.requestBody = request.data;
+
+        /**
+         * The raw error body returned by Discord.
+         * @type {object}
+         */
+        this.rawError = error;
+    }
+
+    /**
+     * Flattens the nested `errors` object of a Discord error body into readable lines,
+     * e.g. `embeds[0].title: [BASE_TYPE_MAX_LENGTH] Must be 256 or fewer in length.`
+     * @param {object} obj The (nested) errors object
+     * @param {string} [key=''] The path of `obj` inside the errors object
+     * @returns {string[]}
+     */
+    static flattenErrors(obj, key = '') {
+        let messages = [];
+
+        for (const [k, v] of Object.entries(obj)) {
+            if (k === 'message' || k === 'code') continue;
+            const newKey = key ? (Number.isNaN(Number(k)) ? `${key}.${k}` : `${key}[${k}]`) : k;
+
+            if (Array.isArray(v?._errors)) {
+                messages.push(`${newKey}: ${v._errors.map(e => `${e.code ? `[${e.code}] ` : ''}${e.message}`).join(' ')}`);
+            } else if (v?.code && v?.message) {
+                messages.push(`${newKey}: [${v.code}] ${v.message}`);
+            } else if (typeof v === 'string') {
+                messages.push(`${newKey}: ${v}`);
+            } else if (v && typeof v === 'object') {
+                messages = messages.concat(DiscordAPIError.flattenErrors(v, newKey));
+            }
+        }
+
+        return messages;
+    }
+}
+
+module.exports = DiscordAPIError;
@@ -0,0 +1,53 @@
+// src/rest/HTTPError.js
+
+/**
+ * Represents an HTTP failure that did not come with a Discord JSON error body:
+ * a 5xx that kept failing after retries, an HTML error page, a timeout or a network error.
+ * @extends {Error}
+ */
+class HTTPError extends Error {
+    /**
+     * @param {string} message The error message
+     * @param {string} name The name of the error (e.g. the HTTP status text or the network error code)
+     * @param {?number} status The HTTP status code, null if no response was received
+     * @param {object} request The request that failed
+     * @param {string} request.method The HTTP method
+     * @param {string} request.path The API path
+     * @param {*} [request.data] The request body
+     */
+    constructor(message, name, status, request) {
+        super(message);
+
+        /**
+         * The name of the error.
+         * @type {string}
+         */
+        this.name = name;
+
+        /**
+         * The HTTP status code, null if the request never got a response.
+         * @type {?number}
+         */
+        this.status = status;
+
+        /**
+         * The HTTP method used for the request.
+         * @type {string}
+         */
+        this.method = request.method;
+
+        /**
+         * The path of the request, relative to the API base URL.
+         * @type {string}
+         */
+        this.path = request.path;
+
+        /**
+         * The body that was sent with the request.
+         * @type {*}
+         */
+        this.requestBody = request.data;
+    }
+}
+
+module.exports = HTTPError;
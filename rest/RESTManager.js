@@ -1,12 +1,51 @@
 const axios = require('axios');
-const { API_BASE_URL } = require('../util/Constants');
+const FormData = require('form-data');
+const RequestHandler = require('./RequestHandler');
+const Util = require('../util/Util');
+const { API_BASE_URL, RESTEvents } = require('../util/Constants');
 const { version } = require('../../package.json'); // Get library version
 
+/**
+ * Routes whose first ID is a "major parameter": Discord keeps separate
+ * rate limit buckets per channel, guild and webhook.
+ * @type {RegExp}
+ */
+const MAJOR_PARAMETER = /^\/(?:channels|guilds|webhooks)\/(\d{16,20})/;
+
 class RESTManager {
     constructor(client) {
         this.client = client;
+
+        /**
+         * The REST options from the client options.
+         * @type {object}
+         */
+        this.options = client.options?.rest ?? {};
+
+        /**
+         * Request handlers (one per rate limit bucket and major parameter), keyed by `${hash}:${majorParameter}`.
+         * @type {Map<string, RequestHandler>}
+         */
+        this.handlers = new Map();
+
+        /**
+         * Bucket hashes learned from `X-RateLimit-Bucket`, keyed by route.
+         * Several routes can share one bucket.
+         * @type {Map<string, string>}
+         */
+        this.hashes = new Map();
+
+        /**
+         * Timestamp until which every request is held back because of a global rate limit.
+         * @type {number}
+         */
+        this.globalReset = -1;
+
+        this._lastSweep = Date.now();
+
         this.axios = axios.create({
-            baseURL: API_BASE_URL,
+            baseURL: this.options.api ?? API_BASE_URL,
+            timeout: this.options.timeout,
             headers: {
                 'User-Agent': `DiscordBot (Royal-Selfbot, ${version})`, // Needs careful crafting for self-bot
                 'Content-Type': 'application/json',
@@ -20,46 +59,167 @@ class RESTManager {
                 config.headers.Authorization = this.client.token;
             } else {
                  console.warn('[REST] Request made before token was available.');
-                 // Optionally cancel request or queue it
             }
-            // TODO: Implement proper sequential request queue and rate limit handling
             return config;
         });
+    }
 
-         // TODO: Add response interceptors for error handling and rate limits (429)
-         this.axios.interceptors.response.use(
-             response => response,
-             error => {
-                 console.error('[REST Error]', error.response?.status, error.response?.data);
-                 // Handle rate limits (Retry-After header)
-                 return Promise.reject(error);
-             }
-         );
+    /**
+     * Computes the rate limit route of a request: IDs other than the major parameter are
+     * replaced so requests that share a bucket share a route.
+     * @param {string} method The HTTP method.
+     * @param {string} path The request path (without query string).
+     * @returns {{ route: string, majorParameter: string }}
+     */
+    static getRoute(method, path) {
+        const majorParameter = MAJOR_PARAMETER.exec(path)?.[1] ?? 'global';
+        const route = path
+            .replace(/\/reactions\/[^/]+.*$/, '/reactions/:reaction') // Every reaction route shares a bucket
+            .replace(/\d{16,20}/g, ':id');
+        return { route: `${method} ${route}`, majorParameter };
     }
 
-    // Example request method
-    async request(method, endpoint, data = {}) {
-        try {
-            const response = await this.axios({
-                method: method.toUpperCase(),
+    /**
+     * Makes a request to the Discord API, queued on its rate limit bucket.
+     * @param {string} method The HTTP method.
+     * @param {string} endpoint The API path, relative to the API base URL.
+     * @param {object} [data={}] The JSON body, or the query parameters for GET requests.
+     * @param {object} [options={}] Additional request options.
+     * @param {string} [options.reason] Audit log reason, sent as `X-Audit-Log-Reason`.
+     * @param {object} [options.query] Query parameters (for non-GET requests).
+     * @param {object} [options.headers] Extra headers.
+     * @param {Array<RawFile>} [options.files] Files to upload. The request is sent as `multipart/form-data`
+     * with `data` in the `payload_json` field.
+     * @returns {Promise<*>} The response data.
+     * @throws {DiscordAPIError} If Discord returned a JSON error.
+     * @throws {HTTPError} If the request failed without a JSON error (5xx after retries, network error).
+     */
+    async request(method, endpoint, data = {}, options = {}) {
+        method = method.toUpperCase();
+        const path = endpoint.split('?')[0];
+        const { route, majorParameter } = RESTManager.getRoute(method, path);
+
+        const headers = { ...options.headers };
+        if (options.reason) headers['X-Audit-Log-Reason'] = encodeURIComponent(options.reason);
+
+        const request = {
+            method,
+            path: endpoint,
+            route,
+            majorParameter,
+            data,
+            files: options.files?.length ? options.files : null,
+            options,
+            config: {
+                method,
                 url: endpoint,
-                data: method.toUpperCase() !== 'GET' ? data : undefined, // Send data only for non-GET requests
-                params: method.toUpperCase() === 'GET' ? data : undefined, // Send data as query params for GET
+                data: method !== 'GET' ? data : undefined, // Send data only for non-GET requests
+                params: method === 'GET' ? data : options.query, // Send data as query params for GET
+                headers,
+            },
+        };
+
+        return this._getHandler(route, majorParameter).push(request);
+    }
+
+    /**
+     * Gets the axios config for one attempt of a request.
+     * Multipart bodies are streams that can only be sent once, so a new form is built for every attempt.
+     * @param {object} request The request.
+     * @returns {object}
+     * @private
+     */
+    _resolveConfig(request) {
+        if (!request.files) return request.config;
+        const form = new FormData();
+        for (const file of request.files) form.append(file.key, file.data, file.name);
+        form.append('payload_json', JSON.stringify(request.data ?? {}));
+        return {
+            ...request.config,
+            data: form,
+            headers: { ...request.config.headers, ...form.getHeaders() },
+        };
+    }
+
+    /**
+     * Gets (or creates) the handler for a route and major parameter.
+     * @param {string} route The route.
+     * @param {string} majorParameter The major parameter.
+     * @returns {RequestHandler}
+     * @private
+     */
+    _getHandler(route, majorParameter) {
+        const hash = this.hashes.get(route) ?? route;
+        const key = `${hash}:${majorParameter}`;
+        let handler = this.handlers.get(key);
+        if (!handler) {
+            this._sweepHandlers();
+            handler = new RequestHandler(this, hash, majorParameter);
+            this.handlers.set(key, handler);
+        }
+        return handler;
+    }
+
+    /**
+     * Records the bucket hash Discord reported for a route.
+     * Later requests on the route are queued on the hash's handler. If there is none yet, the handler
+     * that got the response becomes it, so the limits it just learned aren't lost.
+     * @param {string} route The route.
+     * @param {string} hash The bucket hash.
+     * @param {RequestHandler} handler The handler that got the response.
+     * @private
+     */
+    _learnHash(route, hash, handler) {
+        if (this.hashes.get(route) === hash) return;
+        this.hashes.set(route, hash);
+        const key = `${hash}:${handler.majorParameter}`;
+        if (this.handlers.has(key)) return;
+        handler.id = hash;
+        this.handlers.set(key, handler);
+    }
+
+    /**
+     * Waits while a global rate limit is active.
+     * @param {object} request The request that is waiting.
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _awaitGlobal(request) {
+        while (Date.now() < this.globalReset) {
+            const timeToReset = this.globalReset - Date.now() + this.options.offset;
+            this.client.emit(RESTEvents.RATE_LIMITED, {
+                timeToReset,
+                limit: -1,
+                method: request.method,
+                path: request.path,
+                route: request.route,
+                global: true,
+                hash: null,
+                majorParameter: request.majorParameter,
             });
-            return response.data;
-        } catch (error) {
-            // Error is already logged by interceptor, rethrow or handle specifically
-            throw error;
+            await Util.sleep(timeToReset);
+        }
+    }
+
+    /**
+     * Drops idle handlers every few minutes so per-channel buckets don't pile up forever.
+     * @private
+     */
+    _sweepHandlers() {
+        if (Date.now() - this._lastSweep < 300_000) return;
+        this._lastSweep = Date.now();
+        for (const [key, handler] of this.handlers) {
+            if (handler.inactive) this.handlers.delete(key);
         }
     }
 
     // --- Specific API methods ---
-    async createMessage(channelId, content) {
+    async createMessage(channelId, content, files) {
         // Basic implementation, needs proper payload structure
         if (typeof content === 'string') {
             content = { content: content };
         }
-        return this.request('POST', `/channels/${channelId}/messages`, content);
+        return this.request('POST', `/channels/${channelId}/messages`, content, { files });
     }
 
     async getUser(userId) {
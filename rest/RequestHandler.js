@@ -0,0 +1,251 @@
+// src/rest/RequestHandler.js
+
+const DiscordAPIError = require('./DiscordAPIError');
+const HTTPError = require('./HTTPError');
+const Util = require('../util/Util');
+const { RESTEvents } = require('../util/Constants');
+
+/**
+ * Parses a header holding a number of seconds (which may be fractional) into milliseconds.
+ * @param {?string} value The header value.
+ * @returns {?number}
+ */
+function parseSeconds(value) {
+    if (value === undefined || value === null) return null;
+    const seconds = Number(value);
+    return Number.isFinite(seconds) ? Math.ceil(seconds * 1000) : null;
+}
+
+/**
+ * How long to wait before retrying a request that failed with a 5xx or network error: exponential backoff
+ * capped at 10 seconds.
+ * @param {number} retries How many times the request has been retried so far.
+ * @returns {number} The delay in milliseconds.
+ */
+function retryDelay(retries) {
+    return Math.min(1000 * 2 ** retries, 10_000);
+}
+
+/**
+ * Converts an axios error into a DiscordAPIError (JSON error body) or an HTTPError.
+ * @param {object} request The request that failed.
+ * @param {Error} error The axios error.
+ * @returns {DiscordAPIError|HTTPError}
+ */
+function createError(request, error) {
+    const response = error.response;
+    if (!response) {
+        return new HTTPError(error.message, error.code ?? error.name, null, request);
+    }
+    const body = response.data;
+    if (body && typeof body === 'object' && (body.code !== undefined || body.message !== undefined)) {
+        return new DiscordAPIError(body, response.status, request);
+    }
+    return new HTTPError(response.statusText || `Request failed with status ${response.status}`, response.statusText || 'HTTPError', response.status, request);
+}
+
+/**
+ * Executes the requests of a single rate limit bucket one at a time.
+ * Tracks the bucket's limits from the `X-RateLimit-*` headers and waits
+ * before sending when the bucket (or the global limit) is exhausted.
+ */
+class RequestHandler {
+    /**
+     * @param {RESTManager} manager The REST manager that owns this handler
+     * @param {string} id The bucket hash (or route, until the hash is known)
+     * @param {string} majorParameter The major parameter (channel/guild/webhook ID) of the bucket
+     */
+    constructor(manager, id, majorParameter) {
+        /**
+         * The REST manager that owns this handler
+         * @type {RESTManager}
+         */
+        this.manager = manager;
+
+        /**
+         * The bucket hash, or the route key while the hash is unknown.
+         * @type {string}
+         */
+        this.id = id;
+
+        /**
+         * The major parameter this bucket is scoped to.
+         * @type {string}
+         */
+        this.majorParameter = majorParameter;
+
+        /**
+         * The maximum number of requests in the current window, -1 while unknown.
+         * @type {number}
+         */
+        this.limit = -1;
+
+        /**
+         * Requests remaining in the current window.
+         * @type {number}
+         */
+        this.remaining = 1;
+
+        /**
+         * Timestamp at which the window resets, -1 while unknown.
+         * @type {number}
+         */
+        this.reset = -1;
+
+        /**
+         * Tail of the request chain. Each request waits for the previous one to settle.
+         * @type {Promise<void>}
+         * @private
+         */
+        this._queue = Promise.resolve();
+
+        /**
+         * Number of requests queued or in flight.
+         * @type {number}
+         * @private
+         */
+        this._pending = 0;
+    }
+
+    /**
+     * Whether the bucket is currently exhausted.
+     * @type {boolean}
+     * @readonly
+     */
+    get limited() {
+        return this.remaining <= 0 && Date.now() < this.reset;
+    }
+
+    /**
+     * Whether the handler has no pending work and no active limit, so it can be discarded.
+     * @type {boolean}
+     * @readonly
+     */
+    get inactive() {
+        return this._pending === 0 && !this.limited;
+    }
+
+    /**
+     * Queues a request on this bucket.
+     * @param {object} request The request (see `RESTManager#request`).
+     * @returns {Promise<*>} The response data.
+     */
+    push(request) {
+        this._pending++;
+        const run = this._queue.then(() => this._execute(request));
+        // Keep the chain going regardless of this request's outcome
+        this._queue = run.then(() => {}, () => {}).finally(() => { this._pending--; });
+        return run;
+    }
+
+    /**
+     * Sends a request, waiting for rate limits first and retrying on 429s, 5xx and network errors.
+     * @param {object} request The request.
+     * @param {number} [retries=0] How many times this request has been retried so far.
+     * @returns {Promise<*>} The response data.
+     * @throws {DiscordAPIError|HTTPError}
+     * @private
+     */
+    async _execute(request, retries = 0) {
+        const { client } = this.manager;
+
+        await this.manager._awaitGlobal(request);
+
+        if (this.limited) {
+            const timeToReset = this.reset - Date.now() + this.manager.options.offset;
+            client.emit(RESTEvents.RATE_LIMITED, {
+                timeToReset,
+                limit: this.limit,
+                method: request.method,
+                path: request.path,
+                route: request.route,
+                global: false,
+                hash: this.id,
+                majorParameter: this.majorParameter,
+            });
+            await Util.sleep(timeToReset);
+        }
+
+        client.emit(RESTEvents.API_REQUEST, { ...request, retries });
+
+        let response;
+        try {
+            response = await this.manager.axios(this.manager._resolveConfig(request));
+        } catch (error) {
+            response = error.response;
+            if (!response) {
+                // Network error or timeout, nothing reached Discord
+                if (retries < this.manager.options.retries) {
+                    await Util.sleep(retryDelay(retries));
+                    return this._execute(request, retries + 1);
+                }
+                throw createError(request, error);
+            }
+
+            this._updateLimits(request, response);
+            client.emit(RESTEvents.API_RESPONSE, { ...request, retries }, response);
+
+            if (response.status === 429) {
+                this._handleRateLimit(request, response);
+                // 429s are always retried once the limit resets and don't count towards `retries`
+                return this._execute(request, retries);
+            }
+            if (response.status >= 500 && retries < this.manager.options.retries) {
+                await Util.sleep(retryDelay(retries));
+                return this._execute(request, retries + 1);
+            }
+            throw createError(request, error);
+        }
+
+        this._updateLimits(request, response);
+        client.emit(RESTEvents.API_RESPONSE, { ...request, retries }, response);
+        return response.data;
+    }
+
+    /**
+     * Updates the bucket state from a response's rate limit headers.
+     * @param {object} request The request.
+     * @param {object} response The axios response.
+     * @private
+     */
+    _updateLimits(request, response) {
+        const headers = response.headers ?? {};
+        const limit = headers['x-ratelimit-limit'];
+        const remaining = headers['x-ratelimit-remaining'];
+        const resetAfter = parseSeconds(headers['x-ratelimit-reset-after']);
+        const hash = headers['x-ratelimit-bucket'];
+
+        if (limit !== undefined) this.limit = Number(limit);
+        if (remaining !== undefined) this.remaining = Number(remaining);
+        else if (limit === undefined) this.remaining = 1; // Route has no per-bucket limit
+        if (resetAfter !== null) this.reset = Date.now() + resetAfter;
+
+        if (hash) this.manager._learnHash(request.route, hash, this);
+    }
+
+    /**
+     * Applies a 429 response: locks this bucket, or the whole manager for global limits.
+     * @param {object} request The request.
+     * @param {object} response The 429 response.
+     * @private
+     */
+    _handleRateLimit(request, response) {
+        const { client } = this.manager;
+        const headers = response.headers ?? {};
+        const retryAfter = parseSeconds(headers['retry-after'])
+            ?? parseSeconds(response.data?.retry_after)
+            ?? 1000;
+        const global = headers['x-ratelimit-global'] === 'true' || response.data?.global === true;
+
+        client.emit('debug', `[REST] Hit a ${global ? 'global' : `${headers['x-ratelimit-scope'] ?? 'bucket'}`} rate limit on ${request.route}, retrying in ${retryAfter}ms.`);
+
+        if (global) {
+            this.manager.globalReset = Date.now() + retryAfter;
+        } else {
+            this.remaining = 0;
+            this.reset = Date.now() + retryAfter;
+        }
+    }
+}
+
+module.exports = RequestHandler;
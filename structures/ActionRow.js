@@ -0,0 +1,63 @@
+// src/structures/ActionRow.js
+
+const Component = require('./Component');
+const ButtonComponent = require('./ButtonComponent');
+const SelectMenuComponent = require('./SelectMenuComponent');
+const TextInputComponent = require('./TextInputComponent');
+const { ComponentType } = require('../util/Constants');
+
+/**
+ * The structure class used for each component type.
+ * Types not listed are kept as plain Components.
+ * @type {Object<number, Function>}
+ */
+const ComponentClasses = {
+    [ComponentType.Button]: ButtonComponent,
+    [ComponentType.StringSelect]: SelectMenuComponent,
+    [ComponentType.TextInput]: TextInputComponent,
+    [ComponentType.UserSelect]: SelectMenuComponent,
+    [ComponentType.RoleSelect]: SelectMenuComponent,
+    [ComponentType.MentionableSelect]: SelectMenuComponent,
+    [ComponentType.ChannelSelect]: SelectMenuComponent,
+};
+
+/**
+ * Represents an action row: the row of buttons, or the select menu, at the top level of a message's components.
+ * @extends {Component}
+ */
+class ActionRow extends Component {
+    /**
+     * @param {object} data The raw action row data
+     */
+    constructor({ components = [], ...data }) {
+        super(data);
+
+        /**
+         * The components in the row.
+         * @type {Component[]}
+         */
+        this.components = components.map(component => ActionRow.createComponent(component));
+    }
+
+    /**
+     * Gets the raw action row data.
+     * @returns {object}
+     */
+    toJSON() {
+        return { ...this.data, components: this.components.map(component => component.toJSON()) };
+    }
+
+    /**
+     * Creates the component structure matching the component's type.
+     * @param {object} data The raw component data
+     * @returns {Component}
+     * @static
+     */
+    static createComponent(data) {
+        if (data.type === ComponentType.ActionRow) return new ActionRow(data);
+        const ComponentClass = ComponentClasses[data.type] ?? Component;
+        return new ComponentClass(data);
+    }
+}
+
+module.exports = ActionRow;
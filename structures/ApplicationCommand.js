@@ -0,0 +1,236 @@
+// src/structures/ApplicationCommand.js
+
+const Base = require('./Base');
+const MessagePayload = require('./MessagePayload');
+const { ApplicationCommandType, ApplicationCommandOptionType: OptionType } = require('../util/Constants');
+
+const SubcommandTypes = [OptionType.Subcommand, OptionType.SubcommandGroup];
+
+/**
+ * Represents an application command that can be used in a channel, as listed in the channel's command index.
+ * See `Channel#searchApplicationCommands()` and `Channel#sendSlash()`.
+ * @extends {Base}
+ */
+class ApplicationCommand extends Base {
+    /**
+     * @param {Client} client The instantiating client
+     * @param {object} data The raw command data
+     * @param {?object} [application] The raw data of the command's application, from the command index
+     */
+    constructor(client, data, application = null) {
+        super(client);
+
+        /**
+         * The ID of the command.
+         * @type {Snowflake}
+         */
+        this.id = data.id;
+
+        /**
+         * The ID of the user of the application's bot, if known.
+         * @type {?Snowflake}
+         */
+        this.botId = application?.bot?.id ?? application?.bot_id ?? null;
+
+        this._patch(data);
+    }
+
+    /**
+     * Updates the command with new data.
+     * @param {object} data The raw command data
+     * @protected
+     */
+    _patch(data) {
+        /**
+         * The ID of the application the command belongs to.
+         * @type {Snowflake}
+         */
+        this.applicationId = data.application_id;
+
+        /**
+         * The version of the command, sent back when running it.
+         * @type {Snowflake}
+         */
+        this.version = data.version;
+
+        /**
+         * The type of the command, see `Constants.ApplicationCommandType`.
+         * @type {number}
+         */
+        this.type = data.type ?? ApplicationCommandType.ChatInput;
+
+        /**
+         * The name of the command.
+         * @type {string}
+         */
+        this.name = data.name;
+
+        /**
+         * The description of the command.
+         * @type {string}
+         */
+        this.description = data.description ?? '';
+
+        /**
+         * The raw options of the command, including its subcommands.
+         * @type {object[]}
+         */
+        this.options = data.options ?? [];
+
+        /**
+         * The ID of the guild the command is registered in, null for global commands.
+         * @type {?Snowflake}
+         */
+        this.guildId = data.guild_id ?? null;
+    }
+
+    /**
+     * Builds the interaction data to run the command, checking the option values against the command's options.
+     * @param {string[]} subcommands The names of the subcommand group and/or subcommand to run
+     * @param {Array<*>} values The option values, in the order the command declares its options.
+     * `undefined` or `null` leaves an optional option out
+     * @returns {Promise<{ data: object, files: Array<RawFile> }>} The interaction data, and the files to upload
+     * for attachment options
+     */
+    async resolveInteractionData(subcommands, values) {
+        const path = [];
+        let declared = this.options;
+        for (const name of subcommands) {
+            const subcommand = declared.find(option => SubcommandTypes.includes(option.type) && option.name === name);
+            if (!subcommand) throw new Error(`"/${[this.name, ...path.map(sub => sub.name)].join(' ')}" has no subcommand "${name}".`);
+            path.push(subcommand);
+            declared = subcommand.options ?? [];
+        }
+
+        const fullName = [this.name, ...subcommands].join(' ');
+        const nested = declared.filter(option => SubcommandTypes.includes(option.type));
+        if (nested.length) {
+            throw new Error(`"/${fullName}" needs a subcommand: ${nested.map(option => option.name).join(', ')}.`);
+        }
+        if (values.length > declared.length) {
+            throw new RangeError(`"/${fullName}" takes at most ${declared.length} options, got ${values.length}.`);
+        }
+
+        const options = [];
+        const attachments = [];
+        const files = [];
+        for (const [index, option] of declared.entries()) {
+            const value = values[index];
+            if (value === undefined || value === null) {
+                if (option.required) throw new Error(`The option "${option.name}" of "/${fullName}" is required.`);
+                continue;
+            }
+
+            if (option.type === OptionType.Attachment) {
+                const id = files.length;
+                const name = MessagePayload.resolveFileName(value, id);
+                files.push({ key: `files[${id}]`, name, data: await MessagePayload.resolveFile(value?.attachment ?? value) });
+                attachments.push({ id: String(id), filename: name });
+                options.push({ type: option.type, name: option.name, value: id });
+            } else {
+                options.push({ type: option.type, name: option.name, value: this._resolveOptionValue(option, value) });
+            }
+        }
+
+        return {
+            data: {
+                version: this.version,
+                id: this.id,
+                name: this.name,
+                type: this.type,
+                // Subcommands wrap the options of the subcommand they run
+                options: path.reduceRight((inner, sub) => [{ type: sub.type, name: sub.name, options: inner }], options),
+                application_command: this.toJSON(),
+                attachments,
+            },
+            files,
+        };
+    }
+
+    /**
+     * Checks an option value against the option's type, choices and bounds.
+     * @param {object} option The raw option
+     * @param {*} value The value
+     * @returns {string|number|boolean} The value to send
+     * @private
+     */
+    _resolveOptionValue(option, value) {
+        if (option.choices?.length) {
+            // Choices can be given by value or by name
+            const choice = option.choices.find(({ name, value: choiceValue }) => choiceValue === value || name === value);
+            if (!choice) {
+                throw new Error(`"${value}" is not a choice of the option "${option.name}": ${
+                    option.choices.map(({ name }) => name).join(', ')}.`);
+            }
+            return choice.value;
+        }
+
+        switch (option.type) {
+            case OptionType.String:
+                if (typeof value !== 'string') throw new Error(`The option "${option.name}" must be a string.`);
+                if (value.length < (option.min_length ?? 0) || value.length > (option.max_length ?? 6000)) {
+                    throw new RangeError(`The option "${option.name}" must be between ${option.min_length ?? 0} and ${
+                        option.max_length ?? 6000} characters long.`);
+                }
+                return value;
+            case OptionType.Integer:
+            case OptionType.Number: {
+                const valid = option.type === OptionType.Integer ? Number.isInteger(value) : Number.isFinite(value);
+                if (!valid) {
+                    throw new Error(`The option "${option.name}" must be ${option.type === OptionType.Integer ? 'an integer' : 'a number'}.`);
+                }
+                if (value < (option.min_value ?? -Infinity) || value > (option.max_value ?? Infinity)) {
+                    throw new RangeError(`The option "${option.name}" must be between ${option.min_value ?? '-Infinity'} and ${
+                        option.max_value ?? 'Infinity'}.`);
+                }
+                return value;
+            }
+            case OptionType.Boolean:
+                if (typeof value !== 'boolean') throw new Error(`The option "${option.name}" must be a boolean.`);
+                return value;
+            case OptionType.User:
+            case OptionType.Channel:
+            case OptionType.Role:
+            case OptionType.Mentionable: {
+                const id = typeof value === 'string' ? value : value?.id;
+                if (typeof id !== 'string') throw new Error(`The option "${option.name}" must be an ID, or a structure with one.`);
+                if (option.type === OptionType.Channel && option.channel_types?.length) {
+                    const channel = this.client.channels.resolve(id);
+                    if (channel && !option.channel_types.includes(channel.type)) {
+                        throw new Error(`The channel ${id} is not of a type accepted by the option "${option.name}".`);
+                    }
+                }
+                return id;
+            }
+            default:
+                return value;
+        }
+    }
+
+    /**
+     * Returns the command's mention when converted to a string.
+     * @returns {string}
+     */
+    toString() {
+        return `</${this.name}:${this.id}>`;
+    }
+
+    /**
+     * Creates a JSON representation of the command.
+     * @returns {object}
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            application_id: this.applicationId,
+            version: this.version,
+            type: this.type,
+            name: this.name,
+            description: this.description,
+            options: this.options,
+            guild_id: this.guildId ?? undefined,
+        };
+    }
+}
+
+module.exports = ApplicationCommand;
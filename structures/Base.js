@@ -44,7 +44,11 @@ class Base {
      */
     _clone() {
         // Creates a new instance of the same class and copies properties.
-        return Object.assign(Object.create(this), this);
+        // The prototype must be the class's, not `this`: otherwise properties the clone doesn't
+        // have yet would be read from the live instance after it gets patched.
+        const clone = Object.assign(Object.create(Object.getPrototypeOf(this)), this);
+        Object.defineProperty(clone, 'client', { value: this.client });
+        return clone;
     }
 
     /**
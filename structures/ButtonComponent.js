@@ -0,0 +1,67 @@
+// src/structures/ButtonComponent.js
+
+const Component = require('./Component');
+const { ButtonStyle } = require('../util/Constants');
+
+/**
+ * Represents a button received in a message.
+ * @extends {Component}
+ */
+class ButtonComponent extends Component {
+    /**
+     * The style of the button, see `Constants.ButtonStyle`.
+     * @type {number}
+     * @readonly
+     */
+    get style() {
+        return this.data.style;
+    }
+
+    /**
+     * The label of the button.
+     * @type {?string}
+     * @readonly
+     */
+    get label() {
+        return this.data.label ?? null;
+    }
+
+    /**
+     * The emoji of the button.
+     * @type {?{ id: ?Snowflake, name: ?string, animated: boolean }}
+     * @readonly
+     */
+    get emoji() {
+        const { emoji } = this.data;
+        return emoji ? { id: emoji.id ?? null, name: emoji.name ?? null, animated: emoji.animated ?? false } : null;
+    }
+
+    /**
+     * The URL a link button opens.
+     * @type {?string}
+     * @readonly
+     */
+    get url() {
+        return this.data.url ?? null;
+    }
+
+    /**
+     * Whether the button is disabled.
+     * @type {boolean}
+     * @readonly
+     */
+    get disabled() {
+        return this.data.disabled ?? false;
+    }
+
+    /**
+     * Whether clicking the button sends an interaction to the application (link and premium buttons don't).
+     * @type {boolean}
+     * @readonly
+     */
+    get interactive() {
+        return this.style !== ButtonStyle.Link && this.style !== ButtonStyle.Premium;
+    }
+}
+
+module.exports = ButtonComponent;
@@ -0,0 +1,21 @@
+// src/structures/CategoryChannel.js
+
+const GuildChannel = require('./GuildChannel');
+const Collection = require('../util/Collection');
+
+/**
+ * Represents a guild category, which groups other channels.
+ * @extends {GuildChannel}
+ */
+class CategoryChannel extends GuildChannel {
+    /**
+     * The cached channels in this category.
+     * @type {Collection<string, GuildChannel>}
+     * @readonly
+     */
+    get children() {
+        return this.guild?.channels.cache.filter(channel => channel.parentId === this.id) ?? new Collection();
+    }
+}
+
+module.exports = CategoryChannel;
@@ -2,6 +2,10 @@
 
 const Base = require('./Base');
 const MessageManager = require('../managers/MessageManager');
+const MessagePayload = require('./MessagePayload');
+const ApplicationCommand = require('./ApplicationCommand');
+const Collection = require('../util/Collection');
+const { ApplicationCommandType, Gateway, InteractionType, MessageFlags } = require('../util/Constants');
 
 // Define channel types based on Discord's API values.
 const CHANNEL_TYPES = {
@@ -50,20 +54,122 @@ class Channel extends Base {
   /**
    * Sends a message to the channel.
    * @param {string|object} content The message content or options.
-   * @returns {Promise<object>} The created message data.
+   * @param {Array<FileLike>} [content.files] Files to attach, see {@link MessagePayload}.
+   * @returns {Promise<Message>} The sent message, added to this channel's message cache.
    */
   async send(content) {
     if (!this.client.token) throw new Error('Client not logged in or token unavailable.');
     if (!this.id) throw new Error('Channel ID is missing.');
-    try {
-      const messageData = await this.client.rest.createMessage(this.id, content);
-      // If you have a Message class and want to add caching, you could call:
-      // return this.messages._add(messageData);
-      return messageData;
-    } catch (error) {
-      console.error(`[Channel Send Error] Failed to send message to channel ${this.id}:`, error);
-      throw error;
+    const { body, files } = await MessagePayload.create(this, content);
+    const messageData = await this.client.rest.createMessage(this.id, body, files);
+    return this.messages._add(messageData);
+  }
+
+  /**
+   * Searches the application commands that can be used in the channel.
+   * @param {string} [query=''] Text the command names must contain, case-insensitively.
+   * @param {object} [options={}] Options for the search.
+   * @param {number} [options.type=ApplicationCommandType.ChatInput] The type of commands to search.
+   * @param {Snowflake} [options.applicationId] Only return the commands of this application,
+   * given by its ID or the ID of its bot.
+   * @param {number} [options.limit=Infinity] The maximum number of commands to return.
+   * @returns {Promise<Collection<Snowflake, ApplicationCommand>>}
+   */
+  async searchApplicationCommands(query = '', { type = ApplicationCommandType.ChatInput, applicationId, limit = Infinity } = {}) {
+    // Guild channels share their guild's index, DMs have their own
+    const endpoint = this.guild
+      ? `/guilds/${this.guild.id}/application-command-index`
+      : `/channels/${this.id}/application-command-index`;
+    const index = await this.client.rest.request('GET', endpoint);
+    const applications = new Map((index.applications ?? []).map(application => [application.id, application]));
+
+    const search = query.toLowerCase();
+    const commands = new Collection();
+    for (const data of index.application_commands ?? []) {
+      if (commands.size >= limit) break;
+      const command = new ApplicationCommand(this.client, data, applications.get(data.application_id));
+      if (command.type !== type || !command.name.toLowerCase().includes(search)) continue;
+      if (applicationId && command.applicationId !== applicationId && command.botId !== applicationId) continue;
+      commands.set(command.id, command);
     }
+    return commands;
+  }
+
+  /**
+   * Runs a slash command of a bot in the channel, as the client user, and waits for the bot's response.
+   * Option values are given in the order the command declares its options; `undefined` skips an optional one.
+   * Attachment options take a {@link FileLike}, choices can be given by value or by name.
+   * The response is awaited for the `interactionTimeout` client option, deferred responses included.
+   * @param {Snowflake} botId The ID of the bot, or of its application.
+   * @param {string} commandName The name of the command, followed by its subcommand group and/or subcommand.
+   * @param {...*} options The option values.
+   * @returns {Promise<Message>} The bot's response.
+   * @example
+   * const reply = await channel.sendSlash('123456789012345678', 'remind add', 'stand-up', 15);
+   */
+  async sendSlash(botId, commandName, ...options) {
+    if (!this.isTextBased()) throw new Error('Commands can only be used in text-based channels.');
+    const [name, ...subcommands] = commandName.trim().split(/\s+/);
+    const commands = await this.searchApplicationCommands(name, { applicationId: botId });
+    const command = commands.find(cmd => cmd.name === name);
+    if (!command) throw new Error(`The application ${botId} has no command "/${name}" in this channel.`);
+
+    const { data, files } = await command.resolveInteractionData(subcommands, options);
+    return this._sendCommandInteraction(command, data, files);
+  }
+
+  /**
+   * Sends an application command interaction in the channel, then waits for the application's response message.
+   * A deferred response resolves once the application edits its "thinking" placeholder.
+   * @param {ApplicationCommand} command The command.
+   * @param {object} data The interaction data.
+   * @param {Array<RawFile>} files Files to upload for attachment options.
+   * @returns {Promise<Message>}
+   * @private
+   */
+  async _sendCommandInteraction(command, data, files) {
+    const { Events } = Gateway;
+    return this.client._sendInteraction({
+      type: InteractionType.ApplicationCommand,
+      guild_id: this.guild?.id,
+      channel_id: this.id,
+      application_id: command.applicationId,
+      data,
+    }, {
+      files,
+      timeout: this.client.options.interactionTimeout,
+      timeoutMessage: 'Timed out waiting for the application to respond.',
+      listen: (nonce, done) => {
+        let interactionId = null;
+        // Responses received before Discord acknowledged the interaction, keyed by interaction ID
+        const early = new Map();
+        // The "thinking" placeholder of a deferred response
+        let placeholderId = null;
+
+        const onResponse = message => {
+          if (message.flags & MessageFlags.Loading) placeholderId = message.id;
+          else done(null, message);
+        };
+        return {
+          [Events.INTERACTION_CREATE]: d => {
+            if (d.nonce !== nonce) return;
+            interactionId = d.id;
+            if (early.has(interactionId)) onResponse(early.get(interactionId));
+          },
+          [Events.INTERACTION_FAILURE]: d => d.nonce === nonce
+            && done(new Error('The application did not respond to the interaction.')),
+          [Events.MESSAGE_CREATE]: message => {
+            const id = message.interactionMetadata?.id;
+            if (message.channelId !== this.id || !id) return;
+            if (id === interactionId) onResponse(message);
+            else if (!interactionId) early.set(id, message);
+          },
+          [Events.MESSAGE_UPDATE]: (_, message) => {
+            if (message.id === placeholderId && !(message.flags & MessageFlags.Loading)) done(null, message);
+          },
+        };
+      },
+    });
   }
 
   /**
@@ -75,6 +181,36 @@ class Channel extends Base {
     return this.type === CHANNEL_TYPES.GUILD_VOICE || this.type === CHANNEL_TYPES.GUILD_STAGE_VOICE;
   }
 
+  /**
+   * Checks if the channel is a thread (news, public or private).
+   * @returns {boolean}
+   */
+  isThread() {
+    return [
+      CHANNEL_TYPES.GUILD_NEWS_THREAD,
+      CHANNEL_TYPES.GUILD_PUBLIC_THREAD,
+      CHANNEL_TYPES.GUILD_PRIVATE_THREAD,
+    ].includes(this.type);
+  }
+
+  /**
+   * Checks if the channel is a DM or group DM.
+   * @returns {boolean}
+   */
+  isDMBased() {
+    return this.type === CHANNEL_TYPES.DM || this.type === CHANNEL_TYPES.GROUP_DM;
+  }
+
+  /**
+   * Checks if messages can be sent in the channel.
+   * Voice and stage channels count, since they have a text chat.
+   * @returns {boolean}
+   */
+  isTextBased() {
+    return ![CHANNEL_TYPES.GUILD_CATEGORY, CHANNEL_TYPES.GUILD_FORUM, CHANNEL_TYPES.GUILD_DIRECTORY, CHANNEL_TYPES.GUILD_STORE]
+      .includes(this.type);
+  }
+
   /**
    * Returns a JSON representation of the channel.
    * @returns {object}
@@ -98,4 +234,10 @@ class Channel extends Base {
   }
 }
 
+/**
+ * The raw channel type values, keyed by name.
+ * @type {Object<string, number>}
+ */
+Channel.CHANNEL_TYPES = CHANNEL_TYPES;
+
 module.exports = Channel;
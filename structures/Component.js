@@ -0,0 +1,48 @@
+// src/structures/Component.js
+
+/**
+ * Represents a component received in a message (action row, button, select menu...).
+ * Components are read-only; specific types extend this class. Types the library doesn't know
+ * are kept as plain Components holding their raw data.
+ */
+class Component {
+    /**
+     * @param {object} data The raw component data
+     */
+    constructor(data) {
+        /**
+         * The raw component data.
+         * @type {object}
+         * @readonly
+         */
+        this.data = { ...data };
+    }
+
+    /**
+     * The type of the component, see `Constants.ComponentType`.
+     * @type {number}
+     * @readonly
+     */
+    get type() {
+        return this.data.type;
+    }
+
+    /**
+     * The custom ID the application identifies the component with, null for components without one.
+     * @type {?string}
+     * @readonly
+     */
+    get customId() {
+        return this.data.custom_id ?? null;
+    }
+
+    /**
+     * Gets the raw component data.
+     * @returns {object}
+     */
+    toJSON() {
+        return { ...this.data };
+    }
+}
+
+module.exports = Component;
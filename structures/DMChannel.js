@@ -0,0 +1,56 @@
+// src/structures/DMChannel.js
+
+const Channel = require('./Channel');
+
+/**
+ * Represents a direct message channel with a single user.
+ * @extends {Channel}
+ */
+class DMChannel extends Channel {
+    /**
+     * Updates the channel with new data.
+     * @param {object} data The raw channel data
+     * @protected
+     */
+    _patch(data) {
+        super._patch(data);
+
+        if (data.recipients?.length) {
+            /**
+             * The ID of the user on the other end of this DM.
+             * @type {string}
+             */
+            this.recipientId = this.client.users._add(data.recipients[0]).id;
+        } else if (data.recipient_ids?.length) {
+            // User account READY payloads only carry recipient IDs
+            this.recipientId = data.recipient_ids[0];
+        }
+
+        if (data.last_message_id !== undefined) {
+            /**
+             * The ID of the last message sent in this channel, if known.
+             * @type {?string}
+             */
+            this.lastMessageId = data.last_message_id;
+        }
+    }
+
+    /**
+     * The user on the other end of this DM, if cached.
+     * @type {?User}
+     * @readonly
+     */
+    get recipient() {
+        return this.client.users.resolve(this.recipientId) ?? null;
+    }
+
+    /**
+     * Returns the recipient's mention when converted to a string.
+     * @returns {string}
+     */
+    toString() {
+        return `<@${this.recipientId}>`;
+    }
+}
+
+module.exports = DMChannel;
@@ -0,0 +1,216 @@
+// src/structures/Embed.js
+
+/**
+ * Represents an embed received in a message. Embeds are read-only;
+ * use `EmbedBuilder.from(embed)` to send a modified copy.
+ */
+class Embed {
+    /**
+     * @param {object} data The raw embed data
+     */
+    constructor(data) {
+        /**
+         * The raw embed data.
+         * @type {object}
+         * @readonly
+         */
+        this.data = { ...data };
+    }
+
+    /**
+     * The type of the embed (`rich` for bot and webhook embeds, `image`, `video`, `link`... for link previews).
+     * @type {?string}
+     * @readonly
+     */
+    get type() {
+        return this.data.type ?? null;
+    }
+
+    /**
+     * The title of the embed.
+     * @type {?string}
+     * @readonly
+     */
+    get title() {
+        return this.data.title ?? null;
+    }
+
+    /**
+     * The description of the embed.
+     * @type {?string}
+     * @readonly
+     */
+    get description() {
+        return this.data.description ?? null;
+    }
+
+    /**
+     * The URL of the embed's title.
+     * @type {?string}
+     * @readonly
+     */
+    get url() {
+        return this.data.url ?? null;
+    }
+
+    /**
+     * The color of the embed, as a number.
+     * @type {?number}
+     * @readonly
+     */
+    get color() {
+        return this.data.color ?? null;
+    }
+
+    /**
+     * The color of the embed as a hex string (`#rrggbb`).
+     * @type {?string}
+     * @readonly
+     */
+    get hexColor() {
+        return typeof this.data.color === 'number' ? `#${this.data.color.toString(16).padStart(6, '0')}` : null;
+    }
+
+    /**
+     * The timestamp of the embed, as an ISO 8601 string.
+     * @type {?string}
+     * @readonly
+     */
+    get timestamp() {
+        return this.data.timestamp ?? null;
+    }
+
+    /**
+     * The fields of the embed.
+     * @type {Array<{ name: string, value: string, inline: boolean }>}
+     * @readonly
+     */
+    get fields() {
+        return (this.data.fields ?? []).map(({ name, value, inline }) => ({ name, value, inline: inline ?? false }));
+    }
+
+    /**
+     * The author of the embed.
+     * @type {?{ name: string, url: ?string, iconURL: ?string, proxyIconURL: ?string }}
+     * @readonly
+     */
+    get author() {
+        const { author } = this.data;
+        if (!author) return null;
+        return {
+            name: author.name,
+            url: author.url ?? null,
+            iconURL: author.icon_url ?? null,
+            proxyIconURL: author.proxy_icon_url ?? null,
+        };
+    }
+
+    /**
+     * The footer of the embed.
+     * @type {?{ text: string, iconURL: ?string, proxyIconURL: ?string }}
+     * @readonly
+     */
+    get footer() {
+        const { footer } = this.data;
+        if (!footer) return null;
+        return { text: footer.text, iconURL: footer.icon_url ?? null, proxyIconURL: footer.proxy_icon_url ?? null };
+    }
+
+    /**
+     * The image of the embed.
+     * @type {?EmbedMedia}
+     * @readonly
+     */
+    get image() {
+        return Embed.resolveMedia(this.data.image);
+    }
+
+    /**
+     * The thumbnail of the embed.
+     * @type {?EmbedMedia}
+     * @readonly
+     */
+    get thumbnail() {
+        return Embed.resolveMedia(this.data.thumbnail);
+    }
+
+    /**
+     * The video of the embed. Only link previews have one.
+     * @type {?EmbedMedia}
+     * @readonly
+     */
+    get video() {
+        return Embed.resolveMedia(this.data.video);
+    }
+
+    /**
+     * The provider of the embed (e.g. YouTube). Only link previews have one.
+     * @type {?{ name: ?string, url: ?string }}
+     * @readonly
+     */
+    get provider() {
+        const { provider } = this.data;
+        return provider ? { name: provider.name ?? null, url: provider.url ?? null } : null;
+    }
+
+    /**
+     * The number of characters Discord counts against its limits: the title, description,
+     * field names and values, footer text and author name.
+     * @type {number}
+     * @readonly
+     */
+    get length() {
+        return Embed.lengthOf(this.data);
+    }
+
+    /**
+     * Checks whether this embed has the same data as another.
+     * @param {Embed|object} other The embed, or raw embed data
+     * @returns {boolean}
+     */
+    equals(other) {
+        return JSON.stringify(this.data) === JSON.stringify(other instanceof Embed ? other.data : other);
+    }
+
+    /**
+     * Gets the raw embed data.
+     * @returns {object}
+     */
+    toJSON() {
+        return { ...this.data };
+    }
+
+    /**
+     * An image, thumbnail or video of an embed.
+     * @typedef {object} EmbedMedia
+     * @property {string} url The source URL
+     * @property {?string} proxyURL The URL proxied through Discord's CDN
+     * @property {?number} height The height, in pixels
+     * @property {?number} width The width, in pixels
+     */
+
+    /**
+     * Resolves raw embed media to the camelCase shape.
+     * @param {?object} media The raw media
+     * @returns {?EmbedMedia}
+     */
+    static resolveMedia(media) {
+        if (!media) return null;
+        return { url: media.url, proxyURL: media.proxy_url ?? null, height: media.height ?? null, width: media.width ?? null };
+    }
+
+    /**
+     * Counts the characters of raw embed data, see `length`.
+     * @param {object} data The raw embed data
+     * @returns {number}
+     */
+    static lengthOf(data) {
+        return (data.title?.length ?? 0)
+            + (data.description?.length ?? 0)
+            + (data.fields ?? []).reduce((total, field) => total + (field.name?.length ?? 0) + (field.value?.length ?? 0), 0)
+            + (data.footer?.text?.length ?? 0)
+            + (data.author?.name?.length ?? 0);
+    }
+}
+
+module.exports = Embed;
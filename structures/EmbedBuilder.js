@@ -0,0 +1,296 @@
+// src/structures/EmbedBuilder.js
+
+const Embed = require('./Embed');
+const { EmbedLimits } = require('../util/Constants');
+
+/**
+ * An embed field.
+ * @typedef {object} EmbedField
+ * @property {string} name The name of the field
+ * @property {string} value The value of the field
+ * @property {boolean} [inline=false] Whether the field is displayed next to other inline fields
+ */
+
+/**
+ * Builds an embed to send, checking Discord's limits so invalid embeds fail before the request
+ * instead of with a 400. Each setter checks its own limit; the whole embed, including its total length,
+ * is checked again by `toJSON()`, which `Channel#send` and `Message#edit` call.
+ * @example
+ * const embed = new EmbedBuilder()
+ *   .setTitle('Deploy finished')
+ *   .setColor('#57f287')
+ *   .addFields({ name: 'Branch', value: 'main', inline: true })
+ *   .setTimestamp();
+ * await channel.send({ embeds: [embed] });
+ */
+class EmbedBuilder {
+    /**
+     * @param {object|Embed} [data={}] Raw embed data, or an Embed to copy
+     */
+    constructor(data = {}) {
+        /**
+         * The raw embed data being built.
+         * @type {object}
+         */
+        this.data = { ...(data instanceof Embed ? data.data : data) };
+        if (this.data.fields) this.data.fields = this.data.fields.map(field => ({ ...field }));
+    }
+
+    /**
+     * Creates a builder from an embed or raw embed data, e.g. to resend a received embed with changes.
+     * @param {EmbedBuilder|Embed|object} other The embed to copy
+     * @returns {EmbedBuilder}
+     */
+    static from(other) {
+        return new this(other instanceof EmbedBuilder ? other.data : other);
+    }
+
+    /**
+     * Sets the title.
+     * @param {?string} title The title, null to remove it
+     * @returns {EmbedBuilder}
+     */
+    setTitle(title) {
+        return this._set('title', EmbedBuilder.checkText(title, EmbedLimits.Title, 'title'));
+    }
+
+    /**
+     * Sets the description.
+     * @param {?string} description The description, null to remove it
+     * @returns {EmbedBuilder}
+     */
+    setDescription(description) {
+        return this._set('description', EmbedBuilder.checkText(description, EmbedLimits.Description, 'description'));
+    }
+
+    /**
+     * Sets the URL the title links to.
+     * @param {?string} url The URL, null to remove it
+     * @returns {EmbedBuilder}
+     */
+    setURL(url) {
+        return this._set('url', url);
+    }
+
+    /**
+     * Sets the color.
+     * @param {?(number|string|number[])} color A number, a hex string (`#rrggbb`) or `[r, g, b]`, null to remove it
+     * @returns {EmbedBuilder}
+     */
+    setColor(color) {
+        return this._set('color', color === null ? null : EmbedBuilder.resolveColor(color));
+    }
+
+    /**
+     * Sets the timestamp shown in the footer.
+     * @param {?(Date|number)} [timestamp=Date.now()] The timestamp, null to remove it
+     * @returns {EmbedBuilder}
+     */
+    setTimestamp(timestamp = Date.now()) {
+        return this._set('timestamp', timestamp === null ? null : new Date(timestamp).toISOString());
+    }
+
+    /**
+     * Sets the author.
+     * @param {?{ name: string, url?: string, iconURL?: string }} author The author, null to remove it
+     * @returns {EmbedBuilder}
+     */
+    setAuthor(author) {
+        if (author === null) return this._set('author', null);
+        const data = { name: EmbedBuilder.checkText(author.name, EmbedLimits.AuthorName, 'author name', true) };
+        if (author.url) data.url = author.url;
+        if (author.iconURL) data.icon_url = author.iconURL;
+        return this._set('author', data);
+    }
+
+    /**
+     * Sets the footer.
+     * @param {?{ text: string, iconURL?: string }} footer The footer, null to remove it
+     * @returns {EmbedBuilder}
+     */
+    setFooter(footer) {
+        if (footer === null) return this._set('footer', null);
+        const data = { text: EmbedBuilder.checkText(footer.text, EmbedLimits.FooterText, 'footer text', true) };
+        if (footer.iconURL) data.icon_url = footer.iconURL;
+        return this._set('footer', data);
+    }
+
+    /**
+     * Sets the image.
+     * @param {?string} url The image URL (`attachment://name` for an uploaded file), null to remove it
+     * @returns {EmbedBuilder}
+     */
+    setImage(url) {
+        return this._set('image', url === null ? null : { url });
+    }
+
+    /**
+     * Sets the thumbnail.
+     * @param {?string} url The thumbnail URL (`attachment://name` for an uploaded file), null to remove it
+     * @returns {EmbedBuilder}
+     */
+    setThumbnail(url) {
+        return this._set('thumbnail', url === null ? null : { url });
+    }
+
+    /**
+     * Adds fields.
+     * @param {...(EmbedField|EmbedField[])} fields The fields to add
+     * @returns {EmbedBuilder}
+     */
+    addFields(...fields) {
+        return this.spliceFields(this.data.fields?.length ?? 0, 0, ...fields);
+    }
+
+    /**
+     * Removes, replaces and inserts fields, like `Array#splice`.
+     * @param {number} index The index to start at
+     * @param {number} deleteCount The number of fields to remove
+     * @param {...(EmbedField|EmbedField[])} fields The fields to insert
+     * @returns {EmbedBuilder}
+     */
+    spliceFields(index, deleteCount, ...fields) {
+        const resolved = fields.flat().map(EmbedBuilder.resolveField);
+        const next = [...(this.data.fields ?? [])];
+        next.splice(index, deleteCount, ...resolved);
+        if (next.length > EmbedLimits.Fields) throw new RangeError(`Embeds can have at most ${EmbedLimits.Fields} fields.`);
+        this.data.fields = next;
+        return this;
+    }
+
+    /**
+     * Replaces every field.
+     * @param {...(EmbedField|EmbedField[])} fields The new fields
+     * @returns {EmbedBuilder}
+     */
+    setFields(...fields) {
+        return this.spliceFields(0, this.data.fields?.length ?? 0, ...fields);
+    }
+
+    /**
+     * The number of characters Discord counts against its limits, see `Embed#length`.
+     * @type {number}
+     * @readonly
+     */
+    get length() {
+        return Embed.lengthOf(this.data);
+    }
+
+    /**
+     * Sets or removes a property of the data.
+     * @param {string} key The property
+     * @param {*} value The value, null to remove the property
+     * @returns {EmbedBuilder}
+     * @private
+     */
+    _set(key, value) {
+        if (value === null || value === undefined) delete this.data[key];
+        else this.data[key] = value;
+        return this;
+    }
+
+    /**
+     * Checks the embed against every limit, then gets its raw data.
+     * @returns {object}
+     * @throws {RangeError} If the embed is empty or over a limit.
+     */
+    toJSON() {
+        EmbedBuilder.validate(this.data);
+        const data = { ...this.data };
+        if (data.fields) data.fields = data.fields.map(field => ({ ...field }));
+        return data;
+    }
+
+    /**
+     * Checks raw embed data against Discord's limits.
+     * @param {object} data The raw embed data
+     * @throws {RangeError} If the embed is empty or over a limit.
+     */
+    static validate(data) {
+        EmbedBuilder.checkText(data.title, EmbedLimits.Title, 'title');
+        EmbedBuilder.checkText(data.description, EmbedLimits.Description, 'description');
+        EmbedBuilder.checkText(data.author?.name, EmbedLimits.AuthorName, 'author name');
+        EmbedBuilder.checkText(data.footer?.text, EmbedLimits.FooterText, 'footer text');
+        if ((data.fields?.length ?? 0) > EmbedLimits.Fields) {
+            throw new RangeError(`Embeds can have at most ${EmbedLimits.Fields} fields.`);
+        }
+        data.fields?.forEach(EmbedBuilder.resolveField);
+
+        const length = Embed.lengthOf(data);
+        if (length > EmbedLimits.Total) {
+            throw new RangeError(`Embeds can have at most ${EmbedLimits.Total} characters in total, got ${length}.`);
+        }
+        const visible = ['title', 'description', 'fields', 'author', 'footer', 'image', 'thumbnail', 'timestamp'];
+        if (!visible.some(key => data[key] && (key !== 'fields' || data.fields.length))) {
+            throw new RangeError('Embeds must have at least a title, description, field, author, footer, image or timestamp.');
+        }
+    }
+
+    /**
+     * Checks the length of a text.
+     * @param {?string} text The text
+     * @param {number} max The maximum length
+     * @param {string} name The name of the text, for the error message
+     * @param {boolean} [required=false] Whether the text can't be empty
+     * @returns {?string} The text
+     * @throws {RangeError} If the text is too long, or missing when required.
+     */
+    static checkText(text, max, name, required = false) {
+        if (text === null || text === undefined || text === '') {
+            if (required) throw new RangeError(`The embed ${name} can't be empty.`);
+            return text ?? null;
+        }
+        if (typeof text !== 'string') throw new TypeError(`The embed ${name} must be a string.`);
+        if (text.length > max) throw new RangeError(`The embed ${name} can have at most ${max} characters, got ${text.length}.`);
+        return text;
+    }
+
+    /**
+     * Checks a field and resolves it to its raw shape.
+     * @param {EmbedField} field The field
+     * @returns {object}
+     */
+    static resolveField(field) {
+        return {
+            name: EmbedBuilder.checkText(field.name, EmbedLimits.FieldName, 'field name', true),
+            value: EmbedBuilder.checkText(field.value, EmbedLimits.FieldValue, 'field value', true),
+            inline: field.inline ?? false,
+        };
+    }
+
+    /**
+     * Resolves a color to a number.
+     * @param {number|string|number[]} color A number, a hex string (`#rrggbb` or `rrggbb`) or `[r, g, b]`
+     * @returns {number}
+     */
+    static resolveColor(color) {
+        let resolved = color;
+        if (typeof color === 'string' && /^#?[\da-f]{6}$/i.test(color)) resolved = parseInt(color.replace('#', ''), 16);
+        else if (Array.isArray(color) && color.length === 3) resolved = (color[0] << 16) + (color[1] << 8) + color[2];
+        if (!Number.isInteger(resolved) || resolved < 0 || resolved > 0xffffff) {
+            throw new RangeError(`Invalid embed color: ${color}.`);
+        }
+        return resolved;
+    }
+
+    /**
+     * Resolves the embeds of a message to raw data, checking each embed and the combined limits.
+     * Raw embed objects are checked too.
+     * @param {Array<EmbedBuilder|Embed|object>} embeds The embeds
+     * @returns {object[]}
+     * @throws {RangeError} If there are too many embeds or one is invalid.
+     */
+    static resolveEmbeds(embeds) {
+        if (embeds.length > EmbedLimits.Embeds) {
+            throw new RangeError(`Messages can have at most ${EmbedLimits.Embeds} embeds.`);
+        }
+        const resolved = embeds.map(embed => EmbedBuilder.from(embed).toJSON());
+        const length = resolved.reduce((total, embed) => total + Embed.lengthOf(embed), 0);
+        if (length > EmbedLimits.Total) {
+            throw new RangeError(`The embeds of a message can have at most ${EmbedLimits.Total} characters in total, got ${length}.`);
+        }
+        return resolved;
+    }
+}
+
+module.exports = EmbedBuilder;
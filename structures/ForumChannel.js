@@ -0,0 +1,152 @@
+// src/structures/ForumChannel.js
+
+const GuildChannel = require('./GuildChannel');
+const ThreadManager = require('../managers/ThreadManager');
+const Util = require('../util/Util');
+
+/**
+ * A tag that can be applied to the posts of a forum.
+ * @typedef {object} ForumTag
+ * @property {Snowflake} id The ID of the tag
+ * @property {string} name The name of the tag
+ * @property {boolean} moderated Whether only members with Manage Threads can apply the tag
+ * @property {?{ id: ?Snowflake, name: ?string }} emoji The emoji of the tag
+ */
+
+/**
+ * Represents a guild forum channel. Forums hold no messages themselves,
+ * every post is a thread whose parent is the forum.
+ * @extends {GuildChannel}
+ */
+class ForumChannel extends GuildChannel {
+    /**
+     * Updates the channel with new data.
+     * @param {object} data The raw channel data
+     * @protected
+     */
+    _patch(data) {
+        super._patch(data);
+
+        /**
+         * The posts of the forum.
+         * @type {ThreadManager}
+         */
+        this.threads ??= new ThreadManager(this);
+
+        if (data.available_tags !== undefined) {
+            /**
+             * The tags that can be applied to the posts.
+             * @type {ForumTag[]}
+             */
+            this.availableTags = data.available_tags.map(tag => ({
+                id: tag.id,
+                name: tag.name,
+                moderated: tag.moderated ?? false,
+                emoji: tag.emoji_id || tag.emoji_name ? { id: tag.emoji_id ?? null, name: tag.emoji_name ?? null } : null,
+            }));
+        } else {
+            this.availableTags ??= [];
+        }
+
+        if (data.default_reaction_emoji !== undefined) {
+            const emoji = data.default_reaction_emoji;
+            /**
+             * The emoji shown in the add reaction button of the posts.
+             * @type {?{ id: ?Snowflake, name: ?string }}
+             */
+            this.defaultReactionEmoji = emoji ? { id: emoji.emoji_id ?? null, name: emoji.emoji_name ?? null } : null;
+        }
+
+        if (data.default_sort_order !== undefined) {
+            /**
+             * How posts are sorted, see `Constants.SortOrderType`. Null when the user picks.
+             * @type {?number}
+             */
+            this.defaultSortOrder = data.default_sort_order;
+        }
+
+        if (data.default_forum_layout !== undefined) {
+            /**
+             * How posts are laid out, see `Constants.ForumLayoutType`.
+             * @type {number}
+             */
+            this.defaultForumLayout = data.default_forum_layout;
+        }
+
+        if (data.default_auto_archive_duration !== undefined) {
+            /**
+             * The default auto archive duration of new posts, in minutes.
+             * @type {?number}
+             */
+            this.defaultAutoArchiveDuration = data.default_auto_archive_duration;
+        }
+
+        if (data.default_thread_rate_limit_per_user !== undefined) {
+            /**
+             * The default slowmode of new posts, in seconds.
+             * @type {?number}
+             */
+            this.defaultThreadRateLimitPerUser = data.default_thread_rate_limit_per_user;
+        }
+    }
+
+    /**
+     * Resolves tags of the forum to their IDs.
+     * @param {Array<ForumTag|Snowflake|string>} tags The tags, their IDs or their names
+     * @returns {Snowflake[]}
+     */
+    resolveTags(tags) {
+        return tags.map(tag => {
+            const id = typeof tag === 'string' ? tag : tag?.id;
+            const found = this.availableTags.find(available => available.id === id || available.name === tag);
+            if (!found) throw new Error(`The forum has no tag "${id ?? tag}".`);
+            return found.id;
+        });
+    }
+
+    /**
+     * Sets the tags that can be applied to the posts. Tags without an ID are created,
+     * tags left out are deleted.
+     * @param {Array<{ id?: Snowflake, name: string, moderated?: boolean, emoji?: ?(string|object) }>} availableTags
+     * The tags
+     * @param {string} [reason] Audit log reason
+     * @returns {Promise<ForumChannel>}
+     */
+    setAvailableTags(availableTags, reason) {
+        return this.edit({ availableTags }, reason);
+    }
+
+    /**
+     * Sets the emoji shown in the add reaction button of the posts.
+     * @param {?(string|object)} defaultReactionEmoji The emoji, null to remove it
+     * @param {string} [reason] Audit log reason
+     * @returns {Promise<ForumChannel>}
+     */
+    setDefaultReactionEmoji(defaultReactionEmoji, reason) {
+        return this.edit({ defaultReactionEmoji }, reason);
+    }
+
+    /**
+     * Sets how posts are sorted.
+     * @param {?number} defaultSortOrder The sort order, see `Constants.SortOrderType`
+     * @param {string} [reason] Audit log reason
+     * @returns {Promise<ForumChannel>}
+     */
+    setDefaultSortOrder(defaultSortOrder, reason) {
+        return this.edit({ defaultSortOrder }, reason);
+    }
+
+    /**
+     * Resolves an emoji to the shape forums use for tag and reaction emojis.
+     * @param {?(string|object)} emoji The emoji text, custom emoji ID, or an object with `id` and `name`
+     * @returns {{ emoji_id: ?Snowflake, emoji_name: ?string }}
+     * @static
+     */
+    static resolveEmoji(emoji) {
+        const resolved = Util.resolvePartialEmoji(emoji);
+        // Custom emojis are identified by ID only
+        return { emoji_id: resolved?.id ?? null, emoji_name: resolved?.id ? null : resolved?.name ?? null };
+    }
+}
+
+module.exports = ForumChannel;
@@ -0,0 +1,65 @@
+// src/structures/GroupDMChannel.js
+
+const Channel = require('./Channel');
+
+/**
+ * Represents a group direct message channel.
+ * @extends {Channel}
+ */
+class GroupDMChannel extends Channel {
+    /**
+     * Updates the channel with new data.
+     * @param {object} data The raw channel data
+     * @protected
+     */
+    _patch(data) {
+        super._patch(data);
+
+        if (data.recipients) {
+            /**
+             * The IDs of the other users in this group (the client user is not included).
+             * @type {string[]}
+             */
+            this.recipientIds = data.recipients.map(user => this.client.users._add(user).id);
+        } else if (data.recipient_ids) {
+            this.recipientIds = [...data.recipient_ids];
+        } else if (!this.recipientIds) {
+            this.recipientIds = [];
+        }
+
+        if (data.owner_id !== undefined) {
+            /**
+             * The ID of the user who owns the group.
+             * @type {string}
+             */
+            this.ownerId = data.owner_id;
+        }
+
+        if (data.icon !== undefined) {
+            /**
+             * The group's icon hash.
+             * @type {?string}
+             */
+            this.icon = data.icon;
+        }
+
+        if (data.last_message_id !== undefined) {
+            /**
+             * The ID of the last message sent in this channel, if known.
+             * @type {?string}
+             */
+            this.lastMessageId = data.last_message_id;
+        }
+    }
+
+    /**
+     * The cached users in this group.
+     * @type {User[]}
+     * @readonly
+     */
+    get recipients() {
+        return this.recipientIds.map(id => this.client.users.resolve(id)).filter(Boolean);
+    }
+}
+
+module.exports = GroupDMChannel;
@@ -2,7 +2,11 @@
 
 const Base = require('./Base');
 const ChannelManager = require('../managers/ChannelManager');
+const GuildMemberManager = require('../managers/GuildMemberManager');
+const RoleManager = require('../managers/RoleManager');
+const StageInstanceManager = require('../managers/StageInstanceManager');
 const VoiceState = require('./VoiceState'); // Required for handling voice states
+const Collection = require('../util/Collection');
 const { createVoiceDispatch } = require('../voice/VoiceManager'); // Required for voice adapter
 
 /**
@@ -30,17 +34,29 @@ class Guild extends Base {
         this.channels = new ChannelManager(client, this); // Pass guild for filtering
 
         /**
-         * A manager or cache for guild members. (Basic Map for now).
-         * Requires privileged intents (usually unavailable to self-bots) or manual fetching/chunking for full population.
-         * @type {Map<string, object>} // Replace 'object' with actual GuildMember structure later
+         * The member manager for this guild. The cache only holds members seen in events,
+         * messages and voice states, or fetched explicitly.
+         * @type {GuildMemberManager}
          */
-        this.members = new Map(); // Placeholder for member cache
+        this.members = new GuildMemberManager(this);
 
         /**
-         * A map of user IDs to their voice states in this guild.
-         * @type {Map<string, VoiceState>}
+         * The role manager for this guild.
+         * @type {RoleManager}
          */
-        this.voiceStates = new Map(); // Store voice states keyed by user ID
+        this.roles = new RoleManager(this);
+
+        /**
+         * The stage instance manager for this guild, holding its live stages.
+         * @type {StageInstanceManager}
+         */
+        this.stageInstances = new StageInstanceManager(this);
+
+        /**
+         * A collection of user IDs to their voice states in this guild.
+         * @type {Collection<string, VoiceState>}
+         */
+        this.voiceStates = new Collection(); // Store voice states keyed by user ID
 
         /**
          * The cached voice adapter creator function for this guild.
@@ -98,6 +114,12 @@ class Guild extends Base {
 
 
         // Handle nested structures if present in data (e.g., from GUILD_CREATE)
+        // Roles come first, channel permissions depend on them
+        if (data.roles) {
+            const ids = new Set(data.roles.map(roleData => this.roles._add(roleData).id));
+            this.roles.cache.sweep((_, id) => !ids.has(id));
+        }
+
         if (data.channels) {
             // It might be safer to clear existing channels managed by this guild
             // before adding the new set, depending on how updates are handled.
@@ -117,6 +139,11 @@ class Guild extends Base {
              });
         }
 
+        if (data.stage_instances) {
+            this.stageInstances.cache.clear();
+            for (const instanceData of data.stage_instances) this.stageInstances._add(instanceData);
+        }
+
         // Handle voice states if present
         if (data.voice_states) {
             // Usually, the initial GUILD_CREATE voice_states represents the current state.
@@ -125,18 +152,14 @@ class Guild extends Base {
             data.voice_states.forEach(vsData => {
                 // Use the imported VoiceState constructor
                 // Ensure guild_id is passed correctly
-                const vs = new VoiceState(this.client, { ...vsData, guild_id: this.id });
+                const vs = new VoiceState(this.client, { ...vsData, guild_id: this.id }, this);
                 this.voiceStates.set(vs.userId, vs);
             });
         }
 
          // Handle members if present (less likely for self-bots without chunking)
          if (data.members) {
-             data.members.forEach(memberData => {
-                 // Add to a MemberManager or directly cache basic info
-                 // Example: Assuming a MemberManager exists on the guild or client
-                 // this.client.members._add({ guild_id: this.id, ...memberData }); // Requires member manager
-             });
+             data.members.forEach(memberData => this.members._add(memberData));
          }
 
          // Handle presences if present (even less likely/useful for self-bots)
@@ -147,36 +170,34 @@ class Guild extends Base {
 
     /**
      * Updates a specific voice state for a user within this guild.
-     * Called internally by WebSocketManager on VOICE_STATE_UPDATE dispatch.
+     * Called internally on VOICE_STATE_UPDATE dispatch. Users who left are removed from `voiceStates`.
      * @param {object} vsData Raw voice state data from the dispatch event.
+     * @returns {?Array<?VoiceState>} The state before the update (a snapshot, null if the user wasn't tracked)
+     * and after it, or null if the data isn't for this guild.
      * @protected
      */
     _updateVoiceState(vsData) {
-         if (!vsData || !vsData.user_id) return; // Need user_id to update
-         if (vsData.guild_id !== this.id) return; // Ensure it's for this guild
+         if (!vsData || !vsData.user_id) return null; // Need user_id to update
+         if (vsData.guild_id !== this.id) return null; // Ensure it's for this guild
 
          const existing = this.voiceStates.get(vsData.user_id);
+         const old = existing?._clone() ?? null;
+         let state = existing;
 
-         if (vsData.channel_id === null) {
-             // User left voice channel in this guild
-             if (existing) {
-                 this.voiceStates.delete(vsData.user_id);
-                 // console.debug(`[Guild ${this.id}] User ${vsData.user_id} left voice channel ${existing.channelId}.`);
-             }
+         if (existing) {
+             // Update existing state object (mute, deaf, channel...)
+             existing._patch(vsData);
          } else {
-             // User joined or moved voice channel, or updated state (mute, deaf, etc.)
-             if (existing) {
-                  existing._patch(vsData); // Update existing state object
-                  // console.debug(`[Guild ${this.id}] Updated voice state for user ${vsData.user_id} in channel ${vsData.channel_id}.`);
-             } else {
-                 // Create new state if user wasn't previously tracked in voice for this guild
-                 const vs = new VoiceState(this.client, { ...vsData, guild_id: this.id });
-                 this.voiceStates.set(vs.userId, vs);
-                 // console.debug(`[Guild ${this.id}] Added new voice state for user ${vsData.user_id} in channel ${vsData.channel_id}.`);
-             }
+             // Create new state if user wasn't previously tracked in voice for this guild
+             state = new VoiceState(this.client, { ...vsData, guild_id: this.id }, this);
          }
-    }
 
+         // Users who left are no longer tracked, the returned state keeps its null channel
+         if (vsData.channel_id === null) this.voiceStates.delete(vsData.user_id);
+         else this.voiceStates.set(state.userId, state);
+
+         return [old, state];
+    }
 
     /**
      * Crucial for @discordjs/voice: Creates an adapter interface for voice connections in this guild.
@@ -214,16 +235,12 @@ class Guild extends Base {
 
     /**
      * Gets the client user's GuildMember object in this guild.
-     * Requires member caching or fetching, which is often limited for self-bots.
-     * @type {?GuildMember} // Replace 'object' with actual GuildMember structure when created
+     * Populated from READY; use `members.fetchMe()` if it isn't cached.
+     * @type {?GuildMember}
      * @readonly
      */
     get me() {
-        if (!this.client.user) return null;
-        // This requires a proper GuildMember structure and member cache/manager
-        // return this.members.resolve(this.client.user.id); // Example if members manager exists
-        console.warn("[Guild.me] Member caching/fetching not fully implemented. Returning null.");
-        return null; // Placeholder - implement member handling later
+        return this.members.me;
     }
 
     /**
@@ -0,0 +1,219 @@
+// src/structures/GuildChannel.js
+
+const Channel = require('./Channel');
+const PermissionOverwriteManager = require('../managers/PermissionOverwriteManager');
+const PermissionsBitField = require('../util/PermissionsBitField');
+const { OverwriteType } = require('../util/Constants');
+
+const { Flags } = PermissionsBitField;
+
+/**
+ * Permissions lost when Send Messages is denied in a channel.
+ * @type {bigint}
+ */
+const SEND_DEPENDENT = Flags.SendTTSMessages | Flags.MentionEveryone | Flags.EmbedLinks | Flags.AttachFiles;
+
+/**
+ * Represents any channel that belongs to a guild.
+ * Specific guild channel types (text, voice, category...) extend this class.
+ * @extends {Channel}
+ */
+class GuildChannel extends Channel {
+    /**
+     * Updates the channel with new data.
+     * @param {object} data The raw channel data
+     * @protected
+     */
+    _patch(data) {
+        super._patch(data);
+
+        /**
+         * The ID of the guild this channel belongs to.
+         * @type {string}
+         */
+        this.guildId = data.guild_id ?? this.guildId ?? this.guild?.id ?? null;
+
+        if (data.parent_id !== undefined) {
+            /**
+             * The ID of the parent of this channel: the category for regular channels,
+             * or the text/forum channel for threads.
+             * @type {?string}
+             */
+            this.parentId = data.parent_id;
+        } else if (this.parentId === undefined) {
+            this.parentId = null;
+        }
+
+        if (data.position !== undefined) {
+            /**
+             * The sorting position of the channel among its siblings.
+             * @type {number}
+             */
+            this.position = data.position;
+        }
+
+        if (data.topic !== undefined) {
+            /**
+             * The topic of the channel, if it has one.
+             * @type {?string}
+             */
+            this.topic = data.topic;
+        }
+
+        if (data.nsfw !== undefined) {
+            /**
+             * Whether the channel is age-restricted.
+             * @type {boolean}
+             */
+            this.nsfw = data.nsfw;
+        }
+
+        if (data.rate_limit_per_user !== undefined) {
+            /**
+             * The slowmode of the channel: how many seconds members wait between messages (0 = off).
+             * @type {number}
+             */
+            this.rateLimitPerUser = data.rate_limit_per_user;
+        }
+
+        /**
+         * The permission overwrites of the channel.
+         * @type {PermissionOverwriteManager}
+         */
+        this.permissionOverwrites ??= new PermissionOverwriteManager(this);
+
+        if (data.permission_overwrites !== undefined) {
+            // Overwrites are always sent in full, the new list replaces the cached one
+            this.permissionOverwrites.cache.clear();
+            for (const overwrite of data.permission_overwrites) this.permissionOverwrites._add(overwrite);
+        }
+    }
+
+    /**
+     * Clones the channel. The clone gets its own overwrite cache, so snapshots (e.g. the old channel
+     * of a `channelUpdate`) keep the overwrites they had.
+     * @returns {GuildChannel}
+     * @override
+     */
+    _clone() {
+        const clone = super._clone();
+        clone.permissionOverwrites = new PermissionOverwriteManager(clone);
+        for (const [id, overwrite] of this.permissionOverwrites.cache) clone.permissionOverwrites.cache.set(id, overwrite);
+        return clone;
+    }
+
+    /**
+     * Gets the overwrites that apply to a member or role, split like Discord applies them.
+     * @param {GuildMember|Role} target The member or role
+     * @returns {{ everyone: ?PermissionOverwrites, roles: PermissionOverwrites[], member: ?PermissionOverwrites }}
+     * @private
+     */
+    _overwritesFor(target) {
+        const roleIds = target.id === this.guild.id ? [] : target._roles ?? [target.id];
+        const result = { everyone: null, roles: [], member: null };
+        for (const overwrite of this.permissionOverwrites.cache.values()) {
+            if (overwrite.type === OverwriteType.Role) {
+                if (overwrite.id === this.guild.id) result.everyone = overwrite;
+                else if (roleIds.includes(overwrite.id)) result.roles.push(overwrite);
+            } else if (target._roles && overwrite.id === target.id) {
+                result.member = overwrite;
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Gets the permissions of a member or role in this channel, applying the guild permissions,
+     * then the @everyone overwrite, the combined role overwrites and the member overwrite, as Discord does.
+     * The owner and administrators have every permission. Without View Channel, nothing is allowed;
+     * without Send Messages, the permissions that depend on it are removed; timed out members
+     * only keep View Channel and Read Message History.
+     * @param {GuildMember|Role|User|Snowflake} memberOrRole The member or role
+     * @param {boolean} [checkAdmin=true] Whether the owner and administrators get every permission
+     * @returns {?Readonly<PermissionsBitField>} The permissions, or null if the member or role isn't cached.
+     */
+    permissionsFor(memberOrRole, checkAdmin = true) {
+        if (!this.guild) return null;
+        const target = this.guild.members.resolve(memberOrRole) ?? this.guild.roles.resolve(memberOrRole);
+        if (!target) return null;
+
+        const isMember = Array.isArray(target._roles);
+        const all = () => new PermissionsBitField(PermissionsBitField.All).freeze();
+        if (checkAdmin && isMember && target.id === this.guild.ownerId) return all();
+
+        // The @everyone role's permissions are part of every member's and role's base
+        const baseRoles = isMember ? [...target.roles.values()] : [this.guild.roles.everyone, target];
+        let bits = baseRoles.reduce((total, role) => total | (role?.permissions?.bitfield ?? 0n), 0n);
+        if (checkAdmin && (bits & Flags.Administrator)) return all();
+
+        const apply = (allow, deny) => {
+            bits &= ~deny;
+            bits |= allow;
+        };
+
+        const { everyone, roles, member } = this._overwritesFor(target);
+        if (everyone) apply(everyone.allow.bitfield, everyone.deny.bitfield);
+        let allow = 0n;
+        let deny = 0n;
+        for (const overwrite of roles) {
+            allow |= overwrite.allow.bitfield;
+            deny |= overwrite.deny.bitfield;
+        }
+        apply(allow, deny);
+        if (member) apply(member.allow.bitfield, member.deny.bitfield);
+
+        if (isMember && target.isCommunicationDisabled()) bits &= PermissionsBitField.TimedOut;
+        if (!(bits & Flags.ViewChannel)) bits = 0n;
+        else if (this.isTextBased() && !(bits & Flags.SendMessages)) bits &= ~SEND_DEPENDENT;
+
+        return new PermissionsBitField(bits).freeze();
+    }
+
+    /**
+     * The parent of this channel (category, or the channel a thread was created in).
+     * @type {?Channel}
+     * @readonly
+     */
+    get parent() {
+        return this.parentId ? this.guild?.channels.resolve(this.parentId) ?? null : null;
+    }
+
+    /**
+     * Whether the channel's overwrites match its parent category's, null if it has no cached parent.
+     * @type {?boolean}
+     * @readonly
+     */
+    get permissionsLocked() {
+        const { parent } = this;
+        if (!parent?.permissionOverwrites) return null;
+        const own = this.permissionOverwrites.cache;
+        const synced = parent.permissionOverwrites.cache;
+        return own.size === synced.size && own.every((overwrite, id) => {
+            const other = synced.get(id);
+            return other !== undefined && overwrite.allow.equals(other.allow) && overwrite.deny.equals(other.deny);
+        });
+    }
+
+    /**
+     * Edits the channel, see `ChannelManager#edit`.
+     * @param {object} data The data to edit.
+     * @param {string} [reason] Audit log reason.
+     * @returns {Promise<GuildChannel>}
+     */
+    edit(data, reason) {
+        return this.client.channels.edit(this, data, reason);
+    }
+
+    /**
+     * Replaces the channel's overwrites with its parent category's.
+     * @param {string} [reason] Audit log reason.
+     * @returns {Promise<GuildChannel>}
+     */
+    lockPermissions(reason) {
+        const { parent } = this;
+        if (!parent?.permissionOverwrites) throw new Error('The channel has no cached parent category to sync with.');
+        return this.permissionOverwrites.set([...parent.permissionOverwrites.cache.values()], reason);
+    }
+}
+
+module.exports = GuildChannel;
@@ -0,0 +1,324 @@
+// src/structures/GuildMember.js
+
+const Base = require('./Base');
+const Collection = require('../util/Collection');
+const PermissionsBitField = require('../util/PermissionsBitField');
+
+/**
+ * Represents a member of a guild on Discord.
+ * @extends {Base}
+ */
+class GuildMember extends Base {
+    /**
+     * @param {Client} client The instantiating client
+     * @param {object} data The raw member data from the API or WebSocket
+     * @param {Guild} guild The guild the member is part of
+     */
+    constructor(client, data, guild) {
+        super(client);
+
+        /**
+         * The guild the member is part of.
+         * @type {Guild}
+         */
+        this.guild = guild;
+
+        /**
+         * The ID of the member's user.
+         * @type {string}
+         */
+        this.id = data.user?.id ?? data.user_id;
+
+        /**
+         * The role IDs of the member, the @everyone role excluded.
+         * @type {string[]}
+         * @private
+         */
+        this._roles = [];
+
+        this._patch(data);
+    }
+
+    /**
+     * Updates the member with new data.
+     * @param {object} data The raw member data
+     * @protected
+     */
+    _patch(data) {
+        if (data.user) this.client.users._add(data.user);
+
+        if (data.nick !== undefined) {
+            /**
+             * The nickname of the member in the guild, if any.
+             * @type {?string}
+             */
+            this.nickname = data.nick;
+        }
+
+        if (data.avatar !== undefined) {
+            /**
+             * The member's guild avatar hash, if they set one.
+             * @type {?string}
+             */
+            this.avatar = data.avatar;
+        }
+
+        if (data.roles !== undefined) this._roles = data.roles;
+
+        if (data.joined_at !== undefined) {
+            /**
+             * The timestamp the member joined the guild at.
+             * @type {?number}
+             */
+            this.joinedTimestamp = data.joined_at ? Date.parse(data.joined_at) : null;
+        }
+
+        if (data.premium_since !== undefined) {
+            /**
+             * The timestamp the member started boosting the guild, null if they aren't boosting.
+             * @type {?number}
+             */
+            this.premiumSinceTimestamp = data.premium_since ? Date.parse(data.premium_since) : null;
+        }
+
+        if (data.communication_disabled_until !== undefined) {
+            /**
+             * The timestamp the member's timeout ends at, null if they were never timed out.
+             * @type {?number}
+             */
+            this.communicationDisabledUntilTimestamp = data.communication_disabled_until
+                ? Date.parse(data.communication_disabled_until)
+                : null;
+        }
+
+        if (data.pending !== undefined) {
+            /**
+             * Whether the member hasn't passed the guild's membership screening yet.
+             * @type {boolean}
+             */
+            this.pending = Boolean(data.pending);
+        } else {
+            this.pending ??= false;
+        }
+
+        if (data.flags !== undefined) {
+            /**
+             * The member's guild flags (bitfield).
+             * @type {number}
+             */
+            this.flags = data.flags;
+        }
+    }
+
+    /**
+     * The user this member is for.
+     * @type {?User}
+     * @readonly
+     */
+    get user() {
+        return this.client.users.resolve(this.id);
+    }
+
+    /**
+     * The member's cached roles, including the @everyone role.
+     * @type {Collection<Snowflake, Role>}
+     * @readonly
+     */
+    get roles() {
+        const roles = new Collection();
+        const everyone = this.guild.roles.everyone;
+        if (everyone) roles.set(everyone.id, everyone);
+        for (const id of this._roles) {
+            const role = this.guild.roles.cache.get(id);
+            if (role) roles.set(id, role);
+        }
+        return roles;
+    }
+
+    /**
+     * The member's permissions in the guild, from their roles. The owner and administrators have every permission.
+     * Use `permissionsIn()` for the permissions in a channel.
+     * @type {Readonly<PermissionsBitField>}
+     * @readonly
+     */
+    get permissions() {
+        if (this.id === this.guild.ownerId) return new PermissionsBitField(PermissionsBitField.All).freeze();
+        const bits = this.roles.reduce((total, role) => total | (role.permissions?.bitfield ?? 0n), 0n);
+        const permissions = new PermissionsBitField(bits);
+        if (permissions.has(PermissionsBitField.Flags.Administrator, false)) {
+            return new PermissionsBitField(PermissionsBitField.All).freeze();
+        }
+        return permissions.freeze();
+    }
+
+    /**
+     * Gets the member's permissions in a guild channel, taking the channel's overwrites into account.
+     * @param {GuildChannel} channel The channel
+     * @returns {Readonly<PermissionsBitField>}
+     */
+    permissionsIn(channel) {
+        return channel.permissionsFor(this);
+    }
+
+    /**
+     * The time the member joined the guild.
+     * @type {?Date}
+     * @readonly
+     */
+    get joinedAt() {
+        return this.joinedTimestamp ? new Date(this.joinedTimestamp) : null;
+    }
+
+    /**
+     * The time the member started boosting the guild.
+     * @type {?Date}
+     * @readonly
+     */
+    get premiumSince() {
+        return this.premiumSinceTimestamp ? new Date(this.premiumSinceTimestamp) : null;
+    }
+
+    /**
+     * The time the member's timeout ends.
+     * @type {?Date}
+     * @readonly
+     */
+    get communicationDisabledUntil() {
+        return this.communicationDisabledUntilTimestamp ? new Date(this.communicationDisabledUntilTimestamp) : null;
+    }
+
+    /**
+     * Whether the member is currently timed out.
+     * @returns {boolean}
+     */
+    isCommunicationDisabled() {
+        return Boolean(this.communicationDisabledUntilTimestamp) && this.communicationDisabledUntilTimestamp > Date.now();
+    }
+
+    /**
+     * The name shown for the member in the guild: their nickname, or their username.
+     * @type {?string}
+     * @readonly
+     */
+    get displayName() {
+        return this.nickname ?? this.user?.username ?? null;
+    }
+
+    /**
+     * The member's voice state in the guild, if they are in a voice channel.
+     * @type {?VoiceState}
+     * @readonly
+     */
+    get voice() {
+        return this.guild.voiceStates.get(this.id) ?? null;
+    }
+
+    /**
+     * A link to the member's guild avatar.
+     * @param {object} [options={}] Options for the avatar URL.
+     * @param {string} [options.format='webp'] The format of the avatar ('webp', 'png', 'jpg', 'jpeg', 'gif').
+     * @param {number} [options.size=128] The size of the avatar (power of 2, between 16 and 4096).
+     * @param {boolean} [options.dynamic=false] If true, returns a GIF avatar if the member has one set.
+     * @returns {?string} The avatar URL, or null if the member has no guild avatar.
+     */
+    avatarURL({ format = 'webp', size = 128, dynamic = false } = {}) {
+        if (!this.avatar) return null;
+        if (dynamic && this.avatar.startsWith('a_')) format = 'gif';
+        return `https://cdn.discordapp.com/guilds/${this.guild.id}/users/${this.id}/avatars/${this.avatar}.${format}?size=${size}`;
+    }
+
+    /**
+     * A link to the member's guild avatar, or their user avatar if they have none.
+     * @param {object} [options={}] Options for the avatar URL, see `avatarURL()`.
+     * @returns {?string}
+     */
+    displayAvatarURL(options) {
+        return this.avatarURL(options) ?? this.user?.displayAvatarURL(options) ?? null;
+    }
+
+    /**
+     * Edits the member, see `GuildMemberManager#edit`.
+     * @param {object} data The data to edit.
+     * @param {string} [reason] Audit log reason.
+     * @returns {Promise<GuildMember>}
+     */
+    edit(data, reason) {
+        return this.guild.members.edit(this, data, reason);
+    }
+
+    /**
+     * Sets the member's nickname.
+     * @param {?string} nickname The new nickname, null to remove it.
+     * @param {string} [reason] Audit log reason.
+     * @returns {Promise<GuildMember>}
+     */
+    setNickname(nickname, reason) {
+        return this.edit({ nick: nickname }, reason);
+    }
+
+    /**
+     * Times the member out, or removes their timeout.
+     * @param {?number} duration How long the timeout lasts in milliseconds, null to remove it.
+     * @param {string} [reason] Audit log reason.
+     * @returns {Promise<GuildMember>}
+     */
+    timeout(duration, reason) {
+        return this.edit({ communicationDisabledUntil: duration === null ? null : Date.now() + duration }, reason);
+    }
+
+    /**
+     * Kicks the member from the guild.
+     * @param {string} [reason] Audit log reason.
+     * @returns {Promise<GuildMember>}
+     */
+    kick(reason) {
+        return this.guild.members.kick(this, reason);
+    }
+
+    /**
+     * Bans the member from the guild.
+     * @param {object} [options={}] Options for the ban, see `GuildMemberManager#ban`.
+     * @returns {Promise<GuildMember>}
+     */
+    ban(options) {
+        return this.guild.members.ban(this, options);
+    }
+
+    /**
+     * Fetches this member from Discord.
+     * @param {boolean} [force=true] Whether to skip the cache.
+     * @returns {Promise<?GuildMember>}
+     */
+    fetch(force = true) {
+        return this.guild.members.fetch(this.id, { force });
+    }
+
+    /**
+     * Creates a mention for the member.
+     * @returns {string} `<@USER_ID>`
+     */
+    toString() {
+        return `<@${this.id}>`;
+    }
+
+    /**
+     * Creates a JSON representation of the member.
+     * @returns {object}
+     */
+    toJSON() {
+        return {
+            user_id: this.id,
+            guild_id: this.guild.id,
+            nick: this.nickname ?? null,
+            avatar: this.avatar ?? null,
+            roles: this._roles,
+            joined_at: this.joinedAt?.toISOString() ?? null,
+            premium_since: this.premiumSince?.toISOString() ?? null,
+            communication_disabled_until: this.communicationDisabledUntil?.toISOString() ?? null,
+            pending: this.pending,
+            flags: this.flags,
+        };
+    }
+}
+
+module.exports = GuildMember;
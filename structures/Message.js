@@ -1,6 +1,13 @@
 // src/structures/Message.js
 const Base = require('./Base');
 const User = require('./User'); // Requires User.js structure to be created
+const MessagePayload = require('./MessagePayload');
+const ActionRow = require('./ActionRow');
+const Embed = require('./Embed');
+const MessageMentions = require('./MessageMentions');
+const ReactionManager = require('../managers/ReactionManager');
+const Util = require('../util/Util');
+const { ComponentType, Gateway, InteractionType } = require('../util/Constants');
 
 /**
  * Represents a message on Discord.
@@ -27,6 +34,12 @@ class Message extends Base {
          */
         this.id = data.id;
 
+        /**
+         * The reactions on the message.
+         * @type {ReactionManager}
+         */
+        this.reactions = new ReactionManager(this);
+
         // Apply initial data
         this._patch(data);
     }
@@ -86,18 +99,92 @@ class Message extends Base {
           */
          this.channelId = data.channel_id ?? this.channel.id;
 
+        // Guild messages carry the author's member (without its user), cache it on the guild
+        if (data.member && data.author && this.guild) {
+            this.guild.members._add({ ...data.member, user: data.author });
+        }
+
 
         // Add other message properties as needed, checking if they exist in `data`:
         if (data.attachments !== undefined) this.attachments = new Map(data.attachments?.map(att => [att.id, att]));
-        if (data.embeds !== undefined) this.embeds = data.embeds ?? [];
-        // TODO: Implement proper mention parsing if needed
-        // if (data.mentions !== undefined) this.mentions = parseMentions(data.mentions);
+        if (data.embeds !== undefined) {
+            /**
+             * The embeds of the message.
+             * @type {Embed[]}
+             */
+            this.embeds = (data.embeds ?? []).map(embed => new Embed(embed));
+        }
+        if (this.mentions) {
+            this.mentions._patch(data);
+        } else {
+            /**
+             * The users, roles and channels the message mentions.
+             * @type {MessageMentions}
+             */
+            this.mentions = new MessageMentions(this, data);
+        }
+        if (data.components !== undefined) {
+            /**
+             * The components of the message (action rows of buttons and select menus).
+             * @type {Component[]}
+             */
+            this.components = (data.components ?? []).map(component => ActionRow.createComponent(component));
+        }
+        if (data.application_id !== undefined) {
+            /**
+             * The ID of the application that sent the message, for interaction responses.
+             * @type {?Snowflake}
+             */
+            this.applicationId = data.application_id;
+        }
+        const interaction = data.interaction_metadata ?? data.interaction;
+        if (interaction !== undefined) {
+            /**
+             * The interaction this message responds to, for interaction responses.
+             * @type {?{ id: Snowflake, type: number, user: ?User }}
+             */
+            this.interactionMetadata = interaction && {
+                id: interaction.id,
+                type: interaction.type,
+                user: interaction.user ? this.client.users._add(interaction.user) : null,
+            };
+        }
+        if (data.flags !== undefined) {
+            /**
+             * The message flags (bitfield).
+             * @type {number}
+             */
+            this.flags = data.flags;
+        }
         if (data.edited_timestamp !== undefined) this.editedTimestamp = data.edited_timestamp ? Date.parse(data.edited_timestamp) : null;
         if (data.tts !== undefined) this.tts = data.tts ?? false;
         if (data.pinned !== undefined) this.pinned = data.pinned ?? false;
         if (data.type !== undefined) this.type = data.type; // Message type (Default, Reply, etc.)
         if (data.message_reference !== undefined) this.reference = data.message_reference; // For replies
-        // ... and many more potential fields like flags, components, stickers, reactions, etc.
+        if (data.reactions !== undefined) {
+            // Reactions are always sent in full, the new list replaces the cached one
+            this.reactions.cache.clear();
+            for (const reaction of data.reactions ?? []) this.reactions._add(reaction);
+        }
+        // ... and many more potential fields like flags, components, stickers, etc.
+    }
+
+    /**
+     * The member of the author in the guild, if the message was sent in a guild and the member is cached.
+     * @type {?GuildMember}
+     * @readonly
+     */
+    get member() {
+        return this.guild && this.author ? this.guild.members.resolve(this.author.id) : null;
+    }
+
+    /**
+     * The content of the message with mentions replaced by readable names, see `Util.cleanContent()`.
+     * @type {string}
+     * @readonly
+     */
+    get cleanContent() {
+        return Util.cleanContent(this.content, this.channel);
     }
 
     /**
@@ -124,6 +211,7 @@ class Message extends Base {
      * or an object matching Discord API params (content, embeds, components, allowed_mentions etc.)
      * @param {object} [options.allowed_mentions] Options for mentions in the reply. Defaults to mentioning the replied user.
      * @param {boolean} [options.failIfNotExists=true] Whether the reply should fail if the original message was deleted.
+     * @param {Array<FileLike>} [options.files] Files to attach, see {@link MessagePayload}.
      * @returns {Promise<Message>} The reply message.
      */
     async reply(contentOrOptions) {
@@ -159,7 +247,10 @@ class Message extends Base {
      * Edits the content of the message.
      * Self-bots can only edit their own messages.
      * @param {string|object} contentOrOptions The new content or options for the message.
-     * @returns {Promise<Message>} The updated message.
+     * @param {Array<FileLike>} [contentOrOptions.files] Files to add to the message.
+     * @param {Array<Snowflake|object>} [contentOrOptions.attachments] The existing attachments to keep,
+     * the others are removed. Every existing attachment is kept if omitted.
+     * @returns {Promise<Message>} The updated message (the cached instance, if this message is cached).
      */
     async edit(contentOrOptions) {
         // Check if the author is the client user - crucial for self-bots
@@ -167,26 +258,17 @@ class Message extends Base {
             return Promise.reject(new Error('Self-bots can only edit their own messages.'));
         }
 
-        let payload = {};
-        if (typeof contentOrOptions === 'string') {
-            payload.content = contentOrOptions;
-        } else {
-            payload = { ...contentOrOptions }; // Copy options (e.g., embeds, components, flags)
-        }
-
-        try {
-            const updatedData = await this.client.rest.request(
-                'PATCH',
-                `/channels/${this.channelId}/messages/${this.id}`,
-                payload
-            );
-            // Update this message instance with the new data
-            this._patch(updatedData);
-            return this;
-        } catch (error) {
-            console.error(`[Message Edit Error] Failed to edit message ${this.id}:`, error.response?.data || error.message);
-            throw error;
-        }
+        const { body, files } = await MessagePayload.create(this, contentOrOptions);
+        const updatedData = await this.client.rest.request(
+            'PATCH',
+            `/channels/${this.channelId}/messages/${this.id}`,
+            body,
+            { files }
+        );
+        // Patches the cached instance, which may not be this one (e.g. a clone from a messageUpdate event)
+        const message = this.channel.messages._add(updatedData);
+        if (message !== this) this._patch(updatedData);
+        return message;
     }
 
     /**
@@ -198,14 +280,9 @@ class Message extends Base {
      */
     async delete({ timeout = 0, reason } = {}) {
         if (timeout <= 0) {
-            try {
-                await this.client.rest.request('DELETE', `/channels/${this.channelId}/messages/${this.id}`, { reason });
-                // Optionally mark this instance as deleted, e.g., this.deleted = true;
-                return this; // Return the message instance
-            } catch (error) {
-                 console.error(`[Message Delete Error] Failed to delete message ${this.id}:`, error.response?.data || error.message);
-                 throw error;
-            }
+            await this.client.rest.request('DELETE', `/channels/${this.channelId}/messages/${this.id}`, undefined, { reason });
+            this.channel.messages._remove(this.id);
+            return this; // Return the message instance
         } else {
             // Wait for the specified timeout then delete
             await new Promise(resolve => setTimeout(resolve, timeout));
@@ -213,6 +290,152 @@ class Message extends Base {
         }
     }
 
+    /**
+     * Reacts to the message.
+     * @param {ReactionEmoji|MessageReaction|string} emoji The emoji: a unicode emoji, a custom emoji
+     * (`<:name:id>` or `name:id`), or a custom emoji ID.
+     * @param {object} [options={}] Options for the reaction.
+     * @param {boolean} [options.burst=false] Whether to super react (requires Nitro).
+     * @returns {Promise<MessageReaction>} The reaction, updated to include the client user's.
+     * @example
+     * await message.react('👍');
+     * await message.react('<:blobwave:1234567890123456789>', { burst: true });
+     */
+    async react(emoji, { burst = false } = {}) {
+        const identifier = this.reactions.resolveIdentifier(emoji);
+        await this.client.rest.request(
+            'PUT',
+            `/channels/${this.channelId}/messages/${this.id}/reactions/${identifier}/@me`,
+            undefined,
+            { query: burst ? { type: 1 } : undefined },
+        );
+        // A reaction given as the emoji (e.g. one of another message) holds its emoji data in `emoji`
+        const reaction = this.reactions.resolve(emoji)
+            ?? this.reactions._add({ emoji: Util.resolvePartialEmoji(emoji.emoji ?? emoji), count: 0 });
+        reaction._add(this.client.user, burst);
+        return reaction;
+    }
+
+    /**
+     * Finds a component of the message by custom ID, searching nested components.
+     * @param {string} customId The custom ID of the component.
+     * @returns {?Component}
+     */
+    findComponent(customId) {
+        const search = components => {
+            for (const component of components) {
+                if (component.customId === customId) return component;
+                const nested = component.components && search(component.components);
+                if (nested) return nested;
+            }
+            return null;
+        };
+        return search(this.components ?? []);
+    }
+
+    /**
+     * Clicks a button of the message, as the client user.
+     * @param {string|ButtonComponent} button The custom ID of the button, or the button.
+     * @param {object} [options={}] Options for the interaction, see `_sendComponentInteraction()`.
+     * @returns {Promise<Message>} The message, once the application acknowledged the click.
+     * @example
+     * await message.clickButton('confirm');
+     */
+    async clickButton(button, options) {
+        const component = typeof button === 'string' ? this.findComponent(button) : button;
+        if (component?.type !== ComponentType.Button) throw new Error(`The message has no button "${button}".`);
+        if (!component.interactive) throw new Error('Link and premium buttons can\'t be clicked.');
+        if (component.disabled) throw new Error(`The button "${component.customId}" is disabled.`);
+        return this._sendComponentInteraction({ component_type: component.type, custom_id: component.customId }, options);
+    }
+
+    /**
+     * Selects values in a select menu of the message, as the client user.
+     * @param {string|SelectMenuComponent} menu The custom ID of the select menu, or the select menu.
+     * @param {Array<string|{ id: Snowflake }>} values The values: option values for string selects,
+     * users, roles or channels (or their IDs) for the other select types.
+     * @param {object} [options={}] Options for the interaction, see `_sendComponentInteraction()`.
+     * @returns {Promise<Message>} The message, once the application acknowledged the selection.
+     * @example
+     * await message.selectMenu('roles', ['gamer', 'artist']);
+     */
+    async selectMenu(menu, values, options) {
+        const component = typeof menu === 'string' ? this.findComponent(menu) : menu;
+        const selectTypes = [
+            ComponentType.StringSelect,
+            ComponentType.UserSelect,
+            ComponentType.RoleSelect,
+            ComponentType.MentionableSelect,
+            ComponentType.ChannelSelect,
+        ];
+        if (!selectTypes.includes(component?.type)) throw new Error(`The message has no select menu "${menu}".`);
+        if (component.disabled) throw new Error(`The select menu "${component.customId}" is disabled.`);
+
+        const resolved = values.map(value => (typeof value === 'string' ? value : value?.id));
+        if (resolved.length < component.minValues || resolved.length > component.maxValues) {
+            throw new RangeError(`Select between ${component.minValues} and ${component.maxValues} values, got ${resolved.length}.`);
+        }
+        if (component.type === ComponentType.StringSelect) {
+            const known = component.options.map(option => option.value);
+            const unknown = resolved.filter(value => !known.includes(value));
+            if (unknown.length) throw new Error(`Unknown select menu values: ${unknown.join(', ')}.`);
+        }
+
+        return this._sendComponentInteraction(
+            { component_type: component.type, custom_id: component.customId, type: component.type, values: resolved },
+            options,
+        );
+    }
+
+    /**
+     * Sends a component interaction for this message, then waits for Discord to report that the application
+     * handled it (INTERACTION_SUCCESS), failed to (INTERACTION_FAILURE), or edited the message.
+     * @param {object} data The interaction data.
+     * @param {object} [options={}] Options for the interaction.
+     * @param {number} [options.timeout] How long to wait for the outcome, in milliseconds.
+     * Defaults to the `interactionTimeout` client option.
+     * @returns {Promise<Message>} The message (updated, if the application edited it).
+     * @private
+     */
+    async _sendComponentInteraction(data, { timeout = this.client.options.interactionTimeout } = {}) {
+        const applicationId = this.applicationId ?? this.author?.id;
+        if (!applicationId) throw new Error('The application that sent the message is unknown.');
+
+        const { Events } = Gateway;
+        return this.client._sendInteraction({
+            type: InteractionType.MessageComponent,
+            guild_id: this.guildId ?? undefined,
+            channel_id: this.channelId,
+            message_flags: this.flags ?? 0,
+            message_id: this.id,
+            application_id: applicationId,
+            data,
+        }, {
+            timeout,
+            timeoutMessage: 'Timed out waiting for the interaction to complete.',
+            listen: (nonce, done) => ({
+                [Events.INTERACTION_SUCCESS]: d => d.nonce === nonce
+                    && done(null, this.channel.messages.cache.get(this.id) ?? this),
+                [Events.INTERACTION_FAILURE]: d => d.nonce === nonce
+                    && done(new Error('The application did not respond to the interaction.')),
+                [Events.MESSAGE_UPDATE]: (_, message) => message.id === this.id && done(null, message),
+            }),
+        });
+    }
+
+    /**
+     * Clones the message. The clone gets its own mentions, so snapshots (e.g. the old message
+     * of a `messageUpdate`) keep the mentions they had.
+     * @returns {Message}
+     * @override
+     */
+    _clone() {
+        const clone = super._clone();
+        clone.mentions = this.mentions._clone();
+        clone.mentions.message = clone;
+        return clone;
+    }
+
     /**
      * Creates a JSON representation of the message.
      * @returns {object}
@@ -231,8 +454,10 @@ class Message extends Base {
             pinned: this.pinned,
             type: this.type,
             attachments: this.attachments ? Array.from(this.attachments.values()) : [],
-            embeds: this.embeds ?? [],
-            // Add other properties like mentions, reactions, components etc. if needed
+            embeds: this.embeds?.map(embed => embed.toJSON()) ?? [],
+            reactions: this.reactions.cache.map(reaction => reaction.toJSON()),
+            mentions: this.mentions.toJSON(),
+            components: this.components?.map(component => component.toJSON()) ?? [],
         };
     }
 
@@ -0,0 +1,225 @@
+// src/structures/MessageMentions.js
+
+const Base = require('./Base');
+const Collection = require('../util/Collection');
+
+/**
+ * The mentions of a message: the users, roles and channels it mentions, resolved against the caches.
+ * @extends {Base}
+ */
+class MessageMentions extends Base {
+    /**
+     * @param {Message} message The message the mentions are in
+     * @param {object} data The raw message data
+     */
+    constructor(message, data) {
+        super(message.client);
+
+        /**
+         * The message the mentions are in.
+         * @type {Message}
+         */
+        this.message = message;
+
+        /**
+         * The mentioned users. For replies that ping, this includes the replied user.
+         * @type {Collection<Snowflake, User>}
+         */
+        this.users = new Collection();
+
+        /**
+         * The mentioned roles, those not cached on the guild excluded.
+         * @type {Collection<Snowflake, Role>}
+         */
+        this.roles = new Collection();
+
+        /**
+         * Whether the message mentions @everyone or @here.
+         * @type {boolean}
+         */
+        this.everyone = false;
+
+        /**
+         * The author of the message this message replies to, if any.
+         * @type {?User}
+         */
+        this.repliedUser = null;
+
+        /**
+         * The channels mentioned in a crossposted message, as Discord describes them.
+         * @type {Collection<Snowflake, { id: Snowflake, guildId: Snowflake, type: number, name: string }>}
+         */
+        this.crosspostedChannels = new Collection();
+
+        /**
+         * The IDs of the users mentioned in the content.
+         * @type {Set<Snowflake>}
+         * @private
+         */
+        this._contentUsers = new Set();
+
+        /**
+         * The IDs of the channels mentioned in the content.
+         * @type {Set<Snowflake>}
+         * @private
+         */
+        this._contentChannels = new Set();
+
+        this._patch(data);
+    }
+
+    /**
+     * Updates the mentions with new message data. Collections are replaced, never mutated,
+     * so clones of the message keep the mentions they had.
+     * @param {object} data The raw message data
+     * @protected
+     */
+    _patch(data) {
+        const { guild } = this.message;
+
+        if (data.mentions !== undefined) {
+            this.users = new Collection();
+            for (const userData of data.mentions ?? []) {
+                const user = this.client.users._add(userData);
+                this.users.set(user.id, user);
+                // Guild messages carry the mentioned users' members (without their user)
+                if (userData.member && guild) guild.members._add({ ...userData.member, user: userData });
+            }
+        }
+
+        if (data.mention_roles !== undefined) {
+            this.roles = new Collection();
+            for (const id of data.mention_roles ?? []) {
+                const role = guild?.roles.cache.get(id);
+                if (role) this.roles.set(id, role);
+            }
+        }
+
+        if (data.mention_everyone !== undefined) this.everyone = Boolean(data.mention_everyone);
+
+        if (data.referenced_message !== undefined) {
+            const author = data.referenced_message?.author;
+            this.repliedUser = author ? this.client.users._add(author) : null;
+        }
+
+        if (data.mention_channels !== undefined) {
+            this.crosspostedChannels = new Collection();
+            for (const channel of data.mention_channels ?? []) {
+                this.crosspostedChannels.set(channel.id, {
+                    id: channel.id,
+                    guildId: channel.guild_id,
+                    type: channel.type,
+                    name: channel.name,
+                });
+            }
+        }
+
+        if (data.content !== undefined) {
+            const content = data.content ?? '';
+            this._contentUsers = new Set(Array.from(content.matchAll(MessageMentions.UsersPattern), match => match[1]));
+            this._contentChannels = new Set(Array.from(content.matchAll(MessageMentions.ChannelsPattern), match => match[1]));
+        }
+    }
+
+    /**
+     * The cached guild members of the mentioned users, empty outside guilds.
+     * @type {Collection<Snowflake, GuildMember>}
+     * @readonly
+     */
+    get members() {
+        const members = new Collection();
+        const { guild } = this.message;
+        if (!guild) return members;
+        for (const id of this.users.keys()) {
+            const member = guild.members.cache.get(id);
+            if (member) members.set(id, member);
+        }
+        return members;
+    }
+
+    /**
+     * The cached channels mentioned in the content.
+     * @type {Collection<Snowflake, Channel>}
+     * @readonly
+     */
+    get channels() {
+        const channels = new Collection();
+        for (const id of this._contentChannels) {
+            const channel = this.client.channels.cache.get(id);
+            if (channel) channels.set(id, channel);
+        }
+        return channels;
+    }
+
+    /**
+     * Checks whether a user, member, role or channel is mentioned.
+     * Members also count as mentioned through a mentioned role they have.
+     * @param {User|GuildMember|Role|Channel|Snowflake} data The user, member, role or channel.
+     * @param {object} [options={}] Options for the check.
+     * @param {boolean} [options.ignoreDirect=false] Whether to ignore direct mentions.
+     * @param {boolean} [options.ignoreRoles=false] Whether to ignore mentions of the member's roles.
+     * @param {boolean} [options.ignoreRepliedUser=false] Whether to ignore the ping of a reply
+     * (a replied user still counts if the content mentions them).
+     * @param {boolean} [options.ignoreEveryone=false] Whether to ignore @everyone and @here.
+     * @returns {boolean}
+     */
+    has(data, { ignoreDirect = false, ignoreRoles = false, ignoreRepliedUser = false, ignoreEveryone = false } = {}) {
+        const id = typeof data === 'string' ? data : data?.id;
+        if (!id) return false;
+        if (!ignoreEveryone && this.everyone) return true;
+
+        if (!ignoreDirect) {
+            if (this.users.has(id) && (!ignoreRepliedUser || this.repliedUser?.id !== id || this._contentUsers.has(id))) {
+                return true;
+            }
+            if (this.roles.has(id) || this._contentChannels.has(id)) return true;
+        }
+
+        if (!ignoreRoles) {
+            const member = this.message.guild?.members.resolve(data) ?? null;
+            if (member?._roles.some(roleId => this.roles.has(roleId))) return true;
+        }
+
+        return false;
+    }
+
+    /**
+     * Creates a JSON representation of the mentions.
+     * @returns {object}
+     */
+    toJSON() {
+        return {
+            users: [...this.users.keys()],
+            roles: [...this.roles.keys()],
+            channels: [...this._contentChannels],
+            everyone: this.everyone,
+            repliedUser: this.repliedUser?.id ?? null,
+        };
+    }
+}
+
+/**
+ * Matches user mentions (`<@id>` and `<@!id>`), capturing the ID.
+ * @type {RegExp}
+ */
+MessageMentions.UsersPattern = /<@!?(\d{17,20})>/g;
+
+/**
+ * Matches role mentions (`<@&id>`), capturing the ID.
+ * @type {RegExp}
+ */
+MessageMentions.RolesPattern = /<@&(\d{17,20})>/g;
+
+/**
+ * Matches channel mentions (`<#id>`), capturing the ID.
+ * @type {RegExp}
+ */
+MessageMentions.ChannelsPattern = /<#(\d{17,20})>/g;
+
+/**
+ * Matches @everyone and @here, capturing the name.
+ * @type {RegExp}
+ */
+MessageMentions.EveryonePattern = /@(everyone|here)/g;
+
+module.exports = MessageMentions;
@@ -0,0 +1,169 @@
+// src/structures/MessagePayload.js
+
+const fs = require('node:fs');
+const path = require('node:path');
+const EmbedBuilder = require('./EmbedBuilder');
+
+/**
+ * A file to attach to a message. Can be a Buffer, a readable stream, a path to a local file,
+ * or an object describing the file.
+ * @typedef {Buffer|Stream|string|FileOptions} FileLike
+ */
+
+/**
+ * @typedef {object} FileOptions
+ * @property {Buffer|Stream|string} attachment The file data, or a path to a local file
+ * @property {string} [name] The file name. Defaults to the path's base name, or `file.bin`
+ * @property {string} [description] The attachment's description (alt text)
+ * @property {boolean} [spoiler=false] Whether the attachment should be hidden behind a spoiler
+ */
+
+/**
+ * A file resolved for upload.
+ * @typedef {object} RawFile
+ * @property {string} key The form field of the file (`files[n]`)
+ * @property {string} name The file name
+ * @property {Buffer} data The file contents
+ */
+
+/**
+ * Builds the request body (and files) for sending or editing a message.
+ *
+ * Options are passed through as Discord API parameters, except:
+ * - `files`: files to upload, sent as `multipart/form-data` with the rest of the body in `payload_json`;
+ * - `attachments`: when editing, the existing attachments (IDs or objects) to keep. Attachments left out
+ *   are removed, so `attachments: []` removes all of them. Omitting it keeps every existing attachment;
+ * - `embeds`: EmbedBuilders, received Embeds or raw embed objects, checked against Discord's limits.
+ */
+class MessagePayload {
+    /**
+     * @param {Channel|Message} target The channel to send to, or the message to edit
+     * @param {string|object} options The content, or the message options
+     */
+    constructor(target, options) {
+        /**
+         * The channel to send to, or the message to edit.
+         * @type {Channel|Message}
+         */
+        this.target = target;
+
+        /**
+         * The message options.
+         * @type {object}
+         */
+        this.options = typeof options === 'string' ? { content: options } : { ...options };
+
+        /**
+         * The resolved JSON body, null until `resolveBody()` is called.
+         * @type {?object}
+         */
+        this.body = null;
+
+        /**
+         * The resolved files, null until `resolveFiles()` is called.
+         * @type {?Array<RawFile>}
+         */
+        this.files = null;
+    }
+
+    /**
+     * Creates a payload and resolves its body and files.
+     * @param {Channel|Message} target The channel to send to, or the message to edit
+     * @param {string|object} options The content, or the message options
+     * @returns {Promise<MessagePayload>}
+     */
+    static async create(target, options) {
+        const payload = new this(target, options);
+        payload.resolveBody();
+        await payload.resolveFiles();
+        return payload;
+    }
+
+    /**
+     * Whether this payload edits a message (rather than sending to a channel).
+     * @type {boolean}
+     * @readonly
+     */
+    get isMessage() {
+        // Required lazily, Message requires this module
+        const Message = require('./Message');
+        return this.target instanceof Message;
+    }
+
+    /**
+     * Resolves the JSON body, including the `attachments` metadata for kept and new files.
+     * @returns {MessagePayload}
+     */
+    resolveBody() {
+        const { files = [], attachments, ...body } = this.options;
+        if (body.embeds) body.embeds = EmbedBuilder.resolveEmbeds(body.embeds);
+
+        const kept = attachments
+            ?? (this.isMessage && files.length ? [...(this.target.attachments?.keys() ?? [])] : undefined);
+
+        if (kept !== undefined || files.length) {
+            body.attachments = [
+                ...(kept ?? []).map(attachment => ({ id: typeof attachment === 'string' ? attachment : attachment.id })),
+                ...files.map((file, index) => {
+                    const meta = { id: index, filename: MessagePayload.resolveFileName(file, index) };
+                    if (file?.description !== undefined) meta.description = file.description;
+                    return meta;
+                }),
+            ];
+        }
+
+        this.body = body;
+        return this;
+    }
+
+    /**
+     * Resolves every file in `options.files` to a Buffer, so the request can be resent on retries.
+     * @returns {Promise<MessagePayload>}
+     */
+    async resolveFiles() {
+        const files = this.options.files ?? [];
+        this.files = await Promise.all(files.map(async (file, index) => ({
+            key: `files[${index}]`,
+            name: MessagePayload.resolveFileName(file, index),
+            data: await MessagePayload.resolveFile(file?.attachment ?? file),
+        })));
+        return this;
+    }
+
+    /**
+     * Resolves the name a file is uploaded under, adding the `SPOILER_` prefix when needed.
+     * @param {FileLike} file The file
+     * @param {number} [index=0] The index of the file, used when no name can be derived
+     * @returns {string}
+     */
+    static resolveFileName(file, index = 0) {
+        const attachment = file?.attachment ?? file;
+        let name = file?.name;
+        if (!name) {
+            if (typeof attachment === 'string') name = path.basename(attachment);
+            else if (typeof attachment?.path === 'string') name = path.basename(attachment.path);
+            else name = index ? `file-${index}.bin` : 'file.bin';
+        }
+        if (file?.spoiler && !name.startsWith('SPOILER_')) name = `SPOILER_${name}`;
+        return name;
+    }
+
+    /**
+     * Resolves file data to a Buffer.
+     * @param {Buffer|Uint8Array|ArrayBuffer|Stream|string} resource The data, a readable stream, or a path to a local file
+     * @returns {Promise<Buffer>}
+     */
+    static async resolveFile(resource) {
+        if (Buffer.isBuffer(resource)) return resource;
+        if (resource instanceof ArrayBuffer || ArrayBuffer.isView(resource)) return Buffer.from(resource);
+        if (typeof resource === 'string') return fs.promises.readFile(path.resolve(resource));
+        if (typeof resource?.pipe === 'function' || typeof resource?.[Symbol.asyncIterator] === 'function') {
+            const chunks = [];
+            for await (const chunk of resource) chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
+            return Buffer.concat(chunks);
+        }
+        throw new Error('The file must be a Buffer, a readable stream or a path to a file.');
+    }
+}
+
+module.exports = MessagePayload;
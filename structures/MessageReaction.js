@@ -0,0 +1,187 @@
+// src/structures/MessageReaction.js
+
+const Base = require('./Base');
+const ReactionEmoji = require('./ReactionEmoji');
+const ReactionUserManager = require('../managers/ReactionUserManager');
+
+/**
+ * Represents a reaction to a message: one emoji, with the users who reacted with it.
+ * Super reactions (burst) are counted separately in `countDetails`.
+ * @extends {Base}
+ */
+class MessageReaction extends Base {
+    /**
+     * @param {Client} client The instantiating client
+     * @param {object} data The raw reaction data
+     * @param {Message} message The message the reaction is on
+     */
+    constructor(client, data, message) {
+        super(client);
+
+        /**
+         * The message the reaction is on.
+         * @type {Message}
+         */
+        this.message = message;
+
+        /**
+         * The emoji of the reaction.
+         * @type {ReactionEmoji}
+         */
+        this.emoji = new ReactionEmoji(this, data.emoji);
+
+        /**
+         * The users who reacted with this emoji, as far as they are known. Use `users.fetch()` to get them all.
+         * @type {ReactionUserManager}
+         */
+        this.users = new ReactionUserManager(this);
+
+        /**
+         * Whether the client user reacted with this emoji.
+         * @type {boolean}
+         */
+        this.me = false;
+
+        /**
+         * Whether the client user super reacted with this emoji.
+         * @type {boolean}
+         */
+        this.meBurst = false;
+
+        /**
+         * The number of reactions, normal and super, by type.
+         * @type {{ normal: number, burst: number }}
+         */
+        this.countDetails = { normal: 0, burst: 0 };
+
+        /**
+         * The colors of the super reaction animation, as hex strings.
+         * @type {string[]}
+         */
+        this.burstColors = [];
+
+        /**
+         * The IDs of the users known to have reacted, by reaction type. A user can have both a normal
+         * and a super reaction with the same emoji.
+         * @type {{ normal: Set<Snowflake>, burst: Set<Snowflake> }}
+         * @private
+         */
+        this._reactors = { normal: new Set(), burst: new Set() };
+
+        this._patch(data);
+    }
+
+    /**
+     * Updates the reaction with new data.
+     * @param {object} data The raw reaction data
+     * @protected
+     */
+    _patch(data) {
+        if (data.count !== undefined) {
+            /**
+             * The number of users who reacted with this emoji, null if unknown (reaction on an uncached message).
+             * @type {?number}
+             */
+            this.count = data.count;
+        } else {
+            this.count ??= null;
+        }
+
+        if (data.count_details !== undefined) {
+            this.countDetails = { normal: data.count_details.normal ?? 0, burst: data.count_details.burst ?? 0 };
+        } else if (data.count !== undefined) {
+            this.countDetails = { normal: data.count ?? 0, burst: 0 };
+        }
+
+        if (data.me !== undefined) this.me = data.me;
+        if (data.me_burst !== undefined) this.meBurst = data.me_burst;
+        if (data.burst_colors !== undefined) this.burstColors = data.burst_colors;
+    }
+
+    /**
+     * Records a user's reaction. Each user's normal and super reactions are counted once,
+     * so the gateway echo of a reaction added by `Message#react()` doesn't count it twice.
+     * @param {User} user The user who reacted
+     * @param {boolean} [burst=false] Whether it is a super reaction
+     * @returns {boolean} Whether the reaction was counted
+     * @protected
+     */
+    _add(user, burst = false) {
+        const type = burst ? 'burst' : 'normal';
+        const isMe = user.id === this.client.user?.id;
+        const counted = this._reactors[type].has(user.id) || (isMe && this[burst ? 'meBurst' : 'me']);
+        this._reactors[type].add(user.id);
+        this.users.cache.set(user.id, user);
+        if (isMe) this[burst ? 'meBurst' : 'me'] = true;
+        if (counted) return false;
+        if (this.count !== null) this.count++;
+        this.countDetails[type]++;
+        return true;
+    }
+
+    /**
+     * Records the removal of a user's reaction. The user is dropped from the cache once they have
+     * neither a normal nor a super reaction left, and the reaction is removed from the message
+     * once nobody reacts with it anymore.
+     * @param {User} user The user whose reaction was removed
+     * @param {boolean} [burst=false] Whether it was a super reaction
+     * @returns {boolean} Whether the reaction was uncounted
+     * @protected
+     */
+    _remove(user, burst = false) {
+        const type = burst ? 'burst' : 'normal';
+        const isMe = user.id === this.client.user?.id;
+        // Other users' reactions may predate the cache, so their removals always count
+        const counted = isMe ? this[burst ? 'meBurst' : 'me'] : true;
+        this._reactors[type].delete(user.id);
+        if (isMe) this[burst ? 'meBurst' : 'me'] = false;
+        const stillReacts = isMe
+            ? this.me || this.meBurst
+            : this._reactors.normal.has(user.id) || this._reactors.burst.has(user.id);
+        if (!stillReacts) this.users.cache.delete(user.id);
+        if (!counted) return false;
+        if (this.count !== null) this.count = Math.max(this.count - 1, 0);
+        this.countDetails[type] = Math.max(this.countDetails[type] - 1, 0);
+        if (this.count === 0) this.message.reactions.cache.delete(this.message.reactions.resolveId(this));
+        return true;
+    }
+
+    /**
+     * Whether the count of this reaction is unknown, as it is on a message that wasn't cached.
+     * @type {boolean}
+     * @readonly
+     */
+    get partial() {
+        return this.count === null;
+    }
+
+    /**
+     * Removes every user's reaction with this emoji.
+     * @returns {Promise<MessageReaction>}
+     */
+    async remove() {
+        await this.client.rest.request(
+            'DELETE',
+            `/channels/${this.message.channelId}/messages/${this.message.id}/reactions/${this.emoji.identifier}`,
+        );
+        this.message.reactions.cache.delete(this.message.reactions.resolveId(this));
+        return this;
+    }
+
+    /**
+     * Creates a JSON representation of the reaction.
+     * @returns {object}
+     */
+    toJSON() {
+        return {
+            emoji: this.emoji.toJSON(),
+            count: this.count,
+            count_details: { ...this.countDetails },
+            me: this.me,
+            me_burst: this.meBurst,
+            burst_colors: this.burstColors,
+        };
+    }
+}
+
+module.exports = MessageReaction;
@@ -0,0 +1,12 @@
+// src/structures/NewsChannel.js
+
+const TextChannel = require('./TextChannel');
+
+/**
+ * Represents a guild announcement (news) channel.
+ * Behaves like a text channel; messages sent here can be followed by other servers.
+ * @extends {TextChannel}
+ */
+class NewsChannel extends TextChannel {}
+
+module.exports = NewsChannel;
@@ -0,0 +1,174 @@
+// src/structures/PermissionOverwrites.js
+
+const Base = require('./Base');
+const PermissionsBitField = require('../util/PermissionsBitField');
+const { OverwriteType } = require('../util/Constants');
+
+/**
+ * Permissions to set on an overwrite, keyed by flag name: `true` allows the permission,
+ * `false` denies it and `null` clears it (inherit). Flags left out are unchanged.
+ * @typedef {Object<string, ?boolean>} PermissionOverwriteOptions
+ */
+
+/**
+ * Data that can be resolved to a raw overwrite, for setting every overwrite of a channel at once.
+ * @typedef {PermissionOverwrites|object} OverwriteResolvable
+ * @property {Role|GuildMember|User|Snowflake} id The role or member the overwrite applies to
+ * @property {number} [type] The overwrite type, see `Constants.OverwriteType`. Required for uncached IDs
+ * @property {BitFieldResolvable} [allow] The allowed permissions
+ * @property {BitFieldResolvable} [deny] The denied permissions
+ */
+
+/**
+ * Represents a permission overwrite of a role or member on a guild channel.
+ * @extends {Base}
+ */
+class PermissionOverwrites extends Base {
+    /**
+     * @param {Client} client The instantiating client
+     * @param {object} data The raw overwrite data
+     * @param {GuildChannel} channel The channel the overwrite is on
+     */
+    constructor(client, data, channel) {
+        super(client);
+
+        /**
+         * The channel the overwrite is on.
+         * @type {GuildChannel}
+         */
+        this.channel = channel;
+
+        /**
+         * The ID of the role or member the overwrite applies to.
+         * @type {Snowflake}
+         */
+        this.id = data.id;
+
+        this._patch(data);
+    }
+
+    /**
+     * Updates the overwrite with new data.
+     * @param {object} data The raw overwrite data
+     * @protected
+     */
+    _patch(data) {
+        if (data.type !== undefined) {
+            /**
+             * The type of the overwrite, see `Constants.OverwriteType`.
+             * @type {number}
+             */
+            this.type = data.type;
+        }
+
+        /**
+         * The permissions explicitly denied by the overwrite.
+         * @type {Readonly<PermissionsBitField>}
+         */
+        this.deny = new PermissionsBitField(BigInt(data.deny ?? 0)).freeze();
+
+        /**
+         * The permissions explicitly allowed by the overwrite.
+         * @type {Readonly<PermissionsBitField>}
+         */
+        this.allow = new PermissionsBitField(BigInt(data.allow ?? 0)).freeze();
+    }
+
+    /**
+     * Edits the overwrite, see `PermissionOverwriteManager#edit`.
+     * @param {PermissionOverwriteOptions} options The permissions to change.
+     * @param {string} [reason] Audit log reason.
+     * @returns {Promise<PermissionOverwrites>}
+     */
+    async edit(options, reason) {
+        await this.channel.permissionOverwrites.edit(this.id, options, { type: this.type, reason });
+        return this;
+    }
+
+    /**
+     * Deletes the overwrite.
+     * @param {string} [reason] Audit log reason.
+     * @returns {Promise<PermissionOverwrites>}
+     */
+    async delete(reason) {
+        await this.channel.permissionOverwrites.delete(this.id, reason);
+        return this;
+    }
+
+    /**
+     * Creates the raw API representation of the overwrite.
+     * @returns {object}
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            type: this.type,
+            allow: this.allow.bitfield.toString(),
+            deny: this.deny.bitfield.toString(),
+        };
+    }
+
+    /**
+     * Applies overwrite options to existing allowed and denied permissions.
+     * @param {PermissionOverwriteOptions} options The permissions to change
+     * @param {object} [initial={}] The current permissions
+     * @param {BitFieldResolvable} [initial.allow=0n] The currently allowed permissions
+     * @param {BitFieldResolvable} [initial.deny=0n] The currently denied permissions
+     * @returns {{ allow: PermissionsBitField, deny: PermissionsBitField }}
+     */
+    static resolveOverwriteOptions(options, { allow = 0n, deny = 0n } = {}) {
+        allow = new PermissionsBitField(allow);
+        deny = new PermissionsBitField(deny);
+        for (const [permission, value] of Object.entries(options)) {
+            if (value === true) {
+                allow.add(permission);
+                deny.remove(permission);
+            } else if (value === false) {
+                allow.remove(permission);
+                deny.add(permission);
+            } else if (value === null) {
+                allow.remove(permission);
+                deny.remove(permission);
+            }
+        }
+        return { allow, deny };
+    }
+
+    /**
+     * Resolves the role or member an overwrite applies to.
+     * Cached roles are role overwrites; cached members and users are member overwrites.
+     * @param {Role|GuildMember|User|Snowflake} target The role or member
+     * @param {Guild} guild The guild of the channel
+     * @param {number} [type] The overwrite type, required when the target isn't cached
+     * @returns {{ id: Snowflake, type: number }}
+     */
+    static resolveTarget(target, guild, type) {
+        const role = guild.roles.resolve(target);
+        if (role) return { id: role.id, type: OverwriteType.Role };
+
+        const id = guild.members.resolveId(target);
+        if (id && type !== undefined) return { id, type };
+        if (guild.members.resolve(target) || guild.client.users.resolve(target)) return { id, type: OverwriteType.Member };
+
+        throw new Error('Could not resolve the overwrite target: pass a Role, GuildMember or User, or an overwrite type.');
+    }
+
+    /**
+     * Resolves an overwrite to its raw API form.
+     * @param {OverwriteResolvable} overwrite The overwrite
+     * @param {Guild} guild The guild of the channel
+     * @returns {object}
+     */
+    static resolve(overwrite, guild) {
+        if (overwrite instanceof PermissionOverwrites) return overwrite.toJSON();
+        const { id, type } = PermissionOverwrites.resolveTarget(overwrite.id, guild, overwrite.type);
+        return {
+            id,
+            type,
+            allow: PermissionsBitField.resolve(overwrite.allow ?? 0n).toString(),
+            deny: PermissionsBitField.resolve(overwrite.deny ?? 0n).toString(),
+        };
+    }
+}
+
+module.exports = PermissionOverwrites;
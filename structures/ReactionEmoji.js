@@ -0,0 +1,89 @@
+// src/structures/ReactionEmoji.js
+
+const Base = require('./Base');
+
+/**
+ * Represents the emoji of a message reaction: a unicode emoji, or a custom emoji
+ * which may be from a guild the client isn't in.
+ * @extends {Base}
+ */
+class ReactionEmoji extends Base {
+    /**
+     * @param {MessageReaction} reaction The reaction the emoji belongs to
+     * @param {object} data The raw emoji data
+     */
+    constructor(reaction, data) {
+        super(reaction.client);
+
+        /**
+         * The reaction the emoji belongs to.
+         * @type {MessageReaction}
+         */
+        this.reaction = reaction;
+
+        /**
+         * The ID of the emoji, null for unicode emojis.
+         * @type {?Snowflake}
+         */
+        this.id = data.id ?? null;
+
+        /**
+         * The name of the emoji, or the emoji itself for unicode emojis.
+         * Can be null for custom emojis whose name Discord didn't send.
+         * @type {?string}
+         */
+        this.name = data.name ?? null;
+
+        /**
+         * Whether the emoji is animated.
+         * @type {boolean}
+         */
+        this.animated = data.animated ?? false;
+    }
+
+    /**
+     * The identifier used for the emoji in API routes: `name:id` for custom emojis,
+     * the URL-encoded emoji for unicode ones.
+     * @type {string}
+     * @readonly
+     */
+    get identifier() {
+        return ReactionEmoji.identifierOf(this);
+    }
+
+    /**
+     * A link to the image of a custom emoji, null for unicode emojis.
+     * @type {?string}
+     * @readonly
+     */
+    get url() {
+        return this.id ? `https://cdn.discordapp.com/emojis/${this.id}.${this.animated ? 'gif' : 'png'}` : null;
+    }
+
+    /**
+     * Gets the text to show the emoji in a message.
+     * @returns {string} `<:name:id>`, `<a:name:id>`, or the unicode emoji
+     */
+    toString() {
+        return this.id ? `<${this.animated ? 'a' : ''}:${this.name ?? '_'}:${this.id}>` : this.name;
+    }
+
+    /**
+     * Creates a JSON representation of the emoji.
+     * @returns {object}
+     */
+    toJSON() {
+        return { id: this.id, name: this.name, animated: this.animated };
+    }
+
+    /**
+     * Gets the API route identifier of partial emoji data, see `identifier`.
+     * @param {{ id: ?Snowflake, name: ?string }} emoji The emoji data
+     * @returns {string}
+     */
+    static identifierOf({ id, name }) {
+        return id ? `${name ?? '_'}:${id}` : encodeURIComponent(name);
+    }
+}
+
+module.exports = ReactionEmoji;
@@ -0,0 +1,241 @@
+// src/structures/Role.js
+
+const Base = require('./Base');
+const PermissionsBitField = require('../util/PermissionsBitField');
+
+/**
+ * Represents a role in a guild.
+ * @extends {Base}
+ */
+class Role extends Base {
+    /**
+     * @param {Client} client The instantiating client
+     * @param {object} data The raw role data from the API or WebSocket
+     * @param {Guild} guild The guild the role belongs to
+     */
+    constructor(client, data, guild) {
+        super(client);
+
+        /**
+         * The guild the role belongs to.
+         * @type {Guild}
+         */
+        this.guild = guild;
+
+        /**
+         * The ID of the role. The @everyone role has the guild's ID.
+         * @type {string}
+         */
+        this.id = data.id;
+
+        this._patch(data);
+    }
+
+    /**
+     * Updates the role with new data.
+     * @param {object} data The raw role data
+     * @protected
+     */
+    _patch(data) {
+        if (data.name !== undefined) {
+            /**
+             * The name of the role.
+             * @type {string}
+             */
+            this.name = data.name;
+        }
+
+        if (data.color !== undefined) {
+            /**
+             * The color of the role as a number, 0 if it has none.
+             * @type {number}
+             */
+            this.color = data.color;
+        }
+
+        if (data.hoist !== undefined) {
+            /**
+             * Whether members with this role are displayed separately in the member list.
+             * @type {boolean}
+             */
+            this.hoist = data.hoist;
+        }
+
+        if (data.position !== undefined) {
+            /**
+             * The raw position of the role. Roles with equal positions are sorted by ID.
+             * @type {number}
+             */
+            this.rawPosition = data.position;
+        }
+
+        if (data.permissions !== undefined) {
+            /**
+             * The permissions of the role.
+             * @type {Readonly<PermissionsBitField>}
+             */
+            this.permissions = new PermissionsBitField(BigInt(data.permissions)).freeze();
+        }
+
+        if (data.managed !== undefined) {
+            /**
+             * Whether the role is managed by an integration (bot or booster role).
+             * @type {boolean}
+             */
+            this.managed = data.managed;
+        }
+
+        if (data.mentionable !== undefined) {
+            /**
+             * Whether anyone can mention the role.
+             * @type {boolean}
+             */
+            this.mentionable = data.mentionable;
+        }
+
+        if (data.icon !== undefined) {
+            /**
+             * The role's icon hash, if any.
+             * @type {?string}
+             */
+            this.icon = data.icon;
+        }
+
+        if (data.unicode_emoji !== undefined) {
+            /**
+             * The role's unicode emoji, if any.
+             * @type {?string}
+             */
+            this.unicodeEmoji = data.unicode_emoji;
+        }
+
+        if (data.flags !== undefined) {
+            /**
+             * The role's flags (bitfield).
+             * @type {number}
+             */
+            this.flags = data.flags;
+        }
+
+        if (data.tags !== undefined) {
+            /**
+             * The tags of the role (bot, integration, booster...), with Discord's raw keys.
+             * @type {?object}
+             */
+            this.tags = data.tags;
+        }
+    }
+
+    /**
+     * The hex color of the role.
+     * @type {string}
+     * @readonly
+     */
+    get hexColor() {
+        return `#${(this.color ?? 0).toString(16).padStart(6, '0')}`;
+    }
+
+    /**
+     * The cached members that have this role. Every cached member has the @everyone role.
+     * @type {Collection<Snowflake, GuildMember>}
+     * @readonly
+     */
+    get members() {
+        if (this.id === this.guild.id) return this.guild.members.cache.clone();
+        return this.guild.members.cache.filter(member => member._roles.includes(this.id));
+    }
+
+    /**
+     * The position of the role in the guild's role list, from the bottom (0 is @everyone).
+     * @type {number}
+     * @readonly
+     */
+    get position() {
+        return [...this.guild.roles.cache.values()]
+            .sort((a, b) => a.comparePositionTo(b))
+            .indexOf(this);
+    }
+
+    /**
+     * Compares this role's position to another role's.
+     * @param {Role} role The role to compare to
+     * @returns {number} Negative if this role is lower, positive if it is higher, 0 if they are the same role.
+     */
+    comparePositionTo(role) {
+        return Role.comparePositions(this, role);
+    }
+
+    /**
+     * Gets the role's permissions in a guild channel, taking the channel's overwrites into account.
+     * @param {GuildChannel} channel The channel
+     * @returns {Readonly<PermissionsBitField>}
+     */
+    permissionsIn(channel) {
+        return channel.permissionsFor(this);
+    }
+
+    /**
+     * Edits the role, see `RoleManager#edit`.
+     * @param {object} data The data to edit.
+     * @param {string} [reason] Audit log reason.
+     * @returns {Promise<Role>}
+     */
+    edit(data, reason) {
+        return this.guild.roles.edit(this, data, reason);
+    }
+
+    /**
+     * Deletes the role.
+     * @param {string} [reason] Audit log reason.
+     * @returns {Promise<Role>}
+     */
+    async delete(reason) {
+        await this.guild.roles.delete(this, reason);
+        return this;
+    }
+
+    /**
+     * Compares the positions of two roles, like Discord does: by raw position, then by ID
+     * (the older role is higher).
+     * @param {Role} role1 The first role
+     * @param {Role} role2 The second role
+     * @returns {number} Negative if role1 is lower, positive if it is higher.
+     */
+    static comparePositions(role1, role2) {
+        if (role1.rawPosition === role2.rawPosition) {
+            if (role1.id === role2.id) return 0;
+            return BigInt(role1.id) < BigInt(role2.id) ? 1 : -1;
+        }
+        return role1.rawPosition - role2.rawPosition;
+    }
+
+    /**
+     * Creates a mention for the role. The @everyone role is returned as `@everyone`.
+     * @returns {string} `<@&ROLE_ID>`
+     */
+    toString() {
+        return this.id === this.guild.id ? '@everyone' : `<@&${this.id}>`;
+    }
+
+    /**
+     * Creates a JSON representation of the role.
+     * @returns {object}
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            name: this.name,
+            color: this.color,
+            hoist: this.hoist,
+            position: this.rawPosition,
+            permissions: this.permissions?.toJSON(),
+            managed: this.managed,
+            mentionable: this.mentionable,
+            icon: this.icon ?? null,
+            unicode_emoji: this.unicodeEmoji ?? null,
+            flags: this.flags,
+        };
+    }
+}
+
+module.exports = Role;
@@ -0,0 +1,72 @@
+// src/structures/SelectMenuComponent.js
+
+const Component = require('./Component');
+
+/**
+ * Represents a select menu received in a message: a string select with its own options,
+ * or a user, role, mentionable or channel select.
+ * @extends {Component}
+ */
+class SelectMenuComponent extends Component {
+    /**
+     * The placeholder shown when nothing is selected.
+     * @type {?string}
+     * @readonly
+     */
+    get placeholder() {
+        return this.data.placeholder ?? null;
+    }
+
+    /**
+     * The minimum number of values to select.
+     * @type {number}
+     * @readonly
+     */
+    get minValues() {
+        return this.data.min_values ?? 1;
+    }
+
+    /**
+     * The maximum number of values to select.
+     * @type {number}
+     * @readonly
+     */
+    get maxValues() {
+        return this.data.max_values ?? 1;
+    }
+
+    /**
+     * The options of a string select, empty for the other select types.
+     * @type {Array<{ label: string, value: string, description: ?string, emoji: ?object, default: boolean }>}
+     * @readonly
+     */
+    get options() {
+        return (this.data.options ?? []).map(option => ({
+            label: option.label,
+            value: option.value,
+            description: option.description ?? null,
+            emoji: option.emoji ?? null,
+            default: option.default ?? false,
+        }));
+    }
+
+    /**
+     * The channel types a channel select is limited to, null if it isn't.
+     * @type {?number[]}
+     * @readonly
+     */
+    get channelTypes() {
+        return this.data.channel_types ?? null;
+    }
+
+    /**
+     * Whether the select menu is disabled.
+     * @type {boolean}
+     * @readonly
+     */
+    get disabled() {
+        return this.data.disabled ?? false;
+    }
+}
+
+module.exports = SelectMenuComponent;
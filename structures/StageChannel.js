@@ -0,0 +1,80 @@
+// src/structures/StageChannel.js
+
+const VoiceChannel = require('./VoiceChannel');
+const Collection = require('../util/Collection');
+
+/**
+ * Represents a guild stage channel.
+ * @extends {VoiceChannel}
+ */
+class StageChannel extends VoiceChannel {
+    /**
+     * The live stage of the channel, if there is one.
+     * @type {?StageInstance}
+     * @readonly
+     */
+    get stageInstance() {
+        return this.guild?.stageInstances.cache.find(instance => instance.channelId === this.id) ?? null;
+    }
+
+    /**
+     * The voice states of the users in the channel who aren't in the audience.
+     * @type {Collection<Snowflake, VoiceState>}
+     * @readonly
+     */
+    get speakers() {
+        return this.voiceStates.filter(state => !state.suppress);
+    }
+
+    /**
+     * The voice states of the users in the audience who requested to speak, oldest request first.
+     * @type {Collection<Snowflake, VoiceState>}
+     * @readonly
+     */
+    get requestsToSpeak() {
+        const requests = this.voiceStates.filter(state => state.suppress && state.requestToSpeakTimestamp);
+        return new Collection([...requests].sort(([, a], [, b]) => a.requestToSpeakTimestamp - b.requestToSpeakTimestamp));
+    }
+
+    /**
+     * Starts a stage in the channel, see `StageInstanceManager#create()`.
+     * @param {object} options Options for the stage.
+     * @returns {Promise<StageInstance>}
+     */
+    createStageInstance(options) {
+        return this.guild.stageInstances.create(this, options);
+    }
+
+    /**
+     * Makes a user a speaker, accepting their request to speak or inviting them to.
+     * @param {GuildMember|User|Snowflake} member The user, who must be in the channel
+     * @returns {Promise<VoiceState>}
+     */
+    async acceptSpeaker(member) {
+        return this._voiceStateOf(member).setSuppressed(false);
+    }
+
+    /**
+     * Moves a user back to the audience, denying their request to speak or removing them as a speaker.
+     * @param {GuildMember|User|Snowflake} member The user, who must be in the channel
+     * @returns {Promise<VoiceState>}
+     */
+    async denySpeaker(member) {
+        return this._voiceStateOf(member).setSuppressed(true);
+    }
+
+    /**
+     * Gets the voice state of a user in the channel.
+     * @param {GuildMember|User|Snowflake} member The user
+     * @returns {VoiceState}
+     * @private
+     */
+    _voiceStateOf(member) {
+        const id = this.guild.members.resolveId(member);
+        const state = this.guild.voiceStates.get(id);
+        if (state?.channelId !== this.id) throw new Error(`The user ${id} is not in the stage channel.`);
+        return state;
+    }
+}
+
+module.exports = StageChannel;
@@ -0,0 +1,127 @@
+// src/structures/StageInstance.js
+
+const Base = require('./Base');
+
+/**
+ * Represents a live stage: the topic and privacy of a stage channel while someone is speaking in it.
+ * @extends {Base}
+ */
+class StageInstance extends Base {
+    /**
+     * @param {Client} client The instantiating client
+     * @param {object} data The raw stage instance data
+     * @param {Guild} guild The guild of the stage
+     */
+    constructor(client, data, guild) {
+        super(client);
+
+        /**
+         * The guild of the stage.
+         * @type {Guild}
+         */
+        this.guild = guild;
+
+        /**
+         * The ID of the stage instance.
+         * @type {Snowflake}
+         */
+        this.id = data.id;
+
+        this._patch(data);
+    }
+
+    /**
+     * Updates the stage instance with new data.
+     * @param {object} data The raw stage instance data
+     * @protected
+     */
+    _patch(data) {
+        if (data.channel_id !== undefined) {
+            /**
+             * The ID of the stage channel.
+             * @type {Snowflake}
+             */
+            this.channelId = data.channel_id;
+        }
+
+        if (data.topic !== undefined) {
+            /**
+             * The topic of the stage.
+             * @type {string}
+             */
+            this.topic = data.topic;
+        }
+
+        if (data.privacy_level !== undefined) {
+            /**
+             * The privacy level of the stage, see `Constants.StageInstancePrivacyLevel`.
+             * @type {number}
+             */
+            this.privacyLevel = data.privacy_level;
+        }
+
+        if (data.guild_scheduled_event_id !== undefined) {
+            /**
+             * The ID of the scheduled event the stage was started for, if any.
+             * @type {?Snowflake}
+             */
+            this.guildScheduledEventId = data.guild_scheduled_event_id;
+        }
+    }
+
+    /**
+     * The stage channel, if cached.
+     * @type {?StageChannel}
+     * @readonly
+     */
+    get channel() {
+        return this.guild.channels.resolve(this.channelId);
+    }
+
+    /**
+     * Edits the stage instance.
+     * @param {object} data The data to edit, see `StageInstanceManager#edit()`.
+     * @param {string} [reason] Audit log reason.
+     * @returns {Promise<StageInstance>}
+     */
+    edit(data, reason) {
+        return this.guild.stageInstances.edit(this.channelId, data, reason);
+    }
+
+    /**
+     * Sets the topic of the stage.
+     * @param {string} topic The topic.
+     * @param {string} [reason] Audit log reason.
+     * @returns {Promise<StageInstance>}
+     */
+    setTopic(topic, reason) {
+        return this.edit({ topic }, reason);
+    }
+
+    /**
+     * Ends the stage.
+     * @param {string} [reason] Audit log reason.
+     * @returns {Promise<StageInstance>}
+     */
+    async delete(reason) {
+        await this.guild.stageInstances.delete(this.channelId, reason);
+        return this;
+    }
+
+    /**
+     * Creates a JSON representation of the stage instance.
+     * @returns {object}
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            guild_id: this.guild.id,
+            channel_id: this.channelId,
+            topic: this.topic,
+            privacy_level: this.privacyLevel,
+            guild_scheduled_event_id: this.guildScheduledEventId ?? null,
+        };
+    }
+}
+
+module.exports = StageInstance;
@@ -0,0 +1,44 @@
+// src/structures/TextChannel.js
+
+const GuildChannel = require('./GuildChannel');
+const ThreadManager = require('../managers/ThreadManager');
+
+/**
+ * Represents a guild text channel.
+ * @extends {GuildChannel}
+ */
+class TextChannel extends GuildChannel {
+    /**
+     * Updates the channel with new data.
+     * @param {object} data The raw channel data
+     * @protected
+     */
+    _patch(data) {
+        super._patch(data);
+
+        if (data.last_message_id !== undefined) {
+            /**
+             * The ID of the last message sent in this channel, if known.
+             * @type {?string}
+             */
+            this.lastMessageId = data.last_message_id;
+        }
+
+        /**
+         * The threads of the channel.
+         * @type {ThreadManager}
+         */
+        this.threads ??= new ThreadManager(this);
+    }
+
+    /**
+     * The last message sent in this channel, if it is cached.
+     * @type {?Message}
+     * @readonly
+     */
+    get lastMessage() {
+        return this.lastMessageId ? this.messages.cache.get(this.lastMessageId) ?? null : null;
+    }
+}
+
+module.exports = TextChannel;
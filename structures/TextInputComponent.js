@@ -0,0 +1,74 @@
+// src/structures/TextInputComponent.js
+
+const Component = require('./Component');
+
+/**
+ * Represents a text input. Text inputs only appear in modals.
+ * @extends {Component}
+ */
+class TextInputComponent extends Component {
+    /**
+     * The style of the text input (1 = short, 2 = paragraph).
+     * @type {number}
+     * @readonly
+     */
+    get style() {
+        return this.data.style;
+    }
+
+    /**
+     * The label of the text input.
+     * @type {?string}
+     * @readonly
+     */
+    get label() {
+        return this.data.label ?? null;
+    }
+
+    /**
+     * The placeholder shown when the text input is empty.
+     * @type {?string}
+     * @readonly
+     */
+    get placeholder() {
+        return this.data.placeholder ?? null;
+    }
+
+    /**
+     * The minimum length of the value.
+     * @type {?number}
+     * @readonly
+     */
+    get minLength() {
+        return this.data.min_length ?? null;
+    }
+
+    /**
+     * The maximum length of the value.
+     * @type {?number}
+     * @readonly
+     */
+    get maxLength() {
+        return this.data.max_length ?? null;
+    }
+
+    /**
+     * Whether a value is required.
+     * @type {boolean}
+     * @readonly
+     */
+    get required() {
+        return this.data.required ?? true;
+    }
+
+    /**
+     * The prefilled value.
+     * @type {?string}
+     * @readonly
+     */
+    get value() {
+        return this.data.value ?? null;
+    }
+}
+
+module.exports = TextInputComponent;
@@ -0,0 +1,210 @@
+// src/structures/ThreadChannel.js
+
+const GuildChannel = require('./GuildChannel');
+const ThreadMemberManager = require('../managers/ThreadMemberManager');
+
+/**
+ * Represents a thread (news, public or private) inside a text, news or forum channel.
+ * `parentId` is the channel the thread belongs to.
+ * @extends {GuildChannel}
+ */
+class ThreadChannel extends GuildChannel {
+    /**
+     * Updates the thread with new data.
+     * @param {object} data The raw channel data
+     * @protected
+     */
+    _patch(data) {
+        super._patch(data);
+
+        if (data.owner_id !== undefined) {
+            /**
+             * The ID of the user who created the thread.
+             * @type {?string}
+             */
+            this.ownerId = data.owner_id;
+        }
+
+        if (data.last_message_id !== undefined) {
+            /**
+             * The ID of the last message sent in the thread, if known.
+             * @type {?string}
+             */
+            this.lastMessageId = data.last_message_id;
+        }
+
+        if (data.thread_metadata) {
+            const metadata = data.thread_metadata;
+
+            /**
+             * Whether the thread is archived.
+             * @type {?boolean}
+             */
+            this.archived = metadata.archived ?? false;
+
+            /**
+             * When the thread's archive status was last changed.
+             * @type {?number}
+             */
+            this.archiveTimestamp = metadata.archive_timestamp ? Date.parse(metadata.archive_timestamp) : null;
+
+            /**
+             * How many minutes of inactivity before the thread is archived (60, 1440, 4320 or 10080).
+             * @type {?number}
+             */
+            this.autoArchiveDuration = metadata.auto_archive_duration ?? null;
+
+            /**
+             * Whether the thread is locked: only members with Manage Threads can unarchive it.
+             * @type {?boolean}
+             */
+            this.locked = metadata.locked ?? false;
+
+            /**
+             * Whether members who aren't moderators can add others to the thread. Only set on private threads.
+             * @type {?boolean}
+             */
+            this.invitable = metadata.invitable ?? null;
+
+            // Only threads created after 2022-01-09 have a creation timestamp, older ones use their ID's
+            if (metadata.create_timestamp !== undefined) {
+                /**
+                 * When the thread was created, null if unknown.
+                 * @type {?number}
+                 */
+                this.createdTimestamp = metadata.create_timestamp ? Date.parse(metadata.create_timestamp) : null;
+            }
+        } else {
+            this.archived ??= null;
+            this.archiveTimestamp ??= null;
+            this.autoArchiveDuration ??= null;
+            this.locked ??= null;
+            this.invitable ??= null;
+        }
+
+        if (data.member_count !== undefined) {
+            /**
+             * The approximate number of members in the thread, stops counting at 50.
+             * @type {?number}
+             */
+            this.memberCount = data.member_count;
+        }
+
+        if (data.message_count !== undefined) {
+            /**
+             * The approximate number of messages in the thread, deleted messages excluded.
+             * @type {?number}
+             */
+            this.messageCount = data.message_count;
+        }
+
+        if (data.total_message_sent !== undefined) {
+            /**
+             * The number of messages ever sent in the thread.
+             * @type {?number}
+             */
+            this.totalMessageSent = data.total_message_sent;
+        }
+
+        if (data.applied_tags !== undefined) {
+            /**
+             * The IDs of the forum tags applied to the thread, for forum posts.
+             * @type {Snowflake[]}
+             */
+            this.appliedTags = data.applied_tags;
+        } else {
+            this.appliedTags ??= [];
+        }
+
+        /**
+         * The members of the thread.
+         * @type {ThreadMemberManager}
+         */
+        this.members ??= new ThreadMemberManager(this);
+
+        // Threads the client user joined carry its membership
+        if (data.member && this.client.user) {
+            this.members._add({ ...data.member, user_id: this.client.user.id });
+        }
+    }
+
+    /**
+     * Whether the client user is a member of the thread.
+     * @type {boolean}
+     * @readonly
+     */
+    get joined() {
+        return this.members.me !== null;
+    }
+
+    /**
+     * Joins the thread.
+     * @returns {Promise<ThreadChannel>}
+     */
+    async join() {
+        await this.members.add('@me');
+        return this;
+    }
+
+    /**
+     * Leaves the thread.
+     * @returns {Promise<ThreadChannel>}
+     */
+    async leave() {
+        await this.members.remove('@me');
+        return this;
+    }
+
+    /**
+     * Archives or unarchives the thread.
+     * @param {boolean} [archived=true] Whether the thread is archived.
+     * @param {string} [reason] Audit log reason.
+     * @returns {Promise<ThreadChannel>}
+     */
+    setArchived(archived = true, reason) {
+        return this.edit({ archived }, reason);
+    }
+
+    /**
+     * Locks or unlocks the thread.
+     * @param {boolean} [locked=true] Whether the thread is locked.
+     * @param {string} [reason] Audit log reason.
+     * @returns {Promise<ThreadChannel>}
+     */
+    setLocked(locked = true, reason) {
+        return this.edit({ locked }, reason);
+    }
+
+    /**
+     * Sets how long the thread stays active without messages before it's archived.
+     * @param {number} autoArchiveDuration Minutes of inactivity: 60, 1440, 4320 or 10080.
+     * @param {string} [reason] Audit log reason.
+     * @returns {Promise<ThreadChannel>}
+     */
+    setAutoArchiveDuration(autoArchiveDuration, reason) {
+        return this.edit({ autoArchiveDuration }, reason);
+    }
+
+    /**
+     * Sets the forum tags applied to the post.
+     * @param {Array<ForumTag|Snowflake|string>} appliedTags The tags, their IDs, or their names if the forum is cached.
+     * Up to 5.
+     * @param {string} [reason] Audit log reason.
+     * @returns {Promise<ThreadChannel>}
+     */
+    setAppliedTags(appliedTags, reason) {
+        return this.edit({ appliedTags }, reason);
+    }
+
+    /**
+     * Threads have no overwrites of their own, they use their parent's permissions.
+     * @param {GuildMember|Role|User|Snowflake} memberOrRole The member or role
+     * @param {boolean} [checkAdmin=true] Whether the owner and administrators get every permission
+     * @returns {?Readonly<PermissionsBitField>}
+     */
+    permissionsFor(memberOrRole, checkAdmin = true) {
+        return this.parent?.permissionsFor(memberOrRole, checkAdmin) ?? null;
+    }
+}
+
+module.exports = ThreadChannel;
@@ -0,0 +1,117 @@
+// src/structures/ThreadMember.js
+
+const Base = require('./Base');
+
+/**
+ * Represents a member of a thread: a user who joined it, was added to it, or was mentioned in it.
+ * @extends {Base}
+ */
+class ThreadMember extends Base {
+    /**
+     * @param {Client} client The instantiating client
+     * @param {object} data The raw thread member data
+     * @param {ThreadChannel} thread The thread the member is part of
+     */
+    constructor(client, data, thread) {
+        super(client);
+
+        /**
+         * The thread the member is part of.
+         * @type {ThreadChannel}
+         */
+        this.thread = thread;
+
+        /**
+         * The ID of the member's user.
+         * @type {Snowflake}
+         */
+        this.id = data.user_id;
+
+        this._patch(data);
+    }
+
+    /**
+     * Updates the thread member with new data.
+     * @param {object} data The raw thread member data
+     * @protected
+     */
+    _patch(data) {
+        if (data.join_timestamp !== undefined) {
+            /**
+             * The timestamp the member joined the thread at.
+             * @type {?number}
+             */
+            this.joinedTimestamp = data.join_timestamp ? Date.parse(data.join_timestamp) : null;
+        }
+
+        if (data.flags !== undefined) {
+            /**
+             * The member's notification settings for the thread (bitfield).
+             * @type {number}
+             */
+            this.flags = data.flags;
+        }
+
+        // Fetches made with `withMember` include the guild member
+        if (data.member) this.thread.guild?.members._add({ ...data.member, user_id: this.id });
+    }
+
+    /**
+     * The time the member joined the thread at.
+     * @type {?Date}
+     * @readonly
+     */
+    get joinedAt() {
+        return this.joinedTimestamp ? new Date(this.joinedTimestamp) : null;
+    }
+
+    /**
+     * The user of the member, if cached.
+     * @type {?User}
+     * @readonly
+     */
+    get user() {
+        return this.client.users.resolve(this.id) ?? null;
+    }
+
+    /**
+     * The guild member of the member, if cached.
+     * @type {?GuildMember}
+     * @readonly
+     */
+    get guildMember() {
+        return this.thread.guild?.members.resolve(this.id) ?? null;
+    }
+
+    /**
+     * Removes the member from the thread.
+     * @returns {Promise<ThreadMember>}
+     */
+    async remove() {
+        await this.thread.members.remove(this.id);
+        return this;
+    }
+
+    /**
+     * Creates a JSON representation of the thread member.
+     * @returns {object}
+     */
+    toJSON() {
+        return {
+            id: this.thread.id,
+            user_id: this.id,
+            join_timestamp: this.joinedAt?.toISOString() ?? null,
+            flags: this.flags ?? 0,
+        };
+    }
+
+    /**
+     * Returns the member's mention when converted to a string.
+     * @returns {string}
+     */
+    toString() {
+        return `<@${this.id}>`;
+    }
+}
+
+module.exports = ThreadMember;
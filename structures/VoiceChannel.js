@@ -0,0 +1,86 @@
+// src/structures/VoiceChannel.js
+
+const GuildChannel = require('./GuildChannel');
+const Collection = require('../util/Collection');
+
+/**
+ * Represents a guild voice channel.
+ * @extends {GuildChannel}
+ */
+class VoiceChannel extends GuildChannel {
+    /**
+     * Updates the channel with new data.
+     * @param {object} data The raw channel data
+     * @protected
+     */
+    _patch(data) {
+        super._patch(data);
+
+        if (data.bitrate !== undefined) {
+            /**
+             * The bitrate of the channel, in bits per second.
+             * @type {number}
+             */
+            this.bitrate = data.bitrate;
+        }
+
+        if (data.user_limit !== undefined) {
+            /**
+             * The maximum number of users allowed in the channel (0 = unlimited).
+             * @type {number}
+             */
+            this.userLimit = data.user_limit;
+        }
+
+        if (data.rtc_region !== undefined) {
+            /**
+             * The voice region ID of the channel, null for automatic.
+             * @type {?string}
+             */
+            this.rtcRegion = data.rtc_region;
+        }
+
+        if (data.video_quality_mode !== undefined) {
+            /**
+             * The camera video quality mode (1 = auto, 2 = full).
+             * @type {?number}
+             */
+            this.videoQualityMode = data.video_quality_mode;
+        }
+    }
+
+    /**
+     * The voice states of the users in the channel.
+     * @type {Collection<Snowflake, VoiceState>}
+     * @readonly
+     */
+    get voiceStates() {
+        return this.guild?.voiceStates.filter(state => state.channelId === this.id) ?? new Collection();
+    }
+
+    /**
+     * The members in the channel. Members that aren't cached are left out,
+     * `voiceStates` has every user in the channel.
+     * @type {Collection<Snowflake, GuildMember>}
+     * @readonly
+     */
+    get members() {
+        const members = new Collection();
+        for (const [id, state] of this.voiceStates) {
+            const member = state.member;
+            if (member) members.set(id, member);
+        }
+        return members;
+    }
+
+    /**
+     * Joins the channel, see `VoiceManager#join()`.
+     * @param {VoiceJoinOptions} [options={}] Options for joining
+     * @returns {Promise<VoiceConnectionData>}
+     */
+    join(options) {
+        return this.client.voice.join(this, options);
+    }
+}
+
+module.exports = VoiceChannel;
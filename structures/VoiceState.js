@@ -1,5 +1,6 @@
 // src/structures/VoiceState.js
 const Base = require('./Base');
+const Channel = require('./Channel');
 
 /**
  * Represents a user's voice connection status.
@@ -9,8 +10,9 @@ class VoiceState extends Base {
     /**
      * @param {Client} client The instantiating client
      * @param {object} data The raw voice state data from the WebSocket
+     * @param {Guild} [guild] The guild this voice state is for, looked up from `data.guild_id` if omitted
      */
-    constructor(client, data) {
+    constructor(client, data, guild) {
         super(client);
 
         /**
@@ -18,7 +20,7 @@ class VoiceState extends Base {
          * Populated by looking up data.guild_id in the client's guild cache.
          * @type {?Guild}
          */
-        this.guild = data.guild_id ? this.client.guilds.resolve(data.guild_id) : null;
+        this.guild = guild ?? (data.guild_id ? this.client.guilds.resolve(data.guild_id) : null);
 
         /**
          * The user ID this voice state is for.
@@ -45,7 +47,7 @@ class VoiceState extends Base {
          * The ID of the voice channel this user is in. Null if not in a channel.
          * @type {?string}
          */
-        this.channelId = data.channel_id ?? this.channelId; // Can be null if leaving
+        this.channelId = data.channel_id !== undefined ? data.channel_id : this.channelId ?? null; // Null when leaving
 
         /**
          * Whether this user is deafened by the server.
@@ -86,24 +88,27 @@ class VoiceState extends Base {
         this.selfStream = data.self_stream ?? this.selfStream ?? false;
 
         /**
-         * Whether this user is muted by the current user (suppressed).
+         * Whether this user is suppressed: in the audience of a stage, or unable to speak in the channel.
          * @type {boolean}
          */
-        this.suppress = data.suppress ?? this.suppress ?? false; // If the client user has muted this user
+        this.suppress = data.suppress ?? this.suppress ?? false;
 
-        /**
-         * The time at which the user requested to speak.
-         * Only applicable for Stage channels.
-         * @type {?Date}
-         */
-        this.requestToSpeakTimestamp = data.request_to_speak_timestamp
-            ? new Date(Date.parse(data.request_to_speak_timestamp))
-            : this.requestToSpeakTimestamp;
+        if (data.request_to_speak_timestamp !== undefined) {
+            /**
+             * The time at which the user requested to speak, cleared once the request is accepted or withdrawn.
+             * Only applicable for Stage channels.
+             * @type {?Date}
+             */
+            this.requestToSpeakTimestamp = data.request_to_speak_timestamp
+                ? new Date(Date.parse(data.request_to_speak_timestamp))
+                : null;
+        } else {
+            this.requestToSpeakTimestamp ??= null;
+        }
 
         // Guild Member data might be included, patch the member if available
         if (data.member && this.guild) {
-             // Assuming Guild structure has a members manager or similar
-             // this.guild.members?._add(data.member); // Example conceptual update
+             this.guild.members._add(data.member);
         }
 
         return this;
@@ -126,7 +131,7 @@ class VoiceState extends Base {
      * @readonly
      */
     get member() {
-        return this.guild?.members.resolve(this.userId) ?? null; // Assuming Guild has a members manager
+        return this.guild?.members.resolve(this.userId) ?? null;
     }
 
      /**
@@ -168,20 +173,11 @@ class VoiceState extends Base {
      * Less reliable/useful for self-bots targeting themselves.
      * @param {boolean} [mute=true] Whether the user should be muted
      * @param {string} [reason] Audit log reason
-     * @returns {Promise<GuildMember>} The updated member // Requires GuildMember structure
+     * @returns {Promise<GuildMember>} The updated member
      */
     async setMute(mute = true, reason) {
-        if (!this.member) throw new Error('GuildMember not found for this VoiceState.');
-        // Delegate to GuildMember.edit() or a direct REST call
-        // return this.member.edit({ mute }, reason); // Conceptual
-        await this.client.rest.request(
-            'PATCH',
-            `/guilds/${this.guild.id}/members/${this.userId}`,
-            { mute: Boolean(mute) },
-            { reason }
-        );
-        // Note: Must return the correct structure expected by the caller
-        return this.member; // May be outdated, fetch might be needed
+        if (!this.guild) throw new Error('This VoiceState does not belong to a guild.');
+        return this.guild.members.edit(this.userId, { mute: Boolean(mute) }, reason);
     }
 
      /**
@@ -189,39 +185,67 @@ class VoiceState extends Base {
       * Less reliable/useful for self-bots targeting themselves.
       * @param {boolean} [deaf=true] Whether the user should be deafened
       * @param {string} [reason] Audit log reason
-      * @returns {Promise<GuildMember>} The updated member // Requires GuildMember structure
+      * @returns {Promise<GuildMember>} The updated member
       */
      async setDeaf(deaf = true, reason) {
-         if (!this.member) throw new Error('GuildMember not found for this VoiceState.');
-         // Delegate to GuildMember.edit() or a direct REST call
-         // return this.member.edit({ deaf }, reason); // Conceptual
-         await this.client.rest.request(
-             'PATCH',
-             `/guilds/${this.guild.id}/members/${this.userId}`,
-             { deaf: Boolean(deaf) },
-             { reason }
-         );
-         return this.member; // May be outdated, fetch might be needed
+         if (!this.guild) throw new Error('This VoiceState does not belong to a guild.');
+         return this.guild.members.edit(this.userId, { deaf: Boolean(deaf) }, reason);
      }
 
      /**
       * Kicks the user from the voice channel (requires permissions).
       * @param {string} [reason] Audit log reason
-      * @returns {Promise<GuildMember>} The updated member // Requires GuildMember structure
+      * @returns {Promise<GuildMember>} The updated member
       */
      async disconnect(reason) {
-         if (!this.member) throw new Error('GuildMember not found for this VoiceState.');
-          // Setting channel_id to null disconnects the user
-         // return this.member.edit({ channel: null }, reason); // Conceptual
-         await this.client.rest.request(
-             'PATCH',
-             `/guilds/${this.guild.id}/members/${this.userId}`,
-             { channel_id: null },
-             { reason }
-         );
-         return this.member; // May be outdated, fetch might be needed
+         if (!this.guild) throw new Error('This VoiceState does not belong to a guild.');
+         // Setting channel_id to null disconnects the user
+         return this.guild.members.edit(this.userId, { channel: null }, reason);
      }
 
+    /**
+     * Raises or lowers the client user's hand in the stage they're in.
+     * The voice state is updated when Discord sends the VOICE_STATE_UPDATE.
+     * @param {boolean} [request=true] Whether to request to speak
+     * @returns {Promise<VoiceState>}
+     */
+    async setRequestToSpeak(request = true) {
+        if (this.userId !== this.client.user?.id) throw new Error('Only the client user can request to speak.');
+        await this._editStageState({ request_to_speak_timestamp: request ? new Date().toISOString() : null });
+        return this;
+    }
+
+    /**
+     * Moves the user to the audience of the stage (suppressed), or makes them a speaker.
+     * Making the client user a speaker needs Mute Members, unless they were invited to speak;
+     * others need Mute Members. The voice state is updated when Discord sends the VOICE_STATE_UPDATE.
+     * @param {boolean} [suppressed=true] Whether the user is in the audience
+     * @returns {Promise<VoiceState>}
+     */
+    async setSuppressed(suppressed = true) {
+        await this._editStageState({ suppress: Boolean(suppressed) });
+        return this;
+    }
+
+    /**
+     * Edits the user's stage voice state.
+     * @param {object} body The fields to edit
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _editStageState(body) {
+        if (!this.guild) throw new Error('This VoiceState does not belong to a guild.');
+        const channel = this.channel;
+        if (!this.channelId || (channel && channel.type !== Channel.CHANNEL_TYPES.GUILD_STAGE_VOICE)) {
+            throw new Error('The user is not in a stage channel.');
+        }
+        const target = this.userId === this.client.user?.id ? '@me' : this.userId;
+        await this.client.rest.request('PATCH', `/guilds/${this.guild.id}/voice-states/${target}`, {
+            channel_id: this.channelId,
+            ...body,
+        });
+    }
+
     toJSON() {
         return {
             user_id: this.userId,
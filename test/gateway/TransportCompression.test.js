@@ -0,0 +1,100 @@
+// test/gateway/TransportCompression.test.js
+
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+const { setTimeout: sleep } = require('node:timers/promises');
+const zlib = require('node:zlib');
+const { NodeZlibInflater, ZLIB_SUFFIX, ZlibSyncInflater, resolveInflater } = require('../../gateway/TransportCompression');
+
+/**
+ * Compresses messages the way the gateway does: one zlib stream, flushed after every message.
+ * @param {string[]} messages The messages
+ * @returns {Promise<Buffer[]>} The compressed messages, each ending with the Z_SYNC_FLUSH suffix.
+ */
+async function compress(messages) {
+    const deflate = zlib.createDeflate();
+    const compressed = [];
+    for (const message of messages) {
+        const chunks = [];
+        const onData = chunk => chunks.push(chunk);
+        deflate.on('data', onData);
+        deflate.write(message);
+        await new Promise(resolve => deflate.flush(zlib.constants.Z_SYNC_FLUSH, resolve));
+        deflate.off('data', onData);
+        compressed.push(Buffer.concat(chunks));
+    }
+    deflate.close();
+    return compressed;
+}
+
+/**
+ * Feeds frames to an inflater and collects what it delivers.
+ * @param {Function} Inflater The inflater class
+ * @param {Buffer[]} frames The frames
+ * @returns {Promise<{messages: string[], errors: Error[]}>}
+ */
+async function inflate(Inflater, frames) {
+    const messages = [];
+    const errors = [];
+    const inflater = new Inflater(data => messages.push(data.toString()), error => errors.push(error));
+    for (const frame of frames) inflater.push(frame);
+    // Node's zlib delivers asynchronously
+    await sleep(20);
+    inflater.destroy();
+    return { messages, errors };
+}
+
+describe('TransportCompression', () => {
+    for (const Inflater of [ZlibSyncInflater, NodeZlibInflater]) {
+        describe(Inflater.name, () => {
+            it('inflates consecutive messages sharing one zlib context', async () => {
+                const messages = ['{"op":10,"d":{"heartbeat_interval":41250}}', '{"op":11}', '{"op":0,"d":{"heartbeat_interval":1}}'];
+                const frames = await compress(messages);
+                assert.ok(frames.every(frame => frame.subarray(-4).equals(ZLIB_SUFFIX)));
+                assert.deepEqual((await inflate(Inflater, frames)).messages, messages);
+            });
+
+            it('waits for the frame that completes a message', async () => {
+                const [message] = await compress([JSON.stringify({ op: 0, t: 'READY', d: { guilds: [] } })]);
+                const frames = [message.subarray(0, 10), message.subarray(10, -4)];
+                assert.ok(!frames.some(frame => frame.subarray(-4).equals(ZLIB_SUFFIX)));
+                assert.deepEqual((await inflate(Inflater, frames)).messages, []);
+
+                const complete = await inflate(Inflater, [...frames, message.subarray(-4)]);
+                assert.deepEqual(complete.messages, ['{"op":0,"t":"READY","d":{"guilds":[]}}']);
+            });
+
+            it('finds the flush suffix when it is split over frames', async () => {
+                const messages = ['{"op":11}', '{"op":1,"d":2}'];
+                const frames = (await compress(messages)).flatMap(message => [
+                    message.subarray(0, -3),
+                    message.subarray(-3, -1),
+                    message.subarray(-1),
+                ]);
+                assert.deepEqual((await inflate(Inflater, frames)).messages, messages);
+            });
+
+            it('reports a stream that cannot be inflated', async () => {
+                const { messages, errors } = await inflate(Inflater, [Buffer.concat([Buffer.from('not zlib'), ZLIB_SUFFIX])]);
+                assert.deepEqual(messages, []);
+                assert.equal(errors.length, 1);
+            });
+        });
+    }
+
+    describe('resolveInflater', () => {
+        it('resolves the inflater option to a class', () => {
+            class CustomInflater {}
+            assert.equal(resolveInflater('zlib-sync'), ZlibSyncInflater);
+            assert.equal(resolveInflater('zlib'), NodeZlibInflater);
+            assert.equal(resolveInflater(CustomInflater), CustomInflater);
+            // zlib-sync is installed here
+            assert.equal(resolveInflater('auto'), ZlibSyncInflater);
+            assert.equal(resolveInflater(), ZlibSyncInflater);
+        });
+
+        it('rejects unknown inflaters', () => {
+            assert.throws(() => resolveInflater('brotli'), TypeError);
+        });
+    });
+});
@@ -0,0 +1,178 @@
+// test/gateway/WebSocketManager.test.js
+
+const assert = require('node:assert/strict');
+const { once } = require('node:events');
+const { describe, it, mock } = require('node:test');
+const { setTimeout: sleep } = require('node:timers/promises');
+const Client = require('../../Client');
+const MockGateway = require('../helpers/MockGateway');
+const { Gateway } = require('../../util/Constants');
+
+const { OpCodes, Status } = Gateway;
+
+const READY = { session_id: 'session', user: { id: '1', username: 'me' }, guilds: [] };
+
+/**
+ * Starts a mock gateway and a client pointed at it, both cleaned up after the test.
+ * Math.random is pinned to 0, so the first heartbeat is sent right away and INVALID_SESSION waits 1 second.
+ * The client's console logging is muted.
+ * @param {TestContext} t The test context
+ * @param {object} [options={}] Options for the mock gateway, its `compress` option is also given to the client
+ * @param {object} [ws={}] Other WebSocket options for the client
+ * @returns {Promise<{gateway: MockGateway, client: Client}>}
+ */
+async function setup(t, options = {}, ws = {}) {
+    mock.method(Math, 'random', () => 0);
+    mock.method(console, 'log', () => {});
+    const gateway = await new MockGateway(options).listen();
+    const client = new Client({ ws: { gateway: gateway.url, compress: Boolean(options.compress), ...ws } });
+    client._cleanupProcessListeners();
+    t.after(async () => {
+        client.destroy();
+        await gateway.close();
+        mock.restoreAll();
+    });
+    return { gateway, client };
+}
+
+/**
+ * Logs the client in, answering its IDENTIFY with READY.
+ * @param {MockGateway} gateway The mock gateway
+ * @param {Client} client The client
+ * @returns {Promise<object>} The IDENTIFY payload.
+ */
+async function login(gateway, client) {
+    const ready = client.login('token');
+    const identify = await gateway.next(OpCodes.IDENTIFY);
+    gateway.dispatch('READY', READY);
+    await ready;
+    return identify;
+}
+
+describe('WebSocketManager', () => {
+    it('identifies after HELLO and heartbeats with the last sequence', async t => {
+        const { gateway, client } = await setup(t, { heartbeatInterval: 100 });
+        const identify = await login(gateway, client);
+        assert.equal(identify.d.token, 'token');
+        assert.equal(client.ws.sessionId, 'session');
+        assert.equal(client.ws.status, Status.READY);
+
+        gateway.dispatch('TYPING_START', { channel_id: '2', user_id: '3' });
+        let heartbeat = await gateway.next(OpCodes.HEARTBEAT);
+        while (heartbeat.d !== 2) heartbeat = await gateway.next(OpCodes.HEARTBEAT);
+
+        await sleep(50);
+        assert.equal(client.ws.lastHeartbeatAcked, true);
+        assert.ok(client.ws.ping >= 0);
+    });
+
+    it('answers heartbeat requests right away', async t => {
+        const { gateway, client } = await setup(t);
+        await login(gateway, client);
+        await gateway.next(OpCodes.HEARTBEAT);
+
+        gateway.send({ op: OpCodes.HEARTBEAT });
+        assert.equal((await gateway.next(OpCodes.HEARTBEAT, 500)).d, 1);
+    });
+
+    it('reconnects and resumes when a heartbeat is not acknowledged', async t => {
+        const { gateway, client } = await setup(t, { heartbeatInterval: 100, acknowledgeHeartbeats: false });
+        await login(gateway, client);
+
+        const [code] = await once(gateway, 'close');
+        assert.equal(code, 4000);
+        const resume = await gateway.next(OpCodes.RESUME);
+        assert.deepEqual(resume.d, { token: 'token', session_id: 'session', seq: 1 });
+        assert.equal(gateway.connections, 2);
+    });
+
+    it('resumes on a new connection when the gateway asks to RECONNECT', async t => {
+        const { gateway, client } = await setup(t);
+        await login(gateway, client);
+        gateway.dispatch('TYPING_START', { channel_id: '2', user_id: '3' });
+        await once(client, 'raw');
+
+        gateway.send({ op: OpCodes.RECONNECT, d: null });
+        const resume = await gateway.next(OpCodes.RESUME);
+        assert.equal(gateway.connections, 2);
+        assert.deepEqual(resume.d, { token: 'token', session_id: 'session', seq: 2 });
+
+        const resumed = once(client, 'resumed');
+        gateway.dispatch('RESUMED', {});
+        await resumed;
+        assert.equal(client.ws.status, Status.READY);
+        assert.equal(client.ws.reconnectAttempts, 0);
+    });
+
+    it('identifies again after a non-resumable INVALID_SESSION', async t => {
+        const { gateway, client } = await setup(t);
+        await login(gateway, client);
+
+        gateway.send({ op: OpCodes.INVALID_SESSION, d: false });
+        const identify = await gateway.next(OpCodes.IDENTIFY);
+        assert.equal(identify.d.token, 'token');
+        assert.equal(client.ws.sessionId, null);
+        assert.equal(gateway.connections, 1);
+    });
+
+    it('resumes after a resumable INVALID_SESSION', async t => {
+        const { gateway, client } = await setup(t);
+        await login(gateway, client);
+
+        gateway.send({ op: OpCodes.INVALID_SESSION, d: true });
+        const resume = await gateway.next(OpCodes.RESUME);
+        assert.deepEqual(resume.d, { token: 'token', session_id: 'session', seq: 1 });
+        assert.equal(gateway.connections, 1);
+    });
+
+    it('identifies a new session after an unresumable close code', async t => {
+        const { gateway, client } = await setup(t);
+        await login(gateway, client);
+
+        await gateway.disconnect(Gateway.CloseCodes.SESSION_TIMED_OUT, 'Session timed out');
+        await gateway.next(OpCodes.IDENTIFY);
+        assert.equal(gateway.connections, 2);
+        assert.equal(client.ws.sessionId, null);
+    });
+
+    it('gives up on a fatal close code', async t => {
+        const { gateway, client } = await setup(t);
+        await login(gateway, client);
+
+        const errored = once(client, 'error');
+        await gateway.disconnect(Gateway.CloseCodes.AUTHENTICATION_FAILED, 'Authentication failed');
+        const [error] = await errored;
+        assert.equal(error.code, 4004);
+        assert.equal(client.ws.status, Status.DISCONNECTED);
+
+        await sleep(100);
+        assert.equal(gateway.connections, 1);
+        assert.equal(client.ws.ws, null);
+    });
+
+    for (const inflater of ['zlib-sync', 'zlib']) {
+        it(`inflates a compressed gateway split over several frames with the ${inflater} inflater`, async t => {
+            const { gateway, client } = await setup(t, { compress: true, frameSize: 16 }, { inflater });
+            const frames = [];
+            gateway.on('connection', socket => {
+                const send = socket.send.bind(socket);
+                mock.method(socket, 'send', (data, ...rest) => {
+                    frames.push(data);
+                    return send(data, ...rest);
+                });
+            });
+            await login(gateway, client);
+            assert.match(gateway.path, /[?&]compress=zlib-stream(&|$)/);
+
+            const raw = once(client, 'raw');
+            gateway.dispatch('TYPING_START', { channel_id: '2', user_id: '3', content: 'x'.repeat(200) });
+            const [packet] = await raw;
+            assert.equal(packet.t, 'TYPING_START');
+            assert.equal(packet.d.content, 'x'.repeat(200));
+
+            // READY and TYPING_START took several frames, most not ending with the Z_SYNC_FLUSH suffix
+            assert.ok(frames.length > 4);
+            assert.ok(frames.some(frame => !frame.subarray(-4).equals(Buffer.from([0x00, 0x00, 0xff, 0xff]))));
+        });
+    }
+});
@@ -0,0 +1,264 @@
+// test/helpers/MockGateway.js
+
+const EventEmitter = require('events');
+const zlib = require('zlib');
+const { WebSocketServer } = require('ws');
+const { Gateway } = require('../../util/Constants');
+
+/**
+ * A local stand-in for the Discord gateway, speaking JSON, optionally over `zlib-stream` transport compression.
+ * Sends HELLO to every new connection and queues the payloads it receives for `next()`.
+ * @extends {EventEmitter}
+ */
+class MockGateway extends EventEmitter {
+    /**
+     * @param {object} [options={}] Options for the gateway
+     * @param {number} [options.heartbeatInterval=45000] The heartbeat interval sent in HELLO
+     * @param {boolean} [options.acknowledgeHeartbeats=true] Whether to answer heartbeats with HEARTBEAT_ACK
+     * @param {boolean} [options.compress=false] Whether to compress what is sent with one zlib stream per connection
+     * @param {number} [options.frameSize=Infinity] The largest frame to send compressed data in. Smaller sizes
+     * split messages over several frames, only the last of which ends with the Z_SYNC_FLUSH suffix.
+     */
+    constructor({ heartbeatInterval = 45_000, acknowledgeHeartbeats = true, compress = false, frameSize = Infinity } = {}) {
+        super();
+
+        /**
+         * The heartbeat interval sent in HELLO.
+         * @type {number}
+         */
+        this.heartbeatInterval = heartbeatInterval;
+
+        /**
+         * Whether heartbeats are answered with HEARTBEAT_ACK.
+         * @type {boolean}
+         */
+        this.acknowledgeHeartbeats = acknowledgeHeartbeats;
+
+        /**
+         * Whether what is sent is compressed.
+         * @type {boolean}
+         */
+        this.compress = compress;
+
+        /**
+         * The largest frame compressed data is sent in.
+         * @type {number}
+         */
+        this.frameSize = frameSize;
+
+        /**
+         * The URL path and query of the latest connection.
+         * @type {?string}
+         */
+        this.path = null;
+
+        /**
+         * How many connections were opened.
+         * @type {number}
+         */
+        this.connections = 0;
+
+        /**
+         * The socket of the latest connection.
+         * @type {?WebSocket}
+         */
+        this.socket = null;
+
+        /**
+         * The sequence number of the last dispatch sent.
+         * @type {number}
+         */
+        this.sequence = 0;
+
+        /**
+         * The zlib stream compressing what is sent on the latest connection.
+         * @type {?zlib.Deflate}
+         * @private
+         */
+        this._deflate = null;
+
+        /**
+         * Resolves once every compressed payload queued so far was sent.
+         * @type {Promise<void>}
+         * @private
+         */
+        this._sending = Promise.resolve();
+
+        /**
+         * Received payloads not yet taken by `next()`.
+         * @type {object[]}
+         * @private
+         */
+        this._queue = [];
+
+        /**
+         * Pending `next()` calls.
+         * @type {Array<{op: number, resolve: Function}>}
+         * @private
+         */
+        this._waiting = [];
+
+        this.server = new WebSocketServer({ host: '127.0.0.1', port: 0 });
+        this.server.on('connection', (socket, request) => this._onConnection(socket, request));
+    }
+
+    /**
+     * The URL to connect to.
+     * @type {string}
+     * @readonly
+     */
+    get url() {
+        return `ws://127.0.0.1:${this.server.address().port}`;
+    }
+
+    /**
+     * Waits for the server to listen.
+     * @returns {Promise<MockGateway>}
+     */
+    listen() {
+        if (this.server.address()) return Promise.resolve(this);
+        return new Promise(resolve => this.server.once('listening', () => resolve(this)));
+    }
+
+    /**
+     * Takes the next payload with an opcode, waiting for it if none was received yet.
+     * @param {number} op The opcode
+     * @param {number} [timeout=3000] How long to wait, in milliseconds
+     * @returns {Promise<object>}
+     */
+    next(op, timeout = 3_000) {
+        const index = this._queue.findIndex(payload => payload.op === op);
+        if (index !== -1) return Promise.resolve(this._queue.splice(index, 1)[0]);
+        return new Promise((resolve, reject) => {
+            const waiter = { op, resolve };
+            const timer = setTimeout(() => {
+                this._waiting.splice(this._waiting.indexOf(waiter), 1);
+                reject(new Error(`Timed out waiting for OP ${op}.`));
+            }, timeout);
+            waiter.resolve = payload => {
+                clearTimeout(timer);
+                resolve(payload);
+            };
+            this._waiting.push(waiter);
+        });
+    }
+
+    /**
+     * Sends a payload on the latest connection. Compressed payloads are sent once flushed, in order.
+     * @param {object} payload The payload
+     */
+    send(payload) {
+        if (!this.compress) {
+            this.socket.send(JSON.stringify(payload));
+            return;
+        }
+        const socket = this.socket;
+        const deflate = this._deflate;
+        // One message at a time, so the output of each flush is the whole of one message
+        this._sending = this._sending.then(() => new Promise(resolve => {
+            // The connection was replaced or the server closed
+            if (deflate.destroyed) {
+                resolve();
+                return;
+            }
+            const chunks = [];
+            const onData = chunk => chunks.push(chunk);
+            deflate.on('data', onData);
+            deflate.write(JSON.stringify(payload));
+            deflate.flush(zlib.constants.Z_SYNC_FLUSH, () => {
+                deflate.off('data', onData);
+                const message = Buffer.concat(chunks);
+                for (let offset = 0; offset < message.length; offset += this.frameSize) {
+                    socket.send(message.subarray(offset, offset + this.frameSize));
+                }
+                resolve();
+            });
+        }));
+    }
+
+    /**
+     * Sends a dispatch on the latest connection.
+     * @param {string} t The event name
+     * @param {object} d The event data
+     */
+    dispatch(t, d) {
+        this.send({ op: Gateway.OpCodes.DISPATCH, s: ++this.sequence, t, d });
+    }
+
+    /**
+     * Closes the latest connection.
+     * @param {number} code The close code
+     * @param {string} [reason] The close reason
+     * @returns {Promise<void>} Resolves once the socket closed.
+     */
+    disconnect(code, reason) {
+        const socket = this.socket;
+        return new Promise(resolve => {
+            socket.once('close', () => resolve());
+            socket.close(code, reason);
+        });
+    }
+
+    /**
+     * Stops the server, closing every connection.
+     * @returns {Promise<void>}
+     */
+    close() {
+        this._deflate?.close();
+        for (const socket of this.server.clients) socket.terminate();
+        return new Promise(resolve => this.server.close(() => resolve()));
+    }
+
+    /**
+     * Greets a new connection with HELLO.
+     * @param {WebSocket} socket The socket
+     * @param {IncomingMessage} request The upgrade request
+     * @private
+     */
+    _onConnection(socket, request) {
+        this.connections++;
+        this.socket = socket;
+        this.path = request.url;
+        this._queue = [];
+        this._deflate?.close();
+        this._deflate = this.compress ? zlib.createDeflate() : null;
+        socket.on('message', data => this._onPayload(JSON.parse(data.toString())));
+        socket.on('close', code => this.emit('close', code));
+        this.emit('connection', socket);
+        this._greet();
+    }
+
+    /**
+     * Sends HELLO on the latest connection.
+     * @protected
+     */
+    _greet() {
+        this.send({ op: Gateway.OpCodes.HELLO, d: { heartbeat_interval: this.heartbeatInterval } });
+    }
+
+    /**
+     * Answers a received payload the way the server would.
+     * @param {object} payload The payload
+     * @protected
+     */
+    _answer(payload) {
+        if (payload.op === Gateway.OpCodes.HEARTBEAT && this.acknowledgeHeartbeats) {
+            this.send({ op: Gateway.OpCodes.HEARTBEAT_ACK });
+        }
+    }
+
+    /**
+     * Answers a received payload, then hands it to a pending `next()` or queues it.
+     * @param {object} payload The payload
+     * @private
+     */
+    _onPayload(payload) {
+        this.emit('payload', payload);
+        this._answer(payload);
+        const index = this._waiting.findIndex(waiter => waiter.op === payload.op);
+        if (index === -1) this._queue.push(payload);
+        else this._waiting.splice(index, 1)[0].resolve(payload);
+    }
+}
+
+module.exports = MockGateway;
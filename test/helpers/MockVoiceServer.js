@@ -0,0 +1,89 @@
+// test/helpers/MockVoiceServer.js
+
+const MockGateway = require('./MockGateway');
+const { VoiceGateway } = require('../../util/Constants');
+
+const { OpCodes } = VoiceGateway;
+
+/**
+ * A local stand-in for the WebSocket of a voice server.
+ * Sends HELLO to every new connection and answers IDENTIFY with READY, SELECT_PROTOCOL with SESSION_DESCRIPTION,
+ * RESUME with RESUMED and heartbeats with HEARTBEAT_ACK, numbering what it sends with `seq`.
+ * @extends {MockGateway}
+ */
+class MockVoiceServer extends MockGateway {
+    /**
+     * @param {object} [options={}] Options for the voice server
+     * @param {number} [options.heartbeatInterval=41250] The heartbeat interval sent in HELLO
+     * @param {boolean} [options.acknowledgeHeartbeats=true] Whether to answer heartbeats with HEARTBEAT_ACK
+     * @param {number} [options.ssrc=1] The SSRC sent in READY
+     * @param {string[]} [options.modes] The encryption modes sent in READY
+     * @param {string} [options.ip='127.0.0.1'] The UDP address sent in READY
+     * @param {number} [options.port=50000] The UDP port sent in READY
+     * @param {number[]} [options.secretKey] The secret key sent in SESSION_DESCRIPTION
+     */
+    constructor({
+        heartbeatInterval = 41_250,
+        acknowledgeHeartbeats = true,
+        ssrc = 1,
+        modes = VoiceGateway.EncryptionModes,
+        ip = '127.0.0.1',
+        port = 50_000,
+        secretKey = Array.from({ length: 32 }, (_, i) => i),
+    } = {}) {
+        super({ heartbeatInterval, acknowledgeHeartbeats });
+
+        /**
+         * The SSRC, encryption modes and UDP address sent in READY.
+         * @type {{ssrc: number, modes: string[], ip: string, port: number}}
+         */
+        this.ready = { ssrc, modes, ip, port };
+
+        /**
+         * The secret key sent in SESSION_DESCRIPTION.
+         * @type {number[]}
+         */
+        this.secretKey = secretKey;
+    }
+
+    /**
+     * Sends a numbered payload on the latest connection.
+     * @param {number} op The opcode
+     * @param {object} d The payload data
+     */
+    sendSequenced(op, d) {
+        this.send({ op, d, seq: ++this.sequence });
+    }
+
+    /**
+     * Sends HELLO on the latest connection.
+     * @protected
+     */
+    _greet() {
+        this.send({ op: OpCodes.HELLO, d: { heartbeat_interval: this.heartbeatInterval } });
+    }
+
+    /**
+     * Answers a received payload the way a voice server would.
+     * @param {object} payload The payload
+     * @protected
+     */
+    _answer({ op, d }) {
+        switch (op) {
+            case OpCodes.HEARTBEAT:
+                if (this.acknowledgeHeartbeats) this.send({ op: OpCodes.HEARTBEAT_ACK, d: { t: d.t } });
+                break;
+            case OpCodes.IDENTIFY:
+                this.sendSequenced(OpCodes.READY, { ...this.ready, heartbeat_interval: this.heartbeatInterval });
+                break;
+            case OpCodes.SELECT_PROTOCOL:
+                this.sendSequenced(OpCodes.SESSION_DESCRIPTION, { mode: d.data.mode, secret_key: this.secretKey });
+                break;
+            case OpCodes.RESUME:
+                this.sendSequenced(OpCodes.RESUMED, null);
+                break;
+        }
+    }
+}
+
+module.exports = MockVoiceServer;
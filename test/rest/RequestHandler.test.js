@@ -0,0 +1,241 @@
+// test/rest/RequestHandler.test.js
+
+const assert = require('node:assert/strict');
+const EventEmitter = require('node:events');
+const http = require('node:http');
+const { describe, it, mock } = require('node:test');
+const DiscordAPIError = require('../../rest/DiscordAPIError');
+const HTTPError = require('../../rest/HTTPError');
+const RESTManager = require('../../rest/RESTManager');
+const Util = require('../../util/Util');
+const { DefaultOptions, RESTEvents } = require('../../util/Constants');
+
+/**
+ * Starts a local HTTP server standing in for the API, stopped after the test.
+ * @param {TestContext} t The test context
+ * @param {Function} respond Called with the request and its parsed body, returns `{ status, headers, body }`.
+ * An object body is sent as JSON, a string as HTML.
+ * @returns {Promise<{url: string, requests: object[]}>}
+ */
+async function startAPI(t, respond) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let raw = '';
+        req.on('data', chunk => { raw += chunk; });
+        req.on('end', () => {
+            const request = { method: req.method, url: req.url, headers: req.headers, body: raw ? JSON.parse(raw) : null };
+            requests.push(request);
+            const { status = 200, headers = {}, body = {} } = respond(request, requests.length);
+            const json = typeof body !== 'string';
+            res.writeHead(status, { 'Content-Type': json ? 'application/json' : 'text/html', ...headers });
+            res.end(json ? JSON.stringify(body) : body);
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => new Promise(resolve => server.close(resolve)));
+    return { url: `http://127.0.0.1:${server.address().port}`, requests };
+}
+
+/**
+ * Creates a REST manager for a stand-in client.
+ * @param {string} api The API base URL
+ * @param {object} [options={}] REST options
+ * @returns {{client: EventEmitter, rest: RESTManager}}
+ */
+function createREST(api, options = {}) {
+    const client = new EventEmitter();
+    client.token = 'token';
+    client.options = Util.mergeDefault(DefaultOptions, { rest: { api, offset: 0, ...options } });
+    return { client, rest: new RESTManager(client) };
+}
+
+/**
+ * Replaces `Util.sleep` with one that records the delays and doesn't wait.
+ * @returns {number[]} The recorded delays.
+ */
+function recordSleeps() {
+    const delays = [];
+    mock.method(Util, 'sleep', async ms => { delays.push(ms); });
+    return delays;
+}
+
+describe('RequestHandler', () => {
+    it('sends the token and waits for the bucket to reset once exhausted', async t => {
+        const api = await startAPI(t, () => ({
+            headers: {
+                'X-RateLimit-Limit': '1',
+                'X-RateLimit-Remaining': '0',
+                'X-RateLimit-Reset-After': '0.2',
+                'X-RateLimit-Bucket': 'abcd',
+            },
+            body: { ok: true },
+        }));
+        const { client, rest } = createREST(api.url);
+        const limits = [];
+        client.on(RESTEvents.RATE_LIMITED, info => limits.push(info));
+
+        assert.deepEqual(await rest.request('GET', '/channels/81384788765712384/messages'), { ok: true });
+        const start = Date.now();
+        await rest.request('GET', '/channels/81384788765712384/messages');
+        assert.ok(Date.now() - start >= 150);
+
+        assert.equal(api.requests[0].headers.authorization, 'token');
+        assert.equal(rest.hashes.get('GET /channels/:id/messages'), 'abcd');
+        assert.equal(limits.length, 1);
+        assert.equal(limits[0].hash, 'abcd');
+        assert.equal(limits[0].limit, 1);
+        assert.equal(limits[0].global, false);
+        assert.equal(limits[0].majorParameter, '81384788765712384');
+    });
+
+    it('keeps separate buckets for different major parameters', async t => {
+        const api = await startAPI(t, () => ({
+            headers: { 'X-RateLimit-Limit': '1', 'X-RateLimit-Remaining': '0', 'X-RateLimit-Reset-After': '5' },
+        }));
+        const { client, rest } = createREST(api.url);
+        const limited = mock.fn();
+        client.on(RESTEvents.RATE_LIMITED, limited);
+
+        await rest.request('GET', '/channels/81384788765712384');
+        await rest.request('GET', '/channels/81384788765712385');
+        assert.equal(limited.mock.callCount(), 0);
+        assert.equal(rest.handlers.size, 2);
+    });
+
+    it('holds every request back on a global 429', async t => {
+        const api = await startAPI(t, (request, hits) => (hits === 1
+            ? {
+                status: 429,
+                headers: { 'Retry-After': '0.2', 'X-RateLimit-Global': 'true' },
+                body: { message: 'You are being rate limited.', retry_after: 0.2, global: true },
+            }
+            : { body: { path: request.url } }));
+        const { client, rest } = createREST(api.url);
+        const limits = [];
+        client.on(RESTEvents.RATE_LIMITED, info => limits.push(info));
+        const debug = [];
+        client.on('debug', message => debug.push(message));
+
+        const start = Date.now();
+        const first = rest.request('GET', '/users/@me');
+        // Queued on another bucket, after the 429 arrived
+        await new Promise(resolve => setTimeout(resolve, 50));
+        const second = rest.request('GET', '/guilds/81384788765712384');
+
+        assert.deepEqual(await first, { path: '/users/@me' });
+        assert.deepEqual(await second, { path: '/guilds/81384788765712384' });
+        assert.ok(Date.now() - start >= 180);
+        assert.ok(limits.length >= 2);
+        assert.ok(limits.every(info => info.global));
+        assert.match(debug.join('\n'), /global rate limit on GET \/users\/@me/);
+    });
+
+    it('retries a bucket 429 after Retry-After without logging to the console', async t => {
+        const api = await startAPI(t, (request, hits) => (hits === 1
+            ? {
+                status: 429,
+                headers: { 'Retry-After': '0.15', 'X-RateLimit-Scope': 'user' },
+                body: { message: 'You are being rate limited.', retry_after: 0.15, global: false },
+            }
+            : { body: { ok: true } }));
+        const { client, rest } = createREST(api.url);
+        const warn = mock.method(console, 'warn', () => {});
+        t.after(() => mock.restoreAll());
+        const debug = [];
+        client.on('debug', message => debug.push(message));
+
+        const start = Date.now();
+        assert.deepEqual(await rest.request('POST', '/channels/81384788765712384/messages', { content: 'hi' }), { ok: true });
+        assert.ok(Date.now() - start >= 130);
+        assert.equal(api.requests.length, 2);
+        assert.deepEqual(api.requests[1].body, { content: 'hi' });
+        assert.match(debug[0], /user rate limit on POST \/channels\/:id\/messages, retrying in 150ms/);
+        assert.equal(warn.mock.callCount(), 0);
+    });
+
+    it('retries 5xx responses with backoff, then throws an HTTPError', async t => {
+        const api = await startAPI(t, () => ({ status: 502, body: '<html>Bad Gateway</html>' }));
+        const { rest } = createREST(api.url, { retries: 2 });
+        const delays = recordSleeps();
+        t.after(() => mock.restoreAll());
+
+        await assert.rejects(rest.request('GET', '/gateway'), error => {
+            assert.ok(error instanceof HTTPError);
+            assert.equal(error.status, 502);
+            assert.equal(error.method, 'GET');
+            assert.equal(error.path, '/gateway');
+            return true;
+        });
+        assert.equal(api.requests.length, 3);
+        assert.deepEqual(delays, [1000, 2000]);
+    });
+
+    it('returns the response once a 5xx retry succeeds', async t => {
+        const api = await startAPI(t, (request, hits) => (hits === 1 ? { status: 500, body: 'oops' } : { body: { ok: 2 } }));
+        const { rest } = createREST(api.url);
+        recordSleeps();
+        t.after(() => mock.restoreAll());
+
+        assert.deepEqual(await rest.request('GET', '/gateway'), { ok: 2 });
+        assert.equal(api.requests.length, 2);
+    });
+
+    it('retries network errors with backoff', async t => {
+        // Nothing listens on port 1
+        const { rest } = createREST('http://127.0.0.1:1', { retries: 2 });
+        const delays = recordSleeps();
+        t.after(() => mock.restoreAll());
+
+        await assert.rejects(rest.request('GET', '/gateway'), error => {
+            assert.ok(error instanceof HTTPError);
+            assert.equal(error.status, null);
+            assert.equal(error.name, 'ECONNREFUSED');
+            return true;
+        });
+        assert.deepEqual(delays, [1000, 2000]);
+    });
+
+    it('throws a DiscordAPIError with the flattened errors of a JSON error body', async t => {
+        const api = await startAPI(t, () => ({
+            status: 400,
+            body: {
+                code: 50035,
+                message: 'Invalid Form Body',
+                errors: {
+                    content: { _errors: [{ code: 'BASE_TYPE_MAX_LENGTH', message: 'Must be 2000 or fewer in length.' }] },
+                    embeds: { 0: { title: { _errors: [{ code: 'BASE_TYPE_REQUIRED', message: 'This field is required' }] } } },
+                },
+            },
+        }));
+        const { rest } = createREST(api.url);
+        const body = { content: 'x'.repeat(2001), embeds: [{}] };
+
+        await assert.rejects(rest.request('POST', '/channels/81384788765712384/messages', body), error => {
+            assert.ok(error instanceof DiscordAPIError);
+            assert.equal(error.code, 50035);
+            assert.equal(error.status, 400);
+            assert.equal(error.method, 'POST');
+            assert.equal(error.path, '/channels/81384788765712384/messages');
+            assert.deepEqual(error.requestBody, body);
+            assert.equal(error.message, [
+                'Invalid Form Body',
+                'content: [BASE_TYPE_MAX_LENGTH] Must be 2000 or fewer in length.',
+                'embeds[0].title: [BASE_TYPE_REQUIRED] This field is required',
+            ].join('\n'));
+            return true;
+        });
+        assert.equal(api.requests.length, 1);
+    });
+
+    it('throws a DiscordAPIError for JSON errors without nested errors', async t => {
+        const api = await startAPI(t, () => ({ status: 404, body: { code: 10008, message: 'Unknown Message' } }));
+        const { rest } = createREST(api.url);
+
+        await assert.rejects(rest.request('DELETE', '/channels/81384788765712384/messages/1'), {
+            name: 'DiscordAPIError',
+            code: 10008,
+            status: 404,
+            message: 'Unknown Message',
+        });
+    });
+});
@@ -0,0 +1,217 @@
+// test/structures/ApplicationCommand.test.js
+
+const assert = require('node:assert/strict');
+const { describe, it, mock } = require('node:test');
+const Client = require('../../Client');
+const { ApplicationCommandOptionType: OptionType } = require('../../util/Constants');
+
+/**
+ * A command index, as returned by `GET /channels/:id/application-command-index`.
+ * @type {object}
+ */
+const INDEX = {
+    applications: [{ id: '900', name: 'Reminders', bot: { id: '901', username: 'remindbot' } }],
+    application_commands: [
+        {
+            id: '1000',
+            application_id: '900',
+            version: '1001',
+            type: 1,
+            name: 'remind',
+            description: 'Reminders',
+            options: [
+                {
+                    type: OptionType.Subcommand,
+                    name: 'add',
+                    description: 'Adds a reminder',
+                    options: [
+                        { type: OptionType.String, name: 'text', required: true, min_length: 2, max_length: 20 },
+                        { type: OptionType.Integer, name: 'minutes', required: true, min_value: 1, max_value: 1440 },
+                        {
+                            type: OptionType.String,
+                            name: 'repeat',
+                            choices: [{ name: 'Daily', value: 'daily' }, { name: 'Weekly', value: 'weekly' }],
+                        },
+                        { type: OptionType.Channel, name: 'channel', channel_types: [0] },
+                        { type: OptionType.Attachment, name: 'image' },
+                    ],
+                },
+                {
+                    type: OptionType.SubcommandGroup,
+                    name: 'admin',
+                    description: 'Manages everyone\'s reminders',
+                    options: [{
+                        type: OptionType.Subcommand,
+                        name: 'clear',
+                        description: 'Clears reminders',
+                        options: [{ type: OptionType.Boolean, name: 'all' }, { type: OptionType.User, name: 'user' }],
+                    }],
+                },
+            ],
+        },
+        {
+            id: '2000',
+            application_id: '900',
+            version: '2001',
+            type: 1,
+            name: 'roll',
+            description: 'Rolls a die',
+            options: [{ type: OptionType.Number, name: 'sides', required: true, min_value: 1.5 }],
+        },
+        { id: '3000', application_id: '900', version: '3001', type: 3, name: 'Remind me', description: '' },
+    ],
+};
+
+/**
+ * Creates a client with a cached text channel (2) and voice channel (3), whose command index is `INDEX`.
+ * @param {TestContext} t The test context
+ * @returns {{client: Client, channel: TextChannel, request: Function}}
+ */
+function setup(t) {
+    mock.method(console, 'log', () => {});
+    const client = new Client();
+    client._cleanupProcessListeners();
+    const request = mock.method(client.rest, 'request', async () => INDEX);
+    t.after(() => {
+        client.destroy();
+        mock.restoreAll();
+    });
+    const channel = client.channels._add({ id: '2', type: 0 });
+    client.channels._add({ id: '3', type: 2 });
+    return { client, channel, request };
+}
+
+/**
+ * Gets a chat input command from the command index.
+ * @param {TestContext} t The test context
+ * @param {string} name The name of the command
+ * @returns {Promise<ApplicationCommand>}
+ */
+async function command(t, name) {
+    const { channel } = setup(t);
+    return (await channel.searchApplicationCommands(name)).find(cmd => cmd.name === name);
+}
+
+describe('ApplicationCommand', () => {
+    it('is built from the command index of the channel', async t => {
+        const { channel, request } = setup(t);
+        const commands = await channel.searchApplicationCommands('R');
+        assert.deepEqual(request.mock.calls[0].arguments, ['GET', '/channels/2/application-command-index']);
+        assert.deepEqual([...commands.keys()], ['1000', '2000']);
+
+        const remind = commands.get('1000');
+        assert.equal(remind.applicationId, '900');
+        assert.equal(remind.botId, '901');
+        assert.equal(remind.version, '1001');
+        assert.equal(remind.toString(), '</remind:1000>');
+
+        const messageCommands = await channel.searchApplicationCommands('', { type: 3, applicationId: '901' });
+        assert.deepEqual([...messageCommands.keys()], ['3000']);
+    });
+
+    describe('resolveInteractionData', () => {
+        it('wraps the options in their subcommand and uploads attachments', async t => {
+            const remind = await command(t, 'remind');
+            const image = Buffer.from('png');
+            const { data, files } = await remind.resolveInteractionData(['add'], ['walk', 15, 'Daily', { id: '2' }, image]);
+
+            assert.deepEqual(data.options, [{
+                type: OptionType.Subcommand,
+                name: 'add',
+                options: [
+                    { type: OptionType.String, name: 'text', value: 'walk' },
+                    { type: OptionType.Integer, name: 'minutes', value: 15 },
+                    { type: OptionType.String, name: 'repeat', value: 'daily' },
+                    { type: OptionType.Channel, name: 'channel', value: '2' },
+                    { type: OptionType.Attachment, name: 'image', value: 0 },
+                ],
+            }]);
+            assert.deepEqual(data.attachments, [{ id: '0', filename: 'file.bin' }]);
+            assert.deepEqual(files, [{ key: 'files[0]', name: 'file.bin', data: image }]);
+            assert.equal(data.id, '1000');
+            assert.equal(data.version, '1001');
+            assert.equal(data.name, 'remind');
+            assert.equal(data.type, 1);
+            assert.deepEqual(data.application_command, remind.toJSON());
+        });
+
+        it('leaves optional options out and takes choices by value', async t => {
+            const remind = await command(t, 'remind');
+            const { data, files } = await remind.resolveInteractionData(['add'], ['walk', 15, 'weekly', null]);
+            assert.deepEqual(data.options[0].options.map(option => option.value), ['walk', 15, 'weekly']);
+            assert.deepEqual(data.attachments, []);
+            assert.deepEqual(files, []);
+        });
+
+        it('wraps the options of a subcommand in a group', async t => {
+            const remind = await command(t, 'remind');
+            const { data } = await remind.resolveInteractionData(['admin', 'clear'], [true, { id: '5' }]);
+            assert.deepEqual(data.options, [{
+                type: OptionType.SubcommandGroup,
+                name: 'admin',
+                options: [{
+                    type: OptionType.Subcommand,
+                    name: 'clear',
+                    options: [
+                        { type: OptionType.Boolean, name: 'all', value: true },
+                        { type: OptionType.User, name: 'user', value: '5' },
+                    ],
+                }],
+            }]);
+        });
+
+        it('rejects unknown and missing subcommands', async t => {
+            const remind = await command(t, 'remind');
+            await assert.rejects(remind.resolveInteractionData(['remove'], []), /"\/remind" has no subcommand "remove"/);
+            await assert.rejects(remind.resolveInteractionData(['admin', 'add'], []), /"\/remind admin" has no subcommand "add"/);
+            await assert.rejects(remind.resolveInteractionData([], []), /"\/remind" needs a subcommand: add, admin/);
+            await assert.rejects(remind.resolveInteractionData(['admin'], []), /"\/remind admin" needs a subcommand: clear/);
+        });
+
+        it('rejects missing required options and extra values', async t => {
+            const remind = await command(t, 'remind');
+            await assert.rejects(remind.resolveInteractionData(['add'], ['walk']), /The option "minutes" of "\/remind add" is required/);
+            await assert.rejects(
+                remind.resolveInteractionData(['admin', 'clear'], [true, '5', 'extra']),
+                /"\/remind admin clear" takes at most 2 options, got 3/,
+            );
+        });
+
+        it('checks string lengths, number bounds and types', async t => {
+            const remind = await command(t, 'remind');
+            const add = values => remind.resolveInteractionData(['add'], values);
+            await assert.rejects(add(['w', 15]), /"text" must be between 2 and 20 characters long/);
+            await assert.rejects(add(['x'.repeat(21), 15]), RangeError);
+            await assert.rejects(add([42, 15]), /"text" must be a string/);
+            await assert.rejects(add(['walk', 1.5]), /"minutes" must be an integer/);
+            await assert.rejects(add(['walk', 0]), /"minutes" must be between 1 and 1440/);
+            await assert.rejects(add(['walk', 1441]), RangeError);
+            await assert.rejects(remind.resolveInteractionData(['admin', 'clear'], ['yes']), /"all" must be a boolean/);
+            await assert.rejects(remind.resolveInteractionData(['admin', 'clear'], [true, 5]), /"user" must be an ID/);
+
+            const roll = await command(t, 'roll');
+            assert.equal((await roll.resolveInteractionData([], [2.5])).data.options[0].value, 2.5);
+            await assert.rejects(roll.resolveInteractionData([], [1]), /"sides" must be between 1.5 and Infinity/);
+            await assert.rejects(roll.resolveInteractionData([], [NaN]), /"sides" must be a number/);
+        });
+
+        it('rejects values that are not a choice', async t => {
+            const remind = await command(t, 'remind');
+            await assert.rejects(
+                remind.resolveInteractionData(['add'], ['walk', 15, 'Monthly']),
+                /"Monthly" is not a choice of the option "repeat": Daily, Weekly/,
+            );
+        });
+
+        it('rejects cached channels of a type the option does not accept', async t => {
+            const remind = await command(t, 'remind');
+            await assert.rejects(
+                remind.resolveInteractionData(['add'], ['walk', 15, undefined, '3']),
+                /The channel 3 is not of a type accepted by the option "channel"/,
+            );
+            // Channels that aren't cached are left to Discord
+            const { data } = await remind.resolveInteractionData(['add'], ['walk', 15, undefined, '404']);
+            assert.equal(data.options[0].options[2].value, '404');
+        });
+    });
+});
@@ -0,0 +1,140 @@
+// test/structures/GuildChannel.test.js
+
+const assert = require('node:assert/strict');
+const { describe, it, mock } = require('node:test');
+const Client = require('../../Client');
+const PermissionsBitField = require('../../util/PermissionsBitField');
+
+const { Flags } = PermissionsBitField;
+
+const GUILD_ID = '100';
+const MOD_ROLE = '200';
+const MUTED_ROLE = '201';
+const HELPER_ROLE = '202';
+const ADMIN_ROLE = '203';
+
+/**
+ * The raw data of a permission overwrite.
+ * @param {string} id The ID of the role or member
+ * @param {number} type 0 for a role, 1 for a member
+ * @param {bigint} [allow=0n] The allowed permissions
+ * @param {bigint} [deny=0n] The denied permissions
+ * @returns {object}
+ */
+function overwrite(id, type, allow = 0n, deny = 0n) {
+    return { id, type, allow: String(allow), deny: String(deny) };
+}
+
+/**
+ * Creates a client with a cached guild owned by user 9, with @everyone allowed to view channels,
+ * send messages and embed links. Members:
+ * - 5 has the moderator role
+ * - 6 has the muted and helper roles
+ * - 7 has the administrator role
+ * - 8 has no roles, and is timed out
+ * @param {TestContext} t The test context
+ * @param {object[]} overwrites The raw permission overwrites of channel 300 (text) and 301 (category)
+ * @returns {Guild}
+ */
+function createGuild(t, overwrites) {
+    mock.method(console, 'log', () => {});
+    const client = new Client();
+    client._cleanupProcessListeners();
+    t.after(() => {
+        client.destroy();
+        mock.restoreAll();
+    });
+
+    const role = (id, permissions, position) => ({ id, name: id, permissions: String(permissions), position });
+    const member = (id, roles, extra) => ({ user: { id, username: id }, roles, ...extra });
+    return client.guilds._add({
+        id: GUILD_ID,
+        name: 'guild',
+        owner_id: '9',
+        roles: [
+            role(GUILD_ID, Flags.ViewChannel | Flags.SendMessages | Flags.EmbedLinks, 0),
+            role(MOD_ROLE, Flags.ManageMessages | Flags.KickMembers, 3),
+            role(MUTED_ROLE, 0n, 1),
+            role(HELPER_ROLE, 0n, 2),
+            role(ADMIN_ROLE, Flags.Administrator, 4),
+        ],
+        members: [
+            member('5', [MOD_ROLE]),
+            member('6', [MUTED_ROLE, HELPER_ROLE]),
+            member('7', [ADMIN_ROLE]),
+            member('8', [], { communication_disabled_until: new Date(Date.now() + 3_600_000).toISOString() }),
+            member('9', []),
+        ],
+        channels: [
+            { id: '300', type: 0, name: 'general', permission_overwrites: overwrites },
+            { id: '301', type: 4, name: 'category', permission_overwrites: overwrites },
+        ],
+    });
+}
+
+describe('GuildChannel#permissionsFor', () => {
+    it('combines the permissions of @everyone and the member roles without overwrites', t => {
+        const guild = createGuild(t, []);
+        const permissions = guild.channels.resolve('300').permissionsFor('5');
+        assert.ok(Object.isFrozen(permissions));
+        assert.deepEqual(permissions.toArray(), ['KickMembers', 'ViewChannel', 'SendMessages', 'ManageMessages', 'EmbedLinks']);
+    });
+
+    it('applies @everyone, then the roles together, then the member overwrite', t => {
+        const guild = createGuild(t, [
+            overwrite(GUILD_ID, 0, Flags.AttachFiles, Flags.SendMessages),
+            // A role allowing a permission wins over another role denying it
+            overwrite(MUTED_ROLE, 0, 0n, Flags.EmbedLinks | Flags.ReadMessageHistory),
+            overwrite(HELPER_ROLE, 0, Flags.SendMessages | Flags.ReadMessageHistory),
+            overwrite('6', 1, 0n, Flags.AttachFiles),
+        ]);
+        const channel = guild.channels.resolve('300');
+
+        assert.deepEqual(channel.permissionsFor('6').toArray(), ['ViewChannel', 'SendMessages', 'ReadMessageHistory']);
+        // Without the helper role, the @everyone overwrite's Send Messages deny stands
+        assert.deepEqual(channel.permissionsFor('5').toArray(), ['KickMembers', 'ViewChannel', 'ManageMessages']);
+    });
+
+    it('gives the owner and administrators every permission unless told not to', t => {
+        const guild = createGuild(t, [overwrite(GUILD_ID, 0, 0n, Flags.ViewChannel)]);
+        const channel = guild.channels.resolve('300');
+
+        assert.equal(channel.permissionsFor('9').bitfield, PermissionsBitField.All);
+        assert.equal(channel.permissionsFor('7').bitfield, PermissionsBitField.All);
+        assert.equal(channel.permissionsFor('7', false).bitfield, 0n);
+    });
+
+    it('allows nothing without View Channel', t => {
+        const guild = createGuild(t, [overwrite(MOD_ROLE, 0, 0n, Flags.ViewChannel)]);
+        assert.equal(guild.channels.resolve('300').permissionsFor('5').bitfield, 0n);
+    });
+
+    it('removes the permissions that depend on Send Messages in text channels only', t => {
+        const guild = createGuild(t, [overwrite(GUILD_ID, 0, Flags.AttachFiles | Flags.MentionEveryone, Flags.SendMessages)]);
+        assert.deepEqual(guild.channels.resolve('300').permissionsFor('6').toArray(), ['ViewChannel']);
+        assert.deepEqual(
+            guild.channels.resolve('301').permissionsFor('6').toArray(),
+            ['ViewChannel', 'EmbedLinks', 'AttachFiles', 'MentionEveryone'],
+        );
+    });
+
+    it('only leaves View Channel and Read Message History to timed out members', t => {
+        const guild = createGuild(t, [overwrite('8', 1, Flags.ReadMessageHistory | Flags.AttachFiles)]);
+        assert.deepEqual(guild.channels.resolve('300').permissionsFor('8').toArray(), ['ViewChannel', 'ReadMessageHistory']);
+    });
+
+    it('computes the permissions of a role from @everyone and its own overwrite', t => {
+        const guild = createGuild(t, [
+            overwrite(GUILD_ID, 0, 0n, Flags.EmbedLinks),
+            overwrite(MOD_ROLE, 0, Flags.AttachFiles),
+            overwrite('5', 1, 0n, Flags.SendMessages),
+        ]);
+        const permissions = guild.channels.resolve('300').permissionsFor(guild.roles.resolve(MOD_ROLE));
+        assert.deepEqual(permissions.toArray(), ['KickMembers', 'ViewChannel', 'SendMessages', 'ManageMessages', 'AttachFiles']);
+    });
+
+    it('returns null for members and roles that are not cached', t => {
+        const guild = createGuild(t, []);
+        assert.equal(guild.channels.resolve('300').permissionsFor('404'), null);
+    });
+});
@@ -0,0 +1,64 @@
+// test/structures/Message.test.js
+
+const assert = require('node:assert/strict');
+const { describe, it, mock } = require('node:test');
+const Client = require('../../Client');
+
+/**
+ * Creates a client with a cached message holding a disabled button and a string select menu.
+ * @param {TestContext} t The test context
+ * @returns {Message}
+ */
+function createMessage(t) {
+    mock.method(console, 'log', () => {});
+    const client = new Client();
+    client._cleanupProcessListeners();
+    t.after(() => {
+        client.destroy();
+        mock.restoreAll();
+    });
+
+    const channel = client.channels._add({ id: '2', type: 0 });
+    return channel.messages._add({
+        id: '3',
+        channel_id: '2',
+        content: 'Pick one',
+        author: { id: '4', username: 'app', bot: true },
+        application_id: '4',
+        components: [
+            {
+                type: 1,
+                components: [
+                    { type: 2, style: 1, custom_id: 'confirm', label: 'Confirm', disabled: true },
+                    { type: 2, style: 5, url: 'https://example.com', label: 'Docs' },
+                ],
+            },
+            {
+                type: 1,
+                components: [{
+                    type: 3,
+                    custom_id: 'color',
+                    min_values: 1,
+                    max_values: 1,
+                    options: [{ label: 'Red', value: 'red' }, { label: 'Blue', value: 'blue' }],
+                }],
+            },
+        ],
+    });
+}
+
+describe('Message components', () => {
+    it('rejects clicking buttons that cannot be clicked', async t => {
+        const message = createMessage(t);
+        await assert.rejects(message.clickButton('missing'), /The message has no button "missing"/);
+        await assert.rejects(message.clickButton('confirm'), /The button "confirm" is disabled/);
+        await assert.rejects(message.clickButton(message.components[0].components[1]), /Link and premium buttons/);
+    });
+
+    it('rejects selections the select menu does not allow', async t => {
+        const message = createMessage(t);
+        await assert.rejects(message.selectMenu('missing', ['red']), /The message has no select menu "missing"/);
+        await assert.rejects(message.selectMenu('color', ['red', 'blue']), RangeError);
+        await assert.rejects(message.selectMenu('color', ['green']), /Unknown select menu values: green/);
+    });
+});
@@ -0,0 +1,99 @@
+// test/structures/MessageReaction.test.js
+
+const assert = require('node:assert/strict');
+const { describe, it, mock } = require('node:test');
+const Client = require('../../Client');
+const PacketHandlers = require('../../gateway/PacketHandlers');
+
+const EMOJI = { id: null, name: '👍' };
+
+/**
+ * Creates a client logged in as user 1, with a cached message that has no reactions yet.
+ * @param {TestContext} t The test context
+ * @returns {{client: Client, message: Message}}
+ */
+function setup(t) {
+    mock.method(console, 'log', () => {});
+    const client = new Client();
+    client._cleanupProcessListeners();
+    client._patch({ user: { id: '1', username: 'me' } });
+    const channel = client.channels._add({ id: '2', type: 0 });
+    const message = channel.messages._add({ id: '3', channel_id: '2', content: 'hi', author: { id: '4', username: 'them' } });
+    t.after(() => {
+        client.destroy();
+        mock.restoreAll();
+    });
+    return { client, message };
+}
+
+/**
+ * Dispatches a reaction add or remove for user 9, or another user.
+ * @param {Client} client The client
+ * @param {string} event `MESSAGE_REACTION_ADD` or `MESSAGE_REACTION_REMOVE`
+ * @param {object} [options={}] The reaction
+ * @param {boolean} [options.burst=false] Whether it is a super reaction
+ * @param {string} [options.userId='9'] The user who reacted
+ */
+function react(client, event, { burst = false, userId = '9' } = {}) {
+    PacketHandlers[event](client, {
+        d: { channel_id: '2', message_id: '3', user_id: userId, emoji: EMOJI, burst, type: burst ? 1 : 0 },
+    });
+}
+
+describe('MessageReaction', () => {
+    it('counts a normal and a super reaction of the same user separately', t => {
+        const { client, message } = setup(t);
+        react(client, 'MESSAGE_REACTION_ADD');
+        react(client, 'MESSAGE_REACTION_ADD', { burst: true });
+
+        const reaction = message.reactions.resolve(EMOJI);
+        assert.equal(reaction.count, 2);
+        assert.deepEqual(reaction.countDetails, { normal: 1, burst: 1 });
+
+        react(client, 'MESSAGE_REACTION_REMOVE', { burst: true });
+        assert.equal(message.reactions.resolve(EMOJI), reaction);
+        assert.equal(reaction.count, 1);
+        assert.deepEqual(reaction.countDetails, { normal: 1, burst: 0 });
+        assert.ok(reaction.users.cache.has('9'));
+    });
+
+    it('drops the user and the reaction once neither type remains', t => {
+        const { client, message } = setup(t);
+        react(client, 'MESSAGE_REACTION_ADD', { burst: true });
+        react(client, 'MESSAGE_REACTION_ADD');
+        const reaction = message.reactions.resolve(EMOJI);
+
+        react(client, 'MESSAGE_REACTION_REMOVE');
+        assert.ok(reaction.users.cache.has('9'));
+        react(client, 'MESSAGE_REACTION_REMOVE', { burst: true });
+        assert.equal(reaction.users.cache.has('9'), false);
+        assert.deepEqual(reaction.countDetails, { normal: 0, burst: 0 });
+        assert.equal(message.reactions.resolve(EMOJI), null);
+    });
+
+    it('counts the same reaction of a user once', t => {
+        const { client, message } = setup(t);
+        react(client, 'MESSAGE_REACTION_ADD');
+        react(client, 'MESSAGE_REACTION_ADD');
+        react(client, 'MESSAGE_REACTION_ADD', { userId: '10' });
+        assert.equal(message.reactions.resolve(EMOJI).count, 2);
+    });
+
+    it("doesn't count the gateway echo of the client user's reaction", t => {
+        const { client, message } = setup(t);
+        react(client, 'MESSAGE_REACTION_ADD');
+        const reaction = message.reactions.resolve(EMOJI);
+        // As done by Message#react() once the request succeeded
+        assert.equal(reaction._add(client.user, true), true);
+        react(client, 'MESSAGE_REACTION_ADD', { userId: '1', burst: true });
+
+        assert.equal(reaction.meBurst, true);
+        assert.equal(reaction.me, false);
+        assert.deepEqual(reaction.countDetails, { normal: 1, burst: 1 });
+
+        react(client, 'MESSAGE_REACTION_REMOVE', { userId: '1', burst: true });
+        assert.equal(reaction.meBurst, false);
+        assert.equal(reaction.users.cache.has('1'), false);
+        assert.equal(reaction.count, 1);
+    });
+});
@@ -0,0 +1,41 @@
+// test/structures/StageChannel.test.js
+
+const assert = require('node:assert/strict');
+const { describe, it, mock } = require('node:test');
+const Client = require('../../Client');
+
+/**
+ * Creates a client with a cached guild holding a stage channel, with member 5 in a voice channel instead.
+ * @param {TestContext} t The test context
+ * @returns {StageChannel}
+ */
+function createStage(t) {
+    mock.method(console, 'log', () => {});
+    const client = new Client();
+    client._cleanupProcessListeners();
+    t.after(() => {
+        client.destroy();
+        mock.restoreAll();
+    });
+
+    const guild = client.guilds._add({
+        id: '100',
+        name: 'guild',
+        roles: [{ id: '100', name: '@everyone', permissions: '0', position: 0 }],
+        members: [{ user: { id: '5', username: 'listener' }, roles: [] }],
+        channels: [
+            { id: '300', type: 13, name: 'stage' },
+            { id: '301', type: 2, name: 'voice' },
+        ],
+        voice_states: [{ user_id: '5', channel_id: '301', session_id: 'session' }],
+    });
+    return guild.channels.resolve('300');
+}
+
+describe('StageChannel', () => {
+    it('rejects accepting or denying speakers who are not in the stage', async t => {
+        const stage = createStage(t);
+        await assert.rejects(stage.acceptSpeaker('5'), /The user 5 is not in the stage channel/);
+        await assert.rejects(stage.denySpeaker('6'), /The user 6 is not in the stage channel/);
+    });
+});
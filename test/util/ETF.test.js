@@ -0,0 +1,220 @@
+// test/util/ETF.test.js
+
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const zlib = require('node:zlib');
+const { describe, it } = require('node:test');
+const ETF = require('../../util/ETF');
+
+const { Tags, FORMAT_VERSION } = ETF;
+
+/**
+ * Reads a gateway payload fixture, laid out like Erlang's `term_to_binary` output.
+ * @param {string} name The name of the fixture
+ * @returns {Buffer}
+ */
+function fixture(name) {
+    return fs.readFileSync(path.join(__dirname, '..', 'fixtures', 'etf', `${name}.etf`));
+}
+
+/**
+ * Wraps a term in the ETF version header.
+ * @param {...number|Buffer} parts The bytes of the term
+ * @returns {Buffer}
+ */
+function term(...parts) {
+    return Buffer.concat([Buffer.from([FORMAT_VERSION]), ...parts.map(part => (Buffer.isBuffer(part) ? part : Buffer.from([part])))]);
+}
+
+const USER = {
+    avatar: null,
+    bot: false,
+    discriminator: '0',
+    email: null,
+    global_name: 'Royal',
+    id: '172002275412279296',
+    mfa_enabled: false,
+    username: 'royal',
+    verified: true,
+};
+
+describe('ETF', () => {
+    describe('decoding gateway payloads', () => {
+        it('decodes HELLO, with ATOM_EXT keys and nil sequence and event name', () => {
+            assert.deepEqual(ETF.unpack(fixture('hello')), {
+                d: {
+                    _trace: ['["gateway-prd-us-east1-b-0568",{"micros":0.0}]'],
+                    heartbeat_interval: 41250,
+                },
+                op: 10,
+                s: null,
+                t: null,
+            });
+        });
+
+        it('decodes READY, with snowflakes, empty lists and an empty map', () => {
+            assert.deepEqual(ETF.unpack(fixture('ready')), {
+                d: {
+                    _trace: ['["gateway-prd-us-east1-b-0568",{"micros":84211}]'],
+                    geo_ordered_rtc_regions: ['rotterdam', 'madrid'],
+                    guilds: [
+                        { id: '81384788765712384', unavailable: true },
+                        { id: '1100434525380784128', unavailable: true },
+                    ],
+                    private_channels: [],
+                    relationships: [],
+                    resume_gateway_url: 'wss://gateway-us-east1-b.discord.gg',
+                    session_id: 'd0e8f5a5a6c3c1b2e4f6a7b8c9d0e1f2',
+                    user: USER,
+                    user_settings: {},
+                    v: 9,
+                },
+                op: 0,
+                s: 1,
+                t: 'READY',
+            });
+        });
+
+        it('decodes MESSAGE_CREATE, with UTF-8 content and nested snowflakes', () => {
+            const { d, s, t } = ETF.unpack(fixture('message_create'));
+            assert.equal(t, 'MESSAGE_CREATE');
+            assert.equal(s, 42);
+            assert.equal(d.id, '1262470417441210459');
+            assert.equal(d.channel_id, '290926798999357250');
+            assert.equal(d.guild_id, '81384788765712384');
+            assert.equal(d.content, 'héllo 👋 <@172002275412279296>');
+            assert.equal(d.nonce, '1262470415847374848');
+            assert.equal(d.edited_timestamp, null);
+            assert.deepEqual(d.attachments, []);
+            assert.deepEqual(d.author, {
+                avatar: 'a_1269e74af4df7417b13759eae50c83dc',
+                discriminator: '0',
+                global_name: null,
+                id: '80351110224678912',
+                public_flags: 4194304,
+                username: 'nelly',
+            });
+            assert.deepEqual(d.member.roles, ['197041192220590080']);
+            assert.deepEqual(d.mentions, [USER]);
+        });
+    });
+
+    describe('decoding terms', () => {
+        it('decodes snowflakes stored as small big ints to strings', () => {
+            // 81384788765712384, little-endian
+            const snowflake = term(Tags.SMALL_BIG_EXT, 8, 0, Buffer.from('002080c008232101', 'hex'));
+            assert.equal(ETF.unpack(snowflake), '81384788765712384');
+        });
+
+        it('decodes big ints that fit in 32 bits to numbers', () => {
+            assert.equal(ETF.unpack(term(Tags.SMALL_BIG_EXT, 4, 0, Buffer.from('005ed0b2', 'hex'))), 3_000_000_000);
+            assert.equal(ETF.unpack(term(Tags.SMALL_BIG_EXT, 4, 1, Buffer.from('005ed0b2', 'hex'))), -3_000_000_000);
+            assert.equal(ETF.unpack(term(Tags.LARGE_BIG_EXT, Buffer.from('00000001', 'hex'), 0, 7)), 7);
+        });
+
+        it('decodes the nil atom to null and the empty list to an empty array', () => {
+            assert.equal(ETF.unpack(term(Tags.SMALL_ATOM_EXT, 3, Buffer.from('nil'))), null);
+            assert.equal(ETF.unpack(term(Tags.SMALL_ATOM_EXT, 4, Buffer.from('null'))), null);
+            assert.deepEqual(ETF.unpack(term(Tags.NIL_EXT)), []);
+        });
+
+        it('decodes other atoms to strings, whatever their encoding', () => {
+            assert.equal(ETF.unpack(term(Tags.ATOM_EXT, 0, 5, Buffer.from('READY'))), 'READY');
+            assert.equal(ETF.unpack(term(Tags.SMALL_ATOM_UTF8_EXT, 4, Buffer.from('true'))), true);
+            assert.equal(ETF.unpack(term(Tags.ATOM_UTF8_EXT, 0, 5, Buffer.from('false'))), false);
+        });
+
+        it('decodes binaries and STRING_EXT character lists to strings', () => {
+            const binary = Buffer.from('héllo 👋');
+            assert.equal(ETF.unpack(term(Tags.BINARY_EXT, Buffer.from([0, 0, 0, binary.length]), binary)), 'héllo 👋');
+            // term_to_binary([104, 105]) is a STRING_EXT, not a list
+            assert.equal(ETF.unpack(term(Tags.STRING_EXT, 0, 2, 104, 105)), 'hi');
+        });
+
+        it('decodes integers and floats', () => {
+            assert.equal(ETF.unpack(term(Tags.SMALL_INTEGER_EXT, 200)), 200);
+            assert.equal(ETF.unpack(term(Tags.INTEGER_EXT, Buffer.from('fffffc18', 'hex'))), -1000);
+            const float = Buffer.alloc(8);
+            float.writeDoubleBE(0.25);
+            assert.equal(ETF.unpack(term(Tags.NEW_FLOAT_EXT, float)), 0.25);
+            assert.equal(ETF.unpack(term(Tags.FLOAT_EXT, Buffer.from('1.50000000000000000000e+00'.padEnd(31, '\0')))), 1.5);
+        });
+
+        it('decodes compressed terms', () => {
+            const inner = fixture('ready').subarray(1);
+            const size = Buffer.alloc(4);
+            size.writeUInt32BE(inner.length);
+            const compressed = term(Tags.COMPRESSED, size, zlib.deflateSync(inner));
+            assert.deepEqual(ETF.unpack(compressed), ETF.unpack(fixture('ready')));
+        });
+
+        it('rejects other format versions and truncated terms', () => {
+            assert.throws(() => ETF.unpack(Buffer.from([130, Tags.NIL_EXT])), /Unsupported ETF format version 130/);
+            assert.throws(() => ETF.unpack(term(Tags.BINARY_EXT, Buffer.from([0, 0, 0, 9]), Buffer.from('abc'))), RangeError);
+            assert.throws(() => ETF.unpack(term(42)), /Unsupported ETF tag 42/);
+        });
+    });
+
+    describe('encoding', () => {
+        it('encodes maps with binary keys, strings as binaries and null as nil', () => {
+            assert.deepEqual(ETF.pack({ op: 1, d: null }), term(
+                Tags.MAP_EXT, Buffer.from([0, 0, 0, 2]),
+                Tags.BINARY_EXT, Buffer.from([0, 0, 0, 2]), Buffer.from('op'), Tags.SMALL_INTEGER_EXT, 1,
+                Tags.BINARY_EXT, Buffer.from([0, 0, 0, 1]), Buffer.from('d'), Tags.SMALL_ATOM_EXT, 3, Buffer.from('nil'),
+            ));
+        });
+
+        it('encodes integers in the smallest tag and bigints as small big ints', () => {
+            assert.deepEqual(ETF.pack(255), term(Tags.SMALL_INTEGER_EXT, 255));
+            assert.deepEqual(ETF.pack(-1), term(Tags.INTEGER_EXT, Buffer.from('ffffffff', 'hex')));
+            assert.deepEqual(ETF.pack(81384788765712384n), term(Tags.SMALL_BIG_EXT, 8, 0, Buffer.from('002080c008232101', 'hex')));
+            assert.deepEqual(ETF.pack(1.5).subarray(0, 2), term(Tags.NEW_FLOAT_EXT));
+        });
+
+        it('encodes empty arrays as the empty list and skips undefined properties', () => {
+            assert.deepEqual(ETF.pack([]), term(Tags.NIL_EXT));
+            assert.deepEqual(ETF.pack({ a: undefined }), term(Tags.MAP_EXT, Buffer.from([0, 0, 0, 0])));
+        });
+
+        it('rejects values that have no ETF form', () => {
+            assert.throws(() => ETF.pack({ f: () => {} }), TypeError);
+        });
+    });
+
+    describe('round trips', () => {
+        it('round trips gateway payloads', () => {
+            const payloads = [
+                {
+                    op: 2,
+                    d: {
+                        token: 'token',
+                        properties: { os: 'Windows', browser: 'Chrome', device: '' },
+                        compress: false,
+                        large_threshold: 250,
+                    },
+                },
+                { op: 3, d: { since: null, activities: [{ name: 'music', type: 2 }], status: 'idle', afk: false } },
+                { op: 4, d: { guild_id: '81384788765712384', channel_id: null, self_mute: true, self_deaf: false } },
+                { op: 1, d: 2_147_483_647 },
+                { op: 1, d: -2_147_483_648 },
+                { nested: [[], [1, [2, [3]]], {}], emoji: 'héllo 👋', float: -0.125 },
+            ];
+            for (const payload of payloads) assert.deepEqual(ETF.unpack(ETF.pack(payload)), payload);
+        });
+
+        it('round trips the fixtures', () => {
+            for (const name of ['hello', 'ready', 'message_create']) {
+                const decoded = ETF.unpack(fixture(name));
+                assert.deepEqual(ETF.unpack(ETF.pack(decoded)), decoded);
+            }
+        });
+
+        it('brings integers beyond 32 bits back as strings, like snowflakes', () => {
+            assert.equal(ETF.unpack(ETF.pack(2 ** 31)), 2 ** 31);
+            assert.equal(ETF.unpack(ETF.pack(2 ** 40)), '1099511627776');
+            assert.equal(ETF.unpack(ETF.pack(-(2 ** 40))), '-1099511627776');
+            assert.equal(ETF.unpack(ETF.pack(81384788765712384n)), '81384788765712384');
+        });
+    });
+});
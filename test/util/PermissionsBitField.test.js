@@ -0,0 +1,61 @@
+// test/util/PermissionsBitField.test.js
+
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+const PermissionsBitField = require('../../util/PermissionsBitField');
+
+const { Flags } = PermissionsBitField;
+
+describe('PermissionsBitField', () => {
+    it('resolves flag names, numeric strings, bigints, bitfields and arrays of them', () => {
+        assert.equal(PermissionsBitField.resolve('SendMessages'), Flags.SendMessages);
+        assert.equal(PermissionsBitField.resolve('3072'), Flags.ViewChannel | Flags.SendMessages);
+        assert.equal(PermissionsBitField.resolve(8n), Flags.Administrator);
+        assert.equal(
+            PermissionsBitField.resolve(['ViewChannel', new PermissionsBitField(Flags.SendMessages), 65_536n]),
+            Flags.ViewChannel | Flags.SendMessages | Flags.ReadMessageHistory,
+        );
+        assert.throws(() => PermissionsBitField.resolve('SendMessage'), /Invalid bitfield flag or number: SendMessage/);
+        assert.throws(() => PermissionsBitField.resolve(-1n), /Invalid bitfield flag or number: -1n/);
+    });
+
+    it('lets Administrator stand in for every permission unless told not to', () => {
+        const admin = new PermissionsBitField('Administrator');
+        assert.equal(admin.has('ManageMessages'), true);
+        assert.equal(admin.has('ManageMessages', false), false);
+        assert.equal(admin.any(['KickMembers', 'Connect']), true);
+        assert.equal(admin.any(['KickMembers', 'Connect'], false), false);
+        assert.equal(admin.toArray().length, Object.keys(Flags).length);
+        assert.deepEqual(admin.toArray(false), ['Administrator']);
+    });
+
+    it('lists the missing permissions by name', () => {
+        const permissions = new PermissionsBitField(['ViewChannel', 'SendMessages']);
+        assert.deepEqual(permissions.missing(['SendMessages', 'EmbedLinks', 'AttachFiles']), ['EmbedLinks', 'AttachFiles']);
+        assert.deepEqual(permissions.missing(['Administrator']), ['Administrator']);
+        assert.deepEqual(permissions.missing(['ViewChannel']), []);
+    });
+
+    it('considers nothing missing for administrators unless told not to', () => {
+        const admin = new PermissionsBitField('Administrator');
+        assert.deepEqual(admin.missing(['SendMessages', 'Administrator']), []);
+        assert.deepEqual(admin.missing(['SendMessages', 'Administrator'], false), ['SendMessages']);
+    });
+
+    it('returns new bitfields when frozen', () => {
+        const frozen = new PermissionsBitField('ViewChannel').freeze();
+        const added = frozen.add('SendMessages');
+        assert.notEqual(added, frozen);
+        assert.equal(frozen.bitfield, Flags.ViewChannel);
+        assert.equal(added.bitfield, Flags.ViewChannel | Flags.SendMessages);
+        assert.equal(added.remove('ViewChannel').bitfield, Flags.SendMessages);
+    });
+
+    it('serializes to a string and to a map of flags', () => {
+        const permissions = new PermissionsBitField(['ViewChannel', 'SendMessages']);
+        assert.equal(JSON.stringify({ permissions }), '{"permissions":"3072"}');
+        const serialized = permissions.serialize();
+        assert.equal(serialized.ViewChannel, true);
+        assert.equal(serialized.Administrator, false);
+    });
+});
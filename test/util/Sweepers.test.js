@@ -0,0 +1,73 @@
+// test/util/Sweepers.test.js
+
+const assert = require('node:assert/strict');
+const { describe, it, mock } = require('node:test');
+const Client = require('../../Client');
+
+const HOUR = 3_600_000;
+
+/**
+ * Creates a client that is never logged in, destroyed after the test.
+ * @param {TestContext} t The test context
+ * @param {object} [options] Options for the client
+ * @returns {Client}
+ */
+function createClient(t, options) {
+    mock.method(console, 'log', () => {});
+    const client = new Client(options);
+    client._cleanupProcessListeners();
+    t.after(() => {
+        client.destroy();
+        mock.restoreAll();
+    });
+    return client;
+}
+
+/**
+ * Records a voice session of a user in a guild, ended if `endedAgo` is given.
+ * @param {Client} client The client
+ * @param {string} userId The ID of the user
+ * @param {number} startedAgo How long ago the session started, in milliseconds
+ * @param {number} [endedAgo] How long ago the session ended, in milliseconds
+ * @returns {VoiceSession}
+ */
+function recordSession(client, userId, startedAgo, endedAgo) {
+    const now = Date.now();
+    const state = { guild: { id: '1' }, channelId: '2', userId };
+    const session = client.voice.sessions._start(`1:${userId}`, state, now - startedAgo, false);
+    if (endedAgo !== undefined) {
+        session._end(now - endedAgo);
+        client.voice.sessions._active.delete(`1:${userId}`);
+    }
+    return session;
+}
+
+describe('Sweepers', () => {
+    it('sweeps voice sessions that ended over a day ago by default', t => {
+        const client = createClient(t);
+        assert.notEqual(client.sweepers.intervals.voiceSessions, null);
+
+        const old = recordSession(client, '3', 30 * HOUR, 25 * HOUR);
+        const recent = recordSession(client, '4', 3 * HOUR, HOUR);
+        const active = recordSession(client, '5', 48 * HOUR);
+        const swept = mock.fn();
+        client.on('cacheSweep', swept);
+
+        client.sweepers._sweepKey('voiceSessions');
+        assert.deepEqual(swept.mock.calls[0].arguments, ['voiceSessions', 1]);
+        assert.equal(client.voice.sessions.cache.has(old.id), false);
+        assert.ok(client.voice.sessions.cache.has(recent.id));
+        assert.ok(client.voice.sessions.cache.has(active.id));
+    });
+
+    it('keeps voice sessions when the sweeper is turned off', t => {
+        const client = createClient(t, { sweepers: { voiceSessions: null } });
+        assert.equal(client.sweepers.intervals.voiceSessions, null);
+    });
+
+    it('keeps the default voice session sweeper next to other sweepers', t => {
+        const client = createClient(t, { sweepers: { users: { interval: 60, filter: () => false } } });
+        assert.notEqual(client.sweepers.intervals.users, null);
+        assert.notEqual(client.sweepers.intervals.voiceSessions, null);
+    });
+});
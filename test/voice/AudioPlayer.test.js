@@ -0,0 +1,196 @@
+// test/voice/AudioPlayer.test.js
+
+const assert = require('node:assert/strict');
+const { once } = require('node:events');
+const fs = require('node:fs');
+const path = require('node:path');
+const { describe, it } = require('node:test');
+const { setTimeout: sleep } = require('node:timers/promises');
+const AudioPlayer = require('../../voice/AudioPlayer');
+const AudioResource = require('../../voice/AudioResource');
+const { AudioPlayerStatus, VoiceConnectionStatus } = require('../../util/Constants');
+
+/**
+ * An Opus frame of silence.
+ * @type {Buffer}
+ */
+const SILENCE = Buffer.from([0xf8, 0xff, 0xfe]);
+
+/**
+ * A voice connection that records what the player sends it.
+ */
+class StubConnection {
+    constructor(status = VoiceConnectionStatus.READY) {
+        this.status = status;
+        this.sent = [];
+        this.speaking = [];
+        this.player = null;
+    }
+
+    _sendOpus(packet) {
+        this.sent.push(packet);
+    }
+
+    setSpeaking(speaking) {
+        if (this.speaking.at(-1) !== speaking) this.speaking.push(speaking);
+    }
+
+    /**
+     * Subscribes the connection to a player, as `VoiceConnection#subscribe()` does.
+     * @param {AudioPlayer} player The player
+     */
+    subscribe(player) {
+        this.player = player;
+        player._subscribe(this);
+    }
+
+    /**
+     * Marks the connection as ready, which lets a player waiting for it carry on, as `VoiceConnection` does.
+     */
+    ready() {
+        this.status = VoiceConnectionStatus.READY;
+        this.player?._startTimer();
+    }
+}
+
+/**
+ * Creates a player subscribed to a stub connection, recording its status changes.
+ * @param {TestContext} t The test context
+ * @param {string} [status] The status of the connection
+ * @returns {{player: AudioPlayer, connection: StubConnection, statuses: string[]}}
+ */
+function setup(t, status) {
+    const player = new AudioPlayer();
+    const connection = new StubConnection(status);
+    connection.subscribe(player);
+    const statuses = [];
+    player.on('stateChange', (old, status) => statuses.push(status));
+    t.after(() => {
+        player.stop();
+        player._stopTimer();
+    });
+    return { player, connection, statuses };
+}
+
+/**
+ * Waits for the player to reach a status.
+ * @param {AudioPlayer} player The player
+ * @param {string} status The status
+ * @returns {Promise<void>}
+ */
+async function waitFor(player, status) {
+    while (player.status !== status) await once(player, 'stateChange');
+}
+
+/**
+ * Waits for the player to be done sending frames.
+ * @param {AudioPlayer} player The player
+ * @returns {Promise<void>}
+ */
+async function settle(player) {
+    while (player._frameTimer) await sleep(20);
+}
+
+/**
+ * Creates Opus packets, each holding a TOC byte then its number.
+ * @param {number} count How many packets to create
+ * @returns {Buffer[]}
+ */
+function packets(count) {
+    return Array.from({ length: count }, (_, i) => Buffer.from([0xfc, i + 1]));
+}
+
+describe('AudioPlayer', () => {
+    it('buffers, plays a resource, then ends with 5 frames of silence', async t => {
+        const { player, connection, statuses } = setup(t);
+        const resource = AudioResource.fromOpus(packets(3));
+        player.play(resource);
+        assert.equal(player.status, AudioPlayerStatus.BUFFERING);
+
+        await waitFor(player, AudioPlayerStatus.IDLE);
+        await settle(player);
+        assert.deepEqual(statuses, [AudioPlayerStatus.BUFFERING, AudioPlayerStatus.PLAYING, AudioPlayerStatus.IDLE]);
+        assert.deepEqual(connection.sent, [...packets(3), ...Array(5).fill(SILENCE)]);
+        assert.deepEqual(connection.speaking, [true, false]);
+        assert.equal(player.resource, null);
+        assert.equal(resource.playbackDuration, 60);
+    });
+
+    it('plays the packets of an Ogg/Opus file', async t => {
+        const { player, connection } = setup(t);
+        player.play(AudioResource.fromOgg(fs.readFileSync(path.join(__dirname, '..', 'fixtures', 'voice', 'packets.ogg'))));
+
+        await waitFor(player, AudioPlayerStatus.IDLE);
+        await settle(player);
+        const sent = connection.sent.slice(0, -5);
+        assert.deepEqual(sent.map(packet => [packet[1], packet.length]), [[1, 3], [2, 120], [3, 255], [4, 600], [5, 510], [6, 40]]);
+    });
+
+    it('waits for a connection to be ready, then carries on', async t => {
+        const { player, connection, statuses } = setup(t, VoiceConnectionStatus.CONNECTING);
+        player.play(AudioResource.fromOpus(packets(2)));
+
+        await waitFor(player, AudioPlayerStatus.AUTO_PAUSED);
+        await sleep(60);
+        assert.equal(player._frameTimer, null);
+        assert.deepEqual(connection.sent, []);
+
+        connection.ready();
+        await waitFor(player, AudioPlayerStatus.IDLE);
+        assert.deepEqual(statuses, [
+            AudioPlayerStatus.BUFFERING,
+            AudioPlayerStatus.AUTO_PAUSED,
+            AudioPlayerStatus.PLAYING,
+            AudioPlayerStatus.IDLE,
+        ]);
+        assert.deepEqual(connection.sent.slice(0, 2), packets(2));
+    });
+
+    it('sends silence when paused and carries on when unpaused', async t => {
+        const { player, connection } = setup(t);
+        player.play(AudioResource.fromOpus(packets(20)));
+        await waitFor(player, AudioPlayerStatus.PLAYING);
+
+        assert.equal(player.pause(), true);
+        assert.equal(player.pause(), false);
+        await settle(player);
+        const played = connection.sent.length - 5;
+        assert.ok(played >= 1 && played < 20);
+        assert.deepEqual(connection.sent.slice(played), Array(5).fill(SILENCE));
+        assert.deepEqual(connection.speaking, [true, false]);
+
+        assert.equal(player.unpause(), true);
+        assert.equal(player.status, AudioPlayerStatus.BUFFERING);
+        await waitFor(player, AudioPlayerStatus.IDLE);
+        assert.deepEqual(connection.sent.filter(packet => !packet.equals(SILENCE)), packets(20));
+    });
+
+    it('stops and drops the resource', async t => {
+        const { player, connection } = setup(t);
+        const resource = AudioResource.fromOpus(packets(20));
+        player.play(resource);
+        await waitFor(player, AudioPlayerStatus.PLAYING);
+
+        assert.equal(player.stop(), true);
+        assert.equal(player.status, AudioPlayerStatus.IDLE);
+        assert.equal(player.resource, null);
+        assert.equal(resource.ended, true);
+        await settle(player);
+        assert.deepEqual(connection.sent.slice(-5), Array(5).fill(SILENCE));
+        assert.equal(player.stop(), false);
+    });
+
+    it('emits the error of a failed resource and goes idle', async t => {
+        const { player } = setup(t);
+        const resource = AudioResource.fromOpus((async function* source() {
+            yield Buffer.from([0xfc, 1]);
+            throw new Error('The source broke.');
+        })());
+        player.play(resource);
+
+        const [error, failed] = await once(player, 'error');
+        assert.equal(error.message, 'The source broke.');
+        assert.equal(failed, resource);
+        assert.equal(player.status, AudioPlayerStatus.IDLE);
+    });
+});
@@ -0,0 +1,77 @@
+// test/voice/OggDemuxer.test.js
+
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { describe, it } = require('node:test');
+const OggDemuxer = require('../../voice/OggDemuxer');
+
+/**
+ * An Ogg/Opus stream of 5 pages:
+ * 1. the OpusHead of stream 0x5eed
+ * 2. the first page of another logical stream, 0xbeef
+ * 3. the OpusTags of stream 0x5eed
+ * 4. packets 1 (3 bytes), 2 (120 bytes), 3 (255 bytes, laced 255 0) and the first 510 bytes of packet 4
+ * 5. continued: the last 90 bytes of packet 4 (600 bytes), packets 5 (510 bytes) and 6 (40 bytes)
+ * The packets hold a TOC byte (0xfc), then their number.
+ * @type {Buffer}
+ */
+const FIXTURE = fs.readFileSync(path.join(__dirname, '..', 'fixtures', 'voice', 'packets.ogg'));
+
+/**
+ * The packets of the fixture.
+ * @type {Buffer[]}
+ */
+const PACKETS = [[1, 3], [2, 120], [3, 255], [4, 600], [5, 510], [6, 40]]
+    .map(([number, length]) => Buffer.alloc(length, number).fill(0xfc, 0, 1));
+
+/**
+ * Builds an Ogg page without a checksum, which the demuxer doesn't verify.
+ * @param {Buffer[]} packets The packets, all complete
+ * @param {number} [serial=1] The serial number of the logical stream
+ * @returns {Buffer}
+ */
+function oggPage(packets, serial = 1) {
+    const header = Buffer.alloc(27);
+    header.write('OggS', 0);
+    header.writeUInt32LE(serial, 14);
+    const segments = packets.flatMap(packet => [...Array(Math.floor(packet.length / 255)).fill(255), packet.length % 255]);
+    header[26] = segments.length;
+    return Buffer.concat([header, Buffer.from(segments), ...packets]);
+}
+
+describe('OggDemuxer', () => {
+    it('extracts the packets of the first stream, without its headers', () => {
+        const demuxer = new OggDemuxer();
+        assert.equal(demuxer.head, false);
+        assert.deepEqual(demuxer.push(FIXTURE), PACKETS);
+        assert.equal(demuxer.head, true);
+    });
+
+    it('reassembles pages and packets split over chunks', () => {
+        for (const size of [1, 7, 64, 1000]) {
+            const demuxer = new OggDemuxer();
+            const packets = [];
+            for (let i = 0; i < FIXTURE.length; i += size) packets.push(...demuxer.push(FIXTURE.subarray(i, i + size)));
+            assert.deepEqual(packets, PACKETS, `chunks of ${size} bytes`);
+        }
+    });
+
+    it('waits for a page to be complete', () => {
+        const demuxer = new OggDemuxer();
+        // Up to the middle of the page holding packets 1 to 3
+        const end = FIXTURE.indexOf('OggS', FIXTURE.indexOf('OpusTags')) + 200;
+        assert.deepEqual(demuxer.push(FIXTURE.subarray(0, end)), []);
+        assert.deepEqual(demuxer.push(FIXTURE.subarray(end)), PACKETS);
+    });
+
+    it('rejects streams that are not Opus', () => {
+        const demuxer = new OggDemuxer();
+        assert.throws(() => demuxer.push(oggPage([Buffer.from('\x01vorbis\x00\x00\x00\x00')])), /The Ogg stream is not Opus/);
+    });
+
+    it('rejects data that is not Ogg', () => {
+        const demuxer = new OggDemuxer();
+        assert.throws(() => demuxer.push(Buffer.alloc(64)), /missing the OggS capture pattern/);
+    });
+});
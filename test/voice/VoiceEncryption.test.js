@@ -0,0 +1,94 @@
+// test/voice/VoiceEncryption.test.js
+
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+const VoiceEncryption = require('../../voice/VoiceEncryption');
+const { VoiceGateway } = require('../../util/Constants');
+
+const KEY = Array.from({ length: 32 }, (_, i) => i * 7);
+
+/**
+ * Builds an RTP header.
+ * @param {number} sequence The sequence number
+ * @returns {Buffer}
+ */
+function rtpHeader(sequence) {
+    const header = Buffer.alloc(12);
+    header[0] = 0x80;
+    header[1] = 0x78;
+    header.writeUInt16BE(sequence, 2);
+    header.writeUInt32BE(sequence * 960, 4);
+    header.writeUInt32BE(42, 8);
+    return header;
+}
+
+/**
+ * How many bytes each mode adds to the frame: the Poly1305 tag and the nonce it sends.
+ * @type {Object<string, number>}
+ */
+const OVERHEAD = {
+    aead_xchacha20_poly1305_rtpsize: 16 + 4,
+    xsalsa20_poly1305_lite: 16 + 4,
+    xsalsa20_poly1305_suffix: 16 + 24,
+    xsalsa20_poly1305: 16,
+};
+
+describe('VoiceEncryption', () => {
+    for (const mode of VoiceGateway.EncryptionModes) {
+        it(`round trips packets with ${mode}`, async () => {
+            const sender = await VoiceEncryption.create(mode, KEY);
+            const receiver = await VoiceEncryption.create(mode, KEY);
+            const audio = Buffer.from('f8fffe0102030405060708090a0b0c0d', 'hex');
+
+            for (let sequence = 1; sequence <= 3; sequence++) {
+                const header = rtpHeader(sequence);
+                const packet = sender.encrypt(header, audio);
+                assert.equal(packet.length, 12 + audio.length + OVERHEAD[mode]);
+                assert.deepEqual(packet.subarray(0, 12), header);
+                assert.equal(packet.includes(audio), false);
+
+                const decrypted = receiver.decrypt(packet);
+                assert.deepEqual(decrypted.header, header);
+                assert.deepEqual(decrypted.audio, audio);
+            }
+        });
+
+        it(`rejects packets encrypted with another key with ${mode}`, async () => {
+            const sender = await VoiceEncryption.create(mode, KEY);
+            const receiver = await VoiceEncryption.create(mode, KEY.map(byte => byte ^ 1));
+            assert.throws(() => receiver.decrypt(sender.encrypt(rtpHeader(1), Buffer.from('f8fffe', 'hex'))));
+        });
+    }
+
+    it('appends an incrementing counter with the rtpsize and lite modes', async () => {
+        for (const mode of ['aead_xchacha20_poly1305_rtpsize', 'xsalsa20_poly1305_lite']) {
+            const encryption = await VoiceEncryption.create(mode, KEY);
+            const counters = [1, 2, 3].map(sequence => encryption.encrypt(rtpHeader(sequence), Buffer.from([1])).readUInt32BE(12 + 1 + 16));
+            assert.deepEqual(counters, [1, 2, 3]);
+        }
+    });
+
+    it('authenticates the RTP header with the rtpsize mode', async () => {
+        const encryption = await VoiceEncryption.create('aead_xchacha20_poly1305_rtpsize', KEY);
+        const packet = encryption.encrypt(rtpHeader(1), Buffer.from('f8fffe', 'hex'));
+        packet[8] ^= 1;
+        assert.throws(() => encryption.decrypt(packet));
+    });
+
+    it('picks the most preferred mode the voice server offers', () => {
+        assert.equal(VoiceEncryption.chooseMode([
+            'aead_aes256_gcm_rtpsize',
+            'xsalsa20_poly1305',
+            'aead_xchacha20_poly1305_rtpsize',
+        ]), 'aead_xchacha20_poly1305_rtpsize');
+        assert.equal(VoiceEncryption.chooseMode(['xsalsa20_poly1305', 'xsalsa20_poly1305_suffix']), 'xsalsa20_poly1305_suffix');
+        assert.throws(
+            () => VoiceEncryption.chooseMode(['aead_aes256_gcm_rtpsize']),
+            /offers no supported encryption mode \(aead_aes256_gcm_rtpsize\)/,
+        );
+    });
+
+    it('rejects unsupported modes', async () => {
+        await assert.rejects(VoiceEncryption.create('aead_aes256_gcm_rtpsize', KEY), /Unsupported voice encryption mode "aead_aes256_gcm_rtpsize"/);
+    });
+});
@@ -0,0 +1,82 @@
+// test/voice/VoiceUDPSocket.test.js
+
+const assert = require('node:assert/strict');
+const dgram = require('node:dgram');
+const { describe, it } = require('node:test');
+const VoiceUDPSocket = require('../../voice/VoiceUDPSocket');
+
+/**
+ * Starts a local UDP server standing in for a voice server, stopped after the test.
+ * @param {TestContext} t The test context
+ * @param {Function} respond Called with every packet received, the server socket and the port the packet came from
+ * @returns {Promise<{port: number, packets: Buffer[]}>}
+ */
+async function startServer(t, respond) {
+    const packets = [];
+    const server = dgram.createSocket('udp4');
+    server.on('message', (packet, remote) => {
+        packets.push(packet);
+        respond(packet, server, remote.port);
+    });
+    await new Promise(resolve => server.bind(0, '127.0.0.1', resolve));
+    t.after(() => new Promise(resolve => server.close(resolve)));
+    return { port: server.address().port, packets };
+}
+
+/**
+ * Builds an IP discovery response.
+ * @param {number} ssrc The SSRC of the request
+ * @param {string} ip The external address
+ * @param {number} port The external port
+ * @returns {Buffer}
+ */
+function discoveryResponse(ssrc, ip, port) {
+    const response = Buffer.alloc(74);
+    response.writeUInt16BE(0x2, 0);
+    response.writeUInt16BE(70, 2);
+    response.writeUInt32BE(ssrc, 4);
+    response.write(ip, 8);
+    response.writeUInt16BE(port, 72);
+    return response;
+}
+
+describe('VoiceUDPSocket', () => {
+    it('discovers its external address with a 74-byte request', async t => {
+        const server = await startServer(t, (packet, socket, port) => {
+            socket.send(discoveryResponse(packet.readUInt32BE(4), '203.0.113.7', 61_000), port, '127.0.0.1');
+        });
+        const udp = new VoiceUDPSocket('127.0.0.1', server.port);
+        t.after(() => udp.destroy());
+
+        assert.deepEqual(await udp.discoverIP(0xdeadbeef), { ip: '203.0.113.7', port: 61_000 });
+
+        const [request] = server.packets;
+        assert.equal(request.length, 74);
+        assert.equal(request.readUInt16BE(0), 0x1);
+        assert.equal(request.readUInt16BE(2), 70);
+        assert.equal(request.readUInt32BE(4), 0xdeadbeef);
+        assert.ok(request.subarray(8).every(byte => byte === 0));
+    });
+
+    it('ignores packets that are not a discovery response', async t => {
+        const server = await startServer(t, (packet, socket, port) => {
+            socket.send(Buffer.alloc(8), port, '127.0.0.1');
+            // The echoed request is 74 bytes too, but of type 0x1
+            socket.send(packet, port, '127.0.0.1');
+            socket.send(discoveryResponse(1, '198.51.100.23', 50_004), port, '127.0.0.1');
+        });
+        const udp = new VoiceUDPSocket('127.0.0.1', server.port);
+        t.after(() => udp.destroy());
+
+        assert.deepEqual(await udp.discoverIP(1), { ip: '198.51.100.23', port: 50_004 });
+    });
+
+    it('times out when the voice server does not answer', async t => {
+        const server = await startServer(t, () => {});
+        const udp = new VoiceUDPSocket('127.0.0.1', server.port);
+        t.after(() => udp.destroy());
+
+        await assert.rejects(udp.discoverIP(1, 100), /Timed out discovering the external address/);
+        assert.equal(server.packets.length, 1);
+    });
+});
@@ -0,0 +1,142 @@
+// test/voice/VoiceWebSocket.test.js
+
+const assert = require('node:assert/strict');
+const { once } = require('node:events');
+const { describe, it } = require('node:test');
+const { setTimeout: sleep } = require('node:timers/promises');
+const MockVoiceServer = require('../helpers/MockVoiceServer');
+const VoiceWebSocket = require('../../voice/VoiceWebSocket');
+const { VoiceGateway } = require('../../util/Constants');
+
+const { OpCodes, Status } = VoiceGateway;
+
+/**
+ * Starts a mock voice server and a voice WebSocket pointed at it, both cleaned up after the test.
+ * @param {TestContext} t The test context
+ * @param {object} [options] Options for the mock voice server
+ * @returns {Promise<{server: MockVoiceServer, ws: VoiceWebSocket}>}
+ */
+async function setup(t, options) {
+    const server = await new MockVoiceServer(options).listen();
+    const ws = new VoiceWebSocket();
+    t.after(async () => {
+        ws.destroy();
+        await server.close();
+    });
+    return { server, ws };
+}
+
+/**
+ * The voice server and session to open on a mock voice server.
+ * @param {MockVoiceServer} server The mock voice server
+ * @returns {VoiceServerSession}
+ */
+function session(server) {
+    return { endpoint: server.url, serverId: '81384788765712384', userId: '172002275412279296', sessionId: 'session', token: 'token' };
+}
+
+/**
+ * Connects to a mock voice server and waits for READY.
+ * @param {MockVoiceServer} server The mock voice server
+ * @param {VoiceWebSocket} ws The voice WebSocket
+ * @returns {Promise<object>} The IDENTIFY payload.
+ */
+async function open(server, ws) {
+    const ready = once(ws, 'ready');
+    ws.connect(session(server));
+    const payload = await server.next(OpCodes.IDENTIFY);
+    await ready;
+    return payload;
+}
+
+describe('VoiceWebSocket', () => {
+    it('keeps the scheme of local endpoints and adds the version', () => {
+        assert.equal(VoiceWebSocket.buildURL('rotterdam1234.discord.media:443'), `wss://rotterdam1234.discord.media/?v=${VoiceGateway.VERSION}`);
+        assert.equal(VoiceWebSocket.buildURL('ws://127.0.0.1:8080'), `ws://127.0.0.1:8080/?v=${VoiceGateway.VERSION}`);
+    });
+
+    it('goes through HELLO, IDENTIFY, READY, SELECT_PROTOCOL and SESSION_DESCRIPTION', async t => {
+        const { server, ws } = await setup(t, { ssrc: 42, port: 50_004 });
+        const ready = once(ws, 'ready');
+        ws.connect(session(server));
+
+        const identify = await server.next(OpCodes.IDENTIFY);
+        assert.deepEqual(identify.d, {
+            server_id: '81384788765712384',
+            user_id: '172002275412279296',
+            session_id: 'session',
+            token: 'token',
+            max_dave_protocol_version: 0,
+        });
+
+        const [data] = await ready;
+        assert.equal(data.ssrc, 42);
+        assert.equal(data.ip, '127.0.0.1');
+        assert.equal(data.port, 50_004);
+        assert.deepEqual(data.modes, VoiceGateway.EncryptionModes);
+        assert.equal(ws.status, Status.SELECTING_PROTOCOL);
+        assert.equal(ws.sequence, 1);
+
+        const description = once(ws, 'sessionDescription');
+        ws.selectProtocol('203.0.113.7', 61_000, 'aead_xchacha20_poly1305_rtpsize');
+        const select = await server.next(OpCodes.SELECT_PROTOCOL);
+        assert.deepEqual(select.d, {
+            protocol: 'udp',
+            data: { address: '203.0.113.7', port: 61_000, mode: 'aead_xchacha20_poly1305_rtpsize' },
+        });
+
+        const [{ mode, secret_key }] = await description;
+        assert.equal(mode, 'aead_xchacha20_poly1305_rtpsize');
+        assert.deepEqual(secret_key, server.secretKey);
+        assert.equal(ws.status, Status.READY);
+    });
+
+    it('heartbeats with the last sequence and measures the ping', async t => {
+        const { server, ws } = await setup(t, { heartbeatInterval: 50 });
+        await open(server, ws);
+
+        const heartbeat = await server.next(OpCodes.HEARTBEAT);
+        assert.equal(heartbeat.d.seq_ack, 1);
+        assert.equal(typeof heartbeat.d.t, 'number');
+        await sleep(20);
+        assert.equal(ws.lastHeartbeatAcked, true);
+        assert.ok(ws.ping >= 0);
+    });
+
+    it('resumes with the last sequence after the voice server crashed', async t => {
+        const { server, ws } = await setup(t);
+        await open(server, ws);
+
+        const resumed = once(ws, 'resumed');
+        await server.disconnect(VoiceGateway.CloseCodes.VOICE_SERVER_CRASHED, 'Voice server crashed');
+        const resume = await server.next(OpCodes.RESUME);
+        assert.deepEqual(resume.d, { server_id: '81384788765712384', session_id: 'session', token: 'token', seq_ack: 1 });
+        await resumed;
+        assert.equal(server.connections, 2);
+        assert.equal(ws.status, Status.READY);
+        assert.equal(ws.reconnectAttempts, 0);
+    });
+
+    it('identifies again after the session timed out', async t => {
+        const { server, ws } = await setup(t);
+        await open(server, ws);
+
+        await server.disconnect(VoiceGateway.CloseCodes.SESSION_TIMEOUT, 'Session timeout');
+        await server.next(OpCodes.IDENTIFY);
+        assert.equal(server.connections, 2);
+    });
+
+    it('gives up when disconnected from the call', async t => {
+        const { server, ws } = await setup(t);
+        await open(server, ws);
+
+        const disconnected = once(ws, 'disconnected');
+        await server.disconnect(VoiceGateway.CloseCodes.DISCONNECTED, 'Disconnected');
+        assert.deepEqual(await disconnected, [4014, 'Disconnected']);
+        assert.equal(ws.status, Status.DISCONNECTED);
+        assert.equal(ws.ws, null);
+
+        await sleep(100);
+        assert.equal(server.connections, 1);
+    });
+});
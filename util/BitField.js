@@ -0,0 +1,158 @@
+// src/util/BitField.js
+
+/**
+ * Data structure that makes it easy to interact with a bitfield.
+ * Subclasses set `Flags` (flag name to bit) and `DefaultBit` (0 or 0n, which also picks number or BigInt bits).
+ */
+class BitField {
+    /**
+     * @param {BitFieldResolvable} [bits=this.constructor.DefaultBit] Bit(s) to read from
+     */
+    constructor(bits = this.constructor.DefaultBit) {
+        /**
+         * Bitfield of the packed bits.
+         * @type {number|bigint}
+         */
+        this.bitfield = this.constructor.resolve(bits);
+    }
+
+    /**
+     * Checks whether the bitfield has a bit, or any of multiple bits.
+     * @param {BitFieldResolvable} bit Bit(s) to check for
+     * @returns {boolean}
+     */
+    any(bit) {
+        return (this.bitfield & this.constructor.resolve(bit)) !== this.constructor.DefaultBit;
+    }
+
+    /**
+     * Checks if this bitfield equals another.
+     * @param {BitFieldResolvable} bit Bit(s) to check for
+     * @returns {boolean}
+     */
+    equals(bit) {
+        return this.bitfield === this.constructor.resolve(bit);
+    }
+
+    /**
+     * Checks whether the bitfield has a bit, or multiple bits.
+     * @param {BitFieldResolvable} bit Bit(s) to check for
+     * @returns {boolean}
+     */
+    has(bit) {
+        bit = this.constructor.resolve(bit);
+        return (this.bitfield & bit) === bit;
+    }
+
+    /**
+     * Gets all given bits that are missing from the bitfield.
+     * @param {BitFieldResolvable} bits Bit(s) to check for
+     * @returns {string[]} The names of the missing flags
+     */
+    missing(bits) {
+        return new this.constructor(bits).remove(this).toArray(false);
+    }
+
+    /**
+     * Freezes these bits, making them immutable.
+     * @returns {Readonly<BitField>}
+     */
+    freeze() {
+        return Object.freeze(this);
+    }
+
+    /**
+     * Adds bits to these ones. Returns a new bitfield if this one is frozen.
+     * @param {...BitFieldResolvable} bits Bits to add
+     * @returns {BitField}
+     */
+    add(...bits) {
+        let total = this.constructor.DefaultBit;
+        for (const bit of bits) total |= this.constructor.resolve(bit);
+        if (Object.isFrozen(this)) return new this.constructor(this.bitfield | total);
+        this.bitfield |= total;
+        return this;
+    }
+
+    /**
+     * Removes bits from these ones. Returns a new bitfield if this one is frozen.
+     * @param {...BitFieldResolvable} bits Bits to remove
+     * @returns {BitField}
+     */
+    remove(...bits) {
+        let total = this.constructor.DefaultBit;
+        for (const bit of bits) total |= this.constructor.resolve(bit);
+        if (Object.isFrozen(this)) return new this.constructor(this.bitfield & ~total);
+        this.bitfield &= ~total;
+        return this;
+    }
+
+    /**
+     * Gets an object mapping every flag name to whether it is set.
+     * @returns {Object<string, boolean>}
+     */
+    serialize() {
+        const serialized = {};
+        for (const [flag, bit] of Object.entries(this.constructor.Flags)) serialized[flag] = this.has(bit);
+        return serialized;
+    }
+
+    /**
+     * Gets the names of the set flags.
+     * @returns {string[]}
+     */
+    toArray() {
+        return [...this];
+    }
+
+    toJSON() {
+        return typeof this.bitfield === 'bigint' ? this.bitfield.toString() : this.bitfield;
+    }
+
+    valueOf() {
+        return this.bitfield;
+    }
+
+    *[Symbol.iterator]() {
+        for (const [flag, bit] of Object.entries(this.constructor.Flags)) {
+            if (this.has(bit)) yield flag;
+        }
+    }
+
+    /**
+     * Data that can be resolved to a bitfield: a bit number (or BigInt), a flag name, a numeric string,
+     * another BitField, or an array of any of these.
+     * @typedef {number|bigint|string|BitField|Array<number|bigint|string|BitField>} BitFieldResolvable
+     */
+
+    /**
+     * Resolves bitfields to their numeric form.
+     * @param {BitFieldResolvable} [bit] Bit(s) to resolve
+     * @returns {number|bigint}
+     */
+    static resolve(bit) {
+        const { DefaultBit } = this;
+        if (typeof DefaultBit === typeof bit && bit >= DefaultBit) return bit;
+        if (bit instanceof BitField) return bit.bitfield;
+        if (Array.isArray(bit)) return bit.map(b => this.resolve(b)).reduce((prev, b) => prev | b, DefaultBit);
+        if (typeof bit === 'string') {
+            if (this.Flags[bit] !== undefined) return this.Flags[bit];
+            if (/^\d+$/.test(bit)) return typeof DefaultBit === 'bigint' ? BigInt(bit) : Number(bit);
+        }
+        throw new Error(`Invalid bitfield flag or number: ${typeof bit === 'bigint' ? `${bit}n` : bit}.`);
+    }
+}
+
+/**
+ * Numeric bitfield flags, keyed by name.
+ * @type {Object<string, number|bigint>}
+ */
+BitField.Flags = {};
+
+/**
+ * The value of an empty bitfield, which also sets whether bits are numbers or BigInts.
+ * @type {number|bigint}
+ */
+BitField.DefaultBit = 0;
+
+module.exports = BitField;
@@ -0,0 +1,197 @@
+// src/util/Collection.js
+
+/**
+ * A Map with additional utility methods, used for every cache in the library.
+ * Methods that return a new collection create one of `Symbol.species`,
+ * so subclasses with extra constructor arguments can return plain Collections.
+ * @extends {Map}
+ */
+class Collection extends Map {
+    /**
+     * Returns the first value(s) in insertion order.
+     * @param {number} [amount] How many values to return. Omit to get a single value.
+     * @returns {*|Array<*>} A single value (or undefined), or an array if `amount` is given.
+     */
+    first(amount) {
+        if (amount === undefined) return this.values().next().value;
+        if (amount < 0) return this.last(-amount);
+        amount = Math.min(this.size, amount);
+        const iter = this.values();
+        return Array.from({ length: amount }, () => iter.next().value);
+    }
+
+    /**
+     * Returns the last value(s) in insertion order.
+     * @param {number} [amount] How many values to return. Omit to get a single value.
+     * @returns {*|Array<*>} A single value (or undefined), or an array if `amount` is given.
+     */
+    last(amount) {
+        const arr = [...this.values()];
+        if (amount === undefined) return arr[arr.length - 1];
+        if (amount < 0) return this.first(-amount);
+        if (!amount) return [];
+        return arr.slice(-amount);
+    }
+
+    /**
+     * Returns random value(s) from the collection.
+     * @param {number} [amount] How many values to return. Omit to get a single value.
+     * @returns {*|Array<*>} A single value (or undefined), or an array of unique values if `amount` is given.
+     */
+    random(amount) {
+        const arr = [...this.values()];
+        if (amount === undefined) return arr[Math.floor(Math.random() * arr.length)];
+        if (!arr.length || !amount) return [];
+        // Partial Fisher-Yates shuffle, only as far as needed
+        amount = Math.min(arr.length, amount);
+        for (let i = 0; i < amount; i++) {
+            const j = i + Math.floor(Math.random() * (arr.length - i));
+            [arr[i], arr[j]] = [arr[j], arr[i]];
+        }
+        return arr.slice(0, amount);
+    }
+
+    /**
+     * Returns the first value that passes the test, like `Array#find`.
+     * @param {Function} fn Test function `(value, key, collection) => boolean`.
+     * @returns {*} The value, or undefined if none passed.
+     */
+    find(fn) {
+        for (const [key, value] of this) {
+            if (fn(value, key, this)) return value;
+        }
+        return undefined;
+    }
+
+    /**
+     * Returns the key of the first value that passes the test.
+     * @param {Function} fn Test function `(value, key, collection) => boolean`.
+     * @returns {*} The key, or undefined if none passed.
+     */
+    findKey(fn) {
+        for (const [key, value] of this) {
+            if (fn(value, key, this)) return key;
+        }
+        return undefined;
+    }
+
+    /**
+     * Returns a new collection with the entries that pass the test, like `Array#filter`.
+     * @param {Function} fn Test function `(value, key, collection) => boolean`.
+     * @returns {Collection}
+     */
+    filter(fn) {
+        const results = new this.constructor[Symbol.species]();
+        for (const [key, value] of this) {
+            if (fn(value, key, this)) results.set(key, value);
+        }
+        return results;
+    }
+
+    /**
+     * Splits the collection in two: entries that pass the test and entries that don't.
+     * @param {Function} fn Test function `(value, key, collection) => boolean`.
+     * @returns {Collection[]} `[passed, failed]`
+     */
+    partition(fn) {
+        const passed = new this.constructor[Symbol.species]();
+        const failed = new this.constructor[Symbol.species]();
+        for (const [key, value] of this) {
+            if (fn(value, key, this)) passed.set(key, value);
+            else failed.set(key, value);
+        }
+        return [passed, failed];
+    }
+
+    /**
+     * Maps each entry to a value and returns an array, like `Array#map`.
+     * @param {Function} fn Mapping function `(value, key, collection) => *`.
+     * @returns {Array<*>}
+     */
+    map(fn) {
+        const results = new Array(this.size);
+        let i = 0;
+        for (const [key, value] of this) results[i++] = fn(value, key, this);
+        return results;
+    }
+
+    /**
+     * Checks whether any entry passes the test, like `Array#some`.
+     * @param {Function} fn Test function `(value, key, collection) => boolean`.
+     * @returns {boolean}
+     */
+    some(fn) {
+        for (const [key, value] of this) {
+            if (fn(value, key, this)) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Checks whether every entry passes the test, like `Array#every`.
+     * @param {Function} fn Test function `(value, key, collection) => boolean`.
+     * @returns {boolean}
+     */
+    every(fn) {
+        for (const [key, value] of this) {
+            if (!fn(value, key, this)) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Reduces the collection to a single value, like `Array#reduce`.
+     * @param {Function} fn Reducer `(accumulator, value, key, collection) => *`.
+     * @param {*} [initialValue] Starting value. Defaults to the first value.
+     * @returns {*}
+     */
+    reduce(fn, initialValue) {
+        let accumulator;
+        let first = true;
+        if (arguments.length > 1) {
+            accumulator = initialValue;
+            first = false;
+        }
+        for (const [key, value] of this) {
+            if (first) {
+                accumulator = value;
+                first = false;
+                continue;
+            }
+            accumulator = fn(accumulator, value, key, this);
+        }
+        if (first) throw new TypeError('Reduce of empty collection with no initial value');
+        return accumulator;
+    }
+
+    /**
+     * Removes every entry that passes the test.
+     * @param {Function} fn Test function `(value, key, collection) => boolean`.
+     * @returns {number} The number of entries removed.
+     */
+    sweep(fn) {
+        const previousSize = this.size;
+        for (const [key, value] of this) {
+            if (fn(value, key, this)) this.delete(key);
+        }
+        return previousSize - this.size;
+    }
+
+    /**
+     * Creates a shallow copy of the collection.
+     * @returns {Collection}
+     */
+    clone() {
+        return new this.constructor[Symbol.species](this);
+    }
+
+    /**
+     * Returns the values as an array, serializing structures through their own `toJSON()`.
+     * @returns {Array<*>}
+     */
+    toJSON() {
+        return this.map(value => (typeof value?.toJSON === 'function' ? value.toJSON() : value));
+    }
+}
+
+module.exports = Collection;
@@ -33,6 +33,7 @@ module.exports = {
             // Internal library events
             READY: 'ready', // Custom event emitted by the library when ready
             ERROR: 'error', // Custom event for library/WebSocket errors
+            CACHE_SWEEP: 'cacheSweep', // (type, count) After a sweeper removed entries from a cache
 
             // Discord Gateway Dispatch Events (examples, many more exist)
             // Session Events
@@ -47,18 +48,22 @@ module.exports = {
             GUILD_MEMBER_UPDATE: 'guildMemberUpdate',
             GUILD_MEMBER_REMOVE: 'guildMemberRemove',
             GUILD_MEMBERS_CHUNK: 'guildMembersChunk',
+            // Guild Role Events
+            GUILD_ROLE_CREATE: 'roleCreate',
+            GUILD_ROLE_UPDATE: 'roleUpdate',
+            GUILD_ROLE_DELETE: 'roleDelete',
             // Channel Events
             CHANNEL_CREATE: 'channelCreate',
             CHANNEL_UPDATE: 'channelUpdate',
             CHANNEL_DELETE: 'channelDelete',
             CHANNEL_PINS_UPDATE: 'channelPinsUpdate',
             // Thread Events
-            THREAD_CREATE: 'threadCreate',
-            THREAD_UPDATE: 'threadUpdate',
-            THREAD_DELETE: 'threadDelete',
-            THREAD_LIST_SYNC: 'threadListSync',
-            THREAD_MEMBER_UPDATE: 'threadMemberUpdate',
-            THREAD_MEMBERS_UPDATE: 'threadMembersUpdate',
+            THREAD_CREATE: 'threadCreate', // (thread, newlyCreated)
+            THREAD_UPDATE: 'threadUpdate', // (oldThread, newThread)
+            THREAD_DELETE: 'threadDelete', // (thread)
+            THREAD_LIST_SYNC: 'threadListSync', // (threads, guild)
+            THREAD_MEMBER_UPDATE: 'threadMemberUpdate', // (oldMember, newMember), the client user's membership
+            THREAD_MEMBERS_UPDATE: 'threadMembersUpdate', // (addedMembers, removedMembers, thread)
              // Message Events
             MESSAGE_CREATE: 'messageCreate',
             MESSAGE_UPDATE: 'messageUpdate',
@@ -74,14 +79,25 @@ module.exports = {
             // User Events
             USER_UPDATE: 'userUpdate', // Fired when client user's settings change
             // Voice Events
-            VOICE_STATE_UPDATE: 'voiceStateUpdate',
-            VOICE_SERVER_UPDATE: 'voiceServerUpdate',
-            // Interaction Events (Self-bots typically cannot receive interactions)
+            VOICE_STATE_UPDATE: 'voiceStateUpdate', // (oldState, newState), oldState is null if the user wasn't tracked
+            VOICE_SERVER_UPDATE: 'voiceServerUpdate', // (connection), the client user's VoiceConnectionData
+            // Derived from VOICE_STATE_UPDATE, after voiceStateUpdate
+            VOICE_CHANNEL_JOIN: 'voiceChannelJoin', // (newState)
+            VOICE_CHANNEL_LEAVE: 'voiceChannelLeave', // (oldState, newState)
+            VOICE_CHANNEL_SWITCH: 'voiceChannelSwitch', // (oldState, newState)
+            VOICE_STREAMING_START: 'voiceStreamingStart', // (newState)
+            VOICE_STREAMING_STOP: 'voiceStreamingStop', // (oldState, newState)
+            VOICE_SELF_MUTE: 'voiceSelfMute', // (newState, muted), when a connected user toggles their mute
+            // Interaction Events (user accounts only receive the interactions they send)
+            // (data) Discord accepted an interaction sent by the client user, `data` holds its `id` and `nonce`
             INTERACTION_CREATE: 'interactionCreate',
+            // (data) An interaction sent by the client user was acknowledged by the application, or failed
+            INTERACTION_SUCCESS: 'interactionSuccess',
+            INTERACTION_FAILURE: 'interactionFailure',
              // Stage Instance Events
-             STAGE_INSTANCE_CREATE: 'stageInstanceCreate',
-             STAGE_INSTANCE_UPDATE: 'stageInstanceUpdate',
-             STAGE_INSTANCE_DELETE: 'stageInstanceDelete',
+             STAGE_INSTANCE_CREATE: 'stageInstanceCreate', // (stageInstance)
+             STAGE_INSTANCE_UPDATE: 'stageInstanceUpdate', // (oldStageInstance, newStageInstance)
+             STAGE_INSTANCE_DELETE: 'stageInstanceDelete', // (stageInstance)
              // Other Events... Guild Ban, Emojis Update, Integrations, Invites, Webhooks etc.
         },
         CloseCodes: {
@@ -100,7 +116,380 @@ module.exports = {
             INVALID_INTENTS: 4013, // Not applicable to self-bots usually
             DISALLOWED_INTENTS: 4014, // Not applicable to self-bots usually
             // Custom codes can be defined here too
-        }
+        },
+        /**
+         * Close codes after which the session cannot be recovered by reconnecting.
+         * The WebSocketManager gives up and emits an error when it receives one of these.
+         */
+        get UNRECOVERABLE_CLOSE_CODES() {
+            const c = this.CloseCodes;
+            return [
+                c.AUTHENTICATION_FAILED,
+                c.INVALID_SHARD,
+                c.SHARDING_REQUIRED,
+                c.INVALID_API_VERSION,
+                c.INVALID_INTENTS,
+                c.DISALLOWED_INTENTS,
+            ];
+        },
+        /**
+         * Close codes after which the session is gone and a fresh IDENTIFY is required.
+         */
+        get UNRESUMABLE_CLOSE_CODES() {
+            const c = this.CloseCodes;
+            return [1000, c.INVALID_SEQUENCE, c.SESSION_TIMED_OUT];
+        },
+        // Connection status of the WebSocketManager
+        Status: {
+            IDLE: 'IDLE',
+            CONNECTING: 'CONNECTING', // Socket is opening
+            WAITING_FOR_HELLO: 'WAITING_FOR_HELLO', // Socket is open, waiting for OP 10
+            IDENTIFYING: 'IDENTIFYING', // IDENTIFY sent, waiting for READY
+            RESUMING: 'RESUMING', // RESUME sent, waiting for RESUMED
+            READY: 'READY',
+            RECONNECTING: 'RECONNECTING', // Waiting for the backoff timer before the next attempt
+            DISCONNECTED: 'DISCONNECTED', // Destroyed or gave up
+        },
+    },
+
+    /**
+     * The voice gateway, spoken by `VoiceConnection` with the voice server of each call.
+     */
+    VoiceGateway: {
+        VERSION: '8',
+        OpCodes: {
+            IDENTIFY: 0, // Send | Starts a voice session.
+            SELECT_PROTOCOL: 1, // Send | Tells the server our UDP address and the encryption mode.
+            READY: 2, // Receive | The SSRC, UDP address and encryption modes of the voice server.
+            HEARTBEAT: 3, // Send | Keeps the connection alive.
+            SESSION_DESCRIPTION: 4, // Receive | The encryption mode and secret key.
+            SPEAKING: 5, // Send/Receive | Speaking state of a user.
+            HEARTBEAT_ACK: 6, // Receive | Acknowledges a heartbeat.
+            RESUME: 7, // Send | Resumes a voice session.
+            HELLO: 8, // Receive | The heartbeat interval, sent right after connecting.
+            RESUMED: 9, // Receive | The session was resumed.
+            CLIENT_DISCONNECT: 13, // Receive | A user left the call.
+        },
+        CloseCodes: {
+            UNKNOWN_OPCODE: 4001,
+            DECODE_ERROR: 4002,
+            NOT_AUTHENTICATED: 4003,
+            AUTHENTICATION_FAILED: 4004, // Wrong token
+            ALREADY_AUTHENTICATED: 4005,
+            SESSION_NO_LONGER_VALID: 4006,
+            SESSION_TIMEOUT: 4009,
+            SERVER_NOT_FOUND: 4011,
+            UNKNOWN_PROTOCOL: 4012,
+            DISCONNECTED: 4014, // Kicked, the channel was deleted, or the call moved to another server
+            VOICE_SERVER_CRASHED: 4015, // Resume
+            UNKNOWN_ENCRYPTION_MODE: 4016,
+        },
+        /**
+         * Close codes after which the voice session cannot be recovered by reconnecting.
+         */
+        get UNRECOVERABLE_CLOSE_CODES() {
+            const c = this.CloseCodes;
+            return [
+                c.UNKNOWN_OPCODE,
+                c.DECODE_ERROR,
+                c.NOT_AUTHENTICATED,
+                c.AUTHENTICATION_FAILED,
+                c.ALREADY_AUTHENTICATED,
+                c.SERVER_NOT_FOUND,
+                c.UNKNOWN_PROTOCOL,
+                c.DISCONNECTED,
+                c.UNKNOWN_ENCRYPTION_MODE,
+            ];
+        },
+        /**
+         * Close codes after which the voice session is gone and a fresh IDENTIFY is required.
+         */
+        get UNRESUMABLE_CLOSE_CODES() {
+            const c = this.CloseCodes;
+            return [1000, c.SESSION_NO_LONGER_VALID, c.SESSION_TIMEOUT];
+        },
+        // Connection status of a VoiceWebSocket
+        Status: {
+            IDLE: 'IDLE',
+            CONNECTING: 'CONNECTING', // Socket is opening
+            IDENTIFYING: 'IDENTIFYING', // IDENTIFY sent, waiting for READY
+            SELECTING_PROTOCOL: 'SELECTING_PROTOCOL', // IP discovery done, waiting for SESSION_DESCRIPTION
+            RESUMING: 'RESUMING', // RESUME sent, waiting for RESUMED
+            READY: 'READY',
+            RECONNECTING: 'RECONNECTING', // Waiting for the backoff timer before the next attempt
+            DISCONNECTED: 'DISCONNECTED', // Destroyed or gave up
+        },
+        // Encryption modes supported with libsodium, most preferred first
+        EncryptionModes: [
+            'aead_xchacha20_poly1305_rtpsize',
+            'xsalsa20_poly1305_lite',
+            'xsalsa20_poly1305_suffix',
+            'xsalsa20_poly1305',
+        ],
+        SpeakingFlags: {
+            MICROPHONE: 1 << 0,
+            SOUNDSHARE: 1 << 1,
+            PRIORITY: 1 << 2,
+        },
+    },
+
+    // Status of a VoiceConnection
+    VoiceConnectionStatus: {
+        SIGNALLING: 'SIGNALLING', // Waiting for the voice state and server from the main gateway
+        CONNECTING: 'CONNECTING', // Connecting to the voice server
+        READY: 'READY', // Audio can be sent
+        DISCONNECTED: 'DISCONNECTED', // Lost the voice server, waiting for the main gateway to hand out a new one
+        DESTROYED: 'DESTROYED',
+    },
+
+    // Status of an AudioPlayer
+    AudioPlayerStatus: {
+        IDLE: 'IDLE', // Nothing to play
+        BUFFERING: 'BUFFERING', // Waiting for the resource to produce packets
+        PLAYING: 'PLAYING',
+        PAUSED: 'PAUSED',
+        AUTO_PAUSED: 'AUTO_PAUSED', // No subscribed connection is ready, playback resumes when one is
+    },
+
+    /**
+     * Default options for the Client. Anything passed to the constructor is merged over these.
+     */
+    DefaultOptions: {
+        // Gateway payload encoding: 'json', or 'etf' (Erlang Term Format, smaller and faster to decode)
+        encoding: 'json',
+        // Maximum messages cached per channel, the least recently used are evicted first. Infinity for no limit.
+        messageCacheMaxSize: 200,
+        // How long (in seconds) a message stays cached after its last edit, 0 to keep messages forever.
+        // Only applied when messageSweepInterval is set.
+        messageCacheLifetime: 0,
+        // How often (in seconds) to sweep messages older than messageCacheLifetime, 0 to never sweep.
+        messageSweepInterval: 0,
+        // Periodic cache sweepers for 'messages', 'users', 'threads' and 'voiceSessions', see Sweepers.
+        // Voice sessions are recorded in every guild, so ended ones are swept after a day unless voiceSessions is null.
+        sweepers: {
+            voiceSessions: { interval: 3_600, lifetime: 86_400 },
+        },
+        // How long (in milliseconds) to wait for an application to respond to an interaction sent by the client user
+        interactionTimeout: 15_000,
+        ws: {
+            // Base gateway URL, query parameters are appended by the WebSocketManager.
+            // Can be pointed at a local server for testing.
+            gateway: 'wss://gateway.discord.gg',
+            // Request zlib-stream transport compression. Set to false to receive plain frames.
+            compress: true,
+            // Which inflater to use for compressed frames: 'auto' (zlib-sync if installed, else Node's zlib),
+            // 'zlib-sync', 'zlib', or a custom class with the same interface (see gateway/TransportCompression.js)
+            inflater: 'auto',
+            // Time to wait for HELLO after the socket opens before giving up on the connection
+            helloTimeout: 20_000,
+            // Exponential backoff between reconnect attempts
+            reconnectBaseDelay: 1_000,
+            reconnectMaxDelay: 60_000,
+            // Give up after this many consecutive failed attempts (Infinity = never)
+            maxReconnectAttempts: Infinity,
+            // Passed through in the IDENTIFY payload
+            largeThreshold: 250,
+        },
+        rest: {
+            // API base URL, defaults to API_BASE_URL. Can be pointed at a local server for testing.
+            api: null,
+            // How many times to retry a request that failed with a 5xx or a network error (429s are always retried)
+            retries: 3,
+            // Request timeout in milliseconds
+            timeout: 15_000,
+            // Extra time in milliseconds to wait past a rate limit reset, to absorb clock drift
+            offset: 50,
+        },
+    },
+
+    // Events emitted on the client by the RESTManager
+    RESTEvents: {
+        API_REQUEST: 'apiRequest', // (request) Before a request is sent (including retries)
+        API_RESPONSE: 'apiResponse', // (request, response) For every response received
+        RATE_LIMITED: 'rateLimited', // (info) When a request is held back by a bucket or global rate limit
+    },
+
+    // JSON error codes returned by the API in `DiscordAPIError#code`
+    RESTJSONErrorCodes: {
+        GeneralError: 0,
+
+        UnknownAccount: 10001,
+        UnknownApplication: 10002,
+        UnknownChannel: 10003,
+        UnknownGuild: 10004,
+        UnknownIntegration: 10005,
+        UnknownInvite: 10006,
+        UnknownMember: 10007,
+        UnknownMessage: 10008,
+        UnknownPermissionOverwrite: 10009,
+        UnknownProvider: 10010,
+        UnknownRole: 10011,
+        UnknownToken: 10012,
+        UnknownUser: 10013,
+        UnknownEmoji: 10014,
+        UnknownWebhook: 10015,
+        UnknownWebhookService: 10016,
+        UnknownSession: 10020,
+        UnknownBan: 10026,
+        UnknownSKU: 10027,
+        UnknownStoreListing: 10028,
+        UnknownEntitlement: 10029,
+        UnknownBuild: 10030,
+        UnknownLobby: 10031,
+        UnknownBranch: 10032,
+        UnknownRedistributable: 10036,
+        UnknownGuildTemplate: 10057,
+        UnknownDiscoverableServerCategory: 10059,
+        UnknownSticker: 10060,
+        UnknownInteraction: 10062,
+        UnknownApplicationCommand: 10063,
+        UnknownVoiceState: 10065,
+        UnknownApplicationCommandPermissions: 10066,
+        UnknownStageInstance: 10067,
+        UnknownGuildMemberVerificationForm: 10068,
+        UnknownGuildWelcomeScreen: 10069,
+        UnknownGuildScheduledEvent: 10070,
+        UnknownGuildScheduledEventUser: 10071,
+        UnknownTag: 10087,
+
+        BotsCannotUseThisEndpoint: 20001,
+        OnlyBotsCanUseThisEndpoint: 20002,
+        ExplicitContentCannotBeSentToTheDesiredRecipients: 20009,
+        NotAuthorizedToPerformThisActionOnThisApplication: 20012,
+        ActionCannotBePerformedDueToSlowmodeRateLimit: 20016,
+        OnlyTheOwnerOfThisAccountCanPerformThisAction: 20018,
+        AnnouncementEditLimitExceeded: 20022,
+        UnderMinimumAge: 20024,
+        ChannelSendRateLimit: 20028,
+        ServerSendRateLimit: 20029,
+        StageTopicServerNameServerDescriptionOrChannelNamesContainDisallowedWords: 20031,
+        GuildPremiumSubscriptionLevelTooLow: 20035,
+
+        MaximumNumberOfGuildsReached: 30001,
+        MaximumNumberOfFriendsReached: 30002,
+        MaximumNumberOfPinsReachedForTheChannel: 30003,
+        MaximumNumberOfRecipientsReached: 30004,
+        MaximumNumberOfGuildRolesReached: 30005,
+        MaximumNumberOfWebhooksReached: 30007,
+        MaximumNumberOfEmojisReached: 30008,
+        MaximumNumberOfReactionsReached: 30010,
+        MaximumNumberOfGroupDMsReached: 30011,
+        MaximumNumberOfGuildChannelsReached: 30013,
+        MaximumNumberOfAttachmentsInAMessageReached: 30015,
+        MaximumNumberOfInvitesReached: 30016,
+        MaximumNumberOfAnimatedEmojisReached: 30018,
+        MaximumNumberOfServerMembersReached: 30019,
+        GuildAlreadyHasTemplate: 30031,
+        MaximumThreadParticipantsReached: 30033,
+        MaximumNumberOfBansForNonGuildMembersHaveBeenExceeded: 30035,
+        MaximumNumberOfBansFetchesHasBeenReached: 30037,
+        MaximumNumberOfStickersReached: 30039,
+        MaximumNumberOfPruneRequestsHasBeenReached: 30040,
+        MaximumNumberOfEditsToMessagesOlderThanOneHourReached: 30046,
+        MaximumNumberOfPinnedThreadsInForumHasBeenReached: 30047,
+        MaximumNumberOfTagsInForumHasBeenReached: 30048,
+
+        Unauthorized: 40001,
+        VerifyYourAccount: 40002,
+        OpeningDirectMessagesTooFast: 40003,
+        SendMessagesHasBeenTemporarilyDisabled: 40004,
+        RequestEntityTooLarge: 40005,
+        FeatureTemporarilyDisabledServerSide: 40006,
+        UserBannedFromThisGuild: 40007,
+        TargetUserIsNotConnectedToVoice: 40032,
+        ThisMessageWasAlreadyCrossposted: 40033,
+        ApplicationCommandWithThatNameAlreadyExists: 40041,
+        InteractionHasAlreadyBeenAcknowledged: 40060,
+        TagNamesMustBeUnique: 40061,
+
+        MissingAccess: 50001,
+        InvalidAccountType: 50002,
+        CannotExecuteActionOnDMChannel: 50003,
+        GuildWidgetDisabled: 50004,
+        CannotEditMessageAuthoredByAnotherUser: 50005,
+        CannotSendAnEmptyMessage: 50006,
+        CannotSendMessagesToThisUser: 50007,
+        CannotSendMessagesInNonTextChannel: 50008,
+        ChannelVerificationLevelTooHighForYouToGainAccess: 50009,
+        OAuth2ApplicationDoesNotHaveBot: 50010,
+        OAuth2ApplicationLimitReached: 50011,
+        InvalidOAuth2State: 50012,
+        MissingPermissions: 50013,
+        InvalidToken: 50014,
+        NoteWasTooLong: 50015,
+        ProvidedTooFewOrTooManyMessagesToDelete: 50016,
+        MessageCanOnlyBePinnedInTheChannelItWasSentIn: 50019,
+        InviteCodeInvalidOrTaken: 50020,
+        CannotExecuteActionOnSystemMessage: 50021,
+        CannotExecuteActionOnThisChannelType: 50024,
+        InvalidOAuth2AccessToken: 50025,
+        MissingRequiredOAuth2Scope: 50026,
+        InvalidWebhookToken: 50027,
+        InvalidRole: 50028,
+        InvalidRecipients: 50033,
+        OneOfTheMessagesProvidedWasTooOldForBulkDelete: 50034,
+        InvalidFormBodyOrContentType: 50035,
+        InviteAcceptedToGuildWithoutTheBotBeingIn: 50036,
+        InvalidAPIVersion: 50041,
+        FileUploadedExceedsMaximumSize: 50045,
+        InvalidFileUploaded: 50046,
+        CannotSelfRedeemThisGift: 50054,
+        InvalidGuild: 50055,
+        InvalidMessageType: 50068,
+        PaymentSourceRequiredToRedeemGift: 50070,
+        CannotDeleteChannelRequiredForCommunityGuilds: 50074,
+        InvalidStickerSent: 50081,
+        CannotEditArchivedThread: 50083,
+        InvalidThreadNotificationSettings: 50084,
+        ParameterEarlierThanCreation: 50085,
+        GuildNotAvailableInYourLocation: 50095,
+        ServerNeedsMonetizationEnabledToPerformThisAction: 50097,
+        ServerNeedsMoreBoostsToPerformThisAction: 50101,
+        RequestBodyContainsInvalidJSON: 50109,
+        OwnershipCannotBeTransferredToABotUser: 50132,
+        FailedToResizeAssetBelowTheMaximumSize: 50138,
+        UploadedFileNotFound: 50146,
+        YouDoNotHavePermissionToSendThisSticker: 50600,
+
+        TwoFactorAuthenticationIsRequired: 60003,
+
+        NoUsersWithDiscordTagExist: 80004,
+
+        ReactionWasBlocked: 90001,
+        CannotUseBurstReactions: 90002,
+
+        ApplicationNotYetAvailable: 110001,
+
+        APIResourceOverloaded: 130000,
+
+        TheStageIsAlreadyOpen: 150006,
+
+        CannotReplyWithoutPermissionToReadMessageHistory: 160002,
+        ThreadAlreadyCreatedForMessage: 160004,
+        ThreadLocked: 160005,
+        MaximumActiveThreads: 160006,
+        MaximumActiveAnnouncementThreads: 160007,
+
+        InvalidJSONForUploadedLottieFile: 170001,
+        UploadedLottiesCannotContainRasterizedImages: 170002,
+        StickerMaximumFramerateExceeded: 170003,
+        StickerFrameCountExceedsMaximumOf1000Frames: 170004,
+        LottieAnimationMaximumDimensionsExceeded: 170005,
+        StickerFramerateIsTooSmallOrTooLarge: 170006,
+        StickerAnimationDurationExceedsMaximumOf5Seconds: 170007,
+
+        CannotUpdateAFinishedEvent: 180000,
+        FailedToCreateStageNeededForStageEvent: 180002,
+
+        MessageWasBlockedByAutomaticModeration: 200000,
+        TitleWasBlockedByAutomaticModeration: 200001,
+
+        WebhooksPostedToForumChannelsMustHaveAThreadNameOrThreadId: 220001,
+        WebhooksPostedToForumChannelsCannotHaveBothAThreadNameAndThreadId: 220002,
+        WebhooksCanOnlyCreateThreadsInForumChannels: 220003,
+        WebhookServicesCannotBeUsedInForumChannels: 220004,
+
+        MessageBlockedByHarmfulLinksFilter: 240000,
     },
 
     // Mimic browser properties for IDENTIFY payload - VERY FRAGILE and subject to change/detection
@@ -123,7 +512,169 @@ module.exports = {
         // client_event_source: null, // Usually null
     },
 
-    // Other constants can be added here: Permissions, Channel Types, Message Types, Intent Flags (though not used for self-bots), API Endpoints, CDN URLs etc.
+    // Permission flags, as BigInts. Wrapped by PermissionsBitField.
+    PermissionFlagsBits: {
+        CreateInstantInvite: 1n << 0n,
+        KickMembers: 1n << 1n,
+        BanMembers: 1n << 2n,
+        Administrator: 1n << 3n,
+        ManageChannels: 1n << 4n,
+        ManageGuild: 1n << 5n,
+        AddReactions: 1n << 6n,
+        ViewAuditLog: 1n << 7n,
+        PrioritySpeaker: 1n << 8n,
+        Stream: 1n << 9n,
+        ViewChannel: 1n << 10n,
+        SendMessages: 1n << 11n,
+        SendTTSMessages: 1n << 12n,
+        ManageMessages: 1n << 13n,
+        EmbedLinks: 1n << 14n,
+        AttachFiles: 1n << 15n,
+        ReadMessageHistory: 1n << 16n,
+        MentionEveryone: 1n << 17n,
+        UseExternalEmojis: 1n << 18n,
+        ViewGuildInsights: 1n << 19n,
+        Connect: 1n << 20n,
+        Speak: 1n << 21n,
+        MuteMembers: 1n << 22n,
+        DeafenMembers: 1n << 23n,
+        MoveMembers: 1n << 24n,
+        UseVAD: 1n << 25n,
+        ChangeNickname: 1n << 26n,
+        ManageNicknames: 1n << 27n,
+        ManageRoles: 1n << 28n,
+        ManageWebhooks: 1n << 29n,
+        ManageGuildExpressions: 1n << 30n,
+        UseApplicationCommands: 1n << 31n,
+        RequestToSpeak: 1n << 32n,
+        ManageEvents: 1n << 33n,
+        ManageThreads: 1n << 34n,
+        CreatePublicThreads: 1n << 35n,
+        CreatePrivateThreads: 1n << 36n,
+        UseExternalStickers: 1n << 37n,
+        SendMessagesInThreads: 1n << 38n,
+        UseEmbeddedActivities: 1n << 39n,
+        ModerateMembers: 1n << 40n,
+        ViewCreatorMonetizationAnalytics: 1n << 41n,
+        UseSoundboard: 1n << 42n,
+        CreateGuildExpressions: 1n << 43n,
+        CreateEvents: 1n << 44n,
+        UseExternalSounds: 1n << 45n,
+        SendVoiceMessages: 1n << 46n,
+        SendPolls: 1n << 49n,
+        UseExternalApps: 1n << 50n,
+    },
+
+    // Discord's limits on embeds, checked by EmbedBuilder before sending
+    EmbedLimits: {
+        Title: 256,
+        Description: 4096,
+        Fields: 25,
+        FieldName: 256,
+        FieldValue: 1024,
+        FooterText: 2048,
+        AuthorName: 256,
+        // Combined characters of every embed of a message
+        Total: 6000,
+        // Embeds per message
+        Embeds: 10,
+    },
+
+    // Message component types
+    ComponentType: {
+        ActionRow: 1,
+        Button: 2,
+        StringSelect: 3,
+        TextInput: 4,
+        UserSelect: 5,
+        RoleSelect: 6,
+        MentionableSelect: 7,
+        ChannelSelect: 8,
+    },
+
+    // Button styles; link buttons open their URL and can't be clicked through the API
+    ButtonStyle: {
+        Primary: 1,
+        Secondary: 2,
+        Success: 3,
+        Danger: 4,
+        Link: 5,
+        Premium: 6,
+    },
+
+    // Interaction types, as sent to POST /interactions
+    InteractionType: {
+        Ping: 1,
+        ApplicationCommand: 2,
+        MessageComponent: 3,
+        ApplicationCommandAutocomplete: 4,
+        ModalSubmit: 5,
+    },
+
+    // Application command types
+    ApplicationCommandType: {
+        ChatInput: 1,
+        User: 2,
+        Message: 3,
+        PrimaryEntryPoint: 4,
+    },
+
+    // Application command option types
+    ApplicationCommandOptionType: {
+        Subcommand: 1,
+        SubcommandGroup: 2,
+        String: 3,
+        Integer: 4,
+        Boolean: 5,
+        User: 6,
+        Channel: 7,
+        Role: 8,
+        Mentionable: 9,
+        Number: 10,
+        Attachment: 11,
+    },
+
+    // Message flags (bitfield values)
+    MessageFlags: {
+        Crossposted: 1 << 0,
+        IsCrosspost: 1 << 1,
+        SuppressEmbeds: 1 << 2,
+        SourceMessageDeleted: 1 << 3,
+        Urgent: 1 << 4,
+        HasThread: 1 << 5,
+        Ephemeral: 1 << 6,
+        // The "application is thinking" placeholder of a deferred interaction response
+        Loading: 1 << 7,
+        SuppressNotifications: 1 << 12,
+        IsVoiceMessage: 1 << 13,
+    },
+
+    // How the posts of a forum are sorted
+    SortOrderType: {
+        LatestActivity: 0,
+        CreationDate: 1,
+    },
+
+    // How the posts of a forum are laid out
+    ForumLayoutType: {
+        NotSet: 0,
+        ListView: 1,
+        GalleryView: 2,
+    },
+
+    // Who can join a live stage
+    StageInstancePrivacyLevel: {
+        Public: 1,
+        GuildOnly: 2,
+    },
+
+    // The type of a channel permission overwrite target
+    OverwriteType: {
+        Role: 0,
+        Member: 1,
+    },
+
+    // Other constants can be added here: Channel Types, Message Types, Intent Flags (though not used for self-bots), API Endpoints, CDN URLs etc.
     Endpoints: {
         // Example
         CDN_URL: 'https://cdn.discordapp.com',
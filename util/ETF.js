@@ -0,0 +1,344 @@
+// src/util/ETF.js
+
+const zlib = require('zlib');
+
+/**
+ * A pure JavaScript encoder/decoder for the subset of Erlang External Term Format
+ * used by the Discord gateway (`encoding=etf`).
+ *
+ * Decoding follows Discord's reference implementation (erlpack):
+ * - binaries and STRING_EXT become JavaScript strings,
+ * - the atoms `nil`/`null`, `true` and `false` become `null`, `true` and `false`, other atoms become strings,
+ * - big integers that fit in 32 bits become numbers, larger ones (snowflakes) become decimal strings.
+ *
+ * Encoding produces what the gateway expects: strings as binaries, maps with binary keys,
+ * integers as SMALL_INTEGER/INTEGER/SMALL_BIG and everything else as NEW_FLOAT.
+ * Use `Util.packETF()` / `Util.unpackETF()` rather than requiring this file directly.
+ */
+
+const FORMAT_VERSION = 131;
+
+const Tags = {
+    NEW_FLOAT_EXT: 70,
+    COMPRESSED: 80,
+    SMALL_INTEGER_EXT: 97,
+    INTEGER_EXT: 98,
+    FLOAT_EXT: 99,
+    ATOM_EXT: 100,
+    SMALL_TUPLE_EXT: 104,
+    LARGE_TUPLE_EXT: 105,
+    NIL_EXT: 106,
+    STRING_EXT: 107,
+    LIST_EXT: 108,
+    BINARY_EXT: 109,
+    SMALL_BIG_EXT: 110,
+    LARGE_BIG_EXT: 111,
+    SMALL_ATOM_EXT: 115,
+    MAP_EXT: 116,
+    ATOM_UTF8_EXT: 118,
+    SMALL_ATOM_UTF8_EXT: 119,
+};
+
+const INT32_MIN = -(2 ** 31);
+const INT32_MAX = 2 ** 31 - 1;
+const UINT32_MAX = 2 ** 32 - 1;
+
+/**
+ * Reads terms from a buffer, keeping track of the current offset.
+ * @private
+ */
+class Decoder {
+    /**
+     * @param {Buffer} buffer The buffer to decode.
+     */
+    constructor(buffer) {
+        this.buffer = buffer;
+        this.offset = 0;
+    }
+
+    read8() {
+        return this.buffer.readUInt8(this.offset++);
+    }
+
+    read16() {
+        const value = this.buffer.readUInt16BE(this.offset);
+        this.offset += 2;
+        return value;
+    }
+
+    read32() {
+        const value = this.buffer.readUInt32BE(this.offset);
+        this.offset += 4;
+        return value;
+    }
+
+    readSlice(length) {
+        if (this.offset + length > this.buffer.length) throw new RangeError('ETF term runs past the end of the buffer.');
+        const slice = this.buffer.subarray(this.offset, this.offset + length);
+        this.offset += length;
+        return slice;
+    }
+
+    decodeAtom(name) {
+        switch (name) {
+            case 'nil':
+            case 'null':
+                return null;
+            case 'true':
+                return true;
+            case 'false':
+                return false;
+            default:
+                return name;
+        }
+    }
+
+    decodeBig(digits) {
+        const sign = this.read8();
+        const bytes = this.readSlice(digits);
+        // Fits in 32 bits: return a plain number like erlpack does
+        if (digits <= 4) {
+            let value = 0;
+            for (let i = digits - 1; i >= 0; i--) value = value * 256 + bytes[i];
+            if (value <= UINT32_MAX) return sign ? -value : value;
+        }
+        let value = 0n;
+        for (let i = digits - 1; i >= 0; i--) value = (value << 8n) | BigInt(bytes[i]);
+        return (sign ? -value : value).toString();
+    }
+
+    decodeList(length) {
+        const list = new Array(length);
+        for (let i = 0; i < length; i++) list[i] = this.decodeTerm();
+        const tail = this.read8();
+        if (tail !== Tags.NIL_EXT) {
+            // Improper lists do not exist in gateway payloads, but keep the offset correct
+            this.offset--;
+            list.push(this.decodeTerm());
+        }
+        return list;
+    }
+
+    decodeTerm() {
+        const tag = this.read8();
+        switch (tag) {
+            case Tags.SMALL_INTEGER_EXT:
+                return this.read8();
+            case Tags.INTEGER_EXT: {
+                const value = this.buffer.readInt32BE(this.offset);
+                this.offset += 4;
+                return value;
+            }
+            case Tags.NEW_FLOAT_EXT: {
+                const value = this.buffer.readDoubleBE(this.offset);
+                this.offset += 8;
+                return value;
+            }
+            case Tags.FLOAT_EXT:
+                return parseFloat(this.readSlice(31).toString('latin1'));
+            case Tags.ATOM_EXT:
+                return this.decodeAtom(this.readSlice(this.read16()).toString('latin1'));
+            case Tags.SMALL_ATOM_EXT:
+                return this.decodeAtom(this.readSlice(this.read8()).toString('latin1'));
+            case Tags.ATOM_UTF8_EXT:
+                return this.decodeAtom(this.readSlice(this.read16()).toString('utf8'));
+            case Tags.SMALL_ATOM_UTF8_EXT:
+                return this.decodeAtom(this.readSlice(this.read8()).toString('utf8'));
+            case Tags.SMALL_TUPLE_EXT:
+                return this.decodeTuple(this.read8());
+            case Tags.LARGE_TUPLE_EXT:
+                return this.decodeTuple(this.read32());
+            case Tags.NIL_EXT:
+                return [];
+            case Tags.STRING_EXT:
+                return this.readSlice(this.read16()).toString('utf8');
+            case Tags.LIST_EXT:
+                return this.decodeList(this.read32());
+            case Tags.BINARY_EXT:
+                return this.readSlice(this.read32()).toString('utf8');
+            case Tags.SMALL_BIG_EXT:
+                return this.decodeBig(this.read8());
+            case Tags.LARGE_BIG_EXT:
+                return this.decodeBig(this.read32());
+            case Tags.MAP_EXT: {
+                const arity = this.read32();
+                const map = {};
+                for (let i = 0; i < arity; i++) {
+                    const key = this.decodeTerm();
+                    map[key] = this.decodeTerm();
+                }
+                return map;
+            }
+            case Tags.COMPRESSED: {
+                const size = this.read32();
+                const inflated = zlib.inflateSync(this.buffer.subarray(this.offset));
+                if (inflated.length !== size) throw new Error('ETF compressed term has an unexpected size.');
+                this.offset = this.buffer.length;
+                return new Decoder(inflated).decodeTerm();
+            }
+            default:
+                throw new Error(`Unsupported ETF tag ${tag} at offset ${this.offset - 1}.`);
+        }
+    }
+
+    decodeTuple(arity) {
+        const tuple = new Array(arity);
+        for (let i = 0; i < arity; i++) tuple[i] = this.decodeTerm();
+        return tuple;
+    }
+}
+
+/**
+ * Accumulates encoded terms into a growable buffer.
+ * @private
+ */
+class Encoder {
+    constructor() {
+        this.buffer = Buffer.allocUnsafe(2048);
+        this.offset = 0;
+    }
+
+    ensure(bytes) {
+        if (this.offset + bytes <= this.buffer.length) return;
+        const grown = Buffer.allocUnsafe(Math.max(this.buffer.length * 2, this.offset + bytes));
+        this.buffer.copy(grown, 0, 0, this.offset);
+        this.buffer = grown;
+    }
+
+    write8(value) {
+        this.ensure(1);
+        this.buffer.writeUInt8(value, this.offset++);
+    }
+
+    write32(value) {
+        this.ensure(4);
+        this.buffer.writeUInt32BE(value, this.offset);
+        this.offset += 4;
+    }
+
+    writeBytes(bytes) {
+        this.ensure(bytes.length);
+        bytes.copy(this.buffer, this.offset);
+        this.offset += bytes.length;
+    }
+
+    writeAtom(name) {
+        // Only nil/true/false are ever written, SMALL_ATOM_EXT is what erlpack emits for them
+        const bytes = Buffer.from(name, 'latin1');
+        this.write8(Tags.SMALL_ATOM_EXT);
+        this.write8(bytes.length);
+        this.writeBytes(bytes);
+    }
+
+    writeBinary(string) {
+        const bytes = Buffer.from(string, 'utf8');
+        this.write8(Tags.BINARY_EXT);
+        this.write32(bytes.length);
+        this.writeBytes(bytes);
+    }
+
+    writeBig(value) {
+        const sign = value < 0n ? 1 : 0;
+        let magnitude = sign ? -value : value;
+        const bytes = [];
+        while (magnitude > 0n) {
+            bytes.push(Number(magnitude & 0xffn));
+            magnitude >>= 8n;
+        }
+        if (bytes.length > 255) throw new RangeError('Integer is too large to encode as ETF.');
+        this.write8(Tags.SMALL_BIG_EXT);
+        this.write8(bytes.length);
+        this.write8(sign);
+        this.writeBytes(Buffer.from(bytes));
+    }
+
+    writeNumber(value) {
+        if (Number.isInteger(value)) {
+            if (value >= 0 && value <= 255) {
+                this.write8(Tags.SMALL_INTEGER_EXT);
+                this.write8(value);
+                return;
+            }
+            if (value >= INT32_MIN && value <= INT32_MAX) {
+                this.write8(Tags.INTEGER_EXT);
+                this.ensure(4);
+                this.buffer.writeInt32BE(value, this.offset);
+                this.offset += 4;
+                return;
+            }
+            if (Number.isSafeInteger(value)) {
+                this.writeBig(BigInt(value));
+                return;
+            }
+        }
+        this.write8(Tags.NEW_FLOAT_EXT);
+        this.ensure(8);
+        this.buffer.writeDoubleBE(value, this.offset);
+        this.offset += 8;
+    }
+
+    encodeTerm(value) {
+        if (value === null || value === undefined) return this.writeAtom('nil');
+        switch (typeof value) {
+            case 'boolean':
+                return this.writeAtom(value ? 'true' : 'false');
+            case 'number':
+                return this.writeNumber(value);
+            case 'bigint':
+                return this.writeBig(value);
+            case 'string':
+                return this.writeBinary(value);
+            case 'object':
+                break;
+            default:
+                throw new TypeError(`Cannot encode a value of type ${typeof value} as ETF.`);
+        }
+
+        if (typeof value.toJSON === 'function') return this.encodeTerm(value.toJSON());
+
+        if (Array.isArray(value)) {
+            if (value.length === 0) return this.write8(Tags.NIL_EXT);
+            this.write8(Tags.LIST_EXT);
+            this.write32(value.length);
+            for (const item of value) this.encodeTerm(item);
+            this.write8(Tags.NIL_EXT);
+            return undefined;
+        }
+
+        const entries = Object.entries(value).filter(([, v]) => v !== undefined);
+        this.write8(Tags.MAP_EXT);
+        this.write32(entries.length);
+        for (const [key, item] of entries) {
+            this.writeBinary(key);
+            this.encodeTerm(item);
+        }
+        return undefined;
+    }
+}
+
+/**
+ * Encodes a value as ETF.
+ * @param {*} value The value to encode.
+ * @returns {Buffer}
+ */
+function pack(value) {
+    const encoder = new Encoder();
+    encoder.write8(FORMAT_VERSION);
+    encoder.encodeTerm(value);
+    return encoder.buffer.subarray(0, encoder.offset);
+}
+
+/**
+ * Decodes an ETF buffer.
+ * @param {Buffer|Uint8Array|ArrayBuffer} data The data to decode.
+ * @returns {*}
+ */
+function unpack(data) {
+    const buffer = Buffer.isBuffer(data) ? data : Buffer.from(data);
+    const decoder = new Decoder(buffer);
+    const version = decoder.read8();
+    if (version !== FORMAT_VERSION) throw new Error(`Unsupported ETF format version ${version}.`);
+    return decoder.decodeTerm();
+}
+
+module.exports = { pack, unpack, Tags, FORMAT_VERSION };
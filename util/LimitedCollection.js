@@ -0,0 +1,57 @@
+// src/util/LimitedCollection.js
+
+const Collection = require('./Collection');
+
+/**
+ * A Collection with a maximum size. Once full, setting a new key evicts the least
+ * recently used entry. Setting an existing key counts as a use and moves it to the
+ * end of the eviction order, so managers re-set entries they touch.
+ * @extends {Collection}
+ */
+class LimitedCollection extends Collection {
+    /**
+     * @param {object} [options={}] Options for the collection.
+     * @param {number} [options.maxSize=Infinity] The maximum number of entries, 0 to store nothing.
+     * @param {Iterable} [iterable] Initial entries.
+     */
+    constructor({ maxSize = Infinity } = {}, iterable) {
+        if (typeof maxSize !== 'number' || Number.isNaN(maxSize) || maxSize < 0) {
+            throw new Error(`The maxSize of a LimitedCollection must be a non-negative number, received ${maxSize}.`);
+        }
+        super();
+
+        /**
+         * The maximum number of entries.
+         * @type {number}
+         */
+        this.maxSize = maxSize;
+
+        if (iterable) for (const [key, value] of iterable) this.set(key, value);
+    }
+
+    /**
+     * Adds or updates an entry, marking it as the most recently used.
+     * Evicts the least recently used entry if the collection is full.
+     * @param {*} key The key.
+     * @param {*} value The value.
+     * @returns {LimitedCollection}
+     */
+    set(key, value) {
+        if (this.maxSize === 0) return this;
+        // Re-inserting moves the key to the end of the Map's iteration order
+        this.delete(key);
+        if (this.size >= this.maxSize) this.delete(this.keys().next().value);
+        return super.set(key, value);
+    }
+
+    /**
+     * Methods returning a new collection (filter, map, clone...) return plain Collections.
+     * @type {Function}
+     * @readonly
+     */
+    static get [Symbol.species]() {
+        return Collection;
+    }
+}
+
+module.exports = LimitedCollection;
@@ -0,0 +1,78 @@
+// src/util/PermissionsBitField.js
+
+const BitField = require('./BitField');
+const { PermissionFlagsBits } = require('./Constants');
+
+/**
+ * Data structure that makes it easy to interact with a permission bitfield.
+ * Every guild member, role and permission overwrite has one.
+ * @extends {BitField}
+ */
+class PermissionsBitField extends BitField {
+    /**
+     * Checks whether the bitfield has a permission, or any of multiple permissions.
+     * @param {BitFieldResolvable} permission Permission(s) to check for
+     * @param {boolean} [checkAdmin=true] Whether to allow the administrator permission to override
+     * @returns {boolean}
+     */
+    any(permission, checkAdmin = true) {
+        return (checkAdmin && super.has(PermissionsBitField.Flags.Administrator)) || super.any(permission);
+    }
+
+    /**
+     * Checks whether the bitfield has a permission, or multiple permissions.
+     * @param {BitFieldResolvable} permission Permission(s) to check for
+     * @param {boolean} [checkAdmin=true] Whether to allow the administrator permission to override
+     * @returns {boolean}
+     */
+    has(permission, checkAdmin = true) {
+        return (checkAdmin && super.has(PermissionsBitField.Flags.Administrator)) || super.has(permission);
+    }
+
+    /**
+     * Gets all given permissions that are missing from the bitfield.
+     * @param {BitFieldResolvable} permissions Permission(s) to check for
+     * @param {boolean} [checkAdmin=true] Whether to consider nothing missing if the administrator permission is set
+     * @returns {string[]} The names of the missing permissions
+     */
+    missing(permissions, checkAdmin = true) {
+        return checkAdmin && this.has(PermissionsBitField.Flags.Administrator) ? [] : super.missing(permissions);
+    }
+
+    /**
+     * Gets the names of the set permissions.
+     * @param {boolean} [checkAdmin=true] Whether to list every permission if the administrator permission is set
+     * @returns {string[]}
+     */
+    toArray(checkAdmin = true) {
+        return Object.keys(PermissionsBitField.Flags).filter(flag => this.has(flag, checkAdmin));
+    }
+}
+
+/**
+ * Numeric permission flags, see `Constants.PermissionFlagsBits`.
+ * @type {Object<string, bigint>}
+ */
+PermissionsBitField.Flags = PermissionFlagsBits;
+
+/**
+ * Bitfield representing every permission combined.
+ * @type {bigint}
+ */
+PermissionsBitField.All = Object.values(PermissionFlagsBits).reduce((all, p) => all | p, 0n);
+
+/**
+ * Bitfield of the permissions granted to @everyone in a new guild.
+ * @type {bigint}
+ */
+PermissionsBitField.Default = BigInt(104324673);
+
+/**
+ * Bitfield of the permissions a timed out member keeps in channels.
+ * @type {bigint}
+ */
+PermissionsBitField.TimedOut = PermissionFlagsBits.ViewChannel | PermissionFlagsBits.ReadMessageHistory;
+
+PermissionsBitField.DefaultBit = 0n;
+
+module.exports = PermissionsBitField;
@@ -0,0 +1,182 @@
+// src/util/Sweepers.js
+
+const { Gateway } = require('./Constants');
+const Util = require('./Util');
+
+/**
+ * Options for sweeping one kind of cached entry.
+ * An entry is swept if it is older than `lifetime` or if `filter` returns true for it.
+ * @typedef {object} SweepOptions
+ * @property {number} interval How often to sweep, in seconds
+ * @property {number} [lifetime] Sweep entries older than this many seconds. Messages are aged from their
+ * last edit (or creation), threads from when they were archived (active threads are never swept by age),
+ * voice sessions from when they ended (active sessions are never swept). Not supported for users.
+ * @property {Function} [filter] `(value, key, collection) => boolean`, return true to sweep the entry
+ */
+
+/**
+ * The kinds of cache that can be swept.
+ * @type {string[]}
+ */
+const SWEEPER_KEYS = ['messages', 'users', 'threads', 'voiceSessions'];
+
+/**
+ * Periodically removes entries from the client's caches, as configured by the `sweepers` client option.
+ * Every sweep emits `cacheSweep` on the client with the kind of cache and how many entries were removed.
+ */
+class Sweepers {
+    /**
+     * @param {Client} client The instantiating client
+     * @param {Object<string, SweepOptions>} options The sweeper options, keyed by `messages`, `users`,
+     * `threads` or `voiceSessions`
+     */
+    constructor(client, options) {
+        /**
+         * The client that instantiated this
+         * @name Sweepers#client
+         * @type {Client}
+         * @readonly
+         */
+        Object.defineProperty(this, 'client', { value: client });
+
+        /**
+         * The sweeper options.
+         * @type {Object<string, SweepOptions>}
+         */
+        this.options = options;
+
+        /**
+         * The interval of each running sweeper.
+         * @type {Object<string, ?Timeout>}
+         */
+        this.intervals = Object.fromEntries(SWEEPER_KEYS.map(key => [key, null]));
+
+        for (const key of SWEEPER_KEYS) {
+            const sweep = options[key];
+            if (!sweep) continue;
+            if (typeof sweep.interval !== 'number' || sweep.interval <= 0) {
+                throw new Error(`The ${key} sweeper needs an interval greater than 0 (in seconds).`);
+            }
+            if (sweep.lifetime === undefined && typeof sweep.filter !== 'function') {
+                throw new Error(`The ${key} sweeper needs a lifetime or a filter function.`);
+            }
+            if (key === 'users' && sweep.lifetime !== undefined) {
+                throw new Error('The users sweeper only supports a filter function.');
+            }
+            this.intervals[key] = setInterval(() => this._sweepKey(key), sweep.interval * 1000).unref();
+        }
+    }
+
+    /**
+     * Sweeps messages in every cached channel.
+     * @param {Function} filter `(message, id, collection) => boolean`, return true to sweep the message
+     * @returns {number} The number of messages swept.
+     */
+    sweepMessages(filter) {
+        let swept = 0;
+        for (const channel of this.client.channels.cache.values()) {
+            if (channel.messages) swept += channel.messages.cache.sweep(filter);
+        }
+        this._emit('messages', swept);
+        return swept;
+    }
+
+    /**
+     * Sweeps cached users. The client user is never swept.
+     * @param {Function} filter `(user, id, collection) => boolean`, return true to sweep the user
+     * @returns {number} The number of users swept.
+     */
+    sweepUsers(filter) {
+        const swept = this.client.users.cache.sweep(
+            (user, id, collection) => id !== this.client.user?.id && filter(user, id, collection),
+        );
+        this._emit('users', swept);
+        return swept;
+    }
+
+    /**
+     * Sweeps cached threads, removing them from the global and guild channel caches.
+     * @param {Function} filter `(thread, id, collection) => boolean`, return true to sweep the thread
+     * @returns {number} The number of threads swept.
+     */
+    sweepThreads(filter) {
+        let swept = 0;
+        for (const [id, channel] of this.client.channels.cache) {
+            if (!channel.isThread() || !filter(channel, id, this.client.channels.cache)) continue;
+            this.client.channels._remove(id);
+            swept++;
+        }
+        this._emit('threads', swept);
+        return swept;
+    }
+
+    /**
+     * Sweeps ended voice sessions, see `VoiceSessionManager`. Active sessions are never swept.
+     * @param {Function} filter `(session, id, collection) => boolean`, return true to sweep the session
+     * @returns {number} The number of sessions swept.
+     */
+    sweepVoiceSessions(filter) {
+        const swept = this.client.voice.sessions.sweep(filter);
+        this._emit('voiceSessions', swept);
+        return swept;
+    }
+
+    /**
+     * Builds a filter sweeping entries older than a lifetime.
+     * @param {string} key The kind of cache
+     * @param {number} lifetime The lifetime, in seconds
+     * @returns {Function}
+     * @private
+     */
+    _lifetimeFilter(key, lifetime) {
+        const cutoff = Date.now() - lifetime * 1000;
+        if (key === 'threads') {
+            return thread => Boolean(thread.archived && thread.archiveTimestamp !== null && thread.archiveTimestamp < cutoff);
+        }
+        if (key === 'voiceSessions') return session => session.endedTimestamp !== null && session.endedTimestamp < cutoff;
+        return message => {
+            const timestamp = message.editedTimestamp || message.createdTimestamp || Util.getTimestampFromSnowflake(message.id);
+            return timestamp < cutoff;
+        };
+    }
+
+    /**
+     * Runs the configured sweeper of a kind of cache.
+     * @param {string} key The kind of cache
+     * @private
+     */
+    _sweepKey(key) {
+        const { lifetime, filter } = this.options[key];
+        const byLifetime = lifetime !== undefined ? this._lifetimeFilter(key, lifetime) : null;
+        const fn = (value, id, collection) =>
+            Boolean(byLifetime?.(value, id, collection)) || Boolean(filter?.(value, id, collection));
+
+        if (key === 'messages') this.sweepMessages(fn);
+        else if (key === 'users') this.sweepUsers(fn);
+        else if (key === 'threads') this.sweepThreads(fn);
+        else this.sweepVoiceSessions(fn);
+    }
+
+    /**
+     * Emits the sweep event on the client.
+     * @param {string} key The kind of cache
+     * @param {number} swept How many entries were removed
+     * @private
+     */
+    _emit(key, swept) {
+        this.client.emit(Gateway.Events.CACHE_SWEEP, key, swept);
+        this.client.emit('debug', `[Sweepers] Swept ${swept} ${key}.`);
+    }
+
+    /**
+     * Stops every sweeper.
+     */
+    destroy() {
+        for (const key of SWEEPER_KEYS) {
+            if (this.intervals[key]) clearInterval(this.intervals[key]);
+            this.intervals[key] = null;
+        }
+    }
+}
+
+module.exports = Sweepers;
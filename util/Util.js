@@ -1,5 +1,7 @@
 // src/util/Util.js
 
+const ETF = require('./ETF');
+
 /**
  * Contains various utility functions.
  */
@@ -37,6 +39,16 @@ class Util {
         return new Date(Util.getTimestampFromSnowflake(snowflake));
     }
 
+    /**
+     * Generates a snowflake for the given time, as used for the nonces of messages and interactions.
+     * @param {number} [timestamp=Date.now()] The timestamp to encode.
+     * @returns {string}
+     */
+    static generateSnowflake(timestamp = Date.now()) {
+        const DISCORD_EPOCH = 1420070400000;
+        return String(BigInt(timestamp - DISCORD_EPOCH) << 22n);
+    }
+
     /**
      * Splits a string into multiple chunks at a designated character, respecting code blocks and quotes.
      * Useful for splitting long messages.
@@ -160,9 +172,126 @@ class Util {
      static escapeStrikethrough(text) { return text.replace(/~~/g, '\\~\\~'); }
      static escapeSpoiler(text) { return text.replace(/\|\|/g, '\\|\\|'); }
 
+    /**
+     * Deeply merges a given object over a default object.
+     * Missing keys are filled in from `def`; plain nested objects are merged recursively.
+     * Neither input is mutated.
+     * @param {object} def The default values.
+     * @param {object} [given] The values to apply over the defaults.
+     * @returns {object} The merged object.
+     */
+    static mergeDefault(def, given) {
+        if (!given) return Util.mergeDefault(def, {});
+        const merged = { ...given };
+        for (const key of Object.keys(def)) {
+            const defValue = def[key];
+            if (merged[key] === undefined) {
+                merged[key] = Util.isPlainObject(defValue) ? Util.mergeDefault(defValue, {}) : defValue;
+            } else if (Util.isPlainObject(defValue) && Util.isPlainObject(merged[key])) {
+                merged[key] = Util.mergeDefault(defValue, merged[key]);
+            }
+        }
+        return merged;
+    }
+
+    /**
+     * Checks whether a value is a plain object (created by `{}` or `Object.create(null)`).
+     * @param {*} value The value to check.
+     * @returns {boolean}
+     */
+    static isPlainObject(value) {
+        if (value === null || typeof value !== 'object') return false;
+        const proto = Object.getPrototypeOf(value);
+        return proto === Object.prototype || proto === null;
+    }
+
+    /**
+     * Encodes a value as Erlang External Term Format, as sent to the gateway with `encoding: 'etf'`.
+     * Strings are encoded as binaries, so snowflakes keep their string form.
+     * @param {*} value The value to encode.
+     * @returns {Buffer} The encoded term, including the version byte.
+     */
+    static packETF(value) {
+        return ETF.pack(value);
+    }
+
+    /**
+     * Decodes an Erlang External Term Format payload, as received from the gateway with `encoding: 'etf'`.
+     * Integers too large for 32 bits (snowflakes) are returned as strings, matching the JSON encoding.
+     * @param {Buffer|Uint8Array|ArrayBuffer} data The encoded term, including the version byte.
+     * @returns {*} The decoded value.
+     */
+    static unpackETF(data) {
+        return ETF.unpack(data);
+    }
+
+    /**
+     * Returns a promise that resolves after the given number of milliseconds.
+     * @param {number} ms How long to wait.
+     * @returns {Promise<void>}
+     */
+    static sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    /**
+     * Parses emoji text: a unicode emoji, a custom emoji mention (`<:name:id>`, `<a:name:id>`)
+     * or its `name:id` form. URL-encoded text is decoded first.
+     * @param {string} text The emoji text.
+     * @returns {?{ animated: boolean, name: string, id: ?Snowflake }}
+     */
+    static parseEmoji(text) {
+        if (text.includes('%')) text = decodeURIComponent(text);
+        if (!text.includes(':')) return { animated: false, name: text, id: null };
+        const match = text.match(/<?(?:(a):)?(\w{1,32}):(\d{17,20})>?/);
+        return match ? { animated: Boolean(match[1]), name: match[2], id: match[3] } : null;
+    }
+
+    /**
+     * Resolves an emoji to its partial data.
+     * @param {string|object} emoji The emoji text (see `parseEmoji()`), a custom emoji ID, or an object
+     * with `id`, `name` and `animated` (e.g. a ReactionEmoji).
+     * @returns {?{ animated: boolean, name: ?string, id: ?Snowflake }}
+     */
+    static resolvePartialEmoji(emoji) {
+        if (!emoji) return null;
+        if (typeof emoji === 'string') {
+            return /^\d{17,20}$/.test(emoji) ? { animated: false, name: null, id: emoji } : Util.parseEmoji(emoji);
+        }
+        const { id = null, name = null, animated = false } = emoji;
+        if (!id && !name) return null;
+        return { animated: Boolean(animated), name, id };
+    }
+
+
+    /**
+     * Replaces the mentions in a text with readable names, resolved against the caches:
+     * `<@id>` becomes `@displayName` (or `@username` outside guilds), `<@&id>` becomes `@role`
+     * and `<#id>` becomes `#channel`. Mentions that can't be resolved are left as they are.
+     * @param {string} text The text to clean.
+     * @param {Channel} channel The channel the text was sent in, for guild members and roles.
+     * @returns {string}
+     */
+    static cleanContent(text, channel) {
+        const { client, guild } = channel;
+        return text.replace(/<(@[!&]?|#)(\d{17,20})>/g, (match, type, id) => {
+            if (type === '@&') {
+                const role = guild?.roles.cache.get(id);
+                return role ? `@${role.name}` : match;
+            }
+            if (type === '#') {
+                const mentioned = client.channels.cache.get(id);
+                return mentioned?.name ? `#${mentioned.name}` : match;
+            }
+            const member = guild?.members.cache.get(id);
+            if (member?.displayName) return `@${member.displayName}`;
+            const user = client.users.cache.get(id);
+            return user?.username ? `@${user.username}` : match;
+        });
+    }
 
     // Add more utility functions as needed...
-    // e.g., sleep(ms), deepClone(obj), cleanContent(text, channel), etc.
+    // e.g., deepClone(obj), etc.
 
 }
 
@@ -0,0 +1,240 @@
+// src/voice/AudioPlayer.js
+
+const EventEmitter = require('events');
+const { AudioPlayerStatus, VoiceConnectionStatus } = require('../util/Constants');
+
+/**
+ * The duration of a frame, in milliseconds.
+ * @type {number}
+ */
+const FRAME_DURATION = 20;
+
+/**
+ * An Opus frame of silence.
+ * @type {Buffer}
+ */
+const SILENCE_FRAME = Buffer.from([0xf8, 0xff, 0xfe]);
+
+/**
+ * How many silence frames to send when audio stops, so the receivers' decoders don't interpolate.
+ * @type {number}
+ */
+const SILENCE_FRAMES = 5;
+
+/**
+ * Plays audio resources to the voice connections subscribed to it, one 20ms Opus frame at a time.
+ * Emits `stateChange` (oldStatus, newStatus) with the statuses of `Constants.AudioPlayerStatus`,
+ * and `error` (error, resource) when a resource fails.
+ * @extends {EventEmitter}
+ * @example
+ * const player = new AudioPlayer();
+ * connection.subscribe(player);
+ * player.play(AudioResource.fromOgg('./song.ogg'));
+ */
+class AudioPlayer extends EventEmitter {
+    constructor() {
+        super();
+
+        /**
+         * The status of the player, one of `Constants.AudioPlayerStatus`.
+         * @type {string}
+         */
+        this.status = AudioPlayerStatus.IDLE;
+
+        /**
+         * The resource being played.
+         * @type {?AudioResource}
+         */
+        this.resource = null;
+
+        /**
+         * The voice connections the player sends audio to.
+         * @type {Set<VoiceConnection>}
+         */
+        this.subscribers = new Set();
+
+        /**
+         * How many silence frames are left to send.
+         * @type {number}
+         * @private
+         */
+        this._silenceRemaining = 0;
+
+        /**
+         * When the next frame is due.
+         * @type {number}
+         * @private
+         */
+        this._nextFrame = 0;
+
+        this._frameTimer = null;
+    }
+
+    /**
+     * Plays a resource, replacing the one playing.
+     * @param {AudioResource} resource The resource
+     */
+    play(resource) {
+        if (this.resource && this.resource !== resource) this.resource.destroy();
+        this.resource = resource;
+        this._silenceRemaining = 0;
+        this._setStatus(AudioPlayerStatus.BUFFERING);
+        this._startTimer();
+    }
+
+    /**
+     * Pauses playback.
+     * @returns {boolean} Whether the player was playing.
+     */
+    pause() {
+        if (!this.resource || this.status === AudioPlayerStatus.PAUSED) return false;
+        this._silenceRemaining = SILENCE_FRAMES;
+        this._setStatus(AudioPlayerStatus.PAUSED);
+        this._startTimer();
+        return true;
+    }
+
+    /**
+     * Resumes playback.
+     * @returns {boolean} Whether the player was paused.
+     */
+    unpause() {
+        if (this.status !== AudioPlayerStatus.PAUSED) return false;
+        this._setStatus(AudioPlayerStatus.BUFFERING);
+        this._startTimer();
+        return true;
+    }
+
+    /**
+     * Stops playback and drops the resource.
+     * @returns {boolean} Whether there was a resource.
+     */
+    stop() {
+        if (!this.resource) return false;
+        this.resource.destroy();
+        this.resource = null;
+        this._silenceRemaining = SILENCE_FRAMES;
+        this._setStatus(AudioPlayerStatus.IDLE);
+        this._startTimer();
+        return true;
+    }
+
+    /**
+     * Adds a subscribed connection. Use `VoiceConnection#subscribe()`.
+     * @param {VoiceConnection} connection The connection
+     * @private
+     */
+    _subscribe(connection) {
+        this.subscribers.add(connection);
+        this._startTimer();
+    }
+
+    /**
+     * Removes a subscribed connection. Use `VoiceConnection#unsubscribe()`.
+     * @param {VoiceConnection} connection The connection
+     * @private
+     */
+    _unsubscribe(connection) {
+        this.subscribers.delete(connection);
+    }
+
+    /**
+     * Starts sending frames, unless already sending.
+     * @private
+     */
+    _startTimer() {
+        if (this._frameTimer) return;
+        this._nextFrame = Date.now();
+        this._frameTimer = setTimeout(() => this._onFrame(), 0);
+    }
+
+    /**
+     * Stops sending frames.
+     * @private
+     */
+    _stopTimer() {
+        clearTimeout(this._frameTimer);
+        this._frameTimer = null;
+    }
+
+    /**
+     * Sends the frame that is due and schedules the next one. Frames are scheduled from when they are due,
+     * not from when the previous one was sent, so timer lag doesn't add up.
+     * @private
+     */
+    _onFrame() {
+        this._frameTimer = null;
+        const connections = [...this.subscribers].filter(connection => connection.status === VoiceConnectionStatus.READY);
+
+        if (this._silenceRemaining > 0) {
+            for (const connection of connections) connection._sendOpus(SILENCE_FRAME);
+            if (--this._silenceRemaining === 0) for (const connection of connections) connection.setSpeaking(false);
+        } else if (this.resource && this.status !== AudioPlayerStatus.PAUSED) {
+            this._playFrame(connections);
+        }
+
+        // Idle, paused, or nobody to play to: wait for play(), unpause() or a connection to be ready
+        if (this._silenceRemaining === 0 && (!this.resource || this.status === AudioPlayerStatus.PAUSED ||
+            this.status === AudioPlayerStatus.AUTO_PAUSED)) return;
+
+        this._nextFrame += FRAME_DURATION;
+        this._frameTimer = setTimeout(() => this._onFrame(), Math.max(0, this._nextFrame - Date.now()));
+    }
+
+    /**
+     * Sends the next frame of the resource, or ends it.
+     * @param {VoiceConnection[]} connections The connections ready to receive audio
+     * @private
+     */
+    _playFrame(connections) {
+        if (!connections.length) {
+            this._setStatus(AudioPlayerStatus.AUTO_PAUSED);
+            return;
+        }
+
+        const packet = this.resource.read();
+        if (packet) {
+            this._setStatus(AudioPlayerStatus.PLAYING);
+            for (const connection of connections) {
+                connection.setSpeaking(true);
+                connection._sendOpus(packet);
+            }
+            return;
+        }
+        if (!this.resource.ended) {
+            this._setStatus(AudioPlayerStatus.BUFFERING);
+            return;
+        }
+
+        const resource = this.resource;
+        this.resource = null;
+        this._silenceRemaining = SILENCE_FRAMES;
+        if (resource.error) this._emitError(resource.error, resource);
+        this._setStatus(AudioPlayerStatus.IDLE);
+    }
+
+    /**
+     * Changes the status of the player.
+     * @param {string} status The new status
+     * @private
+     */
+    _setStatus(status) {
+        if (status === this.status) return;
+        const old = this.status;
+        this.status = status;
+        this.emit('stateChange', old, status);
+    }
+
+    /**
+     * Emits an error, or logs it if nothing listens for errors.
+     * @param {Error} error The error
+     * @param {AudioResource} resource The resource that failed
+     * @private
+     */
+    _emitError(error, resource) {
+        if (this.listenerCount('error')) this.emit('error', error, resource);
+        else console.error('[AudioPlayer] Audio resource failed:', error);
+    }
+}
+
+module.exports = AudioPlayer;
@@ -0,0 +1,166 @@
+// src/voice/AudioResource.js
+
+const fs = require('fs');
+const OggDemuxer = require('./OggDemuxer');
+
+/**
+ * The duration of an Opus frame sent to Discord, in milliseconds.
+ * @type {number}
+ */
+const FRAME_DURATION = 20;
+
+/**
+ * Something that can be played by an `AudioPlayer`: a source of 20ms Opus packets, read ahead
+ * into a small buffer so the player never waits on the source.
+ */
+class AudioResource {
+    /**
+     * @param {Iterable<Buffer>|AsyncIterable<Buffer>} packets The Opus packets, 48kHz stereo, 20ms each
+     * @param {object} [options={}] Options for the resource
+     * @param {*} [options.metadata] Anything to attach to the resource
+     * @param {number} [options.highWaterMark=50] How many packets to read ahead
+     */
+    constructor(packets, { metadata, highWaterMark = 50 } = {}) {
+        /**
+         * Anything attached to the resource.
+         * @type {*}
+         */
+        this.metadata = metadata;
+
+        /**
+         * How many packets to read ahead.
+         * @type {number}
+         */
+        this.highWaterMark = highWaterMark;
+
+        /**
+         * How much of the resource was played, in milliseconds.
+         * @type {number}
+         */
+        this.playbackDuration = 0;
+
+        /**
+         * The error the source failed with, if it did.
+         * @type {?Error}
+         */
+        this.error = null;
+
+        /**
+         * The packets read ahead.
+         * @type {Buffer[]}
+         * @private
+         */
+        this._buffer = [];
+
+        /**
+         * The iterator of the source.
+         * @type {Iterator<Buffer>|AsyncIterator<Buffer>}
+         * @private
+         */
+        this._iterator = packets[Symbol.asyncIterator]?.() ?? packets[Symbol.iterator]();
+
+        /**
+         * Whether the source has no more packets.
+         * @type {boolean}
+         * @private
+         */
+        this._done = false;
+
+        /**
+         * Whether a packet is being read from the source.
+         * @type {boolean}
+         * @private
+         */
+        this._reading = false;
+
+        this._fill();
+    }
+
+    /**
+     * Whether every packet was played, or the source failed.
+     * @type {boolean}
+     * @readonly
+     */
+    get ended() {
+        return this._done && this._buffer.length === 0;
+    }
+
+    /**
+     * Takes the next packet.
+     * @returns {?Buffer} The packet, or null if none is buffered (the resource is buffering or ended).
+     */
+    read() {
+        const packet = this._buffer.shift() ?? null;
+        if (packet) this.playbackDuration += FRAME_DURATION;
+        this._fill();
+        return packet;
+    }
+
+    /**
+     * Reads packets from the source until the buffer is full.
+     * @private
+     */
+    async _fill() {
+        if (this._reading || this._done) return;
+        this._reading = true;
+        try {
+            while (!this._done && this._buffer.length < this.highWaterMark) {
+                const { value, done } = await this._iterator.next();
+                if (this._done) break; // Destroyed while reading
+                if (done) this._done = true;
+                else if (value?.length) this._buffer.push(value);
+            }
+        } catch (error) {
+            this.error = error;
+            this._done = true;
+            this._buffer = [];
+        } finally {
+            this._reading = false;
+        }
+    }
+
+    /**
+     * Stops reading the source.
+     */
+    destroy() {
+        this._done = true;
+        this._buffer = [];
+        Promise.resolve(this._iterator.return?.()).catch(() => {});
+    }
+
+    /**
+     * Creates a resource from Opus packets.
+     * @param {Iterable<Buffer>|AsyncIterable<Buffer>} packets The Opus packets, 48kHz stereo, 20ms each
+     * @param {object} [options={}] Options for the resource, see the constructor
+     * @returns {AudioResource}
+     */
+    static fromOpus(packets, options) {
+        return new AudioResource(packets, options);
+    }
+
+    /**
+     * Creates a resource from an Ogg/Opus file or stream.
+     * @param {string|Buffer|AsyncIterable<Buffer>} input The path of the file, its content, or a readable stream
+     * @param {object} [options={}] Options for the resource, see the constructor
+     * @returns {AudioResource}
+     * @example
+     * player.play(AudioResource.fromOgg('./song.ogg'));
+     */
+    static fromOgg(input, options) {
+        const chunks = typeof input === 'string' ? fs.createReadStream(input) : Buffer.isBuffer(input) ? [input] : input;
+        return new AudioResource(AudioResource._demux(chunks), options);
+    }
+
+    /**
+     * Extracts the Opus packets of Ogg chunks.
+     * @param {Iterable<Buffer>|AsyncIterable<Buffer>} chunks The chunks
+     * @yields {Buffer}
+     * @private
+     */
+    static async *_demux(chunks) {
+        const demuxer = new OggDemuxer();
+        for await (const chunk of chunks) yield* demuxer.push(chunk);
+    }
+}
+
+module.exports = AudioResource;
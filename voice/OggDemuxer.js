@@ -0,0 +1,112 @@
+// src/voice/OggDemuxer.js
+
+/**
+ * The capture pattern every Ogg page starts with.
+ * @type {Buffer}
+ */
+const CAPTURE_PATTERN = Buffer.from('OggS');
+
+/**
+ * The length of an Ogg page header before its segment table.
+ * @type {number}
+ */
+const PAGE_HEADER_LENGTH = 27;
+
+/**
+ * Extracts the Opus packets of an Ogg/Opus stream, fed chunk by chunk.
+ * Only the first logical stream is read, its `OpusHead` and `OpusTags` headers are skipped.
+ * @example
+ * const demuxer = new OggDemuxer();
+ * for await (const chunk of fs.createReadStream('song.ogg')) {
+ *     for (const packet of demuxer.push(chunk)) send(packet);
+ * }
+ */
+class OggDemuxer {
+    constructor() {
+        /**
+         * The bytes received that don't make a complete page yet.
+         * @type {Buffer}
+         * @private
+         */
+        this._buffer = Buffer.alloc(0);
+
+        /**
+         * The segments of a packet continued on the next page.
+         * @type {Buffer[]}
+         * @private
+         */
+        this._partial = [];
+
+        /**
+         * The serial number of the logical stream being read, null until the first page.
+         * @type {?number}
+         * @private
+         */
+        this._serial = null;
+
+        /**
+         * Whether the `OpusHead` header was read.
+         * @type {boolean}
+         */
+        this.head = false;
+    }
+
+    /**
+     * Feeds a chunk of the stream.
+     * @param {Buffer} chunk The chunk
+     * @returns {Buffer[]} The Opus packets completed by the chunk.
+     */
+    push(chunk) {
+        this._buffer = this._buffer.length ? Buffer.concat([this._buffer, chunk]) : chunk;
+        const packets = [];
+
+        let offset = 0;
+        while (this._buffer.length - offset >= PAGE_HEADER_LENGTH) {
+            if (!this._buffer.subarray(offset, offset + 4).equals(CAPTURE_PATTERN)) {
+                throw new Error('Invalid Ogg stream: missing the OggS capture pattern.');
+            }
+            const segmentCount = this._buffer[offset + 26];
+            const tableEnd = offset + PAGE_HEADER_LENGTH + segmentCount;
+            if (this._buffer.length < tableEnd) break;
+
+            const table = this._buffer.subarray(offset + PAGE_HEADER_LENGTH, tableEnd);
+            const pageEnd = tableEnd + table.reduce((total, size) => total + size, 0);
+            if (this._buffer.length < pageEnd) break;
+
+            const serial = this._buffer.readUInt32LE(offset + 14);
+            this._serial ??= serial;
+            if (serial === this._serial) this._readPage(this._buffer.subarray(tableEnd, pageEnd), table, packets);
+            offset = pageEnd;
+        }
+
+        this._buffer = this._buffer.subarray(offset);
+        return packets;
+    }
+
+    /**
+     * Reads the packets of a page. A packet ends with a segment shorter than 255 bytes.
+     * @param {Buffer} body The body of the page
+     * @param {Buffer} table The segment table of the page
+     * @param {Buffer[]} packets The packets read so far, completed packets are added
+     * @private
+     */
+    _readPage(body, table, packets) {
+        let start = 0;
+        for (const size of table) {
+            this._partial.push(body.subarray(start, start + size));
+            start += size;
+            if (size === 255) continue;
+
+            const packet = Buffer.concat(this._partial);
+            this._partial = [];
+            if (!this.head) {
+                if (!packet.subarray(0, 8).equals(Buffer.from('OpusHead'))) throw new Error('The Ogg stream is not Opus.');
+                this.head = true;
+            } else if (!packet.subarray(0, 8).equals(Buffer.from('OpusTags'))) {
+                packets.push(packet);
+            }
+        }
+    }
+}
+
+module.exports = OggDemuxer;
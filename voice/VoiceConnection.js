@@ -0,0 +1,384 @@
+// src/voice/VoiceConnection.js
+
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const VoiceEncryption = require('./VoiceEncryption');
+const VoiceUDPSocket = require('./VoiceUDPSocket');
+const VoiceWebSocket = require('./VoiceWebSocket');
+const { VoiceConnectionStatus, VoiceGateway } = require('../util/Constants');
+
+/**
+ * The RTP timestamp increment of a 20ms frame at 48kHz.
+ * @type {number}
+ */
+const FRAME_SAMPLES = 960;
+
+/**
+ * How long to wait for a new voice server after being disconnected from one, in milliseconds.
+ * @type {number}
+ */
+const RECONNECT_WINDOW = 5_000;
+
+/**
+ * A connection to the voice server of a call, sending the audio of a subscribed `AudioPlayer`.
+ * Created by `VoiceManager#connect()`; follows the client user's voice state and voice server,
+ * reconnecting when Discord moves the call.
+ * Emits `stateChange` (oldStatus, newStatus) with the statuses of `Constants.VoiceConnectionStatus`,
+ * and `error` (error) when the connection fails.
+ * @extends {EventEmitter}
+ */
+class VoiceConnection extends EventEmitter {
+    /**
+     * @param {VoiceManager} manager The voice manager of the client
+     * @param {Snowflake} guildId The ID of the guild
+     */
+    constructor(manager, guildId) {
+        super();
+
+        /**
+         * The voice manager of the client.
+         * @name VoiceConnection#manager
+         * @type {VoiceManager}
+         * @readonly
+         */
+        Object.defineProperty(this, 'manager', { value: manager });
+
+        /**
+         * The ID of the guild.
+         * @type {Snowflake}
+         */
+        this.guildId = guildId;
+
+        /**
+         * The status of the connection, one of `Constants.VoiceConnectionStatus`.
+         * @type {string}
+         */
+        this.status = VoiceConnectionStatus.SIGNALLING;
+
+        /**
+         * The connection to the voice server's WebSocket.
+         * @type {VoiceWebSocket}
+         */
+        this.ws = new VoiceWebSocket();
+        this.ws.on('debug', message => manager.client.emit('debug', message));
+        this.ws.on('ready', data => this._onReady(data));
+        this.ws.on('sessionDescription', data => this._onSessionDescription(data));
+        this.ws.on('resumed', () => this._onResumed());
+        this.ws.on('disconnected', code => this._onDisconnected(code));
+
+        /**
+         * The UDP socket audio is sent on, null until the voice server is ready.
+         * @type {?VoiceUDPSocket}
+         */
+        this.udp = null;
+
+        /**
+         * The encryption of the audio, null until the session description is received.
+         * @type {?VoiceEncryption}
+         */
+        this.encryption = null;
+
+        /**
+         * The SSRC identifying our audio, from the voice server.
+         * @type {?number}
+         */
+        this.ssrc = null;
+
+        /**
+         * Whether the voice server was told we are speaking.
+         * @type {boolean}
+         */
+        this.speaking = false;
+
+        /**
+         * The player whose audio is sent.
+         * @type {?AudioPlayer}
+         */
+        this.player = null;
+
+        /**
+         * The RTP sequence number of the next packet.
+         * @type {number}
+         * @private
+         */
+        this._sequence = crypto.randomInt(2 ** 16);
+
+        /**
+         * The RTP timestamp of the next packet.
+         * @type {number}
+         * @private
+         */
+        this._timestamp = crypto.randomInt(2 ** 32);
+
+        this._reconnectTimer = null;
+    }
+
+    /**
+     * The client that instantiated this.
+     * @type {Client}
+     * @readonly
+     */
+    get client() {
+        return this.manager.client;
+    }
+
+    /**
+     * The ID of the voice channel the client user is in.
+     * @type {?Snowflake}
+     * @readonly
+     */
+    get channelId() {
+        return this.manager.connections.get(this.guildId)?.channelId ?? null;
+    }
+
+    /**
+     * The round-trip latency to the voice server, in milliseconds.
+     * @type {number}
+     * @readonly
+     */
+    get ping() {
+        return this.ws.ping;
+    }
+
+    /**
+     * Sends the audio of a player over the connection, replacing the current player.
+     * @param {AudioPlayer} player The player
+     * @returns {AudioPlayer}
+     */
+    subscribe(player) {
+        this.unsubscribe();
+        this.player = player;
+        player._subscribe(this);
+        return player;
+    }
+
+    /**
+     * Stops sending the audio of the current player.
+     */
+    unsubscribe() {
+        this.player?._unsubscribe(this);
+        this.player = null;
+        this.setSpeaking(false);
+    }
+
+    /**
+     * Tells the voice server whether we are speaking. Needed before sending audio.
+     * @param {boolean} speaking Whether we are speaking
+     */
+    setSpeaking(speaking) {
+        if (this.speaking === speaking || this.status !== VoiceConnectionStatus.READY) return;
+        this.speaking = speaking;
+        this.ws.send({
+            op: VoiceGateway.OpCodes.SPEAKING,
+            d: { speaking: speaking ? VoiceGateway.SpeakingFlags.MICROPHONE : 0, delay: 0, ssrc: this.ssrc },
+        });
+    }
+
+    /**
+     * Sends an Opus frame.
+     * @param {Buffer} packet The 20ms Opus frame
+     * @returns {boolean} Whether the frame was sent.
+     * @private
+     */
+    _sendOpus(packet) {
+        if (this.status !== VoiceConnectionStatus.READY) return false;
+        const header = Buffer.alloc(12);
+        header[0] = 0x80; // RTP version 2
+        header[1] = 0x78; // Payload type 120, Opus
+        header.writeUInt16BE(this._sequence, 2);
+        header.writeUInt32BE(this._timestamp, 4);
+        header.writeUInt32BE(this.ssrc, 8);
+        this._sequence = (this._sequence + 1) & 0xffff;
+        this._timestamp = (this._timestamp + FRAME_SAMPLES) >>> 0;
+        this.udp.send(this.encryption.encrypt(header, packet));
+        return true;
+    }
+
+    /**
+     * Connects to the voice server of the call, identifying a new voice session.
+     * @param {VoiceConnectionData} data The connection data from the main gateway
+     * @private
+     */
+    _connect(data) {
+        clearTimeout(this._reconnectTimer);
+        this._reconnectTimer = null;
+        this._teardownTransport();
+        if (!data.endpoint || !data.sessionId) {
+            // The voice server is being reallocated, a new one will follow
+            this._setStatus(VoiceConnectionStatus.DISCONNECTED);
+            return;
+        }
+        this._setStatus(VoiceConnectionStatus.CONNECTING);
+        this.ws.connect({
+            endpoint: data.endpoint,
+            serverId: this.guildId,
+            userId: this.client.user.id,
+            sessionId: data.sessionId,
+            token: data.token,
+        });
+    }
+
+    /**
+     * Handles a new voice server for the call.
+     * @param {VoiceConnectionData} data The connection data from the main gateway
+     * @private
+     */
+    _onServerUpdate(data) {
+        if (this.status === VoiceConnectionStatus.DESTROYED) return;
+        this._connect(data);
+    }
+
+    /**
+     * Does IP discovery once the voice server is ready, then selects the protocol.
+     * @param {object} data The voice server's READY data
+     * @private
+     */
+    async _onReady(data) {
+        this.ssrc = data.ssrc;
+        this.udp?.destroy();
+        const udp = new VoiceUDPSocket(data.ip, data.port);
+        udp.on('error', error => this.client.emit('debug', `[VoiceConnection] UDP error: ${error.message}`));
+        this.udp = udp;
+        try {
+            const { ip, port } = await udp.discoverIP(data.ssrc);
+            if (this.udp !== udp) return;
+            this.ws.selectProtocol(ip, port, VoiceEncryption.chooseMode(data.modes));
+        } catch (error) {
+            if (this.udp !== udp) return;
+            this._emitError(error);
+            this.destroy();
+        }
+    }
+
+    /**
+     * Sets up the encryption once the session description is received. Audio can be sent from here on.
+     * @param {object} data The session description
+     * @private
+     */
+    async _onSessionDescription(data) {
+        try {
+            const encryption = await VoiceEncryption.create(data.mode, data.secret_key);
+            if (this.status === VoiceConnectionStatus.DESTROYED) return;
+            this.encryption = encryption;
+            this.speaking = false;
+            this._setStatus(VoiceConnectionStatus.READY);
+        } catch (error) {
+            this._emitError(error);
+            this.destroy();
+        }
+    }
+
+    /**
+     * Handles a resumed voice session: the UDP socket and encryption carry on.
+     * @private
+     */
+    _onResumed() {
+        if (!this.udp || !this.encryption) return;
+        // The voice server forgets the speaking state
+        this.speaking = false;
+        this._setStatus(VoiceConnectionStatus.READY);
+    }
+
+    /**
+     * Handles the voice server closing the connection for good. Disconnects from moves and voice server
+     * changes are followed by a new voice server, anything else destroys the connection.
+     * @param {number} code The close code
+     * @private
+     */
+    _onDisconnected(code) {
+        if (this.status === VoiceConnectionStatus.DESTROYED) return;
+        this._teardownTransport();
+        if (code !== VoiceGateway.CloseCodes.DISCONNECTED) {
+            this._emitError(new Error(`The voice server closed the connection with code ${code}.`));
+            this.destroy();
+            return;
+        }
+
+        this._setStatus(VoiceConnectionStatus.DISCONNECTED);
+        this._reconnectTimer = setTimeout(() => {
+            this._reconnectTimer = null;
+            // Still in a channel but no new voice server was sent: try the last one again
+            const data = this.manager.connections.get(this.guildId);
+            if (data?.channelId) this._connect(data);
+            else this.destroy({ leave: false });
+        }, RECONNECT_WINDOW);
+    }
+
+    /**
+     * Waits for the connection to be ready.
+     * @param {number} timeout How long to wait, in milliseconds
+     * @returns {Promise<VoiceConnection>}
+     * @private
+     */
+    _waitReady(timeout) {
+        if (this.status === VoiceConnectionStatus.READY) return Promise.resolve(this);
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.off('stateChange', onChange);
+                reject(new Error('Timed out connecting to the voice server.'));
+            }, timeout);
+            const onChange = (old, status) => {
+                if (status !== VoiceConnectionStatus.READY && status !== VoiceConnectionStatus.DESTROYED) return;
+                clearTimeout(timer);
+                this.off('stateChange', onChange);
+                if (status === VoiceConnectionStatus.READY) resolve(this);
+                else reject(new Error('The voice connection was destroyed.'));
+            };
+            this.on('stateChange', onChange);
+        });
+    }
+
+    /**
+     * Closes the UDP socket and forgets the encryption.
+     * @private
+     */
+    _teardownTransport() {
+        this.udp?.destroy();
+        this.udp = null;
+        this.encryption = null;
+        this.speaking = false;
+    }
+
+    /**
+     * Changes the status of the connection.
+     * @param {string} status The new status
+     * @private
+     */
+    _setStatus(status) {
+        if (status === this.status) return;
+        const old = this.status;
+        this.status = status;
+        this.emit('stateChange', old, status);
+        // A player waiting for a ready connection can carry on
+        if (status === VoiceConnectionStatus.READY) this.player?._startTimer();
+    }
+
+    /**
+     * Emits an error, or logs it if nothing listens for errors.
+     * @param {Error} error The error
+     * @private
+     */
+    _emitError(error) {
+        if (this.listenerCount('error')) this.emit('error', error);
+        else console.error(`[VoiceConnection] Voice connection of guild ${this.guildId} failed:`, error);
+    }
+
+    /**
+     * Closes the connection to the voice server.
+     * @param {object} [options={}] Options for destroying
+     * @param {boolean} [options.leave=true] Whether to also leave the voice channel
+     */
+    destroy({ leave = true } = {}) {
+        if (this.status === VoiceConnectionStatus.DESTROYED) return;
+        clearTimeout(this._reconnectTimer);
+        this._reconnectTimer = null;
+        this.unsubscribe();
+        this.ws.destroy();
+        this._teardownTransport();
+        this.manager._removeVoiceConnection(this);
+        this._setStatus(VoiceConnectionStatus.DESTROYED);
+        if (leave) this.manager.leave(this.guildId).catch(error => this._emitError(error));
+    }
+}
+
+module.exports = VoiceConnection;
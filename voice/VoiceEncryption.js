@@ -0,0 +1,181 @@
+// src/voice/VoiceEncryption.js
+
+const crypto = require('crypto');
+const { VoiceGateway } = require('../util/Constants');
+
+/**
+ * The length of an RTP header without extensions.
+ * @type {number}
+ */
+const RTP_HEADER_LENGTH = 12;
+
+/**
+ * The length of the nonce counter appended to packets by the `rtpsize` and `lite` modes.
+ * @type {number}
+ */
+const NONCE_COUNTER_LENGTH = 4;
+
+/**
+ * Loads and initializes `libsodium-wrappers`.
+ * @returns {Promise<object>} The initialized module.
+ */
+async function loadSodium() {
+    let sodium;
+    try {
+        sodium = require('libsodium-wrappers');
+    } catch {
+        throw new Error('libsodium-wrappers is not installed, it is needed to encrypt voice packets.');
+    }
+    await sodium.ready;
+    return sodium;
+}
+
+/**
+ * Encrypts and decrypts the RTP packets of a voice connection with one of the modes
+ * `libsodium-wrappers` supports, see `Constants.VoiceGateway.EncryptionModes`.
+ *
+ * - `aead_xchacha20_poly1305_rtpsize`: XChaCha20-Poly1305 with the RTP header as additional data,
+ *   the 24-byte nonce holds a 32-bit counter and the counter is appended to the packet.
+ * - `xsalsa20_poly1305_lite`: like above with a secretbox, the header isn't authenticated.
+ * - `xsalsa20_poly1305_suffix`: a random 24-byte nonce appended to the packet.
+ * - `xsalsa20_poly1305`: the RTP header padded to 24 bytes is the nonce.
+ */
+class VoiceEncryption {
+    /**
+     * Use `VoiceEncryption.create()`, which loads libsodium first.
+     * @param {object} sodium The initialized `libsodium-wrappers` module
+     * @param {string} mode The encryption mode
+     * @param {Uint8Array|number[]} secretKey The secret key from the session description
+     */
+    constructor(sodium, mode, secretKey) {
+        if (!VoiceGateway.EncryptionModes.includes(mode)) throw new Error(`Unsupported voice encryption mode "${mode}".`);
+
+        /**
+         * The libsodium module.
+         * @type {object}
+         * @private
+         */
+        this._sodium = sodium;
+
+        /**
+         * The encryption mode.
+         * @type {string}
+         */
+        this.mode = mode;
+
+        /**
+         * The secret key.
+         * @type {Uint8Array}
+         * @private
+         */
+        Object.defineProperty(this, '_key', { value: Uint8Array.from(secretKey) });
+
+        /**
+         * The counter of the `rtpsize` and `lite` nonces, incremented for every packet.
+         * @type {number}
+         * @private
+         */
+        this._nonce = 0;
+    }
+
+    /**
+     * Loads libsodium and creates the encryption of a voice connection.
+     * @param {string} mode The encryption mode
+     * @param {Uint8Array|number[]} secretKey The secret key from the session description
+     * @returns {Promise<VoiceEncryption>}
+     */
+    static async create(mode, secretKey) {
+        return new VoiceEncryption(await loadSodium(), mode, secretKey);
+    }
+
+    /**
+     * Picks the most preferred encryption mode a voice server offers.
+     * @param {string[]} modes The modes from the voice server's READY
+     * @returns {string}
+     */
+    static chooseMode(modes) {
+        const mode = VoiceGateway.EncryptionModes.find(supported => modes.includes(supported));
+        if (!mode) throw new Error(`The voice server offers no supported encryption mode (${modes.join(', ')}).`);
+        return mode;
+    }
+
+    /**
+     * Encrypts an audio frame into an RTP packet.
+     * @param {Buffer} header The 12-byte RTP header
+     * @param {Buffer} audio The Opus frame
+     * @returns {Buffer} The packet: the header, the encrypted frame and the nonce if the mode sends it.
+     */
+    encrypt(header, audio) {
+        const sodium = this._sodium;
+        const nonce = Buffer.alloc(24);
+
+        switch (this.mode) {
+            case 'aead_xchacha20_poly1305_rtpsize': {
+                const counter = this._nextNonce();
+                counter.copy(nonce);
+                const encrypted = sodium.crypto_aead_xchacha20poly1305_ietf_encrypt(audio, header, null, nonce, this._key);
+                return Buffer.concat([header, encrypted, counter]);
+            }
+            case 'xsalsa20_poly1305_lite': {
+                const counter = this._nextNonce();
+                counter.copy(nonce);
+                return Buffer.concat([header, sodium.crypto_secretbox_easy(audio, nonce, this._key), counter]);
+            }
+            case 'xsalsa20_poly1305_suffix': {
+                crypto.randomFillSync(nonce);
+                return Buffer.concat([header, sodium.crypto_secretbox_easy(audio, nonce, this._key), nonce]);
+            }
+            default:
+                header.copy(nonce);
+                return Buffer.concat([header, sodium.crypto_secretbox_easy(audio, nonce, this._key)]);
+        }
+    }
+
+    /**
+     * Decrypts an RTP packet encrypted with the same mode and key.
+     * @param {Buffer} packet The packet
+     * @returns {{ header: Buffer, audio: Buffer }} The RTP header and the audio frame.
+     */
+    decrypt(packet) {
+        const sodium = this._sodium;
+        const header = packet.subarray(0, RTP_HEADER_LENGTH);
+        const nonce = Buffer.alloc(24);
+        let audio;
+
+        switch (this.mode) {
+            case 'aead_xchacha20_poly1305_rtpsize': {
+                packet.subarray(packet.length - NONCE_COUNTER_LENGTH).copy(nonce);
+                const encrypted = packet.subarray(RTP_HEADER_LENGTH, packet.length - NONCE_COUNTER_LENGTH);
+                audio = sodium.crypto_aead_xchacha20poly1305_ietf_decrypt(null, encrypted, header, nonce, this._key);
+                break;
+            }
+            case 'xsalsa20_poly1305_lite':
+                packet.subarray(packet.length - NONCE_COUNTER_LENGTH).copy(nonce);
+                audio = sodium.crypto_secretbox_open_easy(
+                    packet.subarray(RTP_HEADER_LENGTH, packet.length - NONCE_COUNTER_LENGTH), nonce, this._key);
+                break;
+            case 'xsalsa20_poly1305_suffix':
+                packet.subarray(packet.length - 24).copy(nonce);
+                audio = sodium.crypto_secretbox_open_easy(packet.subarray(RTP_HEADER_LENGTH, packet.length - 24), nonce, this._key);
+                break;
+            default:
+                header.copy(nonce);
+                audio = sodium.crypto_secretbox_open_easy(packet.subarray(RTP_HEADER_LENGTH), nonce, this._key);
+        }
+        return { header: Buffer.from(header), audio: Buffer.from(audio) };
+    }
+
+    /**
+     * Increments the nonce counter.
+     * @returns {Buffer} The 4-byte big-endian counter.
+     * @private
+     */
+    _nextNonce() {
+        this._nonce = (this._nonce + 1) >>> 0;
+        const counter = Buffer.alloc(NONCE_COUNTER_LENGTH);
+        counter.writeUInt32BE(this._nonce);
+        return counter;
+    }
+}
+
+module.exports = VoiceEncryption;
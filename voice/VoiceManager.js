@@ -1,12 +1,39 @@
 // src/voice/VoiceManager.js
 
-// Required by the adapter creator logic, even if not directly used here otherwise.
-const { GatewayVoiceServerUpdateDispatchData, GatewayVoiceStateUpdateDispatchData } = require('@discordjs/voice');
-const WebSocket = require('ws'); // Needed for WebSocket.OPEN check
+const VoiceConnection = require('./VoiceConnection');
+const VoiceSessionManager = require('./VoiceSessionManager');
+const Collection = require('../util/Collection');
+const { Gateway } = require('../util/Constants');
+
+const { OpCodes } = Gateway;
+
+/**
+ * What a voice connection needs to reach Discord's voice server, kept up to date from the gateway.
+ * @typedef {object} VoiceConnectionData
+ * @property {Snowflake} guildId The ID of the guild
+ * @property {?Snowflake} channelId The ID of the voice channel the client user is in
+ * @property {?string} sessionId The voice session ID, from the client user's voice state
+ * @property {?string} endpoint The voice server host, null while Discord moves the call to another server
+ * @property {?string} token The voice server token
+ * @property {boolean} selfMute Whether the client user is self-muted
+ * @property {boolean} selfDeaf Whether the client user is self-deafened
+ * @property {boolean} selfVideo Whether the client user's camera is on
+ */
+
+/**
+ * Options for joining a voice channel.
+ * @typedef {object} VoiceJoinOptions
+ * @property {boolean} [selfMute=false] Whether to join self-muted
+ * @property {boolean} [selfDeaf=false] Whether to join self-deafened
+ * @property {boolean} [selfVideo=false] Whether to join with the camera on
+ * @property {number} [timeout=15000] How long to wait for Discord to confirm, in milliseconds
+ */
 
 /**
- * Manages voice connections and adapters for the client.
- * Acts as a bridge between the main WebSocket connection and @discordjs/voice.
+ * Manages the client user's voice connections: joins, moves and leaves voice channels over the main gateway
+ * and keeps the session, endpoint and token each connection needs. `connect()` opens a built-in
+ * `VoiceConnection` to play audio; other voice implementations can use `connections`, and
+ * `@discordjs/voice` is supported through `createVoiceDispatch()`.
  */
 class VoiceManager {
     /**
@@ -21,85 +48,209 @@ class VoiceManager {
         this.client = client;
 
         /**
-         * A map storing the active voice adapters provided by @discordjs/voice, keyed by guild ID.
-         * The value contains methods like `onVoiceStateUpdate` and `onVoiceServerUpdate` provided by the voice connection instance.
-         * @type {Map<string, { onVoiceStateUpdate: Function, onVoiceServerUpdate: Function, destroy: Function }>}
+         * The `@discordjs/voice` adapters, keyed by guild ID. Voice updates for their guild are forwarded to them.
+         * @type {Map<Snowflake, { onVoiceStateUpdate: Function, onVoiceServerUpdate: Function, destroy: Function }>}
          */
         this.adapters = new Map();
+
+        /**
+         * The client user's voice connections, keyed by guild ID.
+         * @type {Collection<Snowflake, VoiceConnectionData>}
+         */
+        this.connections = new Collection();
+
+        /**
+         * The voice sessions recorded from the voice state updates of every guild.
+         * @type {VoiceSessionManager}
+         */
+        this.sessions = new VoiceSessionManager(client);
+
+        /**
+         * The joins and leaves waiting for Discord to confirm them, keyed by guild ID.
+         * @type {Map<Snowflake, object>}
+         * @private
+         */
+        this._pending = new Map();
+
+        /**
+         * The built-in voice connections, keyed by guild ID.
+         * @type {Collection<Snowflake, VoiceConnection>}
+         * @private
+         */
+        this._voiceConnections = new Collection();
     }
 
     /**
-     * Creates the adapter function required by @discordjs/voice's joinVoiceChannel.
-     * This function is called by @discordjs/voice for a specific guild when joining.
-     * It registers the necessary handlers provided by @discordjs/voice and provides
-     * methods for @discordjs/voice to send voice state updates and destroy the adapter.
-     *
-     * For user tokens (which do not have a "Bot " prefix) the voice join functionality
-     * is disabled to prevent a 4002 error loop – a dummy adapter is returned instead.
-     *
-     * @param {string} guildId The ID of the guild the adapter is for.
-     * @returns {import('@discordjs/voice').DiscordGatewayAdapterCreator}
+     * Joins a voice channel and connects to its voice server, to play audio with an `AudioPlayer`.
+     * Moving to another channel of the same guild keeps the connection.
+     * @param {VoiceChannel|Snowflake} channel The voice or stage channel
+     * @param {VoiceJoinOptions} [options={}] Options for joining, the timeout also applies to the voice server
+     * @returns {Promise<VoiceConnection>}
+     * @example
+     * const connection = await client.voice.connect(channel);
+     * const player = connection.subscribe(new AudioPlayer());
+     * player.play(AudioResource.fromOgg('./song.ogg'));
      */
-    createVoiceDispatch(guildId) {
-        // If the token does not start with "Bot ", assume it's a user token and disable voice functionality.
-        if (!this.client.token || !this.client.token.startsWith("Bot ")) {
-            console.warn(`[VoiceManager] Voice join functionality is disabled for user tokens. Guild ${guildId} will not join voice.`);
-            return () => ({
-                sendPayload: (payload) => {
-                    console.warn(`[VoiceManager] Skipped sending payload for Guild ${payload.guild_id} because voice functionality is disabled for user tokens.`);
-                    return false;
-                },
-                destroy: () => {
-                    console.log(`[VoiceManager] Dummy adapter destroy called for Guild ${guildId}`);
-                }
-            });
+    async connect(channel, options = {}) {
+        const data = await this.join(channel, options);
+        let connection = this._voiceConnections.get(data.guildId);
+        if (!connection) {
+            connection = new VoiceConnection(this, data.guildId);
+            this._voiceConnections.set(data.guildId, connection);
+            connection._connect(data);
         }
+        return connection._waitReady(options.timeout ?? 15_000);
+    }
 
-        // For bot tokens (or when voice join is allowed), return the normal adapter.
-        return (methods) => {
-            // Store the methods provided by @discordjs/voice's connection instance
-            this.adapters.set(guildId, methods);
-            // console.debug(`[VoiceManager] Adapter registered for Guild ${guildId}`);
+    /**
+     * Gets the built-in voice connection of a guild.
+     * @param {Guild|Snowflake} guild The guild
+     * @returns {?VoiceConnection}
+     */
+    getConnection(guild) {
+        return this._voiceConnections.get(this.client.guilds.resolveId(guild)) ?? null;
+    }
+
+    /**
+     * Forgets a destroyed voice connection.
+     * @param {VoiceConnection} connection The connection
+     * @private
+     */
+    _removeVoiceConnection(connection) {
+        if (this._voiceConnections.get(connection.guildId) === connection) this._voiceConnections.delete(connection.guildId);
+    }
+
+    /**
+     * Joins a voice channel, or moves to it from another channel of the same guild.
+     * Resolves once Discord sent the voice state and, for a new connection, the voice server.
+     * @param {VoiceChannel|Snowflake} channel The voice or stage channel
+     * @param {VoiceJoinOptions} [options={}] Options for joining
+     * @returns {Promise<VoiceConnectionData>}
+     * @example
+     * const { endpoint, token, sessionId } = await client.voice.join(channel, { selfDeaf: true });
+     */
+    async join(channel, { selfMute = false, selfDeaf = false, selfVideo = false, timeout = 15_000 } = {}) {
+        const resolved = this.client.channels.resolve(channel);
+        if (!resolved?.isVoice()) throw new Error('Could not resolve the voice channel.');
+        const guildId = resolved.guildId;
+
+        // Moving keeps the voice server, Discord only sends it again for a new connection
+        const needsServer = !this.connections.get(guildId)?.channelId;
+        this._sendVoiceStateUpdate({
+            guild_id: guildId,
+            channel_id: resolved.id,
+            self_mute: selfMute,
+            self_deaf: selfDeaf,
+            self_video: selfVideo,
+        });
+        return this._wait(guildId, resolved.id, needsServer, timeout);
+    }
+
+    /**
+     * Moves to another voice channel of the guild the client user is connected in, keeping the current
+     * mute, deafen and camera state unless overridden.
+     * @param {VoiceChannel|Snowflake} channel The voice or stage channel
+     * @param {VoiceJoinOptions} [options={}] Options for the move
+     * @returns {Promise<VoiceConnectionData>}
+     */
+    async move(channel, options = {}) {
+        const resolved = this.client.channels.resolve(channel);
+        if (!resolved?.isVoice()) throw new Error('Could not resolve the voice channel.');
+        const connection = this.connections.get(resolved.guildId);
+        if (!connection?.channelId) throw new Error(`The client user isn't in a voice channel of the guild ${resolved.guildId}.`);
+        const { selfMute, selfDeaf, selfVideo } = connection;
+        return this.join(resolved, { selfMute, selfDeaf, selfVideo, ...options });
+    }
+
+    /**
+     * Leaves the voice channel of a guild. Resolves right away if the client user isn't connected there.
+     * @param {Guild|Snowflake} guild The guild
+     * @param {object} [options={}] Options for leaving
+     * @param {number} [options.timeout=15000] How long to wait for Discord to confirm, in milliseconds
+     * @returns {Promise<void>}
+     */
+    async leave(guild, { timeout = 15_000 } = {}) {
+        const guildId = this.client.guilds.resolveId(guild);
+        if (!guildId) throw new Error('Could not resolve the guild.');
+        if (!this.connections.has(guildId) && !this._pending.has(guildId)) return;
+
+        this._sendVoiceStateUpdate({ guild_id: guildId, channel_id: null, self_mute: false, self_deaf: false, self_video: false });
+        await this._wait(guildId, null, false, timeout);
+    }
+
+    /**
+     * Sends a voice state update (OP 4) over the gateway.
+     * @param {object} data The raw voice state update
+     * @private
+     */
+    _sendVoiceStateUpdate(data) {
+        this.client.emit('debug', `[VoiceManager] Voice state update for guild ${data.guild_id}: channel ${data.channel_id}.`);
+        if (!this.client.ws.send({ op: OpCodes.VOICE_STATE_UPDATE, d: data })) throw new Error('The gateway connection is not open.');
+    }
+
+    /**
+     * Waits for Discord to confirm a voice state update. A newer join or leave of the same guild
+     * rejects the one it replaces.
+     * @param {Snowflake} guildId The ID of the guild
+     * @param {?Snowflake} channelId The channel joined, null when leaving
+     * @param {boolean} needsServer Whether to also wait for the voice server
+     * @param {number} timeout How long to wait, in milliseconds
+     * @returns {Promise<?VoiceConnectionData>}
+     * @private
+     */
+    _wait(guildId, channelId, needsServer, timeout) {
+        this._settle(guildId, new Error('The voice state update was replaced by a newer one.'));
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => this._settle(guildId, new Error('Timed out waiting for the voice connection.')), timeout);
+            this._pending.set(guildId, { channelId, needsServer, stateReceived: false, serverReceived: false, resolve, reject, timer });
+        });
+    }
 
-            // Return the interface needed by @discordjs/voice
+    /**
+     * Settles the pending join or leave of a guild.
+     * @param {Snowflake} guildId The ID of the guild
+     * @param {Error} [error] The error to reject with, resolves with the connection if omitted
+     * @private
+     */
+    _settle(guildId, error) {
+        const pending = this._pending.get(guildId);
+        if (!pending) return;
+        clearTimeout(pending.timer);
+        this._pending.delete(guildId);
+        if (error) pending.reject(error);
+        else pending.resolve(this.connections.get(guildId) ?? null);
+    }
+
+    /**
+     * Settles the pending join or leave of a guild if everything it waits for was received.
+     * @param {Snowflake} guildId The ID of the guild
+     * @private
+     */
+    _check(guildId) {
+        const pending = this._pending.get(guildId);
+        if (pending?.stateReceived && (!pending.needsServer || pending.serverReceived)) this._settle(guildId);
+    }
+
+    /**
+     * Creates the adapter creator `@discordjs/voice` needs to join a voice channel of a guild, see
+     * `Guild#voiceAdapterCreator`. The adapter sends the OP 4 payloads of the library as they are.
+     * @param {Snowflake} guildId The ID of the guild the adapter is for.
+     * @returns {import('@discordjs/voice').DiscordGatewayAdapterCreator}
+     */
+    createVoiceDispatch(guildId) {
+        return methods => {
+            this.adapters.set(guildId, methods);
             return {
                 /**
-                 * Sends a Voice State Update payload (OpCode 4) via the main WebSocket.
-                 * @param {object} payload The payload data (usually includes guild_id, channel_id, self_mute, self_deaf)
-                 * @returns {boolean} True if the payload was sent, false otherwise.
+                 * Sends a voice state update payload (OP 4) over the gateway.
+                 * @param {object} payload The payload, `{ op, d }`
+                 * @returns {boolean} Whether the payload was sent.
                  */
-                sendPayload: (payload) => {
-                    const wsManager = this.client.ws; // Get WebSocketManager instance
-
-                    // --- Logging the original payload ---
-                    console.error("!!! Attempting to send OP 4 Payload:", JSON.stringify(payload));
-                    // --- End Logging ---
-
-                    // Check if the WebSocketManager and its underlying ws connection are open
-                    if (wsManager?.ws?.readyState === WebSocket.OPEN) {
-                        // Create a shallow copy to avoid modifying the original payload.
-                        const modifiedPayload = { ...payload };
-
-                        // Set mute/deaf to null as user accounts likely cannot set these via Gateway Op 4.
-                        modifiedPayload.self_mute = null;
-                        modifiedPayload.self_deaf = null;
-
-                        // Optionally, you can delete these properties if null is not accepted:
-                        // delete modifiedPayload.self_mute;
-                        // delete modifiedPayload.self_deaf;
-
-                        // Use the send method on WebSocketManager
-                        wsManager.send({ op: 4, d: modifiedPayload });
-                        return true;
-                    }
-                    console.warn(`[VoiceManager] Tried to send voice payload for Guild ${payload.guild_id} while WebSocket not ready.`);
-                    return false;
-                },
+                sendPayload: payload => this.client.ws.send(payload),
                 /**
-                 * Cleans up the adapter when the voice connection is destroyed.
+                 * Removes the adapter when its voice connection is destroyed.
                  */
                 destroy: () => {
-                    // console.debug(`[VoiceManager] Adapter destroyed for Guild ${guildId}`);
                     this.adapters.delete(guildId);
                 },
             };
@@ -107,34 +258,110 @@ class VoiceManager {
     }
 
     /**
-     * Handles VOICE_STATE_UPDATE dispatch events received from the main WebSocket.
-     * Called by WebSocketManager's handleDispatch method.
-     * Forwards the update to the corresponding @discordjs/voice adapter if it exists.
-     * @param {GatewayVoiceStateUpdateDispatchData} data The raw voice state update data.
-     * @protected - This method is intended for internal use by WebSocketManager
+     * Handles VOICE_STATE_UPDATE dispatches: tracks the client user's connections and forwards
+     * the client user's updates to the adapter of the guild.
+     * @param {object} data The raw voice state update.
+     * @protected
      */
     onVoiceStateUpdate(data) {
-        if (!data.guild_id) return;
-        const adapter = this.adapters.get(data.guild_id);
-        if (adapter && typeof adapter.onVoiceStateUpdate === 'function') {
-            adapter.onVoiceStateUpdate(data);
-        }
+        // The states of other members would be taken for our own by the adapter
+        if (!data.guild_id || data.user_id !== this.client.user?.id) return;
+        this._updateConnection(data);
+        this.adapters.get(data.guild_id)?.onVoiceStateUpdate(data);
     }
 
     /**
-     * Handles VOICE_SERVER_UPDATE dispatch events received from the main WebSocket.
-     * Called by WebSocketManager's handleDispatch method.
-     * Forwards the update to the corresponding @discordjs/voice adapter if it exists.
-     * @param {GatewayVoiceServerUpdateDispatchData} data The raw voice server update data (contains token and endpoint).
-     * @protected - This method is intended for internal use by WebSocketManager
+     * Handles VOICE_SERVER_UPDATE dispatches: stores the voice server of the connection and forwards
+     * the update to the adapter of the guild.
+     * @param {object} data The raw voice server update (token and endpoint).
+     * @protected
      */
     onVoiceServerUpdate(data) {
         if (!data.guild_id) return;
-        const adapter = this.adapters.get(data.guild_id);
-        if (adapter && typeof adapter.onVoiceServerUpdate === 'function') {
-            adapter.onVoiceServerUpdate(data);
+        const connection = this._connection(data.guild_id);
+        connection.endpoint = data.endpoint ?? null;
+        connection.token = data.token;
+
+        const pending = this._pending.get(data.guild_id);
+        if (pending && data.endpoint) {
+            pending.serverReceived = true;
+            this._check(data.guild_id);
+        }
+        this._voiceConnections.get(data.guild_id)?._onServerUpdate(connection);
+        this.adapters.get(data.guild_id)?.onVoiceServerUpdate(data);
+    }
+
+    /**
+     * Updates a connection from a voice state of the client user.
+     * @param {object} data The raw voice state update
+     * @private
+     */
+    _updateConnection(data) {
+        const guildId = data.guild_id;
+        // User accounts also get the voice states of their other sessions, which take the call over
+        if (this.client.ws.sessionId && data.session_id !== this.client.ws.sessionId) {
+            if (data.channel_id) {
+                this.connections.delete(guildId);
+                this._voiceConnections.get(guildId)?.destroy({ leave: false });
+                this._settle(guildId, new Error('The voice connection was taken over by another session.'));
+            }
+            return;
+        }
+
+        if (data.channel_id === null) {
+            this.connections.delete(guildId);
+            this._voiceConnections.get(guildId)?.destroy({ leave: false });
+        } else {
+            const connection = this._connection(guildId);
+            connection.channelId = data.channel_id;
+            connection.sessionId = data.session_id;
+            connection.selfMute = data.self_mute ?? false;
+            connection.selfDeaf = data.self_deaf ?? false;
+            connection.selfVideo = data.self_video ?? false;
+        }
+
+        const pending = this._pending.get(guildId);
+        if (pending && pending.channelId === data.channel_id) {
+            pending.stateReceived = true;
+            this._check(guildId);
         }
     }
+
+    /**
+     * Gets the connection of a guild, creating it if needed.
+     * @param {Snowflake} guildId The ID of the guild
+     * @returns {VoiceConnectionData}
+     * @private
+     */
+    _connection(guildId) {
+        let connection = this.connections.get(guildId);
+        if (!connection) {
+            connection = {
+                guildId,
+                channelId: null,
+                sessionId: null,
+                endpoint: null,
+                token: null,
+                selfMute: false,
+                selfDeaf: false,
+                selfVideo: false,
+            };
+            this.connections.set(guildId, connection);
+        }
+        return connection;
+    }
+
+    /**
+     * Rejects the pending joins and leaves, destroys the voice connections and adapters and forgets the connections.
+     * Called when the client is destroyed.
+     */
+    destroy() {
+        for (const guildId of [...this._pending.keys()]) this._settle(guildId, new Error('The client was destroyed.'));
+        for (const connection of [...this._voiceConnections.values()]) connection.destroy({ leave: false });
+        for (const adapter of [...this.adapters.values()]) adapter.destroy();
+        this.adapters.clear();
+        this.connections.clear();
+    }
 }
 
 /**
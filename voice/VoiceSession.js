@@ -0,0 +1,206 @@
+// src/voice/VoiceSession.js
+
+/**
+ * A span of time during a voice session, such as the user being muted.
+ * @typedef {object} VoiceSessionInterval
+ * @property {number} start When the span started
+ * @property {?number} end When the span ended, null while it lasts
+ */
+
+/**
+ * Gets how much of a span of time falls in a window.
+ * @param {number} start When the span started
+ * @param {?number} end When the span ended, null while it lasts
+ * @param {number} since The start of the window
+ * @param {number} until The end of the window
+ * @returns {number} The overlap, in milliseconds.
+ */
+function overlap(start, end, since, until) {
+    return Math.max(0, Math.min(end ?? Date.now(), until) - Math.max(start, since));
+}
+
+/**
+ * A stay of a user in one voice channel, from joining (or switching into) the channel to leaving it.
+ * Recorded by `VoiceSessionManager` from voice state updates.
+ */
+class VoiceSession {
+    /**
+     * @param {object} data The session data
+     * @param {number} data.id The ID of the session
+     * @param {Snowflake} data.guildId The ID of the guild
+     * @param {Snowflake} data.channelId The ID of the voice channel
+     * @param {Snowflake} data.userId The ID of the user
+     * @param {number} data.startedTimestamp When the session started
+     * @param {boolean} [data.partial=false] Whether the user was already in the channel when tracking started
+     */
+    constructor({ id, guildId, channelId, userId, startedTimestamp, partial = false }) {
+        /**
+         * The ID of the session, unique for the client.
+         * @type {number}
+         */
+        this.id = id;
+
+        /**
+         * The ID of the guild.
+         * @type {Snowflake}
+         */
+        this.guildId = guildId;
+
+        /**
+         * The ID of the voice channel.
+         * @type {Snowflake}
+         */
+        this.channelId = channelId;
+
+        /**
+         * The ID of the user.
+         * @type {Snowflake}
+         */
+        this.userId = userId;
+
+        /**
+         * When the session started. For partial sessions, when the client first saw the user in the channel.
+         * @type {number}
+         */
+        this.startedTimestamp = startedTimestamp;
+
+        /**
+         * When the session ended, null while the user is in the channel.
+         * @type {?number}
+         */
+        this.endedTimestamp = null;
+
+        /**
+         * Whether the user was already in the channel when tracking started (on login or when the guild
+         * became available), so the session really started before `startedTimestamp`.
+         * @type {boolean}
+         */
+        this.partial = partial;
+
+        /**
+         * The spans the user was muted, by themselves or by a moderator.
+         * @type {VoiceSessionInterval[]}
+         */
+        this.muteIntervals = [];
+
+        /**
+         * The spans the user was streaming.
+         * @type {VoiceSessionInterval[]}
+         */
+        this.streamIntervals = [];
+    }
+
+    /**
+     * Whether the user is still in the channel.
+     * @type {boolean}
+     * @readonly
+     */
+    get active() {
+        return this.endedTimestamp === null;
+    }
+
+    /**
+     * When the session started.
+     * @type {Date}
+     * @readonly
+     */
+    get startedAt() {
+        return new Date(this.startedTimestamp);
+    }
+
+    /**
+     * When the session ended, null while the user is in the channel.
+     * @type {?Date}
+     * @readonly
+     */
+    get endedAt() {
+        return this.endedTimestamp === null ? null : new Date(this.endedTimestamp);
+    }
+
+    /**
+     * Gets how long the user spent in the channel, optionally only counting a window of time.
+     * Active sessions count up to now.
+     * @param {number} [since=0] The start of the window
+     * @param {number} [until=Infinity] The end of the window
+     * @returns {number} The time, in milliseconds.
+     */
+    duration(since = 0, until = Infinity) {
+        return overlap(this.startedTimestamp, this.endedTimestamp, since, until);
+    }
+
+    /**
+     * Gets how long the user was muted, optionally only counting a window of time.
+     * @param {number} [since=0] The start of the window
+     * @param {number} [until=Infinity] The end of the window
+     * @returns {number} The time, in milliseconds.
+     */
+    mutedDuration(since = 0, until = Infinity) {
+        return this.muteIntervals.reduce((total, { start, end }) => total + overlap(start, end, since, until), 0);
+    }
+
+    /**
+     * Gets how long the user was streaming, optionally only counting a window of time.
+     * @param {number} [since=0] The start of the window
+     * @param {number} [until=Infinity] The end of the window
+     * @returns {number} The time, in milliseconds.
+     */
+    streamingDuration(since = 0, until = Infinity) {
+        return this.streamIntervals.reduce((total, { start, end }) => total + overlap(start, end, since, until), 0);
+    }
+
+    /**
+     * Records whether the user is muted and streaming, opening or closing intervals as they change.
+     * @param {VoiceState} state The current voice state of the user
+     * @param {number} now The time of the update
+     * @private
+     */
+    _record(state, now) {
+        VoiceSession._toggle(this.muteIntervals, state.selfMute || state.serverMute, now);
+        VoiceSession._toggle(this.streamIntervals, state.selfStream, now);
+    }
+
+    /**
+     * Ends the session, closing its open intervals.
+     * @param {number} now The time the user left
+     * @private
+     */
+    _end(now) {
+        VoiceSession._toggle(this.muteIntervals, false, now);
+        VoiceSession._toggle(this.streamIntervals, false, now);
+        this.endedTimestamp = now;
+    }
+
+    /**
+     * Opens an interval if a flag turned on, or closes the open one if it turned off.
+     * @param {VoiceSessionInterval[]} intervals The intervals of the flag
+     * @param {boolean} on Whether the flag is on
+     * @param {number} now The time of the update
+     * @private
+     * @static
+     */
+    static _toggle(intervals, on, now) {
+        const open = intervals.at(-1)?.end === null ? intervals.at(-1) : null;
+        if (on && !open) intervals.push({ start: now, end: null });
+        else if (!on && open) open.end = now;
+    }
+
+    /**
+     * Creates a JSON representation of the session.
+     * @returns {object}
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            guild_id: this.guildId,
+            channel_id: this.channelId,
+            user_id: this.userId,
+            started_timestamp: this.startedTimestamp,
+            ended_timestamp: this.endedTimestamp,
+            partial: this.partial,
+            mute_intervals: this.muteIntervals.map(interval => ({ ...interval })),
+            stream_intervals: this.streamIntervals.map(interval => ({ ...interval })),
+        };
+    }
+}
+
+module.exports = VoiceSession;
@@ -0,0 +1,270 @@
+// src/voice/VoiceSessionManager.js
+
+const VoiceSession = require('./VoiceSession');
+const Collection = require('../util/Collection');
+
+/**
+ * Options selecting voice sessions. Sessions are selected if they overlap the window.
+ * @typedef {object} VoiceSessionQuery
+ * @property {User|GuildMember|Snowflake} [user] Only sessions of this user
+ * @property {VoiceChannel|Snowflake} [channel] Only sessions in this channel
+ * @property {Guild|Snowflake} [guild] Only sessions in this guild
+ * @property {Date|number} [since] The start of the window
+ * @property {Date|number} [until] The end of the window, defaults to now
+ */
+
+/**
+ * The time spent in voice by a user, in a channel or in a guild.
+ * @typedef {object} VoiceSessionTotals
+ * @property {number} duration The time in voice, in milliseconds
+ * @property {number} mutedDuration The time spent muted, in milliseconds
+ * @property {number} streamingDuration The time spent streaming, in milliseconds
+ * @property {number} sessions The number of sessions
+ */
+
+/**
+ * The columns of a CSV export.
+ * @type {string[]}
+ */
+const CSV_COLUMNS = [
+    'id', 'guild_id', 'channel_id', 'user_id', 'started_at', 'ended_at', 'duration_ms', 'muted_ms', 'streaming_ms', 'partial',
+];
+
+/**
+ * Records who was in which voice channel and for how long, from the voice state updates of every guild.
+ * Ended sessions are kept until swept by the `voiceSessions` sweeper, which by default removes them a day after
+ * they ended.
+ */
+class VoiceSessionManager {
+    /**
+     * @param {Client} client The instantiating client
+     */
+    constructor(client) {
+        /**
+         * The client that instantiated this
+         * @name VoiceSessionManager#client
+         * @type {Client}
+         * @readonly
+         */
+        Object.defineProperty(this, 'client', { value: client });
+
+        /**
+         * The recorded sessions, oldest first.
+         * @type {Collection<number, VoiceSession>}
+         */
+        this.cache = new Collection();
+
+        /**
+         * The sessions of the users in voice, keyed by `guildId:userId`.
+         * @type {Map<string, VoiceSession>}
+         * @private
+         */
+        this._active = new Map();
+
+        /**
+         * The ID of the next session.
+         * @type {number}
+         * @private
+         */
+        this._nextId = 1;
+    }
+
+    /**
+     * The sessions of the users in voice right now.
+     * @type {Collection<number, VoiceSession>}
+     * @readonly
+     */
+    get active() {
+        return new Collection([...this._active.values()].map(session => [session.id, session]));
+    }
+
+    /**
+     * Records a voice state update, ending the session of the previous channel and starting one in the new channel.
+     * @param {?VoiceState} old The state before the update, null if the user wasn't tracked
+     * @param {VoiceState} state The state after the update
+     * @param {number} [now=Date.now()] The time of the update
+     * @protected
+     */
+    _update(old, state, now = Date.now()) {
+        const key = `${state.guild.id}:${state.userId}`;
+        let session = this._active.get(key);
+        if (session && session.channelId !== state.channelId) {
+            session._end(now);
+            this._active.delete(key);
+            session = null;
+        }
+        if (!session && state.channelId) {
+            // A user already in this channel without a session was there before tracking started
+            session = this._start(key, state, now, old?.channelId === state.channelId);
+        }
+        session?._record(state, now);
+    }
+
+    /**
+     * Brings the sessions of a guild in line with its voice states, after login or when the guild becomes available.
+     * Users found in voice get a partial session, sessions of users no longer in voice are ended.
+     * @param {Guild} guild The guild
+     * @param {number} [now=Date.now()] The time of the sync
+     * @protected
+     */
+    _sync(guild, now = Date.now()) {
+        for (const [key, session] of this._active) {
+            if (session.guildId !== guild.id) continue;
+            if (guild.voiceStates.get(session.userId)?.channelId === session.channelId) continue;
+            session._end(now);
+            this._active.delete(key);
+        }
+        for (const state of guild.voiceStates.values()) {
+            if (!state.channelId) continue;
+            const key = `${guild.id}:${state.userId}`;
+            (this._active.get(key) ?? this._start(key, state, now, true))._record(state, now);
+        }
+    }
+
+    /**
+     * Ends the sessions of a guild the client left.
+     * @param {Snowflake} guildId The ID of the guild
+     * @param {number} [now=Date.now()] The time the client left
+     * @protected
+     */
+    _endGuild(guildId, now = Date.now()) {
+        for (const [key, session] of this._active) {
+            if (session.guildId !== guildId) continue;
+            session._end(now);
+            this._active.delete(key);
+        }
+    }
+
+    /**
+     * Starts a session.
+     * @param {string} key The `guildId:userId` key of the user
+     * @param {VoiceState} state The voice state of the user
+     * @param {number} now The time the session started
+     * @param {boolean} partial Whether the user was in the channel before tracking started
+     * @returns {VoiceSession}
+     * @private
+     */
+    _start(key, state, now, partial) {
+        const session = new VoiceSession({
+            id: this._nextId++,
+            guildId: state.guild.id,
+            channelId: state.channelId,
+            userId: state.userId,
+            startedTimestamp: now,
+            partial,
+        });
+        this.cache.set(session.id, session);
+        this._active.set(key, session);
+        return session;
+    }
+
+    /**
+     * Gets the sessions matching a query, oldest first.
+     * @param {VoiceSessionQuery} [query={}] The query
+     * @returns {VoiceSession[]}
+     * @example
+     * // Everyone who was in the channel in the last hour
+     * const sessions = client.voice.sessions.query({ channel, since: Date.now() - 3_600_000 });
+     */
+    query(query = {}) {
+        const { user, channel, guild, since, until } = this._resolveQuery(query);
+        return [...this.cache.values()].filter(session =>
+            (!user || session.userId === user) &&
+            (!channel || session.channelId === channel) &&
+            (!guild || session.guildId === guild) &&
+            session.startedTimestamp <= until &&
+            (session.endedTimestamp ?? Date.now()) >= since,
+        );
+    }
+
+    /**
+     * Adds up the time spent in voice by user, by channel or by guild. Only the part of each session inside the
+     * window counts.
+     * @param {VoiceSessionQuery & { by?: string }} [query={}] The query, and what to group by:
+     * `'user'` (the default), `'channel'` or `'guild'`
+     * @returns {Collection<Snowflake, VoiceSessionTotals>} The totals, most time in voice first.
+     * @example
+     * // Time per user in a guild this week
+     * const totals = client.voice.sessions.totals({ guild, since: Date.now() - 604_800_000 });
+     * @example
+     * // Time per channel for one user
+     * const totals = client.voice.sessions.totals({ user, by: 'channel' });
+     */
+    totals({ by = 'user', ...query } = {}) {
+        const field = { user: 'userId', channel: 'channelId', guild: 'guildId' }[by];
+        if (!field) throw new RangeError(`Voice time can be grouped by 'user', 'channel' or 'guild', got '${by}'.`);
+        const { since, until } = this._resolveQuery(query);
+
+        const totals = new Map();
+        for (const session of this.query(query)) {
+            const entry = totals.get(session[field]) ?? { duration: 0, mutedDuration: 0, streamingDuration: 0, sessions: 0 };
+            entry.duration += session.duration(since, until);
+            entry.mutedDuration += session.mutedDuration(since, until);
+            entry.streamingDuration += session.streamingDuration(since, until);
+            entry.sessions++;
+            totals.set(session[field], entry);
+        }
+        return new Collection([...totals].sort(([, a], [, b]) => b.duration - a.duration));
+    }
+
+    /**
+     * Exports the sessions matching a query as JSON, with every mute and stream interval.
+     * @param {VoiceSessionQuery} [query={}] The query
+     * @returns {object[]}
+     */
+    toJSON(query = {}) {
+        return this.query(query).map(session => session.toJSON());
+    }
+
+    /**
+     * Exports the sessions matching a query as CSV, one row per session. Durations only count the part of each
+     * session inside the window, times are ISO 8601 and active sessions have an empty `ended_at`.
+     * @param {VoiceSessionQuery} [query={}] The query
+     * @returns {string}
+     * @example
+     * fs.writeFileSync('voice.csv', client.voice.sessions.toCSV({ guild }));
+     */
+    toCSV(query = {}) {
+        const { since, until } = this._resolveQuery(query);
+        const rows = this.query(query).map(session => [
+            session.id,
+            session.guildId,
+            session.channelId,
+            session.userId,
+            session.startedAt.toISOString(),
+            session.endedAt?.toISOString() ?? '',
+            session.duration(since, until),
+            session.mutedDuration(since, until),
+            session.streamingDuration(since, until),
+            session.partial,
+        ]);
+        return [CSV_COLUMNS, ...rows].map(row => row.join(',')).join('\n');
+    }
+
+    /**
+     * Removes ended sessions from the cache. Active sessions are never swept.
+     * @param {Function} filter `(session, id, collection) => boolean`, return true to sweep the session
+     * @returns {number} The number of sessions swept.
+     */
+    sweep(filter) {
+        return this.cache.sweep((session, id, collection) => !session.active && filter(session, id, collection));
+    }
+
+    /**
+     * Resolves the IDs and window of a query.
+     * @param {VoiceSessionQuery} query The query
+     * @returns {{ user: ?Snowflake, channel: ?Snowflake, guild: ?Snowflake, since: number, until: number }}
+     * @private
+     */
+    _resolveQuery({ user, channel, guild, since, until }) {
+        return {
+            user: user?.id ?? user ?? null,
+            channel: channel?.id ?? channel ?? null,
+            guild: guild?.id ?? guild ?? null,
+            since: since === undefined ? 0 : new Date(since).getTime(),
+            until: until === undefined ? Date.now() : new Date(until).getTime(),
+        };
+    }
+}
+
+module.exports = VoiceSessionManager;
@@ -0,0 +1,123 @@
+// src/voice/VoiceUDPSocket.js
+
+const dgram = require('dgram');
+const EventEmitter = require('events');
+const { isIPv6 } = require('net');
+
+/**
+ * How often to send a keep alive, in milliseconds. Keeps NAT mappings open while nothing is playing.
+ * @type {number}
+ */
+const KEEP_ALIVE_INTERVAL = 5_000;
+
+/**
+ * The UDP socket carrying the RTP packets of a voice connection.
+ * Emits `message` with every packet received and `error` if the socket fails.
+ * @extends {EventEmitter}
+ */
+class VoiceUDPSocket extends EventEmitter {
+    /**
+     * @param {string} ip The IP of the voice server
+     * @param {number} port The UDP port of the voice server
+     */
+    constructor(ip, port) {
+        super();
+
+        /**
+         * The IP of the voice server.
+         * @type {string}
+         */
+        this.ip = ip;
+
+        /**
+         * The UDP port of the voice server.
+         * @type {number}
+         */
+        this.port = port;
+
+        /**
+         * The socket.
+         * @type {dgram.Socket}
+         * @private
+         */
+        this._socket = dgram.createSocket(isIPv6(ip) ? 'udp6' : 'udp4');
+        this._socket.on('message', message => this.emit('message', message));
+        this._socket.on('error', error => this.emit('error', error));
+
+        /**
+         * The counter sent in keep alives.
+         * @type {number}
+         * @private
+         */
+        this._keepAliveCounter = 0;
+
+        this._keepAliveTimer = setInterval(() => this._keepAlive(), KEEP_ALIVE_INTERVAL).unref();
+    }
+
+    /**
+     * Sends a packet to the voice server.
+     * @param {Buffer} packet The packet
+     */
+    send(packet) {
+        this._socket.send(packet, this.port, this.ip);
+    }
+
+    /**
+     * Discovers the external address of the socket, as seen by the voice server.
+     * @param {number} ssrc The SSRC from the voice server's READY
+     * @param {number} [timeout=5000] How long to wait for the response, in milliseconds
+     * @returns {Promise<{ ip: string, port: number }>}
+     */
+    discoverIP(ssrc, timeout = 5_000) {
+        return new Promise((resolve, reject) => {
+            const onMessage = message => {
+                // Responses are type 0x2 and 74 bytes: type, length, SSRC, address, port
+                if (message.length !== 74 || message.readUInt16BE(0) !== 0x2) return;
+                cleanup();
+                const ip = message.subarray(8, 72).toString('utf8').replace(/\0+$/, '');
+                resolve({ ip, port: message.readUInt16BE(72) });
+            };
+            const timer = setTimeout(() => {
+                cleanup();
+                reject(new Error('Timed out discovering the external address of the voice socket.'));
+            }, timeout);
+            const cleanup = () => {
+                clearTimeout(timer);
+                this._socket.off('message', onMessage);
+            };
+            this._socket.on('message', onMessage);
+
+            const request = Buffer.alloc(74);
+            request.writeUInt16BE(0x1, 0);
+            request.writeUInt16BE(70, 2);
+            request.writeUInt32BE(ssrc, 4);
+            this.send(request);
+        });
+    }
+
+    /**
+     * Sends a keep alive.
+     * @private
+     */
+    _keepAlive() {
+        const packet = Buffer.alloc(8);
+        packet.writeUInt32LE(this._keepAliveCounter, 0);
+        this._keepAliveCounter = (this._keepAliveCounter + 1) >>> 0;
+        this.send(packet);
+    }
+
+    /**
+     * Closes the socket.
+     */
+    destroy() {
+        clearInterval(this._keepAliveTimer);
+        this._socket.removeAllListeners('message');
+        try {
+            this._socket.close();
+        } catch {
+            // Already closed
+        }
+    }
+}
+
+module.exports = VoiceUDPSocket;
@@ -0,0 +1,476 @@
+// src/voice/VoiceWebSocket.js
+
+const EventEmitter = require('events');
+const WebSocket = require('ws');
+const { VoiceGateway } = require('../util/Constants');
+
+const { OpCodes, Status } = VoiceGateway;
+
+/**
+ * The voice server of a call and the session to open on it.
+ * @typedef {object} VoiceServerSession
+ * @property {string} endpoint The voice server host. With a `ws://` or `wss://` scheme it is used as is,
+ * which allows pointing the connection at a local server.
+ * @property {Snowflake} serverId The ID of the guild
+ * @property {Snowflake} userId The ID of the client user
+ * @property {string} sessionId The voice session ID, from the client user's voice state
+ * @property {string} token The voice server token
+ */
+
+/**
+ * Manages the connection to a voice server's WebSocket.
+ * Handles HELLO, heartbeating, IDENTIFY, RESUME, close codes and reconnecting with backoff.
+ * The UDP handshake is left to the `VoiceConnection`, which listens for:
+ * - `ready` (data): the SSRC, UDP address and encryption modes of the voice server
+ * - `sessionDescription` (data): the encryption mode and secret key
+ * - `resumed`: the session was resumed, the UDP socket can be kept
+ * - `packet` (packet): any other packet
+ * - `disconnected` (code, reason): the connection was lost for good
+ * @extends {EventEmitter}
+ */
+class VoiceWebSocket extends EventEmitter {
+    /**
+     * @param {object} [options={}] Options for the connection
+     * @param {number} [options.helloTimeout=10000] How long to wait for HELLO before reconnecting
+     * @param {number} [options.maxReconnectAttempts=5] Consecutive failed attempts before giving up
+     */
+    constructor({ helloTimeout = 10_000, maxReconnectAttempts = 5 } = {}) {
+        super();
+
+        /**
+         * How long to wait for HELLO before reconnecting, in milliseconds.
+         * @type {number}
+         */
+        this.helloTimeout = helloTimeout;
+
+        /**
+         * Consecutive failed attempts before giving up.
+         * @type {number}
+         */
+        this.maxReconnectAttempts = maxReconnectAttempts;
+
+        /**
+         * The underlying WebSocket connection. Null while disconnected.
+         * @type {?WebSocket}
+         */
+        this.ws = null;
+
+        /**
+         * The current connection status, one of `Constants.VoiceGateway.Status`.
+         * @type {string}
+         */
+        this.status = Status.IDLE;
+
+        /**
+         * The voice server and session.
+         * @type {?VoiceServerSession}
+         * @private
+         */
+        Object.defineProperty(this, '_session', { value: null, writable: true });
+
+        /**
+         * Whether the session was identified and can be resumed.
+         * @type {boolean}
+         * @private
+         */
+        this._resumable = false;
+
+        /**
+         * The sequence number of the last packet received, acknowledged in heartbeats and resumes.
+         * @type {number}
+         */
+        this.sequence = -1;
+
+        /**
+         * Whether the last heartbeat we sent has been acknowledged.
+         * @type {boolean}
+         */
+        this.lastHeartbeatAcked = true;
+
+        /**
+         * The timestamp the last heartbeat was sent at.
+         * @type {number}
+         */
+        this.lastHeartbeatSent = -1;
+
+        /**
+         * The round-trip latency of the last acknowledged heartbeat, in milliseconds.
+         * @type {number}
+         */
+        this.ping = -1;
+
+        /**
+         * Number of consecutive failed connection attempts, drives the reconnect backoff.
+         * @type {number}
+         */
+        this.reconnectAttempts = 0;
+
+        /**
+         * Whether `destroy()` has been called. Prevents automatic reconnects.
+         * @type {boolean}
+         * @private
+         */
+        this._destroyed = false;
+
+        // Timers
+        this._heartbeatTimer = null;
+        this._helloTimeout = null;
+        this._reconnectTimeout = null;
+    }
+
+    /**
+     * Connects to a voice server. Passing a session starts over with a fresh IDENTIFY,
+     * without one the current session is resumed.
+     * @param {VoiceServerSession} [session] The voice server and session to open
+     */
+    connect(session) {
+        if (session) {
+            this._session = session;
+            this._resumable = false;
+            this.sequence = -1;
+            this.reconnectAttempts = 0;
+        }
+        if (!this._session) throw new Error('A voice server session is required to connect.');
+
+        this._destroyed = false;
+        this._clearTimers();
+        if (this.ws) this._cleanupSocket();
+
+        const url = VoiceWebSocket.buildURL(this._session.endpoint);
+        this.status = Status.CONNECTING;
+        this.debug(`Connecting to ${url} (attempt ${this.reconnectAttempts + 1}, ${this._resumable ? 'resume' : 'identify'})`);
+
+        const ws = new WebSocket(url);
+        this.ws = ws;
+        ws.on('open', () => this._onOpen(ws));
+        ws.on('message', (data, isBinary) => this._onMessage(ws, data, isBinary));
+        ws.on('close', (code, reason) => this._onClose(ws, code, reason.toString()));
+        ws.on('error', error => this._onSocketError(ws, error));
+    }
+
+    /**
+     * Builds the URL of a voice server endpoint.
+     * @param {string} endpoint The endpoint, with or without a scheme
+     * @returns {string}
+     */
+    static buildURL(endpoint) {
+        const url = new URL(/^wss?:\/\//.test(endpoint) ? endpoint : `wss://${endpoint}`);
+        url.searchParams.set('v', VoiceGateway.VERSION);
+        return url.toString();
+    }
+
+    /**
+     * Called when the socket opens. Waits for HELLO.
+     * @param {WebSocket} ws The socket that opened.
+     * @private
+     */
+    _onOpen(ws) {
+        if (ws !== this.ws) return;
+        this.debug('Connection opened, waiting for HELLO.');
+        this._helloTimeout = setTimeout(() => {
+            this.debug(`Did not receive HELLO within ${this.helloTimeout}ms, reconnecting.`);
+            this._reconnect(4000, 'HELLO timeout');
+        }, this.helloTimeout);
+    }
+
+    /**
+     * Decodes a message received on the socket.
+     * @param {WebSocket} ws The socket the message was received on.
+     * @param {Buffer} data The message data.
+     * @param {boolean} isBinary Whether the message is binary.
+     * @private
+     */
+    _onMessage(ws, data, isBinary) {
+        if (ws !== this.ws) return;
+        // Binary messages carry end-to-end encryption, which IDENTIFY opts out of
+        if (isBinary) return;
+        let packet;
+        try {
+            packet = JSON.parse(data.toString());
+        } catch (error) {
+            console.error('[VoiceWebSocket] Failed to decode voice gateway payload:', error);
+            return;
+        }
+        this._onPacket(packet);
+    }
+
+    /**
+     * Handles a decoded voice gateway packet.
+     * @param {object} packet The decoded packet (`{ op, d, seq }`).
+     * @private
+     */
+    _onPacket(packet) {
+        if (typeof packet.seq === 'number') this.sequence = packet.seq;
+
+        switch (packet.op) {
+            case OpCodes.HELLO:
+                clearTimeout(this._helloTimeout);
+                this._helloTimeout = null;
+                this._startHeartbeat(packet.d.heartbeat_interval);
+                if (this._resumable) this._resume();
+                else this._identify();
+                break;
+
+            case OpCodes.HEARTBEAT_ACK:
+                this.lastHeartbeatAcked = true;
+                this.ping = Date.now() - this.lastHeartbeatSent;
+                break;
+
+            case OpCodes.READY:
+                this.status = Status.SELECTING_PROTOCOL;
+                this._resumable = true;
+                this.reconnectAttempts = 0;
+                this.debug(`Voice session ready, SSRC ${packet.d.ssrc}.`);
+                this.emit('ready', packet.d);
+                break;
+
+            case OpCodes.SESSION_DESCRIPTION:
+                this.status = Status.READY;
+                this.debug(`Encrypting with ${packet.d.mode}.`);
+                this.emit('sessionDescription', packet.d);
+                break;
+
+            case OpCodes.RESUMED:
+                this.status = Status.READY;
+                this.reconnectAttempts = 0;
+                this.debug('Voice session resumed.');
+                this.emit('resumed');
+                break;
+
+            default:
+                this.emit('packet', packet);
+        }
+    }
+
+    /**
+     * Sends the IDENTIFY payload to start a new voice session.
+     * @private
+     */
+    _identify() {
+        this.status = Status.IDENTIFYING;
+        this.debug('Identifying as a new voice session.');
+        const { serverId, userId, sessionId, token } = this._session;
+        this.send({
+            op: OpCodes.IDENTIFY,
+            d: { server_id: serverId, user_id: userId, session_id: sessionId, token, max_dave_protocol_version: 0 },
+        });
+    }
+
+    /**
+     * Sends the RESUME payload to continue the voice session.
+     * @private
+     */
+    _resume() {
+        this.status = Status.RESUMING;
+        this.debug(`Resuming the voice session at sequence ${this.sequence}.`);
+        const { serverId, sessionId, token } = this._session;
+        this.send({
+            op: OpCodes.RESUME,
+            d: { server_id: serverId, session_id: sessionId, token, seq_ack: this.sequence },
+        });
+    }
+
+    /**
+     * Tells the voice server where to send audio and how it is encrypted.
+     * @param {string} address Our external IP, from IP discovery
+     * @param {number} port Our external port, from IP discovery
+     * @param {string} mode The encryption mode
+     */
+    selectProtocol(address, port, mode) {
+        this.send({ op: OpCodes.SELECT_PROTOCOL, d: { protocol: 'udp', data: { address, port, mode } } });
+    }
+
+    /**
+     * Starts heartbeating at the interval given by HELLO.
+     * @param {number} interval The heartbeat interval in milliseconds.
+     * @private
+     */
+    _startHeartbeat(interval) {
+        this._stopHeartbeat();
+        this.lastHeartbeatAcked = true;
+        this.debug(`Heartbeating every ${interval}ms.`);
+        this._heartbeatTimer = setInterval(() => this._sendHeartbeat(), interval);
+    }
+
+    /**
+     * Stops the heartbeat timer.
+     * @private
+     */
+    _stopHeartbeat() {
+        clearInterval(this._heartbeatTimer);
+        this._heartbeatTimer = null;
+    }
+
+    /**
+     * Sends a heartbeat, or reconnects if the previous one was never acknowledged.
+     * @private
+     */
+    _sendHeartbeat() {
+        if (!this.lastHeartbeatAcked) {
+            this.debug('Previous heartbeat was not acknowledged, connection is a zombie. Reconnecting.');
+            this._reconnect(4000, 'Zombie connection');
+            return;
+        }
+        this.lastHeartbeatAcked = false;
+        this.lastHeartbeatSent = Date.now();
+        this.send({ op: OpCodes.HEARTBEAT, d: { t: this.lastHeartbeatSent, seq_ack: this.sequence } });
+    }
+
+    /**
+     * Sends a payload to the voice server.
+     * @param {object} payload The payload to send (`{ op, d }`).
+     * @returns {boolean} Whether the payload was sent.
+     */
+    send(payload) {
+        if (this.ws?.readyState !== WebSocket.OPEN) {
+            this.debug(`Tried to send OP ${payload?.op} while the connection is not open.`);
+            return false;
+        }
+        this.ws.send(JSON.stringify(payload));
+        return true;
+    }
+
+    /**
+     * Closes the current socket and connects again, resuming the session.
+     * @param {number} [code=4000] The close code to send.
+     * @param {string} [reason] The close reason.
+     * @private
+     */
+    _reconnect(code = 4000, reason = 'Reconnecting') {
+        const ws = this.ws;
+        this._cleanupSocket(code, reason);
+        if (ws) this._handleClose(code, reason);
+    }
+
+    /**
+     * Called when the socket closes.
+     * @param {WebSocket} ws The socket that closed.
+     * @param {number} code The close code.
+     * @param {string} reason The close reason.
+     * @private
+     */
+    _onClose(ws, code, reason) {
+        if (ws !== this.ws) return;
+        this._cleanupSocket();
+        this._handleClose(code, reason);
+    }
+
+    /**
+     * Decides what to do after the connection was lost: give up, identify again or resume.
+     * @param {number} code The close code.
+     * @param {string} reason The close reason.
+     * @private
+     */
+    _handleClose(code, reason) {
+        this.debug(`Connection closed with code ${code}${reason ? ` (${reason})` : ''}.`);
+        if (this._destroyed) {
+            this.status = Status.DISCONNECTED;
+            return;
+        }
+
+        if (VoiceGateway.UNRECOVERABLE_CLOSE_CODES.includes(code)) {
+            this.destroy({ reason: 'Unrecoverable close code' });
+            this.emit('disconnected', code, reason);
+            return;
+        }
+
+        if (VoiceGateway.UNRESUMABLE_CLOSE_CODES.includes(code)) this._resumable = false;
+        this._scheduleReconnect(code, reason);
+    }
+
+    /**
+     * Schedules a reconnect attempt using exponential backoff. The first attempt is immediate.
+     * @param {number} code The close code that caused the reconnect.
+     * @param {string} reason The close reason.
+     * @private
+     */
+    _scheduleReconnect(code, reason) {
+        if (this.reconnectAttempts >= this.maxReconnectAttempts) {
+            this.destroy({ reason: 'Too many reconnect attempts' });
+            this.emit('disconnected', code, reason);
+            return;
+        }
+
+        const delay = this.reconnectAttempts === 0 ? 0 : Math.min(1000 * 2 ** (this.reconnectAttempts - 1), 30_000);
+        this.reconnectAttempts++;
+        this.status = Status.RECONNECTING;
+        this.debug(`Reconnecting in ${delay}ms.`);
+
+        clearTimeout(this._reconnectTimeout);
+        this._reconnectTimeout = setTimeout(() => {
+            this._reconnectTimeout = null;
+            if (!this._destroyed) this.connect();
+        }, delay);
+    }
+
+    /**
+     * Called when the socket emits an error. A close event follows, which drives reconnecting.
+     * @param {WebSocket} ws The socket that errored.
+     * @param {Error} error The error.
+     * @private
+     */
+    _onSocketError(ws, error) {
+        if (ws !== this.ws) return;
+        this.debug(`Socket error: ${error.message}`);
+    }
+
+    /**
+     * Detaches listeners from the current socket, closes it and stops its timers.
+     * @param {number} [code] Close code to send if the socket is still open.
+     * @param {string} [reason] Close reason.
+     * @private
+     */
+    _cleanupSocket(code, reason) {
+        this._stopHeartbeat();
+        clearTimeout(this._helloTimeout);
+        this._helloTimeout = null;
+
+        const ws = this.ws;
+        this.ws = null;
+        if (!ws) return;
+        ws.removeAllListeners();
+        ws.on('error', () => {}); // Errors after this point are irrelevant
+        if (ws.readyState === WebSocket.OPEN) {
+            ws.close(code ?? 4000, reason);
+        } else if (ws.readyState === WebSocket.CONNECTING) {
+            ws.terminate();
+        }
+    }
+
+    /**
+     * Clears every pending timer.
+     * @private
+     */
+    _clearTimers() {
+        this._stopHeartbeat();
+        clearTimeout(this._helloTimeout);
+        clearTimeout(this._reconnectTimeout);
+        this._helloTimeout = null;
+        this._reconnectTimeout = null;
+    }
+
+    /**
+     * Closes the connection and stops all reconnect attempts.
+     * @param {object} [options={}] Options for destroying.
+     * @param {number} [options.code=1000] The close code.
+     * @param {string} [options.reason] The close reason.
+     */
+    destroy({ code = 1000, reason } = {}) {
+        this._destroyed = true;
+        this._clearTimers();
+        this._cleanupSocket(code, reason);
+        this._resumable = false;
+        this.status = Status.DISCONNECTED;
+        this.debug(`Destroyed${reason ? ` (${reason})` : ''}.`);
+    }
+
+    /**
+     * Emits a debug message.
+     * @param {string} message The debug message.
+     */
+    debug(message) {
+        this.emit('debug', `[VoiceWebSocket] ${message}`);
+    }
+}
+
+module.exports = VoiceWebSocket;